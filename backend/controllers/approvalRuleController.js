@@ -0,0 +1,177 @@
+const ApprovalRule = require('../models/ApprovalRule');
+
+const rulePopulate = { path: 'maintenanceTeam', select: 'teamName specialization' };
+
+/**
+ * Normalize optional scope fields so "all teams/categories" is stored as null
+ */
+const buildRuleData = (body) => {
+  const data = { ...body };
+  if ('maintenanceTeam' in data) data.maintenanceTeam = data.maintenanceTeam || null;
+  if ('equipmentCategory' in data) data.equipmentCategory = data.equipmentCategory?.trim() || null;
+  return data;
+};
+
+/**
+ * Send 400 for validation and duplicate-scope errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A rule for this team and category already exists.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create approval rule
+ * POST /api/approval-rules
+ * Access: Admin, Manager
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.create(buildRuleData(req.body));
+    await rule.populate(rulePopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval rule created successfully.',
+      data: rule,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating approval rule.');
+  }
+};
+
+/**
+ * Get all approval rules
+ * GET /api/approval-rules?teamId=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllRules = async (req, res) => {
+  try {
+    const { teamId, isActive } = req.query;
+    const filter = {};
+
+    if (teamId) filter.maintenanceTeam = teamId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await ApprovalRule.find(filter)
+      .populate(rulePopulate)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval rules.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single approval rule
+ * GET /api/approval-rules/:id
+ * Access: All authenticated users
+ */
+exports.getRuleById = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.findById(req.params.id).populate(rulePopulate);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval rule not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval rule.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update approval rule
+ * PUT /api/approval-rules/:id
+ * Access: Admin, Manager
+ * Requests already waiting for approval stay in the queue
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval rule not found.',
+      });
+    }
+
+    Object.assign(rule, buildRuleData(req.body));
+    await rule.save();
+    await rule.populate(rulePopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval rule updated successfully.',
+      data: rule,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating approval rule.');
+  }
+};
+
+/**
+ * Delete approval rule
+ * DELETE /api/approval-rules/:id
+ * Access: Admin, Manager
+ * Requests already waiting for approval stay in the queue
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await ApprovalRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval rule not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval rule deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting approval rule.',
+      error: error.message,
+    });
+  }
+};
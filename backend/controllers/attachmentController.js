@@ -0,0 +1,314 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Equipment = require('../models/Equipment');
+const { getStorage } = require('../utils/storage');
+const { findAccessibleRequest } = require('../utils/requestVisibility');
+
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Check that the attachment target exists and the user may see it
+ * @returns {Object} {} when allowed, { status, message } otherwise
+ */
+const checkEntityAccess = async (entityType, entityId, user) => {
+  if (entityType === 'MaintenanceRequest') {
+    const { status, message } = await findAccessibleRequest(entityId, user, '_id');
+    return status ? { status, message } : {};
+  }
+
+  const equipment = await Equipment.findById(entityId).select('_id');
+  if (!equipment) {
+    return { status: 404, message: 'Equipment not found.' };
+  }
+  return {};
+};
+
+/**
+ * Content-Disposition header value that keeps non-ASCII file names
+ * filename is an ASCII fallback for old clients; filename* carries the UTF-8 name (RFC 5987)
+ */
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Store uploaded files and their thumbnails, then record metadata
+ */
+const saveAttachments = async (files, entityType, entityId, userId) => {
+  const storage = getStorage();
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const folder = `${entityType === 'Equipment' ? 'equipment' : 'requests'}/${entityId}`;
+
+  const saved = [];
+  for (const file of files) {
+    const baseName = crypto.randomUUID();
+    const storageKey = `${folder}/${baseName}${path.extname(file.originalname).toLowerCase()}`;
+    await storage.save(storageKey, file.buffer, file.mimetype);
+
+    let thumbnailKey = null;
+    if (file.mimetype.startsWith('image/')) {
+      try {
+        const thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        thumbnailKey = `${folder}/${baseName}_thumb.jpg`;
+        await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+      } catch (error) {
+        console.error(`Failed to generate thumbnail: ${error.message}`);
+      }
+    }
+
+    saved.push(
+      await Attachment.create({
+        entityType,
+        entityId,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageDriver: driverName,
+        storageKey,
+        thumbnailKey,
+        uploadedBy: userId,
+      })
+    );
+  }
+
+  return saved;
+};
+
+/**
+ * Build the access check run before an upload is parsed, so refused uploads are never buffered
+ */
+const uploadAccessCheck = (entityType) => async (req, res, next) => {
+  try {
+    const { status, message } = await checkEntityAccess(entityType, req.params.id, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading files.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build upload and list handlers for an attachment target
+ * Upload handlers run after uploadAccessCheck and the upload middleware
+ */
+const uploadHandler = (entityType) => async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded.',
+      });
+    }
+
+    const attachments = await saveAttachments(req.files, entityType, req.params.id, req.user._id);
+    await Attachment.populate(attachments, { path: 'uploadedBy', select: 'name email' });
+
+    res.status(201).json({
+      success: true,
+      message: `${attachments.length} file(s) uploaded successfully.`,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading files.',
+      error: error.message,
+    });
+  }
+};
+
+const listHandler = (entityType) => async (req, res) => {
+  try {
+    const { status, message } = await checkEntityAccess(entityType, req.params.id, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const attachments = await Attachment.find({ entityType, entityId: req.params.id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Check request access before an upload is parsed
+ * Middleware for POST /api/requests/:id/attachments
+ */
+exports.checkRequestUploadAccess = uploadAccessCheck('MaintenanceRequest');
+
+/**
+ * Check equipment access before an upload is parsed
+ * Middleware for POST /api/equipment/:id/attachments
+ */
+exports.checkEquipmentUploadAccess = uploadAccessCheck('Equipment');
+
+/**
+ * Upload files to a maintenance request
+ * POST /api/requests/:id/attachments
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.uploadRequestAttachments = uploadHandler('MaintenanceRequest');
+
+/**
+ * Get attachments of a maintenance request
+ * GET /api/requests/:id/attachments
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.getRequestAttachments = listHandler('MaintenanceRequest');
+
+/**
+ * Upload files to equipment
+ * POST /api/equipment/:id/attachments
+ * Access: Admin, Manager, Technician
+ */
+exports.uploadEquipmentAttachments = uploadHandler('Equipment');
+
+/**
+ * Get attachments of equipment
+ * GET /api/equipment/:id/attachments
+ * Access: All authenticated users
+ */
+exports.getEquipmentAttachments = listHandler('Equipment');
+
+/**
+ * Stream an attachment file or its thumbnail
+ */
+const streamFile = (variant) => async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found.',
+      });
+    }
+
+    const { status, message } = await checkEntityAccess(attachment.entityType, attachment.entityId, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.storageKey;
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not available.',
+      });
+    }
+
+    const stream = getStorage(attachment.storageDriver).createReadStream(key);
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'File not found in storage.',
+        });
+      }
+    });
+
+    const disposition = variant === 'download' ? 'attachment' : 'inline';
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/jpeg' : attachment.mimeType,
+      'Content-Disposition': contentDisposition(disposition, attachment.originalName),
+      'X-Content-Type-Options': 'nosniff',
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachment.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get attachment file
+ * GET /api/attachments/:attachmentId/file?download=true
+ * Access: Users who can see the parent request or equipment
+ */
+exports.getAttachmentFile = (req, res) => {
+  return streamFile(req.query.download === 'true' ? 'download' : 'inline')(req, res);
+};
+
+/**
+ * Get attachment thumbnail
+ * GET /api/attachments/:attachmentId/thumbnail
+ * Access: Users who can see the parent request or equipment
+ */
+exports.getAttachmentThumbnail = streamFile('thumbnail');
+
+/**
+ * Delete attachment
+ * DELETE /api/attachments/:attachmentId
+ * Access: Uploader, Admin, Manager
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found.',
+      });
+    }
+
+    const isUploader = attachment.uploadedBy.toString() === req.user._id.toString();
+    if (!isUploader && !['Admin', 'Manager'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this attachment.',
+      });
+    }
+
+    const storage = getStorage(attachment.storageDriver);
+    await storage.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+      await storage.remove(attachment.thumbnailKey);
+    }
+    await attachment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment.',
+      error: error.message,
+    });
+  }
+};
@@ -104,6 +104,13 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated.',
+      });
+    }
+
     // Generate token
     const token = generateToken(user._id);
 
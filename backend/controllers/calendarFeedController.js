@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { buildVisibilityFilter } = require('../utils/requestVisibility');
+const { generateFeedToken, hashFeedToken, getFeedStart, buildCalendar } = require('../utils/calendarFeed');
+
+/**
+ * Subscription URL of a feed token
+ * API_URL overrides the host the request came in on (e.g. behind a proxy)
+ */
+const getFeedUrl = (req, token) => {
+  const apiUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${apiUrl}${req.baseUrl}/${token}.ics`;
+};
+
+/**
+ * Get the current user's calendar feed
+ * Only the token's hash is stored, so the URL is shown once, when it is created
+ * GET /api/calendar-feed
+ * Access: All authenticated users
+ */
+exports.getMyFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedTokenHash');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user?.calendarFeedTokenHash),
+        url: null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create the current user's calendar feed, or replace its URL
+ * The previous URL stops working
+ * POST /api/calendar-feed/token
+ * Access: All authenticated users
+ */
+exports.regenerateFeedToken = async (req, res) => {
+  try {
+    const token = generateFeedToken();
+    await User.findByIdAndUpdate(req.user._id, { calendarFeedTokenHash: hashFeedToken(token) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL created. Any previous URL no longer works.',
+      data: {
+        enabled: true,
+        url: getFeedUrl(req, token),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Turn off the current user's calendar feed
+ * DELETE /api/calendar-feed/token
+ * Access: All authenticated users
+ */
+exports.disableFeed = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { calendarFeedTokenHash: null });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed turned off.',
+      data: {
+        enabled: false,
+        url: null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error turning off calendar feed.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * iCalendar feed of the scheduled requests the token's owner may see
+ * Same role filtering as the calendar view; the token in the URL is the only credential
+ * GET /api/calendar-feed/:token.ics
+ * Access: Public (feed token)
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashFeedToken(req.params.token) });
+
+    // Deactivated users keep their token but their feed stops
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found.',
+      });
+    }
+
+    const requests = await MaintenanceRequest.find({
+      scheduledDate: { $gte: getFeedStart() },
+      ...buildVisibilityFilter(user),
+    })
+      .populate('equipment', 'equipmentName')
+      .populate('assignedTechnician', 'name')
+      .select('subject equipment assignedTechnician stage priority scheduledDate estimatedHours durationHours createdAt updatedAt')
+      .sort({ scheduledDate: 1 });
+
+    res
+      .status(200)
+      .set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="gearguard.ics"',
+        'Cache-Control': 'private, max-age=300',
+      })
+      .send(buildCalendar(user, requests));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed.',
+      error: error.message,
+    });
+  }
+};
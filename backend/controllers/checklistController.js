@@ -0,0 +1,78 @@
+const { recordHistory } = require('../utils/requestHistory');
+const { updateChecklistItem } = require('../utils/checklists');
+const { canWorkOnRequest, findAccessibleRequest } = require('../utils/requestVisibility');
+
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+/**
+ * Short description of a step's state for the request history
+ */
+const describeStep = (item) => {
+  const reading = item.reading === null ? '' : ` (${item.reading}${item.unit ? ` ${item.unit}` : ''})`;
+  return `${item.label}: ${item.isDone ? 'done' : 'open'}${reading}`;
+};
+
+/**
+ * Complete, reopen or record a reading for a checklist step
+ * PATCH /api/requests/:id/checklist/:itemId
+ * Body: { isDone, reading, note }
+ * Access: Admin, Manager, assigned or team Technician
+ */
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!canWorkOnRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this checklist.',
+      });
+    }
+
+    if (CLOSED_STAGES.includes(request.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change the checklist of a ${request.stage} request.`,
+      });
+    }
+
+    const item = request.checklist?.items?.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist step not found.',
+      });
+    }
+
+    const before = describeStep(item);
+    const { isDone, reading, note } = req.body;
+    const refusal = updateChecklistItem(item, { isDone, reading, note }, req.user);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, message: refusal.message });
+    }
+
+    await request.save();
+
+    const after = describeStep(item);
+    if (after !== before) {
+      await recordHistory(request._id, 'update', req.user._id, [{ field: 'checklist', from: before, to: after }]);
+    }
+
+    await request.populate('checklist.items.completedBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist updated.',
+      data: request.checklist,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating checklist.',
+      error: error.message,
+    });
+  }
+};
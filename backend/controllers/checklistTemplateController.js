@@ -0,0 +1,180 @@
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+
+const templatePopulate = { path: 'equipment', select: 'equipmentName serialNumber category' };
+
+/**
+ * Normalize optional scope fields so "all categories" is stored as null
+ * Equipment templates are not tied to a category
+ */
+const buildTemplateData = (body) => {
+  const data = { ...body };
+  if ('equipment' in data) data.equipment = data.equipment || null;
+  if ('equipmentCategory' in data) data.equipmentCategory = data.equipmentCategory?.trim() || null;
+  if (data.equipment) data.equipmentCategory = null;
+  return data;
+};
+
+/**
+ * Send 400 for validation and duplicate-scope errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A template for this equipment or category already exists.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create checklist template
+ * POST /api/checklist-templates
+ * Access: Admin, Manager
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.create(buildTemplateData(req.body));
+    await template.populate(templatePopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist template created successfully.',
+      data: template,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating checklist template.');
+  }
+};
+
+/**
+ * Get all checklist templates
+ * GET /api/checklist-templates?equipmentId=&category=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllTemplates = async (req, res) => {
+  try {
+    const { equipmentId, category, isActive } = req.query;
+    const filter = {};
+
+    if (equipmentId) filter.equipment = equipmentId;
+    if (category) filter.equipmentCategory = category;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const templates = await ChecklistTemplate.find(filter)
+      .populate(templatePopulate)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching checklist templates.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single checklist template
+ * GET /api/checklist-templates/:id
+ * Access: All authenticated users
+ */
+exports.getTemplateById = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.id).populate(templatePopulate);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching checklist template.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update checklist template
+ * PUT /api/checklist-templates/:id
+ * Access: Admin, Manager
+ * Checklists already copied onto requests are not changed
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found.',
+      });
+    }
+
+    Object.assign(template, buildTemplateData(req.body));
+    await template.save();
+    await template.populate(templatePopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist template updated successfully.',
+      data: template,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating checklist template.');
+  }
+};
+
+/**
+ * Delete checklist template
+ * DELETE /api/checklist-templates/:id
+ * Access: Admin, Manager
+ * Checklists already copied onto requests are not changed
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist template deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting checklist template.',
+      error: error.message,
+    });
+  }
+};
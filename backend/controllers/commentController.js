@@ -0,0 +1,187 @@
+const RequestComment = require('../models/RequestComment');
+const { findAccessibleRequest } = require('../utils/requestVisibility');
+
+/**
+ * Get comments for a request
+ * GET /api/requests/:id/comments
+ * Access: All authenticated users (internal notes hidden from User role)
+ */
+exports.getComments = async (req, res) => {
+  try {
+    const { status, message } = await findAccessibleRequest(req.params.id, req.user, '_id');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const filter = { request: req.params.id };
+    if (req.user.role === 'User') {
+      filter.isInternal = false;
+    }
+
+    const comments = await RequestComment.find(filter)
+      .populate('author', 'name email role avatar')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add comment to a request
+ * POST /api/requests/:id/comments
+ * Body: { body, isInternal }
+ * Access: All authenticated users (only staff can post internal notes)
+ */
+exports.addComment = async (req, res) => {
+  try {
+    const { body, isInternal } = req.body;
+
+    if (!body || body.toString().trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required.',
+      });
+    }
+
+    if (isInternal && req.user.role === 'User') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to post internal notes.',
+      });
+    }
+
+    const { status, message } = await findAccessibleRequest(req.params.id, req.user, '_id');
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const comment = await RequestComment.create({
+      request: req.params.id,
+      author: req.user._id,
+      body,
+      isInternal: Boolean(isInternal),
+    });
+
+    await comment.populate('author', 'name email role avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully.',
+      data: comment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit a comment
+ * PUT /api/requests/:id/comments/:commentId
+ * Body: { body }
+ * Access: Comment author
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || body.toString().trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required.',
+      });
+    }
+
+    const comment = await RequestComment.findOne({
+      _id: req.params.commentId,
+      request: req.params.id,
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.',
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments.',
+      });
+    }
+
+    comment.body = body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('author', 'name email role avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully.',
+      data: comment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a comment
+ * DELETE /api/requests/:id/comments/:commentId
+ * Access: Comment author, Admin, Manager
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const comment = await RequestComment.findOne({
+      _id: req.params.commentId,
+      request: req.params.id,
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found.',
+      });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    if (!isAuthor && !['Admin', 'Manager'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this comment.',
+      });
+    }
+
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment.',
+      error: error.message,
+    });
+  }
+};
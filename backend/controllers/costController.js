@@ -0,0 +1,133 @@
+const ExternalCost = require('../models/ExternalCost');
+const { syncRequestCosts } = require('../utils/requestCosts');
+const { canWorkOnRequest, findAccessibleRequest } = require('../utils/requestVisibility');
+
+// Request fields the cost checks and breakdown read
+const REQUEST_FIELDS = 'assignedTechnician stage costs';
+
+/**
+ * Get the cost breakdown of a request with its external cost entries
+ * GET /api/requests/:id/costs
+ * Access: Admin, Manager, Technician
+ */
+exports.getRequestCosts = async (req, res) => {
+  try {
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const externalCosts = await ExternalCost.find({ request: request._id })
+      .populate('createdBy', 'name email')
+      .sort({ incurredAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        costs: request.costs,
+        externalCosts,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request costs.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add an external cost to a request
+ * POST /api/requests/:id/costs
+ * Body: { description, vendor, amount, incurredAt }
+ * Access: Admin, Manager, assigned or team Technician
+ */
+exports.addExternalCost = async (req, res) => {
+  try {
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!canWorkOnRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to record costs on this request.',
+      });
+    }
+
+    const { description, vendor, amount, incurredAt } = req.body;
+    const cost = await ExternalCost.create({
+      request: request._id,
+      description,
+      vendor,
+      amount,
+      incurredAt: incurredAt || undefined,
+      createdBy: req.user._id,
+    });
+
+    const costs = await syncRequestCosts(request._id);
+    await cost.populate('createdBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Cost added successfully.',
+      data: cost,
+      costs,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adding cost.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an external cost
+ * DELETE /api/requests/:id/costs/:costId
+ * Access: Cost creator, Admin, Manager
+ */
+exports.deleteExternalCost = async (req, res) => {
+  try {
+    const cost = await ExternalCost.findOne({ _id: req.params.costId, request: req.params.id });
+
+    if (!cost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cost not found.',
+      });
+    }
+
+    const isCreator = cost.createdBy.toString() === req.user._id.toString();
+    if (!isCreator && !['Admin', 'Manager'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete costs you recorded.',
+      });
+    }
+
+    await cost.deleteOne();
+    const costs = await syncRequestCosts(cost.request);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cost deleted successfully.',
+      costs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting cost.',
+      error: error.message,
+    });
+  }
+};
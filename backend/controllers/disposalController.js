@@ -0,0 +1,370 @@
+const Disposal = require('../models/Disposal');
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { isValidObjectId, isValidDate } = require('../utils/validators');
+const {
+  findActiveDisposal,
+  recordDisposalEvent,
+  closeEquipmentRequests,
+  findDisposalNotices,
+} = require('../utils/disposals');
+
+const disposalPopulate = [
+  { path: 'equipment', select: 'equipmentName serialNumber category isActive' },
+  { path: 'request', select: 'subject stage' },
+  { path: 'proposedBy', select: 'name email' },
+  { path: 'approvedBy', select: 'name email' },
+];
+
+const detailPopulate = [
+  ...disposalPopulate,
+  { path: 'closedRequests.request', select: 'subject stage' },
+  { path: 'events.actor', select: 'name' },
+];
+
+/**
+ * Send 400 for validation errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Find a disposal in the given status for a decision
+ * @returns {Object} { disposal } or { status, message } when it cannot be decided
+ */
+const findDisposalInStatus = async (id, status) => {
+  if (!isValidObjectId(id)) {
+    return { status: 400, message: 'Invalid disposal ID.' };
+  }
+
+  const disposal = await Disposal.findById(id);
+  if (!disposal) {
+    return { status: 404, message: 'Disposal not found.' };
+  }
+  if (disposal.status !== status) {
+    return { status: 409, message: `This disposal is ${disposal.status.toLowerCase()}, not ${status.toLowerCase()}.` };
+  }
+  return { disposal };
+};
+
+/**
+ * Propose scrapping a piece of equipment
+ * The equipment stays in service until an Admin or Manager approves
+ * POST /api/disposals
+ * Body: { equipmentId, requestId, reason, method, salvageValue, disposedAt }
+ * Access: Admin, Manager, Technician
+ */
+exports.proposeDisposal = async (req, res) => {
+  try {
+    const { equipmentId, requestId, reason, method, salvageValue, disposedAt } = req.body;
+
+    if (!isValidObjectId(equipmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid equipment ID is required.',
+      });
+    }
+    if (disposedAt && !isValidDate(disposedAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'disposedAt must be a valid date.',
+      });
+    }
+
+    const equipment = await Equipment.findById(equipmentId);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found.',
+      });
+    }
+    if (!equipment.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'This equipment is already scrapped.',
+      });
+    }
+
+    const activeDisposal = await findActiveDisposal(equipment._id);
+    if (activeDisposal) {
+      return res.status(409).json({
+        success: false,
+        message: 'A disposal for this equipment is already waiting for approval.',
+        disposalId: activeDisposal._id,
+      });
+    }
+
+    if (requestId) {
+      const request = isValidObjectId(requestId)
+        ? await MaintenanceRequest.findById(requestId).select('equipment')
+        : null;
+      if (!request || request.equipment.toString() !== equipment._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'The request does not belong to this equipment.',
+        });
+      }
+    }
+
+    const disposal = new Disposal({
+      equipment: equipment._id,
+      request: requestId || null,
+      reason,
+      method,
+      salvageValue,
+      disposedAt: disposedAt || null,
+      proposedBy: req.user._id,
+    });
+    recordDisposalEvent(disposal, 'propose', req.user, disposal.reason);
+    await disposal.save();
+    await disposal.populate(disposalPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Disposal proposed. It needs approval before the equipment is scrapped.',
+      data: disposal,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error proposing disposal.');
+  }
+};
+
+/**
+ * Get disposals
+ * GET /api/disposals?status=&equipmentId=
+ * Access: All authenticated users
+ */
+exports.getAllDisposals = async (req, res) => {
+  try {
+    const { status, equipmentId } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (equipmentId) filter.equipment = equipmentId;
+
+    const disposals = await Disposal.find(filter)
+      .populate(disposalPopulate)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: disposals.length,
+      data: disposals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disposals.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get approvals, rejections and reversals of the disposals the current user proposed
+ * GET /api/disposals/notices?since=
+ * Access: All authenticated users
+ */
+exports.getDisposalNotices = async (req, res) => {
+  try {
+    const { since } = req.query;
+    if (since !== undefined && !isValidDate(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date.',
+      });
+    }
+
+    // Without since, decisions of the last day
+    const from = since ? new Date(since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const notices = await findDisposalNotices(req.user, from);
+
+    res.status(200).json({
+      success: true,
+      count: notices.length,
+      data: notices,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disposal notices.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single disposal with its audit trail
+ * GET /api/disposals/:id
+ * Access: All authenticated users
+ */
+exports.getDisposalById = async (req, res) => {
+  try {
+    const disposal = await Disposal.findById(req.params.id).populate(detailPopulate);
+
+    if (!disposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Disposal not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: disposal,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching disposal.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve a disposal: scrap the equipment and close its open requests
+ * PATCH /api/disposals/:id/approve
+ * Body: { note }
+ * Access: Admin, Manager
+ */
+exports.approveDisposal = async (req, res) => {
+  try {
+    const { note = '' } = req.body;
+
+    if (typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be text.',
+      });
+    }
+
+    const { disposal, status, message } = await findDisposalInStatus(req.params.id, 'Pending');
+    if (!disposal) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!(await Equipment.exists({ _id: disposal.equipment }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The equipment of this disposal was deleted.',
+      });
+    }
+
+    // Approve before retiring anything, so a failure below cannot leave a disposal to approve twice
+    disposal.status = 'Approved';
+    disposal.approvedBy = req.user._id;
+    disposal.disposedAt = disposal.disposedAt || new Date();
+    recordDisposalEvent(disposal, 'approve', req.user, note.trim());
+    await disposal.save();
+
+    await Equipment.updateOne({ _id: disposal.equipment }, { isActive: false });
+    disposal.closedRequests = await closeEquipmentRequests(disposal, req.user);
+    await disposal.save();
+    await disposal.populate(detailPopulate);
+
+    const closed = disposal.closedRequests.length;
+    const closedNote = closed > 0 ? ` and ${closed} open request${closed === 1 ? '' : 's'} closed` : '';
+    res.status(200).json({
+      success: true,
+      message: `Disposal approved. Equipment scrapped${closedNote}.`,
+      data: disposal,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error approving disposal.');
+  }
+};
+
+/**
+ * Reject a disposal; the equipment stays in service
+ * PATCH /api/disposals/:id/reject
+ * Body: { reason }
+ * Access: Admin, Manager
+ */
+exports.rejectDisposal = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a disposal.',
+      });
+    }
+
+    const { disposal, status, message } = await findDisposalInStatus(req.params.id, 'Pending');
+    if (!disposal) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    disposal.status = 'Rejected';
+    recordDisposalEvent(disposal, 'reject', req.user, reason);
+    await disposal.save();
+    await disposal.populate(detailPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Disposal rejected.',
+      data: disposal,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error rejecting disposal.');
+  }
+};
+
+/**
+ * Reverse an approved disposal and put the equipment back into service
+ * Requests closed by the disposal stay in Scrap
+ * PATCH /api/disposals/:id/reverse
+ * Body: { reason }
+ * Access: Admin, Manager
+ */
+exports.reverseDisposal = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reverse a disposal.',
+      });
+    }
+
+    const { disposal, status, message } = await findDisposalInStatus(req.params.id, 'Approved');
+    if (!disposal) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const equipment = await Equipment.findByIdAndUpdate(disposal.equipment, { isActive: true });
+    if (!equipment) {
+      return res.status(409).json({
+        success: false,
+        message: 'The equipment of this disposal was deleted. Restore it from the trash first.',
+      });
+    }
+
+    disposal.status = 'Reversed';
+    recordDisposalEvent(disposal, 'reverse', req.user, reason);
+    await disposal.save();
+    await disposal.populate(detailPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Disposal reversed. The equipment is back in service.',
+      data: disposal,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error reversing disposal.');
+  }
+};
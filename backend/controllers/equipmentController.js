@@ -1,5 +1,21 @@
 const Equipment = require('../models/Equipment');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { parseListQuery, findList } = require('../utils/listQuery');
+
+const EQUIPMENT_LIST_OPTIONS = {
+  sortable: [
+    'equipmentName', 'serialNumber', 'category', 'location', 'department', 'purchaseDate',
+    'warrantyExpiryDate', 'purchaseCost', 'isActive', 'createdAt', 'updatedAt',
+  ],
+  selectable: [
+    'equipmentName', 'serialNumber', 'category', 'location', 'department', 'ownershipType',
+    'assignedEmployee', 'maintenanceTeam', 'defaultTechnician', 'purchaseDate', 'purchaseCost',
+    'warrantyExpiryDate', 'isActive', 'createdAt', 'updatedAt',
+  ],
+  defaultSort: '-createdAt',
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
  * Create new equipment
@@ -25,7 +41,7 @@ exports.createEquipment = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Equipment with this serial number already exists.',
+        message: 'Equipment with this serial number already exists (it may be in the trash).',
       });
     }
     res.status(500).json({
@@ -38,33 +54,41 @@ exports.createEquipment = async (req, res) => {
 
 /**
  * Get all equipment with filters
- * GET /api/equipment?category=&isActive=&search=
+ * GET /api/equipment?category=&isActive=&ownershipType=&search=
+ * Supports page/limit or cursor pagination, sort and fields (see utils/listQuery.js)
  * Access: All authenticated users
  */
 exports.getAllEquipment = async (req, res) => {
   try {
-    const { category, isActive, search } = req.query;
+    const { category, isActive, ownershipType, search } = req.query;
     const filter = {};
 
     if (category) filter.category = category;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (ownershipType) filter.ownershipType = ownershipType;
     if (search) {
-      filter.$or = [
-        { equipmentName: { $regex: search, $options: 'i' } },
-        { serialNumber: { $regex: search, $options: 'i' } },
-      ];
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ equipmentName: pattern }, { serialNumber: pattern }];
     }
 
-    const equipment = await Equipment.find(filter)
-      .populate('maintenanceTeam', 'teamName specialization')
-      .populate('defaultTechnician', 'name email')
-      .populate('assignedEmployee', 'name email')
-      .sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, EQUIPMENT_LIST_OPTIONS);
+    if (listQuery.status) {
+      return res.status(listQuery.status).json({ success: false, message: listQuery.message });
+    }
+
+    const { data, pagination } = await findList(Equipment, filter, listQuery, {
+      populate: [
+        { path: 'maintenanceTeam', select: 'teamName specialization' },
+        { path: 'defaultTechnician', select: 'name email' },
+        { path: 'assignedEmployee', select: 'name email' },
+      ],
+    });
 
     res.status(200).json({
       success: true,
-      count: equipment.length,
-      data: equipment,
+      count: data.length,
+      ...pagination,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -75,6 +99,29 @@ exports.getAllEquipment = async (req, res) => {
   }
 };
 
+/**
+ * Get distinct equipment categories
+ * GET /api/equipment/categories
+ * Access: All authenticated users
+ */
+exports.getEquipmentCategories = async (req, res) => {
+  try {
+    const categories = await Equipment.distinct('category');
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories.sort(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching equipment categories.',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get single equipment by ID
  * GET /api/equipment/:id
@@ -114,9 +161,12 @@ exports.getEquipmentById = async (req, res) => {
  */
 exports.updateEquipment = async (req, res) => {
   try {
+    // Equipment is scrapped and put back into service through disposals
+    const { isActive, ...updates } = req.body;
+
     const equipment = await Equipment.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true,
@@ -148,13 +198,13 @@ exports.updateEquipment = async (req, res) => {
 };
 
 /**
- * Delete equipment
+ * Move equipment to trash
  * DELETE /api/equipment/:id
  * Access: Admin
  */
 exports.deleteEquipment = async (req, res) => {
   try {
-    const equipment = await Equipment.findByIdAndDelete(req.params.id);
+    const equipment = await Equipment.findById(req.params.id);
 
     if (!equipment) {
       return res.status(404).json({
@@ -163,9 +213,11 @@ exports.deleteEquipment = async (req, res) => {
       });
     }
 
+    await equipment.softDelete(req.user._id);
+
     res.status(200).json({
       success: true,
-      message: 'Equipment deleted successfully.',
+      message: 'Equipment moved to trash.',
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,196 @@
+const EscalationRule = require('../models/EscalationRule');
+const { runEscalations } = require('../utils/escalations');
+
+const rulePopulate = { path: 'maintenanceTeam', select: 'teamName specialization' };
+
+/**
+ * Normalize optional scope fields so "all priorities/teams" is stored as null
+ */
+const buildRuleData = (body) => {
+  const data = { ...body };
+  if ('priority' in data) data.priority = data.priority || null;
+  if ('maintenanceTeam' in data) data.maintenanceTeam = data.maintenanceTeam || null;
+  return data;
+};
+
+/**
+ * Send 400 for validation errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create escalation rule
+ * POST /api/escalation-rules
+ * Access: Admin, Manager
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await EscalationRule.create(buildRuleData(req.body));
+    await rule.populate(rulePopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Escalation rule created successfully.',
+      data: rule,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating escalation rule.');
+  }
+};
+
+/**
+ * Get all escalation rules
+ * GET /api/escalation-rules?condition=&teamId=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllRules = async (req, res) => {
+  try {
+    const { condition, teamId, isActive } = req.query;
+    const filter = {};
+
+    if (condition) filter.condition = condition;
+    if (teamId) filter.maintenanceTeam = teamId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await EscalationRule.find(filter)
+      .populate(rulePopulate)
+      .sort({ level: 1, afterHours: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching escalation rules.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single escalation rule
+ * GET /api/escalation-rules/:id
+ * Access: All authenticated users
+ */
+exports.getRuleById = async (req, res) => {
+  try {
+    const rule = await EscalationRule.findById(req.params.id).populate(rulePopulate);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation rule not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching escalation rule.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update escalation rule
+ * PUT /api/escalation-rules/:id
+ * Access: Admin, Manager
+ * Requests the rule already escalated are not escalated by it again
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await EscalationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation rule not found.',
+      });
+    }
+
+    Object.assign(rule, buildRuleData(req.body));
+    await rule.save();
+    await rule.populate(rulePopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Escalation rule updated successfully.',
+      data: rule,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating escalation rule.');
+  }
+};
+
+/**
+ * Delete escalation rule
+ * DELETE /api/escalation-rules/:id
+ * Access: Admin, Manager
+ * Escalation levels already recorded on requests are kept
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await EscalationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation rule not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Escalation rule deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting escalation rule.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Run the escalation check now instead of waiting for the background job
+ * POST /api/escalation-rules/run
+ * Access: Admin, Manager
+ */
+exports.runEscalationRules = async (req, res) => {
+  try {
+    const summary = await runEscalations();
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.escalated} request(s) escalated.`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error running escalation rules.',
+      error: error.message,
+    });
+  }
+};
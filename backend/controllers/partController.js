@@ -0,0 +1,272 @@
+const Part = require('../models/Part');
+const RequestPart = require('../models/RequestPart');
+const { updatePartStock } = require('../utils/partStock');
+
+/**
+ * Send 400 for validation and duplicate part number errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A part with this part number already exists.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create part
+ * POST /api/parts
+ * Body: part fields, optional initial stock [{ location, quantity }]
+ * Access: Admin, Manager
+ */
+exports.createPart = async (req, res) => {
+  try {
+    const { stock = [], ...data } = req.body;
+
+    const part = await Part.create({
+      ...data,
+      // Nothing can be reserved before the part exists
+      stock: stock.map(({ location, quantity }) => ({ location, quantity, reserved: 0 })),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Part created successfully.',
+      data: part,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating part.');
+  }
+};
+
+/**
+ * Get all parts with filters
+ * GET /api/parts?search=&category=&location=&isActive=&lowStock=true
+ * Access: Admin, Manager, Technician
+ */
+exports.getAllParts = async (req, res) => {
+  try {
+    const { search, category, location, isActive, lowStock } = req.query;
+    const filter = {};
+
+    if (category) filter.category = category;
+    if (location) filter['stock.location'] = location;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      filter.$or = [
+        { partNumber: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    let parts = await Part.find(filter).sort({ name: 1 });
+    if (lowStock === 'true') {
+      parts = parts.filter((part) => part.needsReorder);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: parts.length,
+      data: parts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching parts.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get parts at or below their reorder point
+ * GET /api/parts/reorder
+ * Access: Admin, Manager, Technician
+ */
+exports.getReorderAlerts = async (req, res) => {
+  try {
+    const parts = await Part.find({ isActive: true }).sort({ name: 1 });
+    const alerts = parts.filter((part) => part.needsReorder);
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reorder alerts.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single part with open reservations
+ * GET /api/parts/:id
+ * Access: Admin, Manager, Technician
+ */
+exports.getPartById = async (req, res) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found.',
+      });
+    }
+
+    const reservations = await RequestPart.find({ part: part._id, status: 'Reserved' })
+      .populate('request', 'subject stage')
+      .populate('reservedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...part.toJSON(), reservations },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching part.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update part details
+ * PUT /api/parts/:id
+ * Access: Admin, Manager
+ * Stock levels are changed through PATCH /api/parts/:id/stock
+ */
+exports.updatePart = async (req, res) => {
+  try {
+    const { stock, ...data } = req.body;
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found.',
+      });
+    }
+
+    Object.assign(part, data);
+    await part.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Part updated successfully.',
+      data: part,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating part.');
+  }
+};
+
+/**
+ * Adjust stock at a storage location (receipts, counts, write-offs)
+ * PATCH /api/parts/:id/stock
+ * Body: { location, adjustment } - positive to add, negative to remove
+ * Access: Admin, Manager
+ */
+exports.adjustStock = async (req, res) => {
+  try {
+    const location = req.body.location?.toString().trim();
+    const adjustment = Number(req.body.adjustment);
+
+    if (!location || !Number.isFinite(adjustment) || adjustment === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location and a non-zero adjustment are required.',
+      });
+    }
+
+    const { part, status, message } = await updatePartStock(req.params.id, (doc) => {
+      let entry = doc.getLocationStock(location);
+      if (!entry) {
+        if (adjustment < 0) {
+          return { status: 400, message: `No stock at ${location}.` };
+        }
+        doc.stock.push({ location, quantity: 0, reserved: 0 });
+        entry = doc.getLocationStock(location);
+      }
+
+      // Reserved units must stay on the shelf
+      if (entry.quantity + adjustment < entry.reserved) {
+        return {
+          status: 400,
+          message: `Cannot remove ${-adjustment} ${doc.unit}: ${entry.reserved} reserved and ${entry.quantity} on hand at ${location}.`,
+        };
+      }
+      entry.quantity += adjustment;
+      return null;
+    });
+
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Stock at ${location} updated.`,
+      data: part,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error adjusting stock.');
+  }
+};
+
+/**
+ * Delete part
+ * DELETE /api/parts/:id
+ * Access: Admin, Manager
+ * Parts already used on requests can only be deactivated
+ */
+exports.deletePart = async (req, res) => {
+  try {
+    const part = await Part.findById(req.params.id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found.',
+      });
+    }
+
+    if (await RequestPart.exists({ part: part._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Part is used on maintenance requests. Deactivate it instead.',
+      });
+    }
+
+    await part.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Part deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting part.',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,285 @@
+const MaintenancePlan = require('../models/MaintenancePlan');
+const Equipment = require('../models/Equipment');
+const { parseRRule, getOccurrences, getNextOccurrence, startOfDay } = require('../utils/planSchedule');
+const { runPreventiveMaintenanceGeneration } = require('../jobs/preventiveMaintenanceJob');
+
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'byWeekday', 'byMonthDay', 'startDate', 'endDate'];
+const UPCOMING_COUNT = 5;
+
+/**
+ * Expand an optional `rrule` string in the body into schedule fields
+ * Fields managed by the generator cannot be set directly
+ */
+const buildPlanData = (body) => {
+  const { rrule, nextDueDate, lastGeneratedAt, createdBy, ...data } = body;
+  if (rrule) {
+    Object.assign(data, parseRRule(rrule));
+  }
+  return data;
+};
+
+/**
+ * Attach the next few occurrences to a plan for display
+ */
+const withUpcoming = (plan) => {
+  const horizon = new Date();
+  horizon.setFullYear(horizon.getFullYear() + plan.interval + 1);
+  return {
+    ...plan.toJSON(),
+    upcomingDates: getOccurrences(plan, new Date(), horizon).slice(0, UPCOMING_COUNT),
+  };
+};
+
+const planPopulate = [
+  { path: 'equipment', select: 'equipmentName serialNumber category isActive' },
+  { path: 'assignedTechnician', select: 'name email' },
+  { path: 'createdBy', select: 'name email' },
+];
+
+/**
+ * Create maintenance plan
+ * POST /api/plans
+ * Body: plan fields, schedule as fields or as an `rrule` string
+ * Access: Admin, Manager
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    let data;
+    try {
+      data = buildPlanData(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const equipment = await Equipment.findById(data.equipment);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found.',
+      });
+    }
+
+    const plan = new MaintenancePlan({
+      ...data,
+      startDate: data.startDate || startOfDay(new Date()),
+      createdBy: req.user._id,
+    });
+    plan.nextDueDate = getNextOccurrence(plan, new Date());
+    await plan.save();
+
+    // Generate requests already inside the lead time window
+    const generation = await runPreventiveMaintenanceGeneration({ planId: plan._id });
+
+    const saved = await MaintenancePlan.findById(plan._id).populate(planPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance plan created successfully.',
+      data: withUpcoming(saved),
+      generated: generation.created,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating maintenance plan.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all maintenance plans
+ * GET /api/plans?equipmentId=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllPlans = async (req, res) => {
+  try {
+    const { equipmentId, isActive } = req.query;
+    const filter = {};
+
+    if (equipmentId) filter.equipment = equipmentId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const plans = await MaintenancePlan.find(filter)
+      .populate(planPopulate)
+      .sort({ nextDueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans.map(withUpcoming),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching maintenance plans.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single maintenance plan
+ * GET /api/plans/:id
+ * Access: All authenticated users
+ */
+exports.getPlanById = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id).populate(planPopulate);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withUpcoming(plan),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching maintenance plan.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update maintenance plan
+ * PUT /api/plans/:id
+ * Access: Admin, Manager
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    let data;
+    try {
+      data = buildPlanData(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found.',
+      });
+    }
+
+    Object.assign(plan, data);
+
+    // A new schedule restarts generation from today; existing requests are kept
+    if (SCHEDULE_FIELDS.some((field) => plan.isModified(field))) {
+      plan.nextDueDate = getNextOccurrence(plan, new Date());
+    }
+    await plan.save();
+
+    await runPreventiveMaintenanceGeneration({ planId: plan._id });
+    const saved = await MaintenancePlan.findById(plan._id).populate(planPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance plan updated successfully.',
+      data: withUpcoming(saved),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating maintenance plan.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete maintenance plan
+ * DELETE /api/plans/:id
+ * Access: Admin, Manager
+ * Requests already generated from the plan are kept
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findByIdAndDelete(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance plan deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting maintenance plan.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Run request generation for a plan now
+ * POST /api/plans/:id/generate
+ * Access: Admin, Manager
+ */
+exports.generatePlanRequests = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id).select('isActive');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance plan not found.',
+      });
+    }
+
+    if (!plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot generate requests for an inactive plan.',
+      });
+    }
+
+    const summary = await runPreventiveMaintenanceGeneration({ planId: plan._id });
+
+    res.status(200).json({
+      success: true,
+      message: summary.paused
+        ? 'Plan is paused because its equipment is inactive.'
+        : `${summary.created} request(s) generated.`,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating requests.',
+      error: error.message,
+    });
+  }
+};
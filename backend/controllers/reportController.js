@@ -1,4 +1,47 @@
+const mongoose = require('mongoose');
 const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { roundMoney } = require('../utils/requestCosts');
+const { isValidDate } = require('../utils/validators');
+
+/**
+ * Error message for a from/to report filter that is not a valid date, or null
+ */
+const validateDateRange = (from, to) => {
+  if (from && !isValidDate(from)) return 'from must be a valid date.';
+  if (to && !isValidDate(to)) return 'to must be a valid date.';
+  return null;
+};
+
+/**
+ * Aggregation expression: an SLA milestone is breached when its stored flag is set,
+ * or when it has not been reached yet and the due time has passed
+ * @param {string} milestone - 'response' or 'resolution'
+ */
+const slaBreachExpr = (milestone) => {
+  const dueAt = `$sla.${milestone}DueAt`;
+  const reachedAt = milestone === 'response' ? '$sla.respondedAt' : '$sla.resolvedAt';
+  const openStages = milestone === 'response' ? ['New'] : ['New', 'In Progress'];
+
+  return {
+    $or: [
+      { $eq: [`$sla.${milestone}Breached`, true] },
+      {
+        $and: [
+          { $eq: [{ $type: dueAt }, 'date'] },
+          { $not: [reachedAt] },
+          { $in: ['$stage', openStages] },
+          { $lt: [dueAt, '$$NOW'] },
+        ],
+      },
+    ],
+  };
+};
+
+// Group accumulators for SLA breach counts
+const slaBreachCounts = {
+  responseBreaches: { $sum: { $cond: [slaBreachExpr('response'), 1, 0] } },
+  resolutionBreaches: { $sum: { $cond: [slaBreachExpr('resolution'), 1, 0] } },
+};
 
 /**
  * Get reports by maintenance team
@@ -25,6 +68,7 @@ exports.getReportsByTeam = async (req, res) => {
             $sum: { $cond: [{ $eq: ['$stage', 'Scrap'] }, 1, 0] },
           },
           totalDurationHours: { $sum: '$durationHours' },
+          ...slaBreachCounts,
         },
       },
       {
@@ -50,6 +94,8 @@ exports.getReportsByTeam = async (req, res) => {
           repairedRequests: 1,
           scrapRequests: 1,
           totalDurationHours: 1,
+          responseBreaches: 1,
+          resolutionBreaches: 1,
         },
       },
       {
@@ -102,6 +148,7 @@ exports.getReportsByCategory = async (req, res) => {
             $sum: { $cond: [{ $eq: ['$priority', 'Urgent'] }, 1, 0] },
           },
           avgDurationHours: { $avg: '$durationHours' },
+          ...slaBreachCounts,
         },
       },
       {
@@ -116,6 +163,8 @@ exports.getReportsByCategory = async (req, res) => {
           highPriority: 1,
           urgentPriority: 1,
           avgDurationHours: { $round: ['$avgDurationHours', 2] },
+          responseBreaches: 1,
+          resolutionBreaches: 1,
         },
       },
       {
@@ -136,3 +185,488 @@ exports.getReportsByCategory = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get SLA compliance report by priority
+ * GET /api/reports/sla
+ * Access: Admin, Manager
+ * Only requests with an SLA policy are counted
+ */
+exports.getSlaReport = async (req, res) => {
+  try {
+    const reports = await MaintenanceRequest.aggregate([
+      {
+        $match: { 'sla.policy': { $ne: null } },
+      },
+      {
+        $group: {
+          _id: '$priority',
+          totalRequests: { $sum: 1 },
+          ...slaBreachCounts,
+          breachedRequests: {
+            $sum: {
+              $cond: [{ $or: [slaBreachExpr('response'), slaBreachExpr('resolution')] }, 1, 0],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          priority: '$_id',
+          totalRequests: 1,
+          responseBreaches: 1,
+          resolutionBreaches: 1,
+          breachedRequests: 1,
+          compliancePercent: {
+            $round: [
+              {
+                $multiply: [
+                  { $divide: [{ $subtract: ['$totalRequests', '$breachedRequests'] }, '$totalRequests'] },
+                  100,
+                ],
+              },
+              1,
+            ],
+          },
+        },
+      },
+      {
+        $sort: { priority: 1 },
+      },
+    ]);
+
+    const totals = reports.reduce(
+      (sum, report) => ({
+        totalRequests: sum.totalRequests + report.totalRequests,
+        responseBreaches: sum.responseBreaches + report.responseBreaches,
+        resolutionBreaches: sum.resolutionBreaches + report.resolutionBreaches,
+        breachedRequests: sum.breachedRequests + report.breachedRequests,
+      }),
+      { totalRequests: 0, responseBreaches: 0, resolutionBreaches: 0, breachedRequests: 0 }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      totals,
+      data: reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating SLA report.',
+      error: error.message,
+    });
+  }
+};
+
+// Grouping options for the cost report: request field, lookup and label fields
+const COST_GROUPS = {
+  equipment: {
+    field: '$equipment',
+    lookup: { from: 'equipment', as: 'equipment', unassigned: { equipmentName: 'Unassigned' } },
+    project: {
+      equipmentId: '$_id',
+      equipmentName: '$equipment.equipmentName',
+      serialNumber: '$equipment.serialNumber',
+      category: '$equipment.category',
+      purchaseCost: { $ifNull: ['$equipment.purchaseCost', 0] },
+      totalCostOfOwnership: {
+        $round: [{ $add: [{ $ifNull: ['$equipment.purchaseCost', 0] }, '$totalCost'] }, 2],
+      },
+    },
+  },
+  team: {
+    field: '$maintenanceTeam',
+    lookup: { from: 'maintenanceteams', as: 'team', unassigned: { teamName: 'Unassigned' } },
+    project: {
+      teamId: '$_id',
+      teamName: '$team.teamName',
+    },
+  },
+  category: {
+    field: '$equipmentCategory',
+    project: {
+      category: { $ifNull: ['$_id', 'Unassigned'] },
+    },
+  },
+};
+
+/**
+ * Stages that set reportGroup, the key each document is grouped by
+ * References to documents that no longer exist count as empty, so both land in one Unassigned row
+ * @param {Object} group - Entry of a groups map ({ field, lookup?, project })
+ * @returns {Array} Pipeline stages
+ */
+const groupKeyStages = (group) => {
+  if (!group.lookup) {
+    return [{ $set: { reportGroup: group.field } }];
+  }
+
+  return [
+    {
+      $lookup: {
+        from: group.lookup.from,
+        localField: group.field.slice(1),
+        foreignField: '_id',
+        as: 'reportGroup',
+      },
+    },
+    { $set: { reportGroup: { $ifNull: [{ $arrayElemAt: ['$reportGroup._id', 0] }, null] } } },
+  ];
+};
+
+/**
+ * Stages that join the grouped document (equipment, team, technician) onto each report row
+ * The Unassigned row (no document) keeps its totals and gets the group's unassigned labels
+ * @param {Object} group - Entry of a groups map ({ field, lookup?, project })
+ * @returns {Array} Pipeline stages
+ */
+const groupLookupStages = (group) => {
+  if (!group.lookup) return [];
+
+  const alias = group.lookup.as;
+  return [
+    {
+      $lookup: {
+        from: group.lookup.from,
+        localField: '_id',
+        foreignField: '_id',
+        as: alias,
+      },
+    },
+    { $unwind: { path: `$${alias}`, preserveNullAndEmptyArrays: true } },
+    { $set: { [alias]: { $ifNull: [`$${alias}`, group.lookup.unassigned] } } },
+  ];
+};
+
+/**
+ * Get maintenance costs rolled up by equipment, team or category
+ * GET /api/reports/costs?groupBy=equipment|team|category&equipmentId=&from=&to=
+ * Access: Admin, Manager
+ * Requests are filtered by creation date; equipment rows include purchase cost
+ * and total cost of ownership
+ */
+exports.getCostReport = async (req, res) => {
+  try {
+    const { groupBy = 'equipment', equipmentId, from, to } = req.query;
+    const group = COST_GROUPS[groupBy];
+
+    if (!group) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(COST_GROUPS).join(', ')}.`,
+      });
+    }
+
+    const dateError = validateDateRange(from, to);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    const match = {};
+    if (equipmentId) {
+      if (!mongoose.Types.ObjectId.isValid(equipmentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid equipment ID.',
+        });
+      }
+      match.equipment = new mongoose.Types.ObjectId(equipmentId);
+    }
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const pipeline = [
+      { $match: match },
+      ...groupKeyStages(group),
+      {
+        $group: {
+          _id: '$reportGroup',
+          totalRequests: { $sum: 1 },
+          totalDurationHours: { $sum: '$durationHours' },
+          laborCost: { $sum: { $ifNull: ['$costs.labor', 0] } },
+          partsCost: { $sum: { $ifNull: ['$costs.parts', 0] } },
+          externalCost: { $sum: { $ifNull: ['$costs.external', 0] } },
+          totalCost: { $sum: { $ifNull: ['$costs.total', 0] } },
+        },
+      },
+    ];
+
+    pipeline.push(
+      ...groupLookupStages(group),
+      {
+        $project: {
+          _id: 0,
+          ...group.project,
+          totalRequests: 1,
+          totalDurationHours: { $round: ['$totalDurationHours', 2] },
+          laborCost: { $round: ['$laborCost', 2] },
+          partsCost: { $round: ['$partsCost', 2] },
+          externalCost: { $round: ['$externalCost', 2] },
+          totalCost: { $round: ['$totalCost', 2] },
+        },
+      },
+      { $sort: { totalCost: -1 } }
+    );
+
+    const reports = await MaintenanceRequest.aggregate(pipeline);
+
+    const totals = reports.reduce(
+      (sum, report) => ({
+        totalRequests: sum.totalRequests + report.totalRequests,
+        laborCost: roundMoney(sum.laborCost + report.laborCost),
+        partsCost: roundMoney(sum.partsCost + report.partsCost),
+        externalCost: roundMoney(sum.externalCost + report.externalCost),
+        totalCost: roundMoney(sum.totalCost + report.totalCost),
+      }),
+      { totalRequests: 0, laborCost: 0, partsCost: 0, externalCost: 0, totalCost: 0 }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      groupBy,
+      totals,
+      data: reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating cost report.',
+      error: error.message,
+    });
+  }
+};
+
+// Ways to group the repeat failure report
+const REPEAT_FAILURE_GROUPS = {
+  equipment: {
+    field: '$equipment',
+    lookup: { from: 'equipment', as: 'equipment', unassigned: { equipmentName: 'Unassigned' } },
+    project: {
+      equipmentId: '$_id',
+      equipmentName: '$equipment.equipmentName',
+      serialNumber: '$equipment.serialNumber',
+      category: '$equipment.category',
+    },
+  },
+  // Technician who had repaired the request before it was reopened
+  technician: {
+    field: '$reopen.events.technician',
+    lookup: { from: 'users', as: 'technician', unassigned: { name: 'Unassigned' } },
+    project: {
+      technicianId: '$_id',
+      technicianName: '$technician.name',
+      email: '$technician.email',
+    },
+  },
+};
+
+/**
+ * Get repairs that did not hold, by equipment or by the technician who repaired them
+ * GET /api/reports/repeat-failures?groupBy=equipment|technician&from=&to=
+ * Access: Admin, Manager
+ * Reopens are filtered by reopen date; hours are measured from the repair to the reopen
+ */
+exports.getRepeatFailureReport = async (req, res) => {
+  try {
+    const { groupBy = 'equipment', from, to } = req.query;
+    const group = REPEAT_FAILURE_GROUPS[groupBy];
+
+    if (!group) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(REPEAT_FAILURE_GROUPS).join(', ')}.`,
+      });
+    }
+
+    const dateError = validateDateRange(from, to);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    const match = { 'reopen.count': { $gt: 0 } };
+    const eventMatch = {};
+    if (from || to) {
+      eventMatch['reopen.events.reopenedAt'] = {};
+      if (from) eventMatch['reopen.events.reopenedAt'].$gte = new Date(from);
+      if (to) eventMatch['reopen.events.reopenedAt'].$lte = new Date(to);
+    }
+
+    const reports = await MaintenanceRequest.aggregate([
+      { $match: match },
+      { $unwind: '$reopen.events' },
+      { $match: eventMatch },
+      ...groupKeyStages(group),
+      {
+        $group: {
+          _id: '$reportGroup',
+          reopenCount: { $sum: 1 },
+          requests: { $addToSet: '$_id' },
+          avgHoursToReopen: { $avg: '$reopen.events.hoursSinceRepair' },
+          minHoursToReopen: { $min: '$reopen.events.hoursSinceRepair' },
+          lastReopenedAt: { $max: '$reopen.events.reopenedAt' },
+        },
+      },
+      ...groupLookupStages(group),
+      {
+        $project: {
+          _id: 0,
+          ...group.project,
+          reopenCount: 1,
+          reopenedRequests: { $size: '$requests' },
+          avgHoursToReopen: { $round: [{ $ifNull: ['$avgHoursToReopen', 0] }, 1] },
+          minHoursToReopen: { $round: [{ $ifNull: ['$minHoursToReopen', 0] }, 1] },
+          lastReopenedAt: 1,
+        },
+      },
+      { $sort: { reopenCount: -1, lastReopenedAt: -1 } },
+    ]);
+
+    const totals = reports.reduce(
+      (sum, report) => ({
+        reopenCount: sum.reopenCount + report.reopenCount,
+        reopenedRequests: sum.reopenedRequests + report.reopenedRequests,
+      }),
+      { reopenCount: 0, reopenedRequests: 0 }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      groupBy,
+      totals,
+      data: reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating repeat failure report.',
+      error: error.message,
+    });
+  }
+};
+
+// Ways to group the satisfaction report
+const SATISFACTION_GROUPS = {
+  // Technician who did the rated repair
+  technician: {
+    field: '$feedback.responses.technician',
+    lookup: { from: 'users', as: 'technician', unassigned: { name: 'Unassigned' } },
+    project: {
+      technicianId: '$_id',
+      technicianName: '$technician.name',
+      email: '$technician.email',
+    },
+  },
+  team: COST_GROUPS.team,
+};
+
+/**
+ * Get requester satisfaction scores by technician or team
+ * GET /api/reports/satisfaction?groupBy=technician|team&from=&to=
+ * Access: Admin, Manager
+ * Ratings are filtered by submission date; low ratings are 1 or 2 stars
+ */
+exports.getSatisfactionReport = async (req, res) => {
+  try {
+    const { groupBy = 'technician', from, to } = req.query;
+    const group = SATISFACTION_GROUPS[groupBy];
+
+    if (!group) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(SATISFACTION_GROUPS).join(', ')}.`,
+      });
+    }
+
+    const dateError = validateDateRange(from, to);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    const responseMatch = {};
+    if (from || to) {
+      responseMatch['feedback.responses.submittedAt'] = {};
+      if (from) responseMatch['feedback.responses.submittedAt'].$gte = new Date(from);
+      if (to) responseMatch['feedback.responses.submittedAt'].$lte = new Date(to);
+    }
+
+    const reports = await MaintenanceRequest.aggregate([
+      { $match: { 'feedback.responses.0': { $exists: true } } },
+      { $unwind: '$feedback.responses' },
+      { $match: responseMatch },
+      ...groupKeyStages(group),
+      {
+        $group: {
+          _id: '$reportGroup',
+          responses: { $sum: 1 },
+          ratingTotal: { $sum: '$feedback.responses.rating' },
+          lowRatings: { $sum: { $cond: [{ $lte: ['$feedback.responses.rating', 2] }, 1, 0] } },
+          rejectedFixes: { $sum: { $cond: [{ $eq: ['$feedback.responses.fixAccepted', false] }, 1, 0] } },
+          lastSubmittedAt: { $max: '$feedback.responses.submittedAt' },
+        },
+      },
+      ...groupLookupStages(group),
+      {
+        $project: {
+          _id: 0,
+          ...group.project,
+          responses: 1,
+          averageRating: { $round: [{ $divide: ['$ratingTotal', '$responses'] }, 2] },
+          lowRatings: 1,
+          rejectedFixes: 1,
+          lastSubmittedAt: 1,
+        },
+      },
+      { $sort: { averageRating: -1, responses: -1 } },
+    ]);
+
+    // Overall average weighs each row by its number of responses
+    const totals = reports.reduce(
+      (sum, report) => ({
+        responses: sum.responses + report.responses,
+        ratingTotal: sum.ratingTotal + report.averageRating * report.responses,
+        lowRatings: sum.lowRatings + report.lowRatings,
+        rejectedFixes: sum.rejectedFixes + report.rejectedFixes,
+      }),
+      { responses: 0, ratingTotal: 0, lowRatings: 0, rejectedFixes: 0 }
+    );
+    const averageRating = totals.responses > 0
+      ? Math.round((totals.ratingTotal / totals.responses) * 100) / 100
+      : null;
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      groupBy,
+      totals: {
+        responses: totals.responses,
+        averageRating,
+        lowRatings: totals.lowRatings,
+        rejectedFixes: totals.rejectedFixes,
+      },
+      data: reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating satisfaction report.',
+      error: error.message,
+    });
+  }
+};
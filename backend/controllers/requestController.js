@@ -1,5 +1,301 @@
 const MaintenanceRequest = require('../models/MaintenanceRequest');
 const Equipment = require('../models/Equipment');
+const RequestHistory = require('../models/RequestHistory');
+const { getAllowedTransitions, isValidTransition } = require('../utils/stageTransitions');
+const { snapshot, diff, recordHistory } = require('../utils/requestHistory');
+const { applySlaPolicy, refreshSlaPolicy, recordSlaStageChange } = require('../utils/sla');
+const { applyWorkingCalendar, refreshWorkingCalendar } = require('../utils/workingCalendars');
+const { releaseReservedParts } = require('../utils/partStock');
+const { findPossibleDuplicates, isListedDuplicate } = require('../utils/duplicateRequests');
+const { parseListQuery, findList } = require('../utils/listQuery');
+const { chooseTechnician, autoAssignTechnician, markManualAssignment } = require('../utils/technicianAssignment');
+const {
+  buildVisibilityFilter,
+  canViewRequest,
+  canUpdateRequest,
+  findAccessibleRequest,
+} = require('../utils/requestVisibility');
+const { isValidObjectId, isValidDate } = require('../utils/validators');
+const {
+  applyApprovalRule,
+  isAwaitingApproval,
+  canDecideApproval,
+  buildApprovalQueueFilter,
+  recordApprovalDecision,
+} = require('../utils/approvals');
+const { applyChecklistTemplate, getIncompleteSteps } = require('../utils/checklists');
+const { syncSubtaskProgress, findOpenBlockers } = require('../utils/requestLinks');
+const { findEscalationNotices } = require('../utils/escalations');
+const { afterStageChange } = require('../utils/stageChanges');
+const { canReopenRequest, recordReopen } = require('../utils/reopens');
+const { getDailyLoads, findCapacityConflict } = require('../utils/technicianCapacity');
+const {
+  canGiveFeedback,
+  recordFeedbackStageChange,
+  validateFeedback,
+  recordFeedback,
+} = require('../utils/feedback');
+
+// Requests in these stages are no longer worked on
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+// Most requests one bulk call may change
+const BULK_MAX_ITEMS = 100;
+
+/**
+ * Bulk actions
+ * roles limits who may run an action (null = checked per request like the single endpoints)
+ */
+const BULK_ACTIONS = {
+  stage: { roles: null },
+  priority: { roles: null },
+  scheduledDate: { roles: null },
+  assign: { roles: ['Admin', 'Manager'] },
+  delete: { roles: ['Admin', 'Manager'] },
+};
+
+/**
+ * Request fields a client may set
+ * Everything else (SLA, approval, checklist, links, escalation, trash state, ...) is managed by the server;
+ * category and team always follow the equipment
+ */
+const CREATE_FIELDS = [
+  'subject', 'requestType', 'priority', 'scheduledDate', 'assignedTechnician', 'estimatedHours', 'description',
+];
+const UPDATE_FIELDS = [
+  ...CREATE_FIELDS, 'equipment', 'stage', 'resolutionNotes',
+];
+
+/**
+ * Copy the allowed fields present in a request body
+ */
+const pickFields = (body, fields) => {
+  const data = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const REQUEST_LIST_OPTIONS = {
+  sortable: [
+    'createdAt', 'updatedAt', 'scheduledDate', 'subject', 'stage', 'requestType',
+    'equipmentCategory', 'durationHours', 'sla.resolutionDueAt', 'costs.total', 'escalation.level',
+  ],
+  selectable: [
+    'subject', 'equipment', 'equipmentCategory', 'maintenanceTeam', 'requestType', 'stage', 'priority',
+    'scheduledDate', 'overdueAt', 'estimatedHours', 'durationHours', 'costs', 'assignedTechnician', 'assignment',
+    'createdBy', 'watchers', 'description', 'resolutionNotes', 'sla', 'approval', 'checklist', 'parentRequest',
+    'blockedBy', 'relatedTo', 'subtasks', 'escalation', 'reopen', 'feedback', 'createdAt', 'updatedAt',
+  ],
+  defaultSort: '-createdAt',
+};
+
+/**
+ * Open requests past their overdue time (start of the first working day after the scheduled day)
+ * Requests not stamped with a working calendar yet are overdue from the UTC midnight after the scheduled day
+ * Rejected requests are never worked on, so they are not overdue
+ */
+const overdueFilter = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return {
+    $or: [{ overdueAt: { $lte: new Date() } }, { overdueAt: null, scheduledDate: { $lt: today } }],
+    stage: { $nin: CLOSED_STAGES },
+    'approval.status': { $ne: 'Rejected' },
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the 409 response body for a rejected stage change
+ */
+const stageConflict = (request, stage, role) => ({
+  success: false,
+  message: `Cannot move request from ${request.stage} to ${stage}.`,
+  currentStage: request.stage,
+  allowedStages: getAllowedTransitions(request.stage, role),
+});
+
+/**
+ * Build the 409 response body for a stage change on a request waiting for approval
+ */
+const approvalConflict = (request) => ({
+  success: false,
+  message: request.approval.status === 'Rejected'
+    ? 'This request was rejected and cannot change stage.'
+    : 'This request is waiting for approval and cannot change stage yet.',
+  approvalStatus: request.approval.status,
+});
+
+/**
+ * Build the 409 response body for moving a request to Repaired with required checklist steps open
+ * @returns {Object|null} Response body, or null when the checklist does not block the move
+ */
+const checklistConflict = (request, stage) => {
+  if (stage !== 'Repaired' || request.stage === 'Repaired') return null;
+
+  const incomplete = getIncompleteSteps(request);
+  if (incomplete.length === 0) return null;
+
+  return {
+    success: false,
+    message: `Complete the checklist first: ${incomplete.length} required step${incomplete.length === 1 ? '' : 's'} open.`,
+    incompleteSteps: incomplete.map((item) => ({ _id: item._id, label: item.label })),
+  };
+};
+
+/**
+ * Build the 409 response body for starting a request whose blockers are not Repaired or Scrapped yet
+ * @returns {Object|null} Response body, or null when nothing blocks the move
+ */
+const blockerConflict = async (request, stage) => {
+  if (request.stage !== 'New' || stage !== 'In Progress') return null;
+
+  const blockers = await findOpenBlockers(request);
+  if (blockers.length === 0) return null;
+
+  return {
+    success: false,
+    message: `Blocked by ${blockers.length} request${blockers.length === 1 ? '' : 's'} that ${blockers.length === 1 ? 'is' : 'are'} still open.`,
+    blockers,
+  };
+};
+
+/**
+ * Check a booking against the technician's daily capacity
+ * Overbooking is refused unless the caller allows it; then it is returned as a warning
+ * @param {Object} booking - Request as it will be saved
+ * @param {boolean} allowOverbooking - Book even when the technician is over capacity
+ * @returns {Object} { refusal } with a 409 body, or { warning } (null within capacity)
+ */
+const checkCapacity = async (booking, allowOverbooking) => {
+  const conflict = await findCapacityConflict(booking);
+  if (conflict && !allowOverbooking) {
+    return {
+      refusal: {
+        success: false,
+        message: `${conflict.message} Send allowOverbooking to book anyway.`,
+        capacityConflict: conflict,
+      },
+    };
+  }
+  return { warning: conflict };
+};
+
+/**
+ * Whether updates move a request to another day or technician or change its estimate
+ * Forms send every field, so unchanged values must not count
+ */
+const changesBooking = (request, updates) => {
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  return (
+    ('scheduledDate' in updates && time(updates.scheduledDate) !== time(request.scheduledDate)) ||
+    ('estimatedHours' in updates && Number(updates.estimatedHours) !== request.estimatedHours) ||
+    ('assignedTechnician' in updates &&
+      String(updates.assignedTechnician || '') !== String(request.assignedTechnician || ''))
+  );
+};
+
+/**
+ * Apply field updates to a request, save it and record the changes
+ * A stage change must already be validated
+ * Moving to Scrap only closes the request; equipment is retired through a disposal (see utils/disposals.js)
+ * @returns {Object} { reorderAlerts, partIssues }
+ */
+const applyRequestUpdates = async (request, { stage, ...updates }, user) => {
+  const before = snapshot(request);
+  const previousStage = request.stage;
+  const previousTechnician = request.assignedTechnician?.toString() || null;
+  Object.assign(request, updates);
+  if (stage !== undefined) request.stage = stage;
+  if ((request.assignedTechnician?.toString() || null) !== previousTechnician) {
+    markManualAssignment(request, user);
+  }
+  await refreshWorkingCalendar(request);
+  await refreshSlaPolicy(request);
+  recordSlaStageChange(request, previousStage);
+  recordFeedbackStageChange(request, previousStage);
+  await request.save();
+
+  const changes = diff(before, snapshot(request));
+  if (changes.length > 0) {
+    await recordHistory(request._id, 'update', user._id, changes);
+  }
+
+  return afterStageChange(request, previousStage, user._id);
+};
+
+/**
+ * Move a request to an already validated stage and run the follow-up work
+ * @returns {Object} { reorderAlerts, partIssues }
+ */
+const applyStageChange = async (request, stage, user) => {
+  const previousStage = request.stage;
+  request.stage = stage;
+  recordSlaStageChange(request, previousStage);
+  recordFeedbackStageChange(request, previousStage);
+  await request.save();
+
+  if (previousStage !== stage) {
+    await recordHistory(request._id, 'stage', user._id, [
+      { field: 'stage', from: previousStage, to: stage },
+    ]);
+  }
+
+  return afterStageChange(request, previousStage, user._id);
+};
+
+/**
+ * Reopen a Repaired request, save it and record the reopen
+ * @returns {Object} { reorderAlerts, partIssues }
+ */
+const applyReopen = async (request, reason, user) => {
+  const previousStage = request.stage;
+  recordReopen(request, reason, user);
+  recordSlaStageChange(request, previousStage);
+  // The resolution clock restarts at the reopen
+  await applySlaPolicy(request);
+  recordFeedbackStageChange(request, previousStage);
+  await request.save();
+
+  await recordHistory(request._id, 'reopen', user._id, [
+    { field: 'stage', from: previousStage, to: request.stage },
+    { field: 'reason', from: null, to: reason },
+  ]);
+
+  return afterStageChange(request, previousStage, user._id);
+};
+
+/**
+ * Assign a technician by hand and record the change
+ */
+const applyTechnicianAssignment = async (request, technicianId, user) => {
+  const previousTechnician = request.assignedTechnician?.toString() || null;
+  request.assignedTechnician = technicianId;
+  if (previousTechnician !== technicianId.toString()) {
+    markManualAssignment(request, user);
+  }
+  await request.save();
+
+  if (previousTechnician !== technicianId.toString()) {
+    await recordHistory(request._id, 'assign', user._id, [
+      { field: 'assignedTechnician', from: previousTechnician, to: technicianId.toString() },
+    ]);
+  }
+};
+
+/**
+ * Move a request to the trash, record it, return its reserved stock to the shelf
+ * and drop it from its parent's progress
+ */
+const removeRequest = async (request, user) => {
+  await request.softDelete(user._id);
+  await recordHistory(request._id, 'delete', user._id, diff(snapshot(request), {}));
+  await releaseReservedParts(request._id);
+  await syncSubtaskProgress(request.parentRequest);
+};
 
 /**
  * Create new maintenance request
@@ -8,7 +304,8 @@ const Equipment = require('../models/Equipment');
  */
 exports.createRequest = async (req, res) => {
   try {
-    const { equipment: equipmentId, ...requestData } = req.body;
+    const { equipment: equipmentId, parentRequest: parentId, force, allowOverbooking } = req.body;
+    const requestData = pickFields(req.body, CREATE_FIELDS);
 
     // Validate equipment exists and is active
     const equipment = await Equipment.findById(equipmentId);
@@ -26,16 +323,79 @@ exports.createRequest = async (req, res) => {
       });
     }
 
-    // Auto-fill fields from equipment
-    const request = await MaintenanceRequest.create({
+    // A sub-request needs a parent the user may open and change the links of, as when linking it later
+    if (parentId) {
+      const parent = isValidObjectId(parentId)
+        ? await findAccessibleRequest(parentId, req.user, 'assignedTechnician')
+        : { status: 404 };
+      if (parent.status) {
+        return res.status(parent.status).json({
+          success: false,
+          message: parent.status === 404 ? 'Parent request not found.' : parent.message,
+        });
+      }
+
+      if (!canUpdateRequest(parent.request, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to change the links of the parent request.',
+        });
+      }
+    }
+
+    // Warn about breakdowns that are already reported unless the user insists
+    if (requestData.requestType === 'Corrective' && !force) {
+      // Only a similar subject blocks; the other open requests on the equipment are listed with it
+      const duplicates = await findPossibleDuplicates({ equipmentId, subject: requestData.subject });
+      const similar = duplicates.filter((duplicate) => duplicate.similarSubject).length;
+      if (similar > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${similar} open request${similar === 1 ? '' : 's'} on this equipment look${similar === 1 ? 's' : ''} like this one.`,
+          duplicates,
+        });
+      }
+    }
+
+    // Auto-fill fields from equipment; every request starts in New
+    const request = new MaintenanceRequest({
       ...requestData,
+      stage: 'New',
       equipment: equipmentId,
       equipmentCategory: equipment.category,
       maintenanceTeam: equipment.maintenanceTeam,
-      assignedTechnician: requestData.assignedTechnician || equipment.defaultTechnician,
+      parentRequest: parentId || null,
       createdBy: req.user._id,
     });
 
+    await applyWorkingCalendar(request);
+
+    // Gated requests are assigned and get SLA targets once approved
+    const needsApproval = await applyApprovalRule(request, req.user);
+    if (!needsApproval) {
+      if (requestData.assignedTechnician) {
+        markManualAssignment(request, req.user);
+      } else {
+        await autoAssignTechnician(request, { defaultTechnicianId: equipment.defaultTechnician });
+      }
+      await applySlaPolicy(request);
+    }
+
+    // A hand-picked technician needs room on the scheduled day; automatic picks only warn
+    const { refusal, warning: capacityWarning } = await checkCapacity(
+      request,
+      allowOverbooking || request.assignment?.method !== 'manual'
+    );
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
+
+    await applyChecklistTemplate(request);
+    await request.save();
+
+    await recordHistory(request._id, 'create', req.user._id, diff({}, snapshot(request)));
+    await syncSubtaskProgress(request.parentRequest);
+
     await request.populate([
       { path: 'equipment', select: 'equipmentName serialNumber category' },
       { path: 'maintenanceTeam', select: 'teamName specialization' },
@@ -45,8 +405,11 @@ exports.createRequest = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Maintenance request created successfully.',
+      message: needsApproval
+        ? 'Maintenance request created and waiting for approval.'
+        : 'Maintenance request created successfully.',
       data: request,
+      capacityWarning,
     });
   } catch (error) {
     res.status(500).json({
@@ -57,47 +420,96 @@ exports.createRequest = async (req, res) => {
   }
 };
 
+/**
+ * Preview which technician a new request on the equipment would get
+ * Nothing is assigned; round-robin rotation does not advance
+ * GET /api/requests/assignment-suggestion?equipmentId=
+ * Access: Admin, Manager, Technician
+ */
+exports.getAssignmentSuggestion = async (req, res) => {
+  try {
+    const { equipmentId } = req.query;
+
+    if (!equipmentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Equipment ID is required.',
+      });
+    }
+
+    const equipment = await Equipment.findById(equipmentId).select('maintenanceTeam defaultTechnician');
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found.',
+      });
+    }
+
+    const choice = await chooseTechnician({
+      teamId: equipment.maintenanceTeam,
+      defaultTechnicianId: equipment.defaultTechnician,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: choice,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error suggesting technician.',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all maintenance requests with filters
- * GET /api/requests?stage=&priority=&requestType=&equipmentId=&technicianId=
+ * GET /api/requests?stage=&priority=&requestType=&equipmentId=&technicianId=&category=&search=&overdue=&userId=
+ * Supports page/limit or cursor pagination, sort and fields (see utils/listQuery.js)
  * Access: Based on role
  */
 exports.getAllRequests = async (req, res) => {
   try {
-    const { stage, priority, requestType, equipmentId, technicianId } = req.query;
-    const filter = {};
+    const { stage, priority, requestType, equipmentId, technicianId, category, search, overdue, userId } =
+      req.query;
 
-    // Role-based filtering
-    if (req.user.role === 'User') {
-      // Users only see their own requests
-      filter.createdBy = req.user._id;
-    } else if (req.user.role === 'Technician') {
-      // Technicians see assigned requests or requests from their team
-      filter.$or = [
-        { assignedTechnician: req.user._id },
-        { maintenanceTeam: req.user.team },
-      ];
-    }
-    // Admin and Manager see all requests
-
-    // Apply additional filters
-    if (stage) filter.stage = stage;
-    if (priority) filter.priority = priority;
-    if (requestType) filter.requestType = requestType;
-    if (equipmentId) filter.equipment = equipmentId;
-    if (technicianId) filter.assignedTechnician = technicianId;
+    const listQuery = parseListQuery(req.query, REQUEST_LIST_OPTIONS);
+    if (listQuery.status) {
+      return res.status(listQuery.status).json({ success: false, message: listQuery.message });
+    }
 
-    const requests = await MaintenanceRequest.find(filter)
-      .populate('equipment', 'equipmentName serialNumber category')
-      .populate('maintenanceTeam', 'teamName specialization')
-      .populate('assignedTechnician', 'name email')
-      .populate('createdBy', 'name email')
-      .sort({ createdAt: -1 });
+    // Role-based filtering, then additional filters
+    const conditions = [buildVisibilityFilter(req.user)];
+    if (stage) conditions.push({ stage });
+    if (priority) conditions.push({ priority });
+    if (requestType) conditions.push({ requestType });
+    if (equipmentId) conditions.push({ equipment: equipmentId });
+    if (technicianId) conditions.push({ assignedTechnician: technicianId });
+    if (category) conditions.push({ equipmentCategory: category });
+    if (overdue === 'true') conditions.push(overdueFilter());
+    if (userId) conditions.push({ $or: [{ createdBy: userId }, { assignedTechnician: userId }] });
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const matchingEquipment = await Equipment.find({ equipmentName: pattern }).distinct('_id');
+      conditions.push({ $or: [{ subject: pattern }, { equipment: { $in: matchingEquipment } }] });
+    }
+
+    const { data, pagination } = await findList(MaintenanceRequest, { $and: conditions }, listQuery, {
+      populate: [
+        { path: 'equipment', select: 'equipmentName serialNumber category' },
+        { path: 'maintenanceTeam', select: 'teamName specialization' },
+        { path: 'assignedTechnician', select: 'name email' },
+        { path: 'createdBy', select: 'name email' },
+        { path: 'blockedBy', select: 'subject stage' },
+      ],
+    });
 
     res.status(200).json({
       success: true,
-      count: requests.length,
-      data: requests,
+      count: data.length,
+      ...pagination,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -108,6 +520,47 @@ exports.getAllRequests = async (req, res) => {
   }
 };
 
+/**
+ * Request counts for dashboard KPIs, without downloading the requests
+ * GET /api/requests/summary?requestType=&priority=
+ * Access: All authenticated users (counts only visible requests)
+ */
+exports.getRequestSummary = async (req, res) => {
+  try {
+    const { requestType, priority } = req.query;
+    const filter = buildVisibilityFilter(req.user);
+    if (requestType) filter.requestType = requestType;
+    if (priority) filter.priority = priority;
+
+    const sixMonthsAgo = new Date();
+    sixMonthsAgo.setUTCMonth(sixMonthsAgo.getUTCMonth() - 5, 1);
+    sixMonthsAgo.setUTCHours(0, 0, 0, 0);
+
+    const [totalRequests, openRequests, overdueRequests, byMonth] = await Promise.all([
+      MaintenanceRequest.countDocuments(filter),
+      MaintenanceRequest.countDocuments({ ...filter, stage: { $nin: CLOSED_STAGES } }),
+      MaintenanceRequest.countDocuments({ $and: [filter, overdueFilter()] }),
+      MaintenanceRequest.aggregate([
+        { $match: { $and: [filter, { createdAt: { $gte: sixMonthsAgo } }] } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, requests: { $sum: 1 } } },
+        { $project: { _id: 0, month: '$_id', requests: 1 } },
+        { $sort: { month: 1 } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { totalRequests, openRequests, overdueRequests, byMonth },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request summary.',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get single request by ID
  * GET /api/requests/:id
@@ -119,7 +572,9 @@ exports.getRequestById = async (req, res) => {
       .populate('equipment', 'equipmentName serialNumber category location')
       .populate('maintenanceTeam', 'teamName specialization members')
       .populate('assignedTechnician', 'name email role')
-      .populate('createdBy', 'name email role');
+      .populate('createdBy', 'name email role')
+      .populate('watchers', 'name email')
+      .populate('checklist.items.completedBy', 'name');
 
     if (!request) {
       return res.status(404).json({
@@ -128,8 +583,8 @@ exports.getRequestById = async (req, res) => {
       });
     }
 
-    // Check access permissions
-    if (req.user.role === 'User' && request.createdBy._id.toString() !== req.user._id.toString()) {
+    // Check access permissions (see utils/requestVisibility.js)
+    if (!(await canViewRequest(request, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied.',
@@ -166,19 +621,68 @@ exports.updateRequest = async (req, res) => {
     }
 
     // Check permissions
-    const isAssignedTechnician = request.assignedTechnician?.toString() === req.user._id.toString();
-    const canUpdate = ['Admin', 'Manager'].includes(req.user.role) || isAssignedTechnician;
-
-    if (!canUpdate) {
+    if (!canUpdateRequest(request, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this request.',
       });
     }
 
-    // Update request
-    Object.assign(request, req.body);
-    await request.save();
+    // Stage changes through a full update must follow the same workflow
+    // Derived and workflow fields have their own endpoints and are not taken from the body
+    const { allowOverbooking } = req.body;
+    const updates = pickFields(req.body, UPDATE_FIELDS);
+    if (updates.stage !== undefined && updates.stage !== request.stage && isAwaitingApproval(request)) {
+      return res.status(409).json(approvalConflict(request));
+    }
+    if (
+      updates.stage !== undefined &&
+      updates.stage !== request.stage &&
+      !isValidTransition(request.stage, updates.stage, req.user.role)
+    ) {
+      return res.status(409).json(stageConflict(request, updates.stage, req.user.role));
+    }
+
+    // Moving a request to other equipment validates it like create and takes over its category and team
+    if (updates.equipment !== undefined && String(updates.equipment) !== request.equipment.toString()) {
+      const equipment = isValidObjectId(updates.equipment) ? await Equipment.findById(updates.equipment) : null;
+      if (!equipment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Equipment not found.',
+        });
+      }
+
+      if (!equipment.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move request to inactive/scrapped equipment.',
+        });
+      }
+
+      updates.equipmentCategory = equipment.category;
+      updates.maintenanceTeam = equipment.maintenanceTeam;
+    }
+
+    const blockedByChecklist = checklistConflict(request, updates.stage);
+    if (blockedByChecklist) {
+      return res.status(409).json(blockedByChecklist);
+    }
+
+    const blockedByRequests = await blockerConflict(request, updates.stage);
+    if (blockedByRequests) {
+      return res.status(409).json(blockedByRequests);
+    }
+
+    // A new date, estimate or technician must fit the technician's day
+    const { refusal, warning: capacityWarning } = changesBooking(request, updates)
+      ? await checkCapacity({ ...request.toObject(), ...updates }, allowOverbooking)
+      : {};
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
+
+    const { reorderAlerts, partIssues } = await applyRequestUpdates(request, updates, req.user);
 
     await request.populate([
       { path: 'equipment', select: 'equipmentName serialNumber category' },
@@ -191,6 +695,9 @@ exports.updateRequest = async (req, res) => {
       success: true,
       message: 'Request updated successfully.',
       data: request,
+      reorderAlerts,
+      partIssues,
+      capacityWarning,
     });
   } catch (error) {
     res.status(500).json({
@@ -228,23 +735,33 @@ exports.updateRequestStage = async (req, res) => {
     }
 
     // Check permissions
-    const isAssignedTechnician = request.assignedTechnician?.toString() === req.user._id.toString();
-    const canUpdate = ['Admin', 'Manager'].includes(req.user.role) || isAssignedTechnician;
-
-    if (!canUpdate) {
+    if (!canUpdateRequest(request, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update this request.',
       });
     }
 
-    // Handle Scrap stage - mark equipment as inactive
-    if (stage === 'Scrap') {
-      await Equipment.findByIdAndUpdate(request.equipment, { isActive: false });
+    if (stage !== request.stage && isAwaitingApproval(request)) {
+      return res.status(409).json(approvalConflict(request));
     }
 
-    request.stage = stage;
-    await request.save();
+    // Enforce the stage workflow
+    if (stage !== request.stage && !isValidTransition(request.stage, stage, req.user.role)) {
+      return res.status(409).json(stageConflict(request, stage, req.user.role));
+    }
+
+    const blockedByChecklist = checklistConflict(request, stage);
+    if (blockedByChecklist) {
+      return res.status(409).json(blockedByChecklist);
+    }
+
+    const blockedByRequests = await blockerConflict(request, stage);
+    if (blockedByRequests) {
+      return res.status(409).json(blockedByRequests);
+    }
+
+    const { reorderAlerts, partIssues } = await applyStageChange(request, stage, req.user);
 
     await request.populate([
       { path: 'equipment', select: 'equipmentName serialNumber category isActive' },
@@ -257,6 +774,8 @@ exports.updateRequestStage = async (req, res) => {
       success: true,
       message: `Request stage updated to ${stage}.`,
       data: request,
+      reorderAlerts,
+      partIssues,
     });
   } catch (error) {
     res.status(500).json({
@@ -268,31 +787,24 @@ exports.updateRequestStage = async (req, res) => {
 };
 
 /**
- * Assign technician to request
- * PATCH /api/requests/:id/assign
- * Body: { technicianId }
- * Access: Admin, Manager
+ * Reopen a Repaired request whose fix did not hold
+ * The request goes back to In Progress; the reason and time since the repair are kept
+ * PATCH /api/requests/:id/reopen
+ * Body: { reason }
+ * Access: Admin, Manager, or the request's creator
  */
-exports.assignTechnician = async (req, res) => {
+exports.reopenRequest = async (req, res) => {
   try {
-    const { technicianId } = req.body;
+    const reason = req.body.reason?.trim();
 
-    if (!technicianId) {
+    if (!reason) {
       return res.status(400).json({
         success: false,
-        message: 'Technician ID is required.',
+        message: 'A reason is required to reopen a request.',
       });
     }
 
-    const request = await MaintenanceRequest.findByIdAndUpdate(
-      req.params.id,
-      { assignedTechnician: technicianId },
-      { new: true }
-    )
-      .populate('equipment', 'equipmentName serialNumber')
-      .populate('assignedTechnician', 'name email')
-      .populate('maintenanceTeam', 'teamName')
-      .populate('createdBy', 'name email');
+    const request = await MaintenanceRequest.findById(req.params.id);
 
     if (!request) {
       return res.status(404).json({
@@ -301,28 +813,66 @@ exports.assignTechnician = async (req, res) => {
       });
     }
 
+    if (!canReopenRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to reopen this request.',
+      });
+    }
+
+    if (request.stage !== 'Repaired') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only Repaired requests can be reopened.',
+        currentStage: request.stage,
+      });
+    }
+
+    const { reorderAlerts, partIssues } = await applyReopen(request, reason, req.user);
+
+    await request.populate([
+      { path: 'equipment', select: 'equipmentName serialNumber category isActive' },
+      { path: 'maintenanceTeam', select: 'teamName' },
+      { path: 'assignedTechnician', select: 'name email' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
     res.status(200).json({
       success: true,
-      message: 'Technician assigned successfully.',
+      message: 'Request reopened.',
       data: request,
+      reorderAlerts,
+      partIssues,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error assigning technician.',
+      message: 'Error reopening request.',
       error: error.message,
     });
   }
 };
 
 /**
- * Delete maintenance request
- * DELETE /api/requests/:id
- * Access: Admin, Manager
+ * Rate the repair of a request
+ * Rejecting the fix reopens the request with the comment as the reason
+ * POST /api/requests/:id/feedback
+ * Body: { rating (1-5), comment, fixAccepted }
+ * Access: The request's creator
  */
-exports.deleteRequest = async (req, res) => {
+exports.submitFeedback = async (req, res) => {
   try {
-    const request = await MaintenanceRequest.findByIdAndDelete(req.params.id);
+    const { rating, comment, fixAccepted = true } = req.body;
+    const invalid = validateFeedback({ rating, comment, fixAccepted });
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const request = await MaintenanceRequest.findById(req.params.id);
 
     if (!request) {
       return res.status(404).json({
@@ -331,46 +881,622 @@ exports.deleteRequest = async (req, res) => {
       });
     }
 
+    if (!canGiveFeedback(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can rate this repair.',
+      });
+    }
+
+    if (request.stage !== 'Repaired' || request.feedback.status !== 'Pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This request is not waiting for feedback.',
+        feedbackStatus: request.feedback.status,
+      });
+    }
+
+    const response = recordFeedback(request, { rating, comment, fixAccepted }, req.user);
+    let followUp = { reorderAlerts: [], partIssues: [] };
+    if (fixAccepted) {
+      await request.save();
+    } else {
+      followUp = await applyReopen(request, response.comment, req.user);
+    }
+
+    const changes = [{ field: 'rating', from: null, to: rating }];
+    if (response.comment) changes.push({ field: 'comment', from: null, to: response.comment });
+    if (!fixAccepted) changes.push({ field: 'fixAccepted', from: null, to: false });
+    await recordHistory(request._id, 'feedback', req.user._id, changes);
+
+    await request.populate([
+      { path: 'equipment', select: 'equipmentName serialNumber category isActive' },
+      { path: 'maintenanceTeam', select: 'teamName' },
+      { path: 'assignedTechnician', select: 'name email' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
     res.status(200).json({
       success: true,
-      message: 'Request deleted successfully.',
+      message: fixAccepted ? 'Thanks for your feedback.' : 'Feedback recorded and the request was reopened.',
+      data: request,
+      ...followUp,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error deleting request.',
+      message: 'Error submitting feedback.',
       error: error.message,
     });
   }
 };
 
 /**
- * Get calendar view of scheduled requests
- * GET /api/requests/calendar?startDate=&endDate=
- * Access: All authenticated users
+ * Assign technician to request
+ * Refused when it overbooks the technician on the scheduled day, unless allowOverbooking is set
+ * PATCH /api/requests/:id/assign
+ * Body: { technicianId, allowOverbooking }
+ * Access: Admin, Manager
  */
-exports.getCalendarRequests = async (req, res) => {
+exports.assignTechnician = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const filter = { scheduledDate: { $ne: null } };
+    const { technicianId, allowOverbooking } = req.body;
+
+    if (!technicianId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Technician ID is required.',
+      });
+    }
+
+    const request = await MaintenanceRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found.',
+      });
+    }
+
+    const { refusal, warning: capacityWarning } = await checkCapacity(
+      { ...request.toObject(), assignedTechnician: technicianId },
+      allowOverbooking
+    );
+    if (refusal) {
+      return res.status(409).json(refusal);
+    }
+
+    await applyTechnicianAssignment(request, technicianId, req.user);
+
+    await request.populate([
+      { path: 'equipment', select: 'equipmentName serialNumber' },
+      { path: 'assignedTechnician', select: 'name email' },
+      { path: 'maintenanceTeam', select: 'teamName' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Technician assigned successfully.',
+      data: request,
+      capacityWarning,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning technician.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move maintenance request to trash
+ * DELETE /api/requests/:id
+ * Access: Admin, Manager
+ */
+exports.deleteRequest = async (req, res) => {
+  try {
+    const request = await MaintenanceRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found.',
+      });
+    }
+
+    await removeRequest(request, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Request moved to trash.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting request.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get escalations the current user is notified about
+ * Admin and Manager see escalations for their role, team leads those naming them
+ * GET /api/requests/escalations?since=
+ * Access: All authenticated users (visible requests only)
+ */
+exports.getEscalationNotices = async (req, res) => {
+  try {
+    const { since } = req.query;
+    if (since !== undefined && !isValidDate(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date.',
+      });
+    }
+
+    // Without since, escalations of the last day
+    const from = since ? new Date(since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const notices = await findEscalationNotices(req.user, from, buildVisibilityFilter(req.user));
+
+    res.status(200).json({
+      success: true,
+      count: notices.length,
+      data: notices,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching escalations.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the current user's repaired requests that wait for their feedback
+ * GET /api/requests/feedback/pending?since=
+ * Access: All authenticated users
+ */
+exports.getPendingFeedback = async (req, res) => {
+  try {
+    const { since } = req.query;
+    if (since !== undefined && !isValidDate(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date.',
+      });
+    }
+
+    // Without since, every request still waiting
+    const filter = { createdBy: req.user._id, stage: 'Repaired', 'feedback.status': 'Pending' };
+    if (since) filter['feedback.requestedAt'] = { $gt: new Date(since) };
+
+    const requests = await MaintenanceRequest.find(filter)
+      .select('subject equipment assignedTechnician feedback.requestedAt')
+      .populate('equipment', 'equipmentName')
+      .populate('assignedTechnician', 'name')
+      .sort({ 'feedback.requestedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pending feedback.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get approval decisions on the current user's requests
+ * GET /api/requests/approvals/decisions?since=
+ * Access: All authenticated users
+ */
+exports.getApprovalDecisions = async (req, res) => {
+  try {
+    const { since } = req.query;
+    if (since !== undefined && !isValidDate(since)) {
+      return res.status(400).json({
+        success: false,
+        message: 'since must be a valid date.',
+      });
+    }
+
+    // Without since, decisions of the last day
+    const from = since ? new Date(since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const requests = await MaintenanceRequest.find({
+      createdBy: req.user._id,
+      'approval.status': { $in: ['Approved', 'Rejected'] },
+      'approval.decidedAt': { $gt: from },
+    })
+      .select('subject approval')
+      .populate('approval.decidedBy', 'name')
+      .sort({ 'approval.decidedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval decisions.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get requests waiting for approval
+ * GET /api/requests/approvals
+ * Access: Admin, Manager, team lead Technicians (their teams only)
+ */
+exports.getApprovalQueue = async (req, res) => {
+  try {
+    const filter = await buildApprovalQueueFilter(req.user);
+
+    const requests = await MaintenanceRequest.find(filter)
+      .populate('equipment', 'equipmentName serialNumber category')
+      .populate('maintenanceTeam', 'teamName')
+      .populate('createdBy', 'name email')
+      .populate('approval.rule', 'name')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval queue.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Find a pending request the user may decide on
+ * @returns {Object} { request } or { status, message }
+ */
+const findPendingApproval = async (id, user) => {
+  const request = await MaintenanceRequest.findById(id);
+  if (!request) {
+    return { status: 404, message: 'Request not found.' };
+  }
+  if (!(await canDecideApproval(request, user))) {
+    return { status: 403, message: 'Only a Manager or the team lead can decide on this request.' };
+  }
+  if (request.approval?.status !== 'Pending') {
+    return { status: 409, message: 'This request is not waiting for approval.' };
+  }
+  return { request };
+};
+
+/**
+ * Approve a request so technicians can see and work on it
+ * The request is assigned and its SLA clock starts now
+ * PATCH /api/requests/:id/approve
+ * Access: Admin, Manager, lead of the request's team
+ */
+exports.approveRequest = async (req, res) => {
+  try {
+    const { request, status, message } = await findPendingApproval(req.params.id, req.user);
+    if (!request) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    recordApprovalDecision(request, 'Approved', req.user);
+    if (!request.assignedTechnician) {
+      const equipment = await Equipment.findById(request.equipment).select('defaultTechnician');
+      await autoAssignTechnician(request, { defaultTechnicianId: equipment?.defaultTechnician });
+    }
+    await applySlaPolicy(request);
+    await request.save();
+
+    await recordHistory(request._id, 'approve', req.user._id, [
+      { field: 'approval', from: 'Pending', to: 'Approved' },
+    ]);
+
+    await request.populate([
+      { path: 'equipment', select: 'equipmentName serialNumber category' },
+      { path: 'maintenanceTeam', select: 'teamName' },
+      { path: 'assignedTechnician', select: 'name email' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Request approved.',
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving request.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reject a request; it stays hidden from technicians
+ * PATCH /api/requests/:id/reject
+ * Body: { reason }
+ * Access: Admin, Manager, lead of the request's team
+ */
+exports.rejectRequest = async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a request.',
+      });
+    }
+
+    const { request, status, message } = await findPendingApproval(req.params.id, req.user);
+    if (!request) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    recordApprovalDecision(request, 'Rejected', req.user, reason);
+    await request.save();
+
+    await recordHistory(request._id, 'reject', req.user._id, [
+      { field: 'approval', from: 'Pending', to: 'Rejected' },
+      { field: 'reason', from: null, to: reason },
+    ]);
+
+    await request.populate([
+      { path: 'equipment', select: 'equipmentName serialNumber category' },
+      { path: 'maintenanceTeam', select: 'teamName' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Request rejected.',
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting request.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Check the value sent for a bulk action
+ * @returns {string|null} Error message or null when valid
+ */
+const validateBulkValue = (action, value) => {
+  const stages = MaintenanceRequest.schema.path('stage').enumValues;
+  const priorities = MaintenanceRequest.schema.path('priority').enumValues;
+
+  if (action === 'stage' && !stages.includes(value)) {
+    return `Stage must be one of: ${stages.join(', ')}.`;
+  }
+  if (action === 'priority' && !priorities.includes(value)) {
+    return `Priority must be one of: ${priorities.join(', ')}.`;
+  }
+  if (action === 'scheduledDate' && value !== null && !isValidDate(value)) {
+    return 'Scheduled date must be a valid date or null.';
+  }
+  if (action === 'assign' && !isValidObjectId(value)) {
+    return 'A valid technician ID is required.';
+  }
+  return null;
+};
+
+/**
+ * Refuse a bulk change that overbooks the technician's day like the single endpoints do
+ * @returns {Object} { refusal } as a bulk failure, or { warning }
+ */
+const checkBulkCapacity = async (booking, allowOverbooking) => {
+  const { refusal, warning } = await checkCapacity(booking, allowOverbooking);
+  if (refusal) {
+    const { success, ...conflict } = refusal;
+    return { refusal: { status: 409, ...conflict } };
+  }
+  return { warning };
+};
+
+/**
+ * Run one bulk action on one request with the single endpoint's checks
+ * @returns {Object} { status, message } on failure, else { reorderAlerts, partIssues, capacityWarning }
+ */
+const runBulkAction = async (request, action, value, user, allowOverbooking) => {
+  if (action === 'delete') {
+    await removeRequest(request, user);
+    return {};
+  }
+  if (action === 'assign') {
+    const { refusal, warning } = await checkBulkCapacity(
+      { ...request.toObject(), assignedTechnician: value },
+      allowOverbooking
+    );
+    if (refusal) return refusal;
+    await applyTechnicianAssignment(request, value, user);
+    return { capacityWarning: warning };
+  }
+
+  if (!canUpdateRequest(request, user)) {
+    return { status: 403, message: 'You do not have permission to update this request.' };
+  }
+
+  if (action === 'stage') {
+    if (value !== request.stage && isAwaitingApproval(request)) {
+      const { success, ...conflict } = approvalConflict(request);
+      return { status: 409, ...conflict };
+    }
+    if (value !== request.stage && !isValidTransition(request.stage, value, user.role)) {
+      const { success, ...conflict } = stageConflict(request, value, user.role);
+      return { status: 409, ...conflict };
+    }
+    const blockedByChecklist = checklistConflict(request, value);
+    if (blockedByChecklist) {
+      const { success, ...conflict } = blockedByChecklist;
+      return { status: 409, ...conflict };
+    }
+    const blockedByRequests = await blockerConflict(request, value);
+    if (blockedByRequests) {
+      const { success, ...conflict } = blockedByRequests;
+      return { status: 409, ...conflict };
+    }
+    return applyStageChange(request, value, user);
+  }
+
+  if (action === 'scheduledDate') {
+    const { refusal, warning } = changesBooking(request, { scheduledDate: value })
+      ? await checkBulkCapacity({ ...request.toObject(), scheduledDate: value }, allowOverbooking)
+      : {};
+    if (refusal) return refusal;
+    const outcome = await applyRequestUpdates(request, { scheduledDate: value }, user);
+    return { ...outcome, capacityWarning: warning };
+  }
+
+  return applyRequestUpdates(request, { [action]: value }, user);
+};
+
+/**
+ * Apply one action to many requests
+ * POST /api/requests/bulk
+ * Body: { ids, action: stage|priority|scheduledDate|assign|delete, value, allowOverbooking }
+ * Access: All authenticated users (assign and delete: Admin, Manager)
+ * Each request is checked like the single-item endpoint and reported separately
+ */
+exports.bulkUpdateRequests = async (req, res) => {
+  try {
+    const { ids, action, value = null, allowOverbooking } = req.body;
+
+    if (!BULK_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}.`,
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one request ID is required.',
+      });
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A bulk action can change at most ${BULK_MAX_ITEMS} requests.`,
+      });
+    }
+
+    const { roles } = BULK_ACTIONS[action];
+    if (roles && !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.',
+      });
+    }
+
+    const valueError = validateBulkValue(action, value);
+    if (valueError) {
+      return res.status(400).json({
+        success: false,
+        message: valueError,
+      });
+    }
+
+    const validIds = uniqueIds.filter(isValidObjectId);
+    const requests = await MaintenanceRequest.find({ _id: { $in: validIds } });
+    const byId = new Map(requests.map((request) => [request._id.toString(), request]));
+
+    // One at a time so stock, history and equipment updates never interleave
+    const results = [];
+    const reorderAlerts = [];
+    for (const id of uniqueIds) {
+      const request = byId.get(id);
+      if (!request) {
+        results.push({ id, success: false, status: 404, message: 'Request not found.' });
+        continue;
+      }
+
+      try {
+        const outcome = await runBulkAction(request, action, value, req.user, allowOverbooking);
+        if (outcome.status) {
+          results.push({ id, success: false, ...outcome });
+          continue;
+        }
+        reorderAlerts.push(...(outcome.reorderAlerts || []));
+        results.push({
+          id,
+          success: true,
+          partIssues: outcome.partIssues || [],
+          capacityWarning: outcome.capacityWarning,
+        });
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          status: error.name === 'ValidationError' ? 400 : 500,
+          message: error.message,
+        });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${results.length} request${results.length === 1 ? '' : 's'} updated.`,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results,
+      reorderAlerts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error running bulk action.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get calendar view of scheduled requests
+ * GET /api/requests/calendar?startDate=&endDate=
+ * Access: All authenticated users
+ */
+exports.getCalendarRequests = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const filter = { scheduledDate: { $ne: null } };
 
     if (startDate) filter.scheduledDate.$gte = new Date(startDate);
     if (endDate) filter.scheduledDate.$lte = new Date(endDate);
 
     // Role-based filtering
-    if (req.user.role === 'Technician') {
-      filter.$or = [
-        { assignedTechnician: req.user._id },
-        { maintenanceTeam: req.user.team },
-      ];
-    } else if (req.user.role === 'User') {
-      filter.createdBy = req.user._id;
-    }
+    Object.assign(filter, buildVisibilityFilter(req.user));
 
     const requests = await MaintenanceRequest.find(filter)
       .populate('equipment', 'equipmentName serialNumber')
       .populate('assignedTechnician', 'name')
-      .select('subject equipment stage priority scheduledDate durationHours')
+      .select(
+        'subject equipment assignedTechnician stage priority scheduledDate overdueAt estimatedHours durationHours'
+      )
       .sort({ scheduledDate: 1 });
 
     res.status(200).json({
@@ -388,28 +1514,60 @@ exports.getCalendarRequests = async (req, res) => {
 };
 
 /**
- * Get overdue requests
- * GET /api/requests/overdue
+ * Booked hours against capacity per technician and day
+ * Technicians only see their own load
+ * GET /api/requests/calendar/load?startDate=&endDate=&technicianId=
  * Access: Admin, Manager, Technician
  */
-exports.getOverdueRequests = async (req, res) => {
+exports.getCalendarLoad = async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { startDate, endDate, technicianId } = req.query;
 
-    const filter = {
-      scheduledDate: { $lt: today },
-      stage: { $nin: ['Repaired', 'Scrap'] },
-    };
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates.',
+      });
+    }
+    if (technicianId && !isValidObjectId(technicianId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid technician ID.',
+      });
+    }
 
-    // Role-based filtering
+    let technicianIds;
     if (req.user.role === 'Technician') {
-      filter.$or = [
-        { assignedTechnician: req.user._id },
-        { maintenanceTeam: req.user.team },
-      ];
+      technicianIds = [req.user._id];
+    } else if (technicianId) {
+      technicianIds = [technicianId];
     }
 
+    const loads = await getDailyLoads({ from: startDate, to: endDate, technicianIds });
+
+    res.status(200).json({
+      success: true,
+      count: loads.length,
+      data: loads,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching technician load.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get overdue requests
+ * GET /api/requests/overdue
+ * Access: Admin, Manager, Technician
+ */
+exports.getOverdueRequests = async (req, res) => {
+  try {
+    const filter = { $and: [overdueFilter(), buildVisibilityFilter(req.user)] };
+
     const requests = await MaintenanceRequest.find(filter)
       .populate('equipment', 'equipmentName serialNumber category')
       .populate('assignedTechnician', 'name email')
@@ -429,3 +1587,142 @@ exports.getOverdueRequests = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get activity history for a request
+ * GET /api/requests/:id/history
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.getRequestHistory = async (req, res) => {
+  try {
+    const request = await MaintenanceRequest.findById(req.params.id).select(
+      'createdBy watchers maintenanceTeam approval'
+    );
+
+    // History of deleted requests stays available to Admin and Manager
+    if (!request && !['Admin', 'Manager'].includes(req.user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found.',
+      });
+    }
+
+    if (request && !(await canViewRequest(request, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied.',
+      });
+    }
+
+    const history = await RequestHistory.find({ request: req.params.id })
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request history.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add the current user as a watcher of an open request
+ * Lets a reporter follow an existing breakdown instead of filing a duplicate
+ * POST /api/requests/:id/watch
+ * Access: Users who can open the request, or who would see it as a possible duplicate
+ */
+exports.watchRequest = async (req, res) => {
+  try {
+    const request = await MaintenanceRequest.findById(req.params.id).select(
+      'stage equipment createdBy watchers maintenanceTeam approval'
+    );
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found.',
+      });
+    }
+
+    if (CLOSED_STAGES.includes(request.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot watch a ${request.stage} request.`,
+      });
+    }
+
+    if (isAwaitingApproval(request)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot watch a request that is waiting for approval.',
+      });
+    }
+
+    // Watching grants read access, so only requests the user could already find qualify
+    if (!(await canViewRequest(request, req.user)) && !(await isListedDuplicate(request))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied.',
+      });
+    }
+
+    const updated = await MaintenanceRequest.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { watchers: req.user._id } },
+      { new: true }
+    ).populate('watchers', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'You are now watching this request.',
+      data: updated.watchers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error watching request.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove the current user from the watchers of a request
+ * DELETE /api/requests/:id/watch
+ * Access: All authenticated users
+ */
+exports.unwatchRequest = async (req, res) => {
+  try {
+    const updated = await MaintenanceRequest.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { watchers: req.user._id } },
+      { new: true }
+    ).populate('watchers', 'name email');
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You are no longer watching this request.',
+      data: updated.watchers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unwatching request.',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,149 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { buildVisibilityFilter, canUpdateRequest, findAccessibleRequest } = require('../utils/requestVisibility');
+const { isValidObjectId } = require('../utils/validators');
+const { LINK_TYPES, addLink, removeLink } = require('../utils/requestLinks');
+
+const LINK_FIELDS = 'subject stage priority assignedTechnician scheduledDate subtasks';
+
+// Link types that change the parent of one of the two requests
+const PARENT_LINK_TYPES = ['parent', 'child'];
+
+/**
+ * Load the two requests of a link change and check the link type
+ * Parent links change both requests' tree, so the user must be able to change the links of both
+ * @returns {Object} { request, target } or { status, message } on failure
+ */
+const findLinkPair = async (requestId, type, targetId, user) => {
+  if (!LINK_TYPES.includes(type)) {
+    return { status: 400, message: `Link type must be one of: ${LINK_TYPES.join(', ')}.` };
+  }
+
+  const { request, status, message } = await findAccessibleRequest(requestId, user);
+  if (status) return { status, message };
+
+  if (!canUpdateRequest(request, user)) {
+    return { status: 403, message: 'You do not have permission to change the links of this request.' };
+  }
+
+  const target = isValidObjectId(targetId) ? await MaintenanceRequest.findById(targetId) : null;
+  if (!target) {
+    return { status: 404, message: 'Linked request not found.' };
+  }
+
+  if (PARENT_LINK_TYPES.includes(type) && !canUpdateRequest(target, user)) {
+    return { status: 403, message: 'You do not have permission to change the links of the linked request.' };
+  }
+
+  return { request, target };
+};
+
+/**
+ * Get the parent, sub-requests, blockers, blocked requests and related requests of a request
+ * Only linked requests the user may see are returned
+ * GET /api/requests/:id/links
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.getRequestLinks = async (req, res) => {
+  try {
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const visible = buildVisibilityFilter(req.user);
+    const findLinked = (filter) =>
+      MaintenanceRequest.find({ $and: [visible, filter] })
+        .select(LINK_FIELDS)
+        .populate('assignedTechnician', 'name')
+        .sort('createdAt');
+
+    const [parent, children, blockedBy, blocking, related] = await Promise.all([
+      request.parentRequest ? findLinked({ _id: request.parentRequest }).then((found) => found[0] || null) : null,
+      findLinked({ parentRequest: request._id }),
+      findLinked({ _id: { $in: request.blockedBy } }),
+      findLinked({ blockedBy: request._id }),
+      findLinked({ $or: [{ _id: { $in: request.relatedTo } }, { relatedTo: request._id }] }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        parent,
+        children,
+        blockedBy,
+        blocking,
+        related,
+        subtasks: request.subtasks,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request links.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Link a request to another request
+ * POST /api/requests/:id/links
+ * Body: { type: parent|child|blockedBy|related, requestId }
+ * Access: Admin, Manager, or assigned Technician
+ */
+exports.addRequestLink = async (req, res) => {
+  try {
+    const { type, requestId } = req.body;
+    const { request, target, status, message } = await findLinkPair(req.params.id, type, requestId, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const refusal = await addLink(request, type, target, req.user);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, message: refusal.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Requests linked.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error linking requests.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a link between two requests
+ * DELETE /api/requests/:id/links/:type/:targetId
+ * Access: Admin, Manager, or assigned Technician
+ */
+exports.removeRequestLink = async (req, res) => {
+  try {
+    const { type, targetId } = req.params;
+    const { request, target, status, message } = await findLinkPair(req.params.id, type, targetId, req.user);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const refusal = await removeLink(request, type, target, req.user);
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, message: refusal.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Link removed.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing link.',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,212 @@
+const RequestPart = require('../models/RequestPart');
+const { reservePart, consumeUsage, releaseUsage } = require('../utils/partStock');
+const { syncRequestCosts } = require('../utils/requestCosts');
+const { canWorkOnRequest, findAccessibleRequest } = require('../utils/requestVisibility');
+
+const OPEN_STAGES = ['New', 'In Progress'];
+
+// Request fields the parts checks read
+const REQUEST_FIELDS = 'assignedTechnician stage';
+
+/**
+ * Load a request the user may change parts on, plus one of its part usages
+ * @returns {Object} { request, usage } or { status, message }
+ */
+const findEditableUsage = async (req) => {
+  const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+  if (status) return { status, message };
+
+  if (!canWorkOnRequest(request, req.user)) {
+    return { status: 403, message: 'You do not have permission to change parts on this request.' };
+  }
+
+  const usage = await RequestPart.findOne({ _id: req.params.usageId, request: request._id });
+  if (!usage) {
+    return { status: 404, message: 'Part usage not found.' };
+  }
+
+  return { request, usage };
+};
+
+const usagePopulate = [
+  { path: 'part', select: 'partNumber name unit unitCost' },
+  { path: 'reservedBy', select: 'name email' },
+  { path: 'consumedBy', select: 'name email' },
+];
+
+/**
+ * Get parts reserved for or consumed by a request
+ * GET /api/requests/:id/parts
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.getRequestParts = async (req, res) => {
+  try {
+    const { status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const usages = await RequestPart.find({ request: req.params.id })
+      .populate(usagePopulate)
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: usages.length,
+      data: usages,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request parts.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reserve a part for a request
+ * POST /api/requests/:id/parts
+ * Body: { part, location, quantity }
+ * Access: Admin, Manager, assigned or team Technician
+ */
+exports.reserveRequestPart = async (req, res) => {
+  try {
+    const { part, location } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!part || !location || !(quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Part, location and a positive quantity are required.',
+      });
+    }
+
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!canWorkOnRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to reserve parts on this request.',
+      });
+    }
+
+    if (!OPEN_STAGES.includes(request.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reserve parts on a ${request.stage} request.`,
+      });
+    }
+
+    const result = await reservePart({
+      requestId: request._id,
+      partId: part,
+      location,
+      quantity,
+      userId: req.user._id,
+    });
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    await result.usage.populate(usagePopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Part reserved successfully.',
+      data: result.usage,
+      reorderAlerts: result.reorderAlert ? [result.reorderAlert] : [],
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reserving part.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Consume a reserved part (take it out of stock)
+ * PATCH /api/requests/:id/parts/:usageId/consume
+ * Access: Admin, Manager, assigned or team Technician
+ */
+exports.consumeRequestPart = async (req, res) => {
+  try {
+    const { request, usage, status, message } = await findEditableUsage(req);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!OPEN_STAGES.includes(request.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot consume parts on a ${request.stage} request.`,
+      });
+    }
+
+    const result = await consumeUsage(usage, req.user._id);
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await syncRequestCosts(request._id);
+
+    await result.usage.populate(usagePopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Part consumed.',
+      data: result.usage,
+      reorderAlerts: result.reorderAlert ? [result.reorderAlert] : [],
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error consuming part.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Release a reservation, or return consumed parts to stock
+ * DELETE /api/requests/:id/parts/:usageId
+ * Access: Admin, Manager, assigned or team Technician (returning consumed parts: Admin, Manager)
+ */
+exports.releaseRequestPart = async (req, res) => {
+  try {
+    const { request, usage, status, message } = await findEditableUsage(req);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (usage.status === 'Consumed' && !['Admin', 'Manager'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only Admin or Manager can return consumed parts to stock.',
+      });
+    }
+
+    const result = await releaseUsage(usage);
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    if (usage.status === 'Consumed') {
+      await syncRequestCosts(request._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: usage.status === 'Consumed' ? 'Part returned to stock.' : 'Reservation released.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing part.',
+      error: error.message,
+    });
+  }
+};
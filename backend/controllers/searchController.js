@@ -0,0 +1,112 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const MaintenanceTeam = require('../models/MaintenanceTeam');
+const User = require('../models/User');
+const { buildVisibilityFilter } = require('../utils/requestVisibility');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Searchable collections
+ * roles limits who may search a type (null = all authenticated users),
+ * filter restricts the documents a user may see
+ */
+const SEARCH_TYPES = {
+  requests: {
+    model: MaintenanceRequest,
+    roles: null,
+    filter: (user) => buildVisibilityFilter(user),
+    fields: ['subject', 'stage', 'priority', 'requestType', 'scheduledDate', 'equipment'],
+    populate: { path: 'equipment', select: 'equipmentName' },
+  },
+  equipment: {
+    model: Equipment,
+    roles: null,
+    filter: () => ({}),
+    fields: ['equipmentName', 'serialNumber', 'category', 'location', 'isActive'],
+  },
+  teams: {
+    model: MaintenanceTeam,
+    roles: ['Admin', 'Manager'],
+    filter: () => ({}),
+    fields: ['teamName', 'specialization'],
+  },
+  users: {
+    model: User,
+    roles: ['Admin', 'Manager'],
+    filter: () => ({}),
+    fields: ['name', 'email', 'role'],
+  },
+};
+
+/**
+ * Text-search one collection, best matches first
+ */
+const searchType = async ({ model, filter, fields, populate }, user, text, limit) => {
+  const projection = Object.fromEntries(fields.map((field) => [field, 1]));
+  projection.score = { $meta: 'textScore' };
+
+  const query = model
+    .find({ ...filter(user), $text: { $search: text } })
+    .select(projection)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+  if (populate) query.populate(populate);
+
+  return query;
+};
+
+/**
+ * Search requests, equipment, teams and users
+ * GET /api/search?q=&types=requests,equipment&limit=
+ * Access: All authenticated users (teams and users: Admin, Manager)
+ */
+exports.search = async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search text must be at least ${MIN_QUERY_LENGTH} characters.`,
+      });
+    }
+
+    const requestedTypes = req.query.types
+      ? String(req.query.types).split(',').map((type) => type.trim()).filter(Boolean)
+      : Object.keys(SEARCH_TYPES);
+    const unknownType = requestedTypes.find((type) => !SEARCH_TYPES[type]);
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search type "${unknownType}". Types: ${Object.keys(SEARCH_TYPES).join(', ')}.`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const types = requestedTypes.filter((type) => {
+      const { roles } = SEARCH_TYPES[type];
+      return !roles || roles.includes(req.user.role);
+    });
+
+    const results = await Promise.all(
+      types.map((type) => searchType(SEARCH_TYPES[type], req.user, text, limit))
+    );
+    const data = Object.fromEntries(types.map((type, index) => [type, results[index]]));
+
+    res.status(200).json({
+      success: true,
+      query: text,
+      count: results.reduce((sum, items) => sum + items.length, 0),
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error searching.',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,178 @@
+const SlaPolicy = require('../models/SlaPolicy');
+
+const policyPopulate = { path: 'maintenanceTeam', select: 'teamName specialization' };
+
+/**
+ * Normalize optional scope fields so "all teams/categories" is stored as null
+ */
+const buildPolicyData = (body) => {
+  const data = { ...body };
+  if ('maintenanceTeam' in data) data.maintenanceTeam = data.maintenanceTeam || null;
+  if ('equipmentCategory' in data) data.equipmentCategory = data.equipmentCategory?.trim() || null;
+  return data;
+};
+
+/**
+ * Send 400 for validation and duplicate-scope errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A policy for this priority, team and category already exists.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create SLA policy
+ * POST /api/sla-policies
+ * Access: Admin, Manager
+ */
+exports.createPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.create(buildPolicyData(req.body));
+    await policy.populate(policyPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created successfully.',
+      data: policy,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating SLA policy.');
+  }
+};
+
+/**
+ * Get all SLA policies
+ * GET /api/sla-policies?priority=&teamId=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllPolicies = async (req, res) => {
+  try {
+    const { priority, teamId, isActive } = req.query;
+    const filter = {};
+
+    if (priority) filter.priority = priority;
+    if (teamId) filter.maintenanceTeam = teamId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const policies = await SlaPolicy.find(filter)
+      .populate(policyPopulate)
+      .sort({ priority: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SLA policies.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single SLA policy
+ * GET /api/sla-policies/:id
+ * Access: All authenticated users
+ */
+exports.getPolicyById = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id).populate(policyPopulate);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SLA policy.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update SLA policy
+ * PUT /api/sla-policies/:id
+ * Access: Admin, Manager
+ * Due times already stamped on requests are not changed
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found.',
+      });
+    }
+
+    Object.assign(policy, buildPolicyData(req.body));
+    await policy.save();
+    await policy.populate(policyPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy updated successfully.',
+      data: policy,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating SLA policy.');
+  }
+};
+
+/**
+ * Delete SLA policy
+ * DELETE /api/sla-policies/:id
+ * Access: Admin, Manager
+ * Requests keep the due times already stamped from the policy
+ */
+exports.deletePolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy deleted successfully.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting SLA policy.',
+      error: error.message,
+    });
+  }
+};
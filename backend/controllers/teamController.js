@@ -1,5 +1,13 @@
 const MaintenanceTeam = require('../models/MaintenanceTeam');
 const User = require('../models/User');
+const { getTeamWorkload } = require('../utils/technicianAssignment');
+const { parseListQuery, findList } = require('../utils/listQuery');
+
+const TEAM_LIST_OPTIONS = {
+  sortable: ['teamName', 'specialization', 'createdAt'],
+  selectable: ['teamName', 'specialization', 'members', 'teamLead', 'assignmentStrategy', 'createdAt', 'updatedAt'],
+  defaultSort: 'teamName',
+};
 
 /**
  * Create new maintenance team
@@ -24,7 +32,7 @@ exports.createTeam = async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Team with this name already exists.',
+        message: 'Team with this name already exists (it may be in the trash).',
       });
     }
     res.status(500).json({
@@ -38,19 +46,28 @@ exports.createTeam = async (req, res) => {
 /**
  * Get all maintenance teams
  * GET /api/teams
+ * Supports page/limit or cursor pagination, sort and fields (see utils/listQuery.js)
  * Access: All authenticated users
  */
 exports.getAllTeams = async (req, res) => {
   try {
-    const teams = await MaintenanceTeam.find()
-      .populate('members', 'name email role')
-      .populate('teamLead', 'name email role')
-      .sort({ teamName: 1 });
+    const listQuery = parseListQuery(req.query, TEAM_LIST_OPTIONS);
+    if (listQuery.status) {
+      return res.status(listQuery.status).json({ success: false, message: listQuery.message });
+    }
+
+    const { data, pagination } = await findList(MaintenanceTeam, {}, listQuery, {
+      populate: [
+        { path: 'members', select: 'name email role' },
+        { path: 'teamLead', select: 'name email role' },
+      ],
+    });
 
     res.status(200).json({
       success: true,
-      count: teams.length,
-      data: teams,
+      count: data.length,
+      ...pagination,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -92,6 +109,39 @@ exports.getTeamById = async (req, res) => {
   }
 };
 
+/**
+ * Get team technicians with availability and open workload
+ * GET /api/teams/:id/workload
+ * Access: Admin, Manager
+ */
+exports.getTeamWorkload = async (req, res) => {
+  try {
+    const team = await MaintenanceTeam.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found.',
+      });
+    }
+
+    const workload = await getTeamWorkload(team);
+
+    res.status(200).json({
+      success: true,
+      count: workload.length,
+      data: workload,
+      assignmentStrategy: team.assignmentStrategy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching team workload.',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Update team
  * PUT /api/teams/:id
@@ -132,13 +182,13 @@ exports.updateTeam = async (req, res) => {
 };
 
 /**
- * Delete team
+ * Move team to trash
  * DELETE /api/teams/:id
  * Access: Admin
  */
 exports.deleteTeam = async (req, res) => {
   try {
-    const team = await MaintenanceTeam.findByIdAndDelete(req.params.id);
+    const team = await MaintenanceTeam.findById(req.params.id);
 
     if (!team) {
       return res.status(404).json({
@@ -147,9 +197,11 @@ exports.deleteTeam = async (req, res) => {
       });
     }
 
+    await team.softDelete(req.user._id);
+
     res.status(200).json({
       success: true,
-      message: 'Team deleted successfully.',
+      message: 'Team moved to trash.',
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,145 @@
+const { TRASH_TYPES, getRetentionDays, findTrashed, restoreItem, purgeItem } = require('../utils/trash');
+const { recordHistory } = require('../utils/requestHistory');
+const { parseListQuery, findList } = require('../utils/listQuery');
+
+const TRASH_LIST_OPTIONS = {
+  sortable: ['deletedAt'],
+  selectable: [],
+  defaultSort: '-deletedAt',
+};
+
+/**
+ * Send 400 for an unknown trash type
+ * @returns {boolean} true when the type is valid
+ */
+const checkType = (res, type) => {
+  if (TRASH_TYPES[type]) return true;
+  res.status(400).json({
+    success: false,
+    message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}.`,
+  });
+  return false;
+};
+
+/**
+ * Get trashed items of one type
+ * GET /api/trash?type=requests|equipment|teams
+ * Access: Admin
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const { type = 'requests' } = req.query;
+    if (!checkType(res, type)) return;
+
+    const listQuery = parseListQuery(req.query, TRASH_LIST_OPTIONS);
+    if (listQuery.status) {
+      return res.status(listQuery.status).json({
+        success: false,
+        message: listQuery.message,
+      });
+    }
+
+    const { model, select, populate } = TRASH_TYPES[type];
+    const { data, pagination } = await findList(model, { deletedAt: { $ne: null } }, listQuery, {
+      select,
+      populate: [...populate, { path: 'deletedBy', select: 'name email' }],
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      ...pagination,
+      retentionDays: getRetentionDays(),
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a trashed item
+ * POST /api/trash/:type/:id/restore
+ * Access: Admin
+ */
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!checkType(res, type)) return;
+
+    const doc = await findTrashed(type, id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${TRASH_TYPES[type].label} not found in trash.`,
+      });
+    }
+
+    const refusal = await restoreItem(type, doc);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+      });
+    }
+
+    if (type === 'requests') {
+      await recordHistory(doc._id, 'restore', req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${TRASH_TYPES[type].label} restored successfully.`,
+      data: doc,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring item.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Permanently delete a trashed item
+ * DELETE /api/trash/:type/:id
+ * Access: Admin
+ */
+exports.purgeFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!checkType(res, type)) return;
+
+    const doc = await findTrashed(type, id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `${TRASH_TYPES[type].label} not found in trash.`,
+      });
+    }
+
+    const refusal = await purgeItem(type, doc);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${TRASH_TYPES[type].label} permanently deleted.`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error purging item.',
+      error: error.message,
+    });
+  }
+};
@@ -1,8 +1,19 @@
 const User = require('../models/User');
+const { parseListQuery, findList } = require('../utils/listQuery');
+
+const USER_LIST_OPTIONS = {
+  sortable: ['name', 'email', 'role', 'hourlyRate', 'isAvailable', 'dailyCapacityHours', 'createdAt'],
+  selectable: [
+    'name', 'email', 'role', 'team', 'avatar', 'hourlyRate', 'isAvailable', 'dailyCapacityHours',
+    'createdAt', 'updatedAt',
+  ],
+  defaultSort: 'name',
+};
 
 /**
  * Get all users with filters
  * GET /api/users?role=
+ * Supports page/limit or cursor pagination, sort and fields (see utils/listQuery.js)
  * Access: Admin, Manager
  */
 exports.getAllUsers = async (req, res) => {
@@ -12,15 +23,21 @@ exports.getAllUsers = async (req, res) => {
 
     if (role) filter.role = role;
 
-    const users = await User.find(filter)
-      .populate('team', 'teamName specialization')
-      .select('-password')
-      .sort({ name: 1 });
+    const listQuery = parseListQuery(req.query, USER_LIST_OPTIONS);
+    if (listQuery.status) {
+      return res.status(listQuery.status).json({ success: false, message: listQuery.message });
+    }
+
+    const { data, pagination } = await findList(User, filter, listQuery, {
+      populate: [{ path: 'team', select: 'teamName specialization' }],
+      select: '-password',
+    });
 
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users,
+      count: data.length,
+      ...pagination,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -40,7 +57,7 @@ exports.getTechnicians = async (req, res) => {
   try {
     const technicians = await User.find({ role: 'Technician' })
       .populate('team', 'teamName specialization')
-      .select('name email team')
+      .select('name email team dailyCapacityHours')
       .sort({ name: 1 });
 
     res.status(200).json({
@@ -56,3 +73,188 @@ exports.getTechnicians = async (req, res) => {
     });
   }
 };
+
+/**
+ * Set a user's labor rate
+ * PATCH /api/users/:id/hourly-rate
+ * Body: { hourlyRate }
+ * Access: Admin, Manager
+ * Only work logged afterwards uses the new rate
+ */
+exports.updateHourlyRate = async (req, res) => {
+  try {
+    const hourlyRate = Number(req.body.hourlyRate);
+
+    if (!Number.isFinite(hourlyRate) || hourlyRate < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hourly rate must be a non-negative number.',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { hourlyRate },
+      { new: true, runValidators: true }
+    )
+      .populate('team', 'teamName specialization')
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Hourly rate updated successfully.',
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating hourly rate.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Set the working hours per day a technician can be booked for
+ * PATCH /api/users/:id/capacity
+ * Body: { dailyCapacityHours }
+ * Access: Admin, Manager
+ */
+exports.updateCapacity = async (req, res) => {
+  try {
+    const dailyCapacityHours = Number(req.body.dailyCapacityHours);
+
+    if (!Number.isFinite(dailyCapacityHours) || dailyCapacityHours < 0 || dailyCapacityHours > 24) {
+      return res.status(400).json({
+        success: false,
+        message: 'Daily capacity must be between 0 and 24 hours.',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { dailyCapacityHours },
+      { new: true, runValidators: true }
+    )
+      .populate('team', 'teamName specialization')
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Daily capacity updated successfully.',
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating daily capacity.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark a user available or unavailable for automatic assignment
+ * PATCH /api/users/:id/availability
+ * Body: { isAvailable }
+ * Access: Admin, Manager
+ */
+exports.updateAvailability = async (req, res) => {
+  try {
+    const { isAvailable } = req.body;
+
+    if (typeof isAvailable !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isAvailable must be true or false.',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { isAvailable }, { new: true })
+      .populate('team', 'teamName specialization')
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} is now ${isAvailable ? 'available' : 'unavailable'} for assignment.`,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating availability.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deactivate or reactivate a user account
+ * Deactivated users cannot sign in, use the API or read their calendar feed
+ * PATCH /api/users/:id/active
+ * Body: { isActive }
+ * Access: Admin
+ */
+exports.updateActive = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false.',
+      });
+    }
+
+    if (!isActive && req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account.',
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive }, { new: true })
+      .populate('team', 'teamName specialization')
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} is now ${isActive ? 'active' : 'deactivated'}.`,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating account status.',
+      error: error.message,
+    });
+  }
+};
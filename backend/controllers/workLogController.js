@@ -0,0 +1,343 @@
+const WorkLog = require('../models/WorkLog');
+const User = require('../models/User');
+const { syncRequestDuration } = require('../utils/workLogs');
+const { canWorkOnRequest, findAccessibleRequest } = require('../utils/requestVisibility');
+
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+// Request fields the work log checks read
+const REQUEST_FIELDS = 'assignedTechnician stage';
+
+const canEditLog = (log, user) => {
+  return log.technician.toString() === user._id.toString() || ['Admin', 'Manager'].includes(user.role);
+};
+
+/**
+ * Send 400 for validation errors, 409 for a second running timer, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Technician already has a running timer. Stop it first.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+const populateLog = (log) => log.populate('technician', 'name email');
+
+/**
+ * Get work logs for a request
+ * GET /api/requests/:id/worklogs
+ * Access: All authenticated users (with role-based visibility)
+ */
+exports.getWorkLogs = async (req, res) => {
+  try {
+    const { status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const logs = await WorkLog.find({ request: req.params.id })
+      .populate('technician', 'name email')
+      .sort({ startedAt: 1 });
+
+    const totalHours = logs.reduce((sum, log) => sum + log.durationHours, 0);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      totalHours: Math.round(totalHours * 100) / 100,
+      data: logs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching work logs.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start a timer on a request for the current user
+ * POST /api/requests/:id/worklogs/start
+ * Body: { notes }
+ * Access: Admin, Manager, assigned or team Technician
+ */
+exports.startTimer = async (req, res) => {
+  try {
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!canWorkOnRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to log work on this request.',
+      });
+    }
+
+    if (CLOSED_STAGES.includes(request.stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start a timer on a ${request.stage} request.`,
+      });
+    }
+
+    const running = await WorkLog.findOne({ technician: req.user._id, endedAt: null }).select('request');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a running timer. Stop it first.',
+        runningRequest: running.request,
+      });
+    }
+
+    const log = await WorkLog.create({
+      request: request._id,
+      technician: req.user._id,
+      startedAt: new Date(),
+      notes: req.body.notes || '',
+      createdBy: req.user._id,
+    });
+    await populateLog(log);
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started.',
+      data: log,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error starting timer.');
+  }
+};
+
+/**
+ * Stop the current user's running timer on a request
+ * POST /api/requests/:id/worklogs/stop
+ * Body: { notes }
+ * Access: Technician who started the timer
+ */
+exports.stopTimer = async (req, res) => {
+  try {
+    const log = await WorkLog.findOne({
+      request: req.params.id,
+      technician: req.user._id,
+      endedAt: null,
+    });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'No running timer on this request.',
+      });
+    }
+
+    log.endedAt = new Date();
+    if (req.body.notes !== undefined) log.notes = req.body.notes;
+    await log.save();
+
+    const durationHours = await syncRequestDuration(log.request, req.user._id);
+    await populateLog(log);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped.',
+      data: log,
+      durationHours,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error stopping timer.');
+  }
+};
+
+/**
+ * Add a finished work log entry
+ * POST /api/requests/:id/worklogs
+ * Body: { startedAt, endedAt, notes, technician }
+ * Access: Admin, Manager, assigned or team Technician
+ * Only Admin and Manager can log time for another technician
+ */
+exports.addWorkLog = async (req, res) => {
+  try {
+    const { startedAt, endedAt, notes, technician } = req.body;
+
+    if (!startedAt || !endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end times are required.',
+      });
+    }
+
+    if (new Date(endedAt) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work cannot be logged in the future.',
+      });
+    }
+
+    const { request, status, message } = await findAccessibleRequest(req.params.id, req.user, REQUEST_FIELDS);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!canWorkOnRequest(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to log work on this request.',
+      });
+    }
+
+    let technicianId = req.user._id;
+    if (technician && technician.toString() !== req.user._id.toString()) {
+      if (!['Admin', 'Manager'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only log your own work.',
+        });
+      }
+      const technicianUser = await User.findOne({ _id: technician, role: 'Technician' }).select('_id');
+      if (!technicianUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Technician not found.',
+        });
+      }
+      technicianId = technicianUser._id;
+    }
+
+    const log = await WorkLog.create({
+      request: request._id,
+      technician: technicianId,
+      startedAt,
+      endedAt,
+      notes: notes || '',
+      createdBy: req.user._id,
+    });
+
+    const durationHours = await syncRequestDuration(request._id, req.user._id);
+    await populateLog(log);
+
+    res.status(201).json({
+      success: true,
+      message: 'Work logged successfully.',
+      data: log,
+      durationHours,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error adding work log.');
+  }
+};
+
+/**
+ * Edit a work log entry
+ * PUT /api/requests/:id/worklogs/:logId
+ * Body: { startedAt, endedAt, notes }
+ * Access: Log technician, Admin, Manager
+ */
+exports.updateWorkLog = async (req, res) => {
+  try {
+    const log = await WorkLog.findOne({ _id: req.params.logId, request: req.params.id });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work log not found.',
+      });
+    }
+
+    if (!canEditLog(log, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own work logs.',
+      });
+    }
+
+    const { startedAt, endedAt, notes } = req.body;
+
+    // Running timers are finished with the stop endpoint
+    if (!log.endedAt && endedAt !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the running timer instead of setting its end time.',
+      });
+    }
+
+    if (endedAt && new Date(endedAt) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work cannot be logged in the future.',
+      });
+    }
+
+    if (startedAt !== undefined) log.startedAt = startedAt;
+    if (endedAt !== undefined) log.endedAt = endedAt;
+    if (notes !== undefined) log.notes = notes;
+    await log.save();
+
+    const durationHours = await syncRequestDuration(log.request, req.user._id);
+    await populateLog(log);
+
+    res.status(200).json({
+      success: true,
+      message: 'Work log updated successfully.',
+      data: log,
+      durationHours,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating work log.');
+  }
+};
+
+/**
+ * Delete a work log entry
+ * DELETE /api/requests/:id/worklogs/:logId
+ * Access: Log technician, Admin, Manager
+ */
+exports.deleteWorkLog = async (req, res) => {
+  try {
+    const log = await WorkLog.findOne({ _id: req.params.logId, request: req.params.id });
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work log not found.',
+      });
+    }
+
+    if (!canEditLog(log, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own work logs.',
+      });
+    }
+
+    await log.deleteOne();
+    const durationHours = await syncRequestDuration(log.request, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Work log deleted successfully.',
+      durationHours,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting work log.',
+      error: error.message,
+    });
+  }
+};
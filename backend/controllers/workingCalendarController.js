@@ -0,0 +1,215 @@
+const WorkingCalendar = require('../models/WorkingCalendar');
+const Equipment = require('../models/Equipment');
+const { refreshOpenRequests } = require('../utils/workingCalendars');
+
+const calendarPopulate = { path: 'maintenanceTeam', select: 'teamName specialization' };
+
+/**
+ * Normalize optional scope fields so "all teams/sites" is stored as null
+ */
+const buildCalendarData = (body) => {
+  const data = { ...body };
+  if ('maintenanceTeam' in data) data.maintenanceTeam = data.maintenanceTeam || null;
+  if ('location' in data) data.location = data.location?.trim() || null;
+  if (Array.isArray(data.workingDays)) {
+    data.workingDays = [...new Set(data.workingDays.map(Number))].sort((a, b) => a - b);
+  }
+  return data;
+};
+
+/**
+ * Send 400 for validation and duplicate-scope errors, 500 otherwise
+ */
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A calendar for this team and site already exists.',
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Create working calendar
+ * Open requests are re-matched to the calendars
+ * POST /api/working-calendars
+ * Body: { name, maintenanceTeam, location, timezone, workingDays, workStart, workEnd, holidays, isActive }
+ * Access: Admin, Manager
+ */
+exports.createCalendar = async (req, res) => {
+  try {
+    const calendar = await WorkingCalendar.create(buildCalendarData(req.body));
+    const refreshedRequests = await refreshOpenRequests();
+    await calendar.populate(calendarPopulate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Working calendar created successfully.',
+      refreshedRequests,
+      data: calendar,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error creating working calendar.');
+  }
+};
+
+/**
+ * Get all working calendars
+ * GET /api/working-calendars?teamId=&location=&isActive=
+ * Access: All authenticated users
+ */
+exports.getAllCalendars = async (req, res) => {
+  try {
+    const { teamId, location, isActive } = req.query;
+    const filter = {};
+
+    if (teamId) filter.maintenanceTeam = teamId;
+    if (location) filter.location = location;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const calendars = await WorkingCalendar.find(filter)
+      .populate(calendarPopulate)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: calendars.length,
+      data: calendars,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching working calendars.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the sites a calendar can apply to (equipment locations in use)
+ * GET /api/working-calendars/sites
+ * Access: All authenticated users
+ */
+exports.getSites = async (req, res) => {
+  try {
+    const sites = (await Equipment.distinct('location')).filter(Boolean).sort();
+
+    res.status(200).json({
+      success: true,
+      count: sites.length,
+      data: sites,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sites.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get single working calendar
+ * GET /api/working-calendars/:id
+ * Access: All authenticated users
+ */
+exports.getCalendarById = async (req, res) => {
+  try {
+    const calendar = await WorkingCalendar.findById(req.params.id).populate(calendarPopulate);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Working calendar not found.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: calendar,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching working calendar.',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update working calendar
+ * Open requests are re-matched; SLA due times already stamped are not changed
+ * PUT /api/working-calendars/:id
+ * Access: Admin, Manager
+ */
+exports.updateCalendar = async (req, res) => {
+  try {
+    const calendar = await WorkingCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Working calendar not found.',
+      });
+    }
+
+    Object.assign(calendar, buildCalendarData(req.body));
+    await calendar.save();
+    const refreshedRequests = await refreshOpenRequests();
+    await calendar.populate(calendarPopulate);
+
+    res.status(200).json({
+      success: true,
+      message: 'Working calendar updated successfully.',
+      refreshedRequests,
+      data: calendar,
+    });
+  } catch (error) {
+    handleWriteError(res, error, 'Error updating working calendar.');
+  }
+};
+
+/**
+ * Delete working calendar
+ * Its open requests fall back to the next matching calendar
+ * DELETE /api/working-calendars/:id
+ * Access: Admin, Manager
+ */
+exports.deleteCalendar = async (req, res) => {
+  try {
+    const calendar = await WorkingCalendar.findByIdAndDelete(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Working calendar not found.',
+      });
+    }
+
+    const refreshedRequests = await refreshOpenRequests();
+
+    res.status(200).json({
+      success: true,
+      message: 'Working calendar deleted successfully.',
+      refreshedRequests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting working calendar.',
+      error: error.message,
+    });
+  }
+};
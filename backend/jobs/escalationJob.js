@@ -0,0 +1,38 @@
+const { runEscalations } = require('../utils/escalations');
+
+/**
+ * Escalation Job
+ * Applies escalation rules to requests that sit in New or stay overdue for too long
+ */
+
+/**
+ * Start the background escalation check
+ * Interval is set with ESCALATION_INTERVAL_MINUTES (default 15, 0 disables)
+ */
+const startEscalationJob = () => {
+  const minutes = Number(process.env.ESCALATION_INTERVAL_MINUTES ?? 15);
+  if (!minutes) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runEscalations();
+      if (summary.escalated > 0) {
+        console.log(`🚨 Escalated ${summary.escalated} request(s) using ${summary.rules} rule(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Escalation job error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, minutes * 60 * 1000);
+};
+
+module.exports = {
+  startEscalationJob,
+};
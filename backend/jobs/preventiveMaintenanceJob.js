@@ -0,0 +1,152 @@
+const MaintenancePlan = require('../models/MaintenancePlan');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { getOccurrences, getNextOccurrence, startOfDay } = require('../utils/planSchedule');
+const { snapshot, diff, recordHistory } = require('../utils/requestHistory');
+const { applySlaPolicy } = require('../utils/sla');
+const { applyWorkingCalendar } = require('../utils/workingCalendars');
+const { autoAssignTechnician } = require('../utils/technicianAssignment');
+const { applyChecklistTemplate } = require('../utils/checklists');
+
+/**
+ * Preventive Maintenance Generator
+ * Creates Preventive requests from active maintenance plans ahead of their due dates
+ */
+
+/**
+ * Generate upcoming requests for a single plan
+ * Plans on inactive equipment are paused: nothing is generated and missed
+ * occurrences are not back-filled once the equipment is active again
+ * @param {Object} plan - MaintenancePlan document with equipment populated
+ * @param {Date} now - Reference time
+ * @returns {Object} { created, skipped, paused }
+ */
+const generateForPlan = async (plan, now) => {
+  const result = { created: 0, skipped: 0, paused: false };
+  const equipment = plan.equipment;
+
+  if (!equipment || !equipment.isActive) {
+    result.paused = true;
+    return result;
+  }
+
+  const today = startOfDay(now);
+  const windowEnd = new Date(today);
+  windowEnd.setUTCDate(today.getUTCDate() + plan.leadTimeDays);
+  const from = plan.nextDueDate && plan.nextDueDate > today ? plan.nextDueDate : today;
+
+  for (const scheduledDate of getOccurrences(plan, from, windowEnd)) {
+    const exists = await MaintenanceRequest.exists({ maintenancePlan: plan._id, scheduledDate });
+    if (exists) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      const request = new MaintenanceRequest({
+        subject: plan.title,
+        description: plan.description,
+        equipment: equipment._id,
+        equipmentCategory: equipment.category,
+        maintenanceTeam: equipment.maintenanceTeam,
+        requestType: 'Preventive',
+        priority: plan.priority,
+        scheduledDate,
+        estimatedHours: plan.estimatedDurationHours,
+        assignedTechnician: plan.assignedTechnician,
+        createdBy: plan.createdBy,
+        maintenancePlan: plan._id,
+      });
+      if (plan.assignedTechnician) {
+        request.assignment = { method: 'manual', reason: 'Technician set on the maintenance plan.' };
+      } else {
+        await autoAssignTechnician(request, { defaultTechnicianId: equipment.defaultTechnician });
+      }
+      await applyWorkingCalendar(request);
+      await applySlaPolicy(request);
+      await applyChecklistTemplate(request);
+      await request.save();
+      await recordHistory(request._id, 'create', plan.createdBy, diff({}, snapshot(request)));
+      result.created += 1;
+    } catch (error) {
+      // Another run created the same occurrence first
+      if (error.code === 11000) {
+        result.skipped += 1;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  const dayAfterWindow = new Date(windowEnd);
+  dayAfterWindow.setUTCDate(windowEnd.getUTCDate() + 1);
+  plan.nextDueDate = getNextOccurrence(plan, dayAfterWindow);
+  if (result.created > 0) {
+    plan.lastGeneratedAt = now;
+  }
+  await plan.save();
+
+  return result;
+};
+
+/**
+ * Run generation for all active plans (or a single plan)
+ * @param {Object} options - { now, planId }
+ * @returns {Object} Summary { plans, created, skipped, paused }
+ */
+const runPreventiveMaintenanceGeneration = async ({ now = new Date(), planId } = {}) => {
+  const filter = { isActive: true };
+  if (planId) filter._id = planId;
+
+  const plans = await MaintenancePlan.find(filter).populate(
+    'equipment',
+    'category maintenanceTeam defaultTechnician isActive'
+  );
+
+  const summary = { plans: plans.length, created: 0, skipped: 0, paused: 0 };
+  for (const plan of plans) {
+    try {
+      const result = await generateForPlan(plan, now);
+      summary.created += result.created;
+      summary.skipped += result.skipped;
+      if (result.paused) summary.paused += 1;
+    } catch (error) {
+      console.error(`❌ Preventive generation failed for plan ${plan._id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start the background generator
+ * Interval is set with PLAN_GENERATOR_INTERVAL_MINUTES (default 60, 0 disables)
+ */
+const startPreventiveMaintenanceJob = () => {
+  const minutes = Number(process.env.PLAN_GENERATOR_INTERVAL_MINUTES ?? 60);
+  if (!minutes) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runPreventiveMaintenanceGeneration();
+      if (summary.created > 0) {
+        console.log(`🗓️  Generated ${summary.created} preventive request(s) from ${summary.plans} plan(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Preventive maintenance job error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, minutes * 60 * 1000);
+};
+
+module.exports = {
+  generateForPlan,
+  runPreventiveMaintenanceGeneration,
+  startPreventiveMaintenanceJob,
+};
@@ -0,0 +1,42 @@
+const { getRetentionDays, purgeExpiredTrash } = require('../utils/trash');
+
+/**
+ * Trash Purge Job
+ * Permanently deletes requests, equipment and teams that stayed in the trash
+ * longer than TRASH_RETENTION_DAYS
+ */
+
+const INTERVAL_MINUTES = 60;
+
+/**
+ * Start the background purge
+ * Does nothing when TRASH_RETENTION_DAYS is 0
+ */
+const startTrashPurgeJob = () => {
+  if (!getRetentionDays()) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { purged, kept } = await purgeExpiredTrash();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      const skipped = Object.values(kept).reduce((sum, count) => sum + count, 0);
+      if (total > 0 || skipped > 0) {
+        console.log(`🗑️  Purged ${total} item(s) from the trash, kept ${skipped} still in use`);
+      }
+    } catch (error) {
+      console.error(`❌ Trash purge job error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  startTrashPurgeJob,
+};
@@ -30,6 +30,13 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.',
+      });
+    }
+
     // Attach user to request object
     req.user = user;
     next();
@@ -0,0 +1,59 @@
+const multer = require('multer');
+
+/**
+ * File Upload Middleware
+ * Parses multipart uploads into memory and enforces size/type limits
+ */
+
+const MAX_FILE_SIZE_MB = Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10;
+const MAX_FILES = 10;
+
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed.`;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept up to MAX_FILES files in the "files" field
+ * Upload errors are returned as 400 responses
+ */
+const uploadFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (!error) return next();
+
+    let message = error.message;
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `File too large. Maximum size is ${MAX_FILE_SIZE_MB} MB.`;
+    } else if (error.code === 'LIMIT_FILE_COUNT') {
+      message = `Too many files. Maximum is ${MAX_FILES} per upload.`;
+    }
+
+    res.status(400).json({
+      success: false,
+      message,
+    });
+  });
+};
+
+module.exports = { uploadFiles, ALLOWED_MIME_TYPES, MAX_FILE_SIZE_MB };
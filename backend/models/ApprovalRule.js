@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApprovalRule Schema
+ * Requests raised by the User role that match a rule wait in Pending Approval
+ * until a Manager or the team lead approves them
+ * A rule applies to a team and/or equipment category; leaving both empty gates every request
+ */
+const approvalRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    // Leave empty to apply to all teams
+    maintenanceTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceTeam',
+      default: null,
+    },
+    // Leave empty to apply to all categories
+    equipmentCategory: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+approvalRuleSchema.index({ isActive: 1 });
+// Only one rule per team/category combination
+approvalRuleSchema.index({ maintenanceTeam: 1, equipmentCategory: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApprovalRule', approvalRuleSchema);
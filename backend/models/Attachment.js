@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Schema
+ * Photos and files attached to maintenance requests or equipment
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: {
+        values: ['MaintenanceRequest', 'Equipment'],
+        message: '{VALUE} is not a valid attachment target',
+      },
+      required: [true, 'Entity type is required'],
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'entityType',
+      required: [true, 'Entity is required'],
+    },
+    originalName: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: [true, 'MIME type is required'],
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: [0, 'File size cannot be negative'],
+    },
+    // Storage driver and keys used to locate the file
+    storageDriver: {
+      type: String,
+      default: 'local',
+    },
+    storageKey: {
+      type: String,
+      required: [true, 'Storage key is required'],
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Uploader is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+attachmentSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// Virtual for image detection
+attachmentSchema.virtual('isImage').get(function () {
+  return this.mimeType.startsWith('image/');
+});
+
+// Ensure virtuals are included in JSON
+attachmentSchema.set('toJSON', { virtuals: true });
+attachmentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
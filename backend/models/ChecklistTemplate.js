@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChecklistTemplate Schema
+ * Ordered steps copied onto new maintenance requests
+ * A template applies to one equipment or to an equipment category; a template for
+ * specific equipment beats one for its category, which beats one with neither set
+ */
+const checklistTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Leave empty to apply by category
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+      default: null,
+    },
+    // Leave empty to apply to all categories
+    equipmentCategory: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Steps in the order they are performed
+    items: {
+      type: [
+        {
+          _id: false,
+          label: {
+            type: String,
+            required: [true, 'Step label is required'],
+            trim: true,
+          },
+          required: {
+            type: Boolean,
+            default: true,
+          },
+          // Reading steps record a measured value, e.g. 4.5 bar ± 0.5
+          expectedValue: {
+            type: Number,
+            default: null,
+          },
+          tolerance: {
+            type: Number,
+            min: [0, 'Tolerance cannot be negative'],
+            default: 0,
+          },
+          unit: {
+            type: String,
+            trim: true,
+            default: '',
+          },
+        },
+      ],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: 'A checklist template needs at least one step',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+checklistTemplateSchema.index({ isActive: 1 });
+// Only one template per equipment/category combination
+checklistTemplateSchema.index({ equipment: 1, equipmentCategory: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * Disposal Schema
+ * Proposal to scrap a piece of equipment; an Admin or Manager approves it before the equipment is retired
+ * An approved disposal can be reversed, which puts the equipment back into service
+ * Every step is kept in events as the audit trail
+ */
+const disposalSchema = new mongoose.Schema(
+  {
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+      required: [true, 'Equipment is required'],
+    },
+    // Request the disposal was proposed from, if any
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Disposal reason is required'],
+      trim: true,
+    },
+    method: {
+      type: String,
+      enum: {
+        values: ['Sale', 'Recycling', 'Donation', 'Trade-In', 'Return to Vendor', 'Landfill', 'Other'],
+        message: '{VALUE} is not a valid disposal method',
+      },
+      required: [true, 'Disposal method is required'],
+    },
+    salvageValue: {
+      type: Number,
+      min: [0, 'Salvage value cannot be negative'],
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['Pending', 'Approved', 'Rejected', 'Reversed'],
+        message: '{VALUE} is not a valid disposal status',
+      },
+      default: 'Pending',
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Proposed by user is required'],
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Date the equipment leaves service; set on approval when not proposed
+    disposedAt: {
+      type: Date,
+      default: null,
+    },
+    // Open requests closed when the disposal was approved
+    closedRequests: [
+      {
+        request: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'MaintenanceRequest',
+        },
+        stageFrom: String,
+      },
+    ],
+    // Audit trail
+    events: [
+      {
+        action: {
+          type: String,
+          enum: {
+            values: ['propose', 'approve', 'reject', 'reverse'],
+            message: '{VALUE} is not a valid disposal action',
+          },
+          required: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        note: {
+          type: String,
+          trim: true,
+          default: '',
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+disposalSchema.index({ equipment: 1, status: 1 });
+disposalSchema.index({ status: 1, createdAt: -1 });
+disposalSchema.index({ proposedBy: 1, 'events.at': 1 });
+
+module.exports = mongoose.model('Disposal', disposalSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 /**
  * Equipment Schema
@@ -31,6 +32,11 @@ const equipmentSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    purchaseCost: {
+      type: Number,
+      min: [0, 'Purchase cost cannot be negative'],
+      default: 0,
+    },
     location: {
       type: String,
       trim: true,
@@ -93,10 +99,18 @@ const equipmentSchema = new mongoose.Schema(
   }
 );
 
+// Deleted documents stay in the trash until restored or purged
+equipmentSchema.plugin(softDelete);
+
 // Indexes for better query performance
 equipmentSchema.index({ category: 1 });
 equipmentSchema.index({ isActive: 1 });
 equipmentSchema.index({ maintenanceTeam: 1 });
+// Text index for global search
+equipmentSchema.index(
+  { equipmentName: 'text', serialNumber: 'text', location: 'text' },
+  { weights: { equipmentName: 10, serialNumber: 10, location: 3 }, name: 'equipment_text' }
+);
 
 // Virtual for warranty status
 equipmentSchema.virtual('isUnderWarranty').get(function () {
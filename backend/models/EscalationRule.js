@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * EscalationRule Schema
+ * Escalates open requests that sit in New or stay overdue for too long
+ * The escalation job applies each rule at most once per request
+ * A rule applies to a priority and/or team; leaving both empty matches every request
+ */
+const escalationRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    // Untouched: still New since it was created (or approved); Overdue: past its scheduled date
+    condition: {
+      type: String,
+      enum: {
+        values: ['Untouched', 'Overdue'],
+        message: '{VALUE} is not a valid escalation condition',
+      },
+      required: [true, 'Condition is required'],
+    },
+    // Hours the condition must hold before the rule fires
+    afterHours: {
+      type: Number,
+      required: [true, 'Hours are required'],
+      min: [0, 'Hours cannot be negative'],
+    },
+    // Leave empty to apply to all priorities
+    priority: {
+      type: String,
+      enum: {
+        values: ['Low', 'Medium', 'High', 'Urgent'],
+        message: '{VALUE} is not a valid priority',
+      },
+      default: null,
+    },
+    // Leave empty to apply to all teams
+    maintenanceTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceTeam',
+      default: null,
+    },
+    // Escalation level recorded on the request (requests keep their highest level)
+    level: {
+      type: Number,
+      required: [true, 'Escalation level is required'],
+      min: [1, 'Escalation level must be at least 1'],
+      max: [5, 'Escalation level cannot exceed 5'],
+    },
+    // Actions
+    bumpPriority: {
+      type: Boolean,
+      default: false,
+    },
+    notifyTeamLead: {
+      type: Boolean,
+      default: false,
+    },
+    notifyRoles: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: ['Admin', 'Manager'],
+            message: '{VALUE} is not a valid role to notify',
+          },
+        },
+      ],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+escalationRuleSchema.index({ isActive: 1, level: 1 });
+
+module.exports = mongoose.model('EscalationRule', escalationRuleSchema);
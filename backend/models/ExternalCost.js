@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExternalCost Schema
+ * Contractor invoices, rentals and other costs of a maintenance request
+ * that are not technician labor or stocked parts
+ */
+const externalCostSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      required: [true, 'Request is required'],
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    vendor: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative'],
+    },
+    incurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+externalCostSchema.index({ request: 1, incurredAt: 1 });
+
+module.exports = mongoose.model('ExternalCost', externalCostSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * MaintenancePlan Schema
+ * Recurring preventive maintenance schedule attached to equipment
+ */
+const maintenancePlanSchema = new mongoose.Schema(
+  {
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+      required: [true, 'Equipment is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Plan title is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: ['Low', 'Medium', 'High', 'Urgent'],
+        message: '{VALUE} is not a valid priority',
+      },
+      default: 'Medium',
+    },
+    // Schedule: every `interval` days/weeks/months/years, optionally on specific days
+    frequency: {
+      type: String,
+      enum: {
+        values: ['daily', 'weekly', 'monthly', 'yearly'],
+        message: '{VALUE} is not a valid frequency',
+      },
+      required: [true, 'Frequency is required'],
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Interval must be at least 1'],
+      default: 1,
+    },
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // How many days ahead of the due date requests are generated
+    leadTimeDays: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative'],
+      default: 7,
+    },
+    estimatedDurationHours: {
+      type: Number,
+      min: [0, 'Duration cannot be negative'],
+      default: 0,
+    },
+    // Overrides the equipment's default technician when set
+    assignedTechnician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Generation progress: occurrences before this date have been handled
+    nextDueDate: {
+      type: Date,
+      default: null,
+    },
+    lastGeneratedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+maintenancePlanSchema.index({ equipment: 1 });
+maintenancePlanSchema.index({ isActive: 1, nextDueDate: 1 });
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 /**
  * MaintenanceRequest Schema
@@ -54,16 +55,56 @@ const maintenanceRequestSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Working calendar stamped from the team and equipment site (see utils/workingCalendars.js)
+    // null uses the default calendar (every hour counts)
+    workingCalendar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkingCalendar',
+      default: null,
+    },
+    // Start of the first working day after the scheduled day
+    overdueAt: {
+      type: Date,
+      default: null,
+    },
     assignedTechnician: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       default: null,
     },
+    // How the technician was chosen
+    assignment: {
+      method: {
+        type: String,
+        enum: {
+          values: ['manual', 'default', 'round-robin', 'least-loaded'],
+          message: '{VALUE} is not a valid assignment method',
+        },
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+    },
+    // Planned effort, e.g. from a maintenance plan
+    estimatedHours: {
+      type: Number,
+      min: [0, 'Estimated hours cannot be negative'],
+      default: 0,
+    },
+    // Actual effort: sum of finished work logs (see utils/workLogs.js)
     durationHours: {
       type: Number,
       min: [0, 'Duration cannot be negative'],
       default: 0,
     },
+    // Rolled up from work logs, consumed parts and external costs (see utils/requestCosts.js)
+    costs: {
+      labor: { type: Number, default: 0 },
+      parts: { type: Number, default: 0 },
+      external: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
     description: {
       type: String,
       trim: true,
@@ -79,34 +120,367 @@ const maintenanceRequestSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Created by user is required'],
     },
+    // Users following the request, e.g. reporters of the same breakdown
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Set when generated from a preventive maintenance plan
+    maintenancePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenancePlan',
+      default: null,
+    },
+    // Links to other requests (see utils/requestLinks.js)
+    parentRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      default: null,
+    },
+    // Cannot start until these requests are Repaired
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceRequest',
+      },
+    ],
+    // Stored on one side only; look up both directions
+    relatedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenanceRequest',
+      },
+    ],
+    // Rolled up from the child requests
+    subtasks: {
+      total: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+    },
+    // Approval gate for requests raised by the User role (see utils/approvals.js)
+    approval: {
+      status: {
+        type: String,
+        enum: {
+          values: ['Not Required', 'Pending', 'Approved', 'Rejected'],
+          message: '{VALUE} is not a valid approval status',
+        },
+        default: 'Not Required',
+      },
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApprovalRule',
+        default: null,
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      decidedAt: {
+        type: Date,
+        default: null,
+      },
+      // Required when rejecting
+      reason: {
+        type: String,
+        trim: true,
+        default: '',
+      },
+    },
+    // Raised by the escalation job (see utils/escalations.js)
+    escalation: {
+      // Highest level reached; 0 = never escalated
+      level: {
+        type: Number,
+        default: 0,
+      },
+      escalatedAt: {
+        type: Date,
+        default: null,
+      },
+      events: [
+        {
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EscalationRule',
+          },
+          ruleName: String,
+          condition: String,
+          level: Number,
+          priorityFrom: String,
+          priorityTo: String,
+          // Who was told about it
+          notifyTeamLead: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          notifyRoles: [String],
+          escalatedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+    // Reopened after being Repaired (see utils/reopens.js)
+    reopen: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      lastReopenedAt: {
+        type: Date,
+        default: null,
+      },
+      events: [
+        {
+          reason: {
+            type: String,
+            required: [true, 'Reopen reason is required'],
+            trim: true,
+          },
+          reopenedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          reopenedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          // When the failed repair was finished and who did it
+          repairedAt: Date,
+          technician: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          hoursSinceRepair: Number,
+        },
+      ],
+    },
+    // Requester's rating of the repair, asked for on every move to Repaired (see utils/feedback.js)
+    feedback: {
+      status: {
+        type: String,
+        enum: {
+          values: ['Not Requested', 'Pending', 'Submitted'],
+          message: '{VALUE} is not a valid feedback status',
+        },
+        default: 'Not Requested',
+      },
+      requestedAt: {
+        type: Date,
+        default: null,
+      },
+      responses: [
+        {
+          rating: {
+            type: Number,
+            required: [true, 'Rating is required'],
+            min: [1, 'Rating must be at least 1'],
+            max: [5, 'Rating cannot exceed 5'],
+          },
+          comment: {
+            type: String,
+            trim: true,
+            default: '',
+          },
+          // false when the requester says the fix did not work (the request is reopened)
+          fixAccepted: {
+            type: Boolean,
+            default: true,
+          },
+          // Technician who did the rated repair
+          technician: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          submittedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+    // Steps copied from the matching ChecklistTemplate (see utils/checklists.js)
+    checklist: {
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChecklistTemplate',
+        default: null,
+      },
+      items: [
+        {
+          label: {
+            type: String,
+            required: [true, 'Step label is required'],
+            trim: true,
+          },
+          required: {
+            type: Boolean,
+            default: true,
+          },
+          expectedValue: {
+            type: Number,
+            default: null,
+          },
+          tolerance: {
+            type: Number,
+            default: 0,
+          },
+          unit: {
+            type: String,
+            default: '',
+          },
+          isDone: {
+            type: Boolean,
+            default: false,
+          },
+          // Measured value for reading steps
+          reading: {
+            type: Number,
+            default: null,
+          },
+          // Set when the reading is outside expectedValue ± tolerance
+          outOfTolerance: {
+            type: Boolean,
+            default: false,
+          },
+          note: {
+            type: String,
+            trim: true,
+            default: '',
+          },
+          completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          completedAt: {
+            type: Date,
+            default: null,
+          },
+        },
+      ],
+    },
+    // SLA targets stamped from the matching SlaPolicy (see utils/sla.js)
+    sla: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlaPolicy',
+        default: null,
+      },
+      responseDueAt: {
+        type: Date,
+        default: null,
+      },
+      resolutionDueAt: {
+        type: Date,
+        default: null,
+      },
+      // First move to In Progress
+      respondedAt: {
+        type: Date,
+        default: null,
+      },
+      // Move to Repaired
+      resolvedAt: {
+        type: Date,
+        default: null,
+      },
+      responseBreached: {
+        type: Boolean,
+        default: false,
+      },
+      resolutionBreached: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Deleted documents stay in the trash until restored or purged
+maintenanceRequestSchema.plugin(softDelete);
+
 // Indexes for better query performance
 maintenanceRequestSchema.index({ equipment: 1 });
 maintenanceRequestSchema.index({ stage: 1 });
 maintenanceRequestSchema.index({ scheduledDate: 1 });
+maintenanceRequestSchema.index({ overdueAt: 1 });
 maintenanceRequestSchema.index({ maintenanceTeam: 1 });
 maintenanceRequestSchema.index({ assignedTechnician: 1 });
 maintenanceRequestSchema.index({ createdBy: 1 });
+maintenanceRequestSchema.index({ watchers: 1 });
+maintenanceRequestSchema.index({ 'sla.resolutionDueAt': 1 });
+maintenanceRequestSchema.index({ 'approval.status': 1 });
+maintenanceRequestSchema.index({ createdBy: 1, 'approval.decidedAt': 1 });
+maintenanceRequestSchema.index({ 'escalation.events.escalatedAt': 1 });
+maintenanceRequestSchema.index({ 'reopen.events.reopenedAt': 1 });
+maintenanceRequestSchema.index({ createdBy: 1, 'feedback.status': 1 });
+maintenanceRequestSchema.index({ 'feedback.responses.submittedAt': 1 });
+maintenanceRequestSchema.index({ parentRequest: 1 });
+maintenanceRequestSchema.index({ blockedBy: 1 });
+maintenanceRequestSchema.index({ relatedTo: 1 });
+// Text index for global search
+maintenanceRequestSchema.index(
+  { subject: 'text', description: 'text', resolutionNotes: 'text' },
+  { weights: { subject: 10, description: 4, resolutionNotes: 2 }, name: 'request_text' }
+);
+// One generated request per plan occurrence
+maintenanceRequestSchema.index(
+  { maintenancePlan: 1, scheduledDate: 1 },
+  { unique: true, partialFilterExpression: { maintenancePlan: { $type: 'objectId' } } }
+);
 
 // Virtual for computing overdue status
 maintenanceRequestSchema.virtual('isOverdue').get(function () {
   // Only consider overdue if there's a scheduled date and stage is not completed
   if (!this.scheduledDate) return false;
   if (this.stage === 'Repaired' || this.stage === 'Scrap') return false;
-  
+  if (this.overdueAt) return this.overdueAt <= new Date();
+
+  // Requests not stamped with a working calendar yet: overdue from the UTC midnight after the scheduled day
   const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  today.setUTCHours(0, 0, 0, 0);
   const scheduled = new Date(this.scheduledDate);
-  scheduled.setHours(0, 0, 0, 0);
-  
+  scheduled.setUTCHours(0, 0, 0, 0);
+
   return scheduled < today;
 });
 
+// Virtual for live SLA breach status
+// Stored flags cover reached milestones; open milestones are breached once past due
+maintenanceRequestSchema.virtual('isSlaBreached').get(function () {
+  const sla = this.sla;
+  if (!sla || !sla.policy) return false;
+  if (sla.responseBreached || sla.resolutionBreached) return true;
+  if (this.stage === 'Scrap') return false;
+
+  const now = new Date();
+  if (!sla.respondedAt && sla.responseDueAt && sla.responseDueAt < now) return true;
+  if (!sla.resolvedAt && sla.resolutionDueAt && sla.resolutionDueAt < now) return true;
+  return false;
+});
+
+// Requesters see their own requests and the ones they watch
+maintenanceRequestSchema.methods.isRequesterOrWatcher = function (userId) {
+  const id = userId.toString();
+  const creatorId = (this.createdBy?._id || this.createdBy)?.toString();
+  return creatorId === id || (this.watchers || []).some((watcher) => (watcher._id || watcher).toString() === id);
+};
+
 // Ensure virtuals are included in JSON
 maintenanceRequestSchema.set('toJSON', { virtuals: true });
 maintenanceRequestSchema.set('toObject', { virtuals: true });
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 /**
  * MaintenanceTeam Schema
@@ -28,12 +29,36 @@ const maintenanceTeamSchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // How new requests without a chosen technician are assigned
+    assignmentStrategy: {
+      type: String,
+      enum: {
+        values: ['default', 'round-robin', 'least-loaded'],
+        message: '{VALUE} is not a valid assignment strategy',
+      },
+      default: 'default',
+    },
+    // Last technician picked by the round-robin rotation
+    lastAssignedTechnician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Deleted documents stay in the trash until restored or purged
+maintenanceTeamSchema.plugin(softDelete);
+
+// Text index for global search
+maintenanceTeamSchema.index(
+  { teamName: 'text', specialization: 'text' },
+  { weights: { teamName: 10, specialization: 3 }, name: 'team_text' }
+);
+
 // Virtual for member count
 maintenanceTeamSchema.virtual('memberCount').get(function () {
   return this.members ? this.members.length : 0;
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+/**
+ * Part Schema
+ * Spare parts catalog entry with stock levels per storage location
+ */
+const partSchema = new mongoose.Schema(
+  {
+    partNumber: {
+      type: String,
+      required: [true, 'Part number is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Part name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    category: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: 'pcs',
+    },
+    unitCost: {
+      type: Number,
+      min: [0, 'Unit cost cannot be negative'],
+      default: 0,
+    },
+    // Alert when available stock (all locations) falls to this level
+    reorderPoint: {
+      type: Number,
+      min: [0, 'Reorder point cannot be negative'],
+      default: 0,
+    },
+    reorderQuantity: {
+      type: Number,
+      min: [0, 'Reorder quantity cannot be negative'],
+      default: 0,
+    },
+    stock: [
+      {
+        _id: false,
+        location: {
+          type: String,
+          required: [true, 'Storage location is required'],
+          trim: true,
+        },
+        // On hand, including reserved units
+        quantity: {
+          type: Number,
+          min: [0, 'Stock quantity cannot be negative'],
+          default: 0,
+        },
+        // Held for open maintenance requests
+        reserved: {
+          type: Number,
+          min: [0, 'Reserved quantity cannot be negative'],
+          default: 0,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    // Concurrent reservations on the same part fail instead of overwriting stock
+    optimisticConcurrency: true,
+  }
+);
+
+// Indexes for better query performance
+partSchema.index({ name: 1 });
+partSchema.index({ 'stock.location': 1 });
+
+partSchema.pre('validate', function (next) {
+  const locations = new Set();
+  this.stock.forEach((entry, index) => {
+    if (locations.has(entry.location)) {
+      this.invalidate(`stock.${index}.location`, `Duplicate storage location: ${entry.location}`);
+    }
+    locations.add(entry.location);
+    if (entry.reserved > entry.quantity) {
+      this.invalidate(`stock.${index}.reserved`, `Reserved quantity exceeds stock at ${entry.location}`);
+    }
+  });
+  next();
+});
+
+/**
+ * Get the stock entry for a location
+ * @param {string} location - Storage location
+ * @returns {Object|undefined}
+ */
+partSchema.methods.getLocationStock = function (location) {
+  return this.stock.find((entry) => entry.location === location);
+};
+
+// Virtuals for stock totals across locations
+partSchema.virtual('totalQuantity').get(function () {
+  return (this.stock || []).reduce((sum, entry) => sum + entry.quantity, 0);
+});
+
+partSchema.virtual('totalReserved').get(function () {
+  return (this.stock || []).reduce((sum, entry) => sum + entry.reserved, 0);
+});
+
+partSchema.virtual('availableQuantity').get(function () {
+  return this.totalQuantity - this.totalReserved;
+});
+
+partSchema.virtual('needsReorder').get(function () {
+  return this.isActive && this.availableQuantity <= this.reorderPoint;
+});
+
+// Ensure virtuals are included in JSON
+partSchema.set('toJSON', { virtuals: true });
+partSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Part', partSchema);
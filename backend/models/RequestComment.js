@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * RequestComment Schema
+ * Conversation thread and internal work notes on maintenance requests
+ */
+const requestCommentSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      required: [true, 'Request is required'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment text is required'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+    },
+    // Internal notes are hidden from the User role
+    isInternal: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+requestCommentSchema.index({ request: 1, createdAt: 1 });
+
+module.exports = mongoose.model('RequestComment', requestCommentSchema);
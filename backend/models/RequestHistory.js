@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * RequestHistory Schema
+ * Append-only activity log for maintenance requests
+ */
+const requestHistorySchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      required: [true, 'Request is required'],
+    },
+    action: {
+      type: String,
+      enum: {
+        values: [
+          'create', 'update', 'stage', 'assign', 'delete', 'restore',
+          'approve', 'reject', 'escalate', 'reopen', 'feedback',
+        ],
+        message: '{VALUE} is not a valid history action',
+      },
+      required: [true, 'Action is required'],
+    },
+    // Empty for escalations, which the background job records
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [
+        function () {
+          return this.action !== 'escalate';
+        },
+        'Actor is required',
+      ],
+      default: null,
+    },
+    // Field-level before/after values
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for better query performance
+requestHistorySchema.index({ request: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RequestHistory', requestHistorySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * RequestPart Schema
+ * Parts reserved for or consumed by a maintenance request
+ */
+const requestPartSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      required: [true, 'Request is required'],
+    },
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part',
+      required: [true, 'Part is required'],
+    },
+    location: {
+      type: String,
+      required: [true, 'Storage location is required'],
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      validate: {
+        validator: (value) => value > 0,
+        message: 'Quantity must be greater than zero',
+      },
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['Reserved', 'Consumed'],
+        message: '{VALUE} is not a valid part status',
+      },
+      default: 'Reserved',
+    },
+    // Part cost at the time of consumption
+    unitCost: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    reservedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reserved by user is required'],
+    },
+    consumedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+requestPartSchema.index({ request: 1 });
+requestPartSchema.index({ part: 1, status: 1 });
+
+module.exports = mongoose.model('RequestPart', requestPartSchema);
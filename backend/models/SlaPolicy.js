@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * SlaPolicy Schema
+ * Response and resolution targets for maintenance requests
+ * A policy applies to a priority, optionally narrowed to a team and/or equipment category
+ */
+const slaPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: ['Low', 'Medium', 'High', 'Urgent'],
+        message: '{VALUE} is not a valid priority',
+      },
+      required: [true, 'Priority is required'],
+    },
+    // Leave empty to apply to all teams
+    maintenanceTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceTeam',
+      default: null,
+    },
+    // Leave empty to apply to all categories
+    equipmentCategory: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Time allowed until the request first moves to In Progress
+    responseTimeHours: {
+      type: Number,
+      required: [true, 'Response time is required'],
+      min: [0, 'Response time cannot be negative'],
+    },
+    // Time allowed until the request is Repaired
+    resolutionTimeHours: {
+      type: Number,
+      required: [true, 'Resolution time is required'],
+      min: [0, 'Resolution time cannot be negative'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+slaPolicySchema.index({ priority: 1, isActive: 1 });
+// Only one policy per priority/team/category combination
+slaPolicySchema.index(
+  { priority: 1, maintenanceTeam: 1, equipmentCategory: 1 },
+  { unique: true }
+);
+
+slaPolicySchema.pre('validate', function (next) {
+  if (this.resolutionTimeHours < this.responseTimeHours) {
+    this.invalidate('resolutionTimeHours', 'Resolution time cannot be shorter than response time');
+  }
+  next();
+});
+
+// Ensure virtuals are included in JSON
+slaPolicySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -43,12 +43,50 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Unavailable technicians (leave, training) are skipped by automatic assignment
+    isAvailable: {
+      type: Boolean,
+      default: true,
+    },
+    // Labor cost per hour, copied onto work logs when they are recorded
+    hourlyRate: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative'],
+      default: 0,
+    },
+    // Working hours per day that scheduled requests may book (see utils/technicianCapacity.js)
+    dailyCapacityHours: {
+      type: Number,
+      min: [0, 'Daily capacity cannot be negative'],
+      max: [24, 'Daily capacity cannot exceed 24 hours'],
+      default: 8,
+    },
+    // Deactivated users cannot sign in, use the API or read their calendar feed
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // SHA-256 hash of the secret in the user's .ics calendar feed URL; null while the feed is off
+    calendarFeedTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Text index for global search
+userSchema.index({ name: 'text', email: 'text' }, { weights: { name: 10, email: 5 }, name: 'user_text' });
+
+// Calendar feed lookup (only users with a feed have a token)
+userSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { unique: true, partialFilterExpression: { calendarFeedTokenHash: { $type: 'string' } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -73,6 +111,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarFeedTokenHash;
   return user;
 };
 
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * WorkLog Schema
+ * Time a technician spent on a maintenance request
+ * Entries without endedAt are running timers
+ */
+const workLogSchema = new mongoose.Schema(
+  {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceRequest',
+      required: [true, 'Request is required'],
+    },
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Technician is required'],
+    },
+    startedAt: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Derived from startedAt/endedAt on save
+    durationHours: {
+      type: Number,
+      default: 0,
+    },
+    // Technician's rate when the log was recorded, so later rate changes keep history
+    hourlyRate: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative'],
+      default: 0,
+    },
+    // Derived from durationHours and hourlyRate on save
+    laborCost: {
+      type: Number,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+      default: '',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+workLogSchema.index({ request: 1, startedAt: 1 });
+// A technician can only have one running timer
+workLogSchema.index(
+  { technician: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+
+workLogSchema.pre('validate', function (next) {
+  if (this.endedAt && this.startedAt && this.endedAt <= this.startedAt) {
+    this.invalidate('endedAt', 'End time must be after start time');
+  }
+  next();
+});
+
+workLogSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew || this.isModified('technician')) {
+      const technician = await mongoose.model('User').findById(this.technician).select('hourlyRate');
+      this.hourlyRate = technician?.hourlyRate || 0;
+    }
+
+    this.durationHours = this.endedAt
+      ? Math.round(((this.endedAt - this.startedAt) / HOUR_MS) * 100) / 100
+      : 0;
+    this.laborCost = Math.round(this.durationHours * this.hourlyRate * 100) / 100;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Virtual for running timers
+workLogSchema.virtual('isRunning').get(function () {
+  return !this.endedAt;
+});
+
+// Ensure virtuals are included in JSON
+workLogSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('WorkLog', workLogSchema);
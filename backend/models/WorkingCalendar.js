@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Holiday or shutdown: a single day, or every day from date to endDate
+ * Dates are YYYY-MM-DD days in the calendar's time zone
+ */
+const holidaySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Holiday name is required'],
+      trim: true,
+    },
+    date: {
+      type: String,
+      required: [true, 'Holiday date is required'],
+      match: [DATE_PATTERN, 'Holiday dates must be YYYY-MM-DD'],
+    },
+    endDate: {
+      type: String,
+      default: null,
+      match: [DATE_PATTERN, 'Holiday dates must be YYYY-MM-DD'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * WorkingCalendar Schema
+ * Working days, hours and holidays used for overdue state, SLA due times and escalation timers
+ * A calendar applies to a team and/or a site (equipment location); the most specific one wins
+ */
+const workingCalendarSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Calendar name is required'],
+      trim: true,
+    },
+    // Leave empty to apply to all teams
+    maintenanceTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceTeam',
+      default: null,
+    },
+    // Equipment location the calendar applies to; leave empty to apply to all sites
+    location: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // IANA time zone working hours and holidays are read in, e.g. Europe/Berlin
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: function (value) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: '{VALUE} is not a valid time zone',
+      },
+    },
+    // Days of the week (0 = Sunday ... 6 = Saturday)
+    workingDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [1, 2, 3, 4, 5],
+      validate: {
+        validator: (days) => days.length > 0,
+        message: 'At least one working day is required',
+      },
+    },
+    workStart: {
+      type: String,
+      default: '08:00',
+      match: [TIME_PATTERN, 'Working hours must be HH:MM'],
+    },
+    workEnd: {
+      type: String,
+      default: '17:00',
+      match: [TIME_PATTERN, 'Working hours must be HH:MM'],
+    },
+    holidays: {
+      type: [holidaySchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one calendar per team/site combination
+workingCalendarSchema.index({ maintenanceTeam: 1, location: 1 }, { unique: true });
+
+workingCalendarSchema.pre('validate', function (next) {
+  if (this.workEnd <= this.workStart) {
+    this.invalidate('workEnd', 'Working hours must end after they start');
+  }
+  this.holidays.forEach((holiday, index) => {
+    if (holiday.endDate && holiday.endDate < holiday.date) {
+      this.invalidate(`holidays.${index}.endDate`, 'A holiday cannot end before it starts');
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('WorkingCalendar', workingCalendarSchema);
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const approvalRuleController = require('../controllers/approvalRuleController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Approval Rule Routes
+ * Base: /api/approval-rules
+ */
+
+// @route   POST /api/approval-rules
+// @desc    Create approval rule
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, approvalRuleController.createRule);
+
+// @route   GET /api/approval-rules
+// @desc    Get all approval rules with filters
+// @access  All authenticated users
+router.get('/', auth, approvalRuleController.getAllRules);
+
+// @route   GET /api/approval-rules/:id
+// @desc    Get single approval rule
+// @access  All authenticated users
+router.get('/:id', auth, approvalRuleController.getRuleById);
+
+// @route   PUT /api/approval-rules/:id
+// @desc    Update approval rule
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, approvalRuleController.updateRule);
+
+// @route   DELETE /api/approval-rules/:id
+// @desc    Delete approval rule
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, approvalRuleController.deleteRule);
+
+module.exports = router;
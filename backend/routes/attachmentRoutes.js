@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const attachmentController = require('../controllers/attachmentController');
+const auth = require('../middleware/auth');
+
+/**
+ * Attachment Routes
+ * Base: /api/attachments
+ * Upload and listing live under /api/requests/:id and /api/equipment/:id
+ */
+
+// @route   GET /api/attachments/:attachmentId/file
+// @desc    Get attachment file (?download=true to force download)
+// @access  Users who can see the parent request or equipment
+router.get('/:attachmentId/file', auth, attachmentController.getAttachmentFile);
+
+// @route   GET /api/attachments/:attachmentId/thumbnail
+// @desc    Get image attachment thumbnail
+// @access  Users who can see the parent request or equipment
+router.get('/:attachmentId/thumbnail', auth, attachmentController.getAttachmentThumbnail);
+
+// @route   DELETE /api/attachments/:attachmentId
+// @desc    Delete attachment
+// @access  Uploader, Admin, Manager
+router.delete('/:attachmentId', auth, attachmentController.deleteAttachment);
+
+module.exports = router;
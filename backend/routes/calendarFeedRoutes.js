@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeedController');
+const auth = require('../middleware/auth');
+
+/**
+ * Calendar Feed Routes
+ * Base: /api/calendar-feed
+ */
+
+// @route   GET /api/calendar-feed
+// @desc    Get the current user's feed URL
+// @access  All authenticated users
+router.get('/', auth, calendarFeedController.getMyFeed);
+
+// @route   POST /api/calendar-feed/token
+// @desc    Create the feed or replace its URL (the old URL stops working)
+// @access  All authenticated users
+router.post('/token', auth, calendarFeedController.regenerateFeedToken);
+
+// @route   DELETE /api/calendar-feed/token
+// @desc    Turn off the feed
+// @access  All authenticated users
+router.delete('/token', auth, calendarFeedController.disableFeed);
+
+// @route   GET /api/calendar-feed/:token.ics
+// @desc    iCalendar feed for calendar apps (authenticated by the token in the URL)
+// @access  Public (feed token)
+router.get('/:token.ics', calendarFeedController.getFeed);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const checklistTemplateController = require('../controllers/checklistTemplateController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Checklist Template Routes
+ * Base: /api/checklist-templates
+ */
+
+// @route   POST /api/checklist-templates
+// @desc    Create checklist template
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, checklistTemplateController.createTemplate);
+
+// @route   GET /api/checklist-templates
+// @desc    Get all checklist templates with filters
+// @access  All authenticated users
+router.get('/', auth, checklistTemplateController.getAllTemplates);
+
+// @route   GET /api/checklist-templates/:id
+// @desc    Get single checklist template
+// @access  All authenticated users
+router.get('/:id', auth, checklistTemplateController.getTemplateById);
+
+// @route   PUT /api/checklist-templates/:id
+// @desc    Update checklist template
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, checklistTemplateController.updateTemplate);
+
+// @route   DELETE /api/checklist-templates/:id
+// @desc    Delete checklist template
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, checklistTemplateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const disposalController = require('../controllers/disposalController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Disposal Routes
+ * Base: /api/disposals
+ */
+
+// @route   POST /api/disposals
+// @desc    Propose scrapping equipment
+// @access  Admin, Manager, Technician
+router.post('/', auth, permissions.adminManagerTechnician, disposalController.proposeDisposal);
+
+// @route   GET /api/disposals
+// @desc    Get disposals (filter by status or equipment)
+// @access  All authenticated users
+router.get('/', auth, disposalController.getAllDisposals);
+
+// @route   GET /api/disposals/notices
+// @desc    Get decisions on the disposals the current user proposed
+// @access  All authenticated users
+router.get('/notices', auth, disposalController.getDisposalNotices);
+
+// @route   GET /api/disposals/:id
+// @desc    Get single disposal with its audit trail
+// @access  All authenticated users
+router.get('/:id', auth, disposalController.getDisposalById);
+
+// @route   PATCH /api/disposals/:id/approve
+// @desc    Approve a disposal (scraps the equipment and closes its open requests)
+// @access  Admin, Manager
+router.patch('/:id/approve', auth, permissions.adminAndManager, disposalController.approveDisposal);
+
+// @route   PATCH /api/disposals/:id/reject
+// @desc    Reject a disposal (reason required)
+// @access  Admin, Manager
+router.patch('/:id/reject', auth, permissions.adminAndManager, disposalController.rejectDisposal);
+
+// @route   PATCH /api/disposals/:id/reverse
+// @desc    Reverse an approved disposal (reason required)
+// @access  Admin, Manager
+router.patch('/:id/reverse', auth, permissions.adminAndManager, disposalController.reverseDisposal);
+
+module.exports = router;
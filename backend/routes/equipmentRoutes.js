@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const equipmentController = require('../controllers/equipmentController');
+const attachmentController = require('../controllers/attachmentController');
+const { uploadFiles } = require('../middleware/upload');
 const auth = require('../middleware/auth');
 const { permissions } = require('../middleware/roleAuth');
 
@@ -15,10 +17,15 @@ const { permissions } = require('../middleware/roleAuth');
 router.post('/', auth, permissions.adminAndManager, equipmentController.createEquipment);
 
 // @route   GET /api/equipment
-// @desc    Get all equipment with filters
+// @desc    Get equipment with filters, pagination, sort and field selection
 // @access  All authenticated users
 router.get('/', auth, equipmentController.getAllEquipment);
 
+// @route   GET /api/equipment/categories
+// @desc    Get distinct equipment categories
+// @access  All authenticated users
+router.get('/categories', auth, equipmentController.getEquipmentCategories);
+
 // @route   GET /api/equipment/:id
 // @desc    Get single equipment by ID
 // @access  All authenticated users
@@ -49,4 +56,21 @@ router.get('/:id/requests/open', auth, equipmentController.getEquipmentOpenReque
 // @access  All authenticated users
 router.get('/:id/auto-fill', auth, equipmentController.getEquipmentAutoFill);
 
+// @route   GET /api/equipment/:id/attachments
+// @desc    Get attachments of equipment
+// @access  All authenticated users
+router.get('/:id/attachments', auth, attachmentController.getEquipmentAttachments);
+
+// @route   POST /api/equipment/:id/attachments
+// @desc    Upload files to equipment (multipart field: files)
+// @access  Admin, Manager, Technician
+router.post(
+  '/:id/attachments',
+  auth,
+  permissions.adminManagerTechnician,
+  attachmentController.checkEquipmentUploadAccess,
+  uploadFiles,
+  attachmentController.uploadEquipmentAttachments
+);
+
 module.exports = router;
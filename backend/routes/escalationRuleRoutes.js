@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const escalationRuleController = require('../controllers/escalationRuleController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Escalation Rule Routes
+ * Base: /api/escalation-rules
+ */
+
+// @route   POST /api/escalation-rules/run
+// @desc    Apply escalation rules now
+// @access  Admin, Manager
+router.post('/run', auth, permissions.adminAndManager, escalationRuleController.runEscalationRules);
+
+// @route   POST /api/escalation-rules
+// @desc    Create escalation rule
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, escalationRuleController.createRule);
+
+// @route   GET /api/escalation-rules
+// @desc    Get all escalation rules
+// @access  All authenticated users
+router.get('/', auth, escalationRuleController.getAllRules);
+
+// @route   GET /api/escalation-rules/:id
+// @desc    Get single escalation rule
+// @access  All authenticated users
+router.get('/:id', auth, escalationRuleController.getRuleById);
+
+// @route   PUT /api/escalation-rules/:id
+// @desc    Update escalation rule
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, escalationRuleController.updateRule);
+
+// @route   DELETE /api/escalation-rules/:id
+// @desc    Delete escalation rule
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, escalationRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const partController = require('../controllers/partController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Spare Part Routes
+ * Base: /api/parts
+ */
+
+// Special routes must come before parameterized routes
+
+// @route   GET /api/parts/reorder
+// @desc    Get parts at or below their reorder point
+// @access  Admin, Manager, Technician
+router.get('/reorder', auth, permissions.adminManagerTechnician, partController.getReorderAlerts);
+
+// @route   POST /api/parts
+// @desc    Create part
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, partController.createPart);
+
+// @route   GET /api/parts
+// @desc    Get all parts with filters
+// @access  Admin, Manager, Technician
+router.get('/', auth, permissions.adminManagerTechnician, partController.getAllParts);
+
+// @route   GET /api/parts/:id
+// @desc    Get single part with open reservations
+// @access  Admin, Manager, Technician
+router.get('/:id', auth, permissions.adminManagerTechnician, partController.getPartById);
+
+// @route   PUT /api/parts/:id
+// @desc    Update part details
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, partController.updatePart);
+
+// @route   PATCH /api/parts/:id/stock
+// @desc    Adjust stock at a storage location
+// @access  Admin, Manager
+router.patch('/:id/stock', auth, permissions.adminAndManager, partController.adjustStock);
+
+// @route   DELETE /api/parts/:id
+// @desc    Delete part
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, partController.deletePart);
+
+module.exports = router;
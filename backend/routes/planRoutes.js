@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const planController = require('../controllers/planController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Maintenance Plan Routes
+ * Base: /api/plans
+ */
+
+// @route   POST /api/plans
+// @desc    Create preventive maintenance plan
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, planController.createPlan);
+
+// @route   GET /api/plans
+// @desc    Get all maintenance plans with filters
+// @access  All authenticated users
+router.get('/', auth, planController.getAllPlans);
+
+// @route   GET /api/plans/:id
+// @desc    Get single maintenance plan
+// @access  All authenticated users
+router.get('/:id', auth, planController.getPlanById);
+
+// @route   PUT /api/plans/:id
+// @desc    Update maintenance plan
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, planController.updatePlan);
+
+// @route   DELETE /api/plans/:id
+// @desc    Delete maintenance plan
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, planController.deletePlan);
+
+// @route   POST /api/plans/:id/generate
+// @desc    Generate upcoming requests for a plan now
+// @access  Admin, Manager
+router.post('/:id/generate', auth, permissions.adminAndManager, planController.generatePlanRequests);
+
+module.exports = router;
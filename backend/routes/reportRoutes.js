@@ -19,4 +19,24 @@ router.get('/by-team', auth, permissions.adminAndManager, reportController.getRe
 // @access  Admin, Manager
 router.get('/by-category', auth, permissions.adminAndManager, reportController.getReportsByCategory);
 
+// @route   GET /api/reports/sla
+// @desc    Get SLA breach counts by priority
+// @access  Admin, Manager
+router.get('/sla', auth, permissions.adminAndManager, reportController.getSlaReport);
+
+// @route   GET /api/reports/costs
+// @desc    Get maintenance costs by equipment, team or category
+// @access  Admin, Manager
+router.get('/costs', auth, permissions.adminAndManager, reportController.getCostReport);
+
+// @route   GET /api/reports/repeat-failures
+// @desc    Get reopened repairs by equipment or technician
+// @access  Admin, Manager
+router.get('/repeat-failures', auth, permissions.adminAndManager, reportController.getRepeatFailureReport);
+
+// @route   GET /api/reports/satisfaction
+// @desc    Get requester satisfaction scores by technician or team
+// @access  Admin, Manager
+router.get('/satisfaction', auth, permissions.adminAndManager, reportController.getSatisfactionReport);
+
 module.exports = router;
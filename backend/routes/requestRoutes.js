@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const requestController = require('../controllers/requestController');
+const commentController = require('../controllers/commentController');
+const attachmentController = require('../controllers/attachmentController');
+const workLogController = require('../controllers/workLogController');
+const requestPartController = require('../controllers/requestPartController');
+const costController = require('../controllers/costController');
+const checklistController = require('../controllers/checklistController');
+const requestLinkController = require('../controllers/requestLinkController');
+const { uploadFiles } = require('../middleware/upload');
 const auth = require('../middleware/auth');
 const { permissions } = require('../middleware/roleAuth');
 
@@ -16,18 +24,58 @@ const { permissions } = require('../middleware/roleAuth');
 // @access  All authenticated users
 router.get('/calendar', auth, requestController.getCalendarRequests);
 
+// @route   GET /api/requests/calendar/load
+// @desc    Booked hours against capacity per technician and day
+// @access  Admin, Manager, Technician (technicians see their own load)
+router.get('/calendar/load', auth, permissions.adminManagerTechnician, requestController.getCalendarLoad);
+
+// @route   GET /api/requests/summary
+// @desc    Get request counts for dashboard KPIs
+// @access  All authenticated users (visible requests only)
+router.get('/summary', auth, requestController.getRequestSummary);
+
 // @route   GET /api/requests/overdue
 // @desc    Get overdue requests
 // @access  Admin, Manager, Technician
 router.get('/overdue', auth, permissions.adminManagerTechnician, requestController.getOverdueRequests);
 
+// @route   GET /api/requests/assignment-suggestion
+// @desc    Preview automatic technician assignment for equipment
+// @access  Admin, Manager, Technician
+router.get('/assignment-suggestion', auth, permissions.adminManagerTechnician, requestController.getAssignmentSuggestion);
+
+// @route   GET /api/requests/escalations
+// @desc    Get escalations the current user is notified about
+// @access  All authenticated users (visible requests only)
+router.get('/escalations', auth, requestController.getEscalationNotices);
+
+// @route   GET /api/requests/feedback/pending
+// @desc    Get the current user's repaired requests waiting for their feedback
+// @access  All authenticated users
+router.get('/feedback/pending', auth, requestController.getPendingFeedback);
+
+// @route   GET /api/requests/approvals/decisions
+// @desc    Get approval decisions on the current user's requests
+// @access  All authenticated users
+router.get('/approvals/decisions', auth, requestController.getApprovalDecisions);
+
+// @route   GET /api/requests/approvals
+// @desc    Get requests waiting for approval
+// @access  Admin, Manager, Technician (team leads see their teams)
+router.get('/approvals', auth, permissions.adminManagerTechnician, requestController.getApprovalQueue);
+
+// @route   POST /api/requests/bulk
+// @desc    Change stage, priority, scheduled date or technician of, or delete, many requests
+// @access  All authenticated users (assign and delete: Admin, Manager)
+router.post('/bulk', auth, requestController.bulkUpdateRequests);
+
 // @route   POST /api/requests
 // @desc    Create new maintenance request
 // @access  All authenticated users
 router.post('/', auth, requestController.createRequest);
 
 // @route   GET /api/requests
-// @desc    Get all maintenance requests with filters
+// @desc    Get maintenance requests with filters, pagination, sort and field selection
 // @access  Role-based access
 router.get('/', auth, requestController.getAllRequests);
 
@@ -36,6 +84,142 @@ router.get('/', auth, requestController.getAllRequests);
 // @access  All authenticated users (with role-based visibility)
 router.get('/:id', auth, requestController.getRequestById);
 
+// @route   GET /api/requests/:id/history
+// @desc    Get activity history for a request
+// @access  All authenticated users (with role-based visibility)
+router.get('/:id/history', auth, requestController.getRequestHistory);
+
+// @route   POST /api/requests/:id/watch
+// @desc    Watch an open request
+// @access  All authenticated users
+router.post('/:id/watch', auth, requestController.watchRequest);
+
+// @route   DELETE /api/requests/:id/watch
+// @desc    Stop watching a request
+// @access  All authenticated users
+router.delete('/:id/watch', auth, requestController.unwatchRequest);
+
+// @route   GET /api/requests/:id/comments
+// @desc    Get comments for a request
+// @access  All authenticated users (internal notes hidden from User role)
+router.get('/:id/comments', auth, commentController.getComments);
+
+// @route   POST /api/requests/:id/comments
+// @desc    Add comment to a request
+// @access  All authenticated users
+router.post('/:id/comments', auth, commentController.addComment);
+
+// @route   PUT /api/requests/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Comment author
+router.put('/:id/comments/:commentId', auth, commentController.updateComment);
+
+// @route   DELETE /api/requests/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Comment author, Admin, Manager
+router.delete('/:id/comments/:commentId', auth, commentController.deleteComment);
+
+// @route   GET /api/requests/:id/attachments
+// @desc    Get attachments of a request
+// @access  All authenticated users (with role-based visibility)
+router.get('/:id/attachments', auth, attachmentController.getRequestAttachments);
+
+// @route   POST /api/requests/:id/attachments
+// @desc    Upload files to a request (multipart field: files)
+// @access  All authenticated users (with role-based visibility)
+router.post(
+  '/:id/attachments',
+  auth,
+  attachmentController.checkRequestUploadAccess,
+  uploadFiles,
+  attachmentController.uploadRequestAttachments
+);
+
+// @route   GET /api/requests/:id/worklogs
+// @desc    Get work logs of a request
+// @access  All authenticated users (with role-based visibility)
+router.get('/:id/worklogs', auth, workLogController.getWorkLogs);
+
+// @route   POST /api/requests/:id/worklogs
+// @desc    Add a finished work log entry
+// @access  Admin, Manager, assigned or team Technician
+router.post('/:id/worklogs', auth, permissions.adminManagerTechnician, workLogController.addWorkLog);
+
+// @route   POST /api/requests/:id/worklogs/start
+// @desc    Start a work timer for the current user
+// @access  Admin, Manager, assigned or team Technician
+router.post('/:id/worklogs/start', auth, permissions.adminManagerTechnician, workLogController.startTimer);
+
+// @route   POST /api/requests/:id/worklogs/stop
+// @desc    Stop the current user's work timer
+// @access  Technician who started the timer
+router.post('/:id/worklogs/stop', auth, workLogController.stopTimer);
+
+// @route   PUT /api/requests/:id/worklogs/:logId
+// @desc    Edit a work log entry
+// @access  Log technician, Admin, Manager
+router.put('/:id/worklogs/:logId', auth, workLogController.updateWorkLog);
+
+// @route   DELETE /api/requests/:id/worklogs/:logId
+// @desc    Delete a work log entry
+// @access  Log technician, Admin, Manager
+router.delete('/:id/worklogs/:logId', auth, workLogController.deleteWorkLog);
+
+// @route   GET /api/requests/:id/parts
+// @desc    Get parts reserved for or consumed by a request
+// @access  All authenticated users (with role-based visibility)
+router.get('/:id/parts', auth, requestPartController.getRequestParts);
+
+// @route   POST /api/requests/:id/parts
+// @desc    Reserve a part for a request
+// @access  Admin, Manager, assigned or team Technician
+router.post('/:id/parts', auth, permissions.adminManagerTechnician, requestPartController.reserveRequestPart);
+
+// @route   PATCH /api/requests/:id/parts/:usageId/consume
+// @desc    Consume a reserved part
+// @access  Admin, Manager, assigned or team Technician
+router.patch('/:id/parts/:usageId/consume', auth, permissions.adminManagerTechnician, requestPartController.consumeRequestPart);
+
+// @route   DELETE /api/requests/:id/parts/:usageId
+// @desc    Release a reservation or return consumed parts to stock
+// @access  Admin, Manager, assigned or team Technician
+router.delete('/:id/parts/:usageId', auth, permissions.adminManagerTechnician, requestPartController.releaseRequestPart);
+
+// @route   PATCH /api/requests/:id/checklist/:itemId
+// @desc    Complete, reopen or record a reading for a checklist step
+// @access  Admin, Manager, assigned or team Technician
+router.patch('/:id/checklist/:itemId', auth, permissions.adminManagerTechnician, checklistController.updateChecklistItem);
+
+// @route   GET /api/requests/:id/links
+// @desc    Get parent, sub-requests, blockers, blocked and related requests
+// @access  All authenticated users (with role-based visibility)
+router.get('/:id/links', auth, requestLinkController.getRequestLinks);
+
+// @route   POST /api/requests/:id/links
+// @desc    Link a request as parent, sub-request, blocker or related request
+// @access  Admin, Manager, or assigned Technician
+router.post('/:id/links', auth, requestLinkController.addRequestLink);
+
+// @route   DELETE /api/requests/:id/links/:type/:targetId
+// @desc    Remove a link between two requests
+// @access  Admin, Manager, or assigned Technician
+router.delete('/:id/links/:type/:targetId', auth, requestLinkController.removeRequestLink);
+
+// @route   GET /api/requests/:id/costs
+// @desc    Get cost breakdown and external costs of a request
+// @access  Admin, Manager, Technician
+router.get('/:id/costs', auth, permissions.adminManagerTechnician, costController.getRequestCosts);
+
+// @route   POST /api/requests/:id/costs
+// @desc    Add an external cost to a request
+// @access  Admin, Manager, assigned or team Technician
+router.post('/:id/costs', auth, permissions.adminManagerTechnician, costController.addExternalCost);
+
+// @route   DELETE /api/requests/:id/costs/:costId
+// @desc    Delete an external cost
+// @access  Cost creator, Admin, Manager
+router.delete('/:id/costs/:costId', auth, permissions.adminManagerTechnician, costController.deleteExternalCost);
+
 // @route   PUT /api/requests/:id
 // @desc    Update maintenance request
 // @access  Admin, Manager, or assigned Technician
@@ -46,6 +230,26 @@ router.put('/:id', auth, requestController.updateRequest);
 // @access  Admin, Manager, or assigned Technician
 router.patch('/:id/stage', auth, requestController.updateRequestStage);
 
+// @route   PATCH /api/requests/:id/reopen
+// @desc    Reopen a Repaired request (reason required)
+// @access  Admin, Manager, or the request's creator
+router.patch('/:id/reopen', auth, requestController.reopenRequest);
+
+// @route   POST /api/requests/:id/feedback
+// @desc    Rate the repair (rejecting the fix reopens the request)
+// @access  The request's creator
+router.post('/:id/feedback', auth, requestController.submitFeedback);
+
+// @route   PATCH /api/requests/:id/approve
+// @desc    Approve a request waiting for approval
+// @access  Admin, Manager, team lead
+router.patch('/:id/approve', auth, permissions.adminManagerTechnician, requestController.approveRequest);
+
+// @route   PATCH /api/requests/:id/reject
+// @desc    Reject a request waiting for approval (reason required)
+// @access  Admin, Manager, team lead
+router.patch('/:id/reject', auth, permissions.adminManagerTechnician, requestController.rejectRequest);
+
 // @route   PATCH /api/requests/:id/assign
 // @desc    Assign technician to request
 // @access  Admin, Manager
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const auth = require('../middleware/auth');
+
+/**
+ * Search Routes
+ * Base: /api/search
+ */
+
+// @route   GET /api/search
+// @desc    Ranked text search across requests, equipment, teams and users
+// @access  All authenticated users (results filtered by role)
+router.get('/', auth, searchController.search);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const slaController = require('../controllers/slaController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * SLA Policy Routes
+ * Base: /api/sla-policies
+ */
+
+// @route   POST /api/sla-policies
+// @desc    Create SLA policy
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, slaController.createPolicy);
+
+// @route   GET /api/sla-policies
+// @desc    Get all SLA policies with filters
+// @access  All authenticated users
+router.get('/', auth, slaController.getAllPolicies);
+
+// @route   GET /api/sla-policies/:id
+// @desc    Get single SLA policy
+// @access  All authenticated users
+router.get('/:id', auth, slaController.getPolicyById);
+
+// @route   PUT /api/sla-policies/:id
+// @desc    Update SLA policy
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, slaController.updatePolicy);
+
+// @route   DELETE /api/sla-policies/:id
+// @desc    Delete SLA policy
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, slaController.deletePolicy);
+
+module.exports = router;
@@ -24,6 +24,11 @@ router.get('/', auth, teamController.getAllTeams);
 // @access  All authenticated users
 router.get('/:id', auth, teamController.getTeamById);
 
+// @route   GET /api/teams/:id/workload
+// @desc    Get team technicians with availability and open workload
+// @access  Admin, Manager
+router.get('/:id/workload', auth, permissions.adminAndManager, teamController.getTeamWorkload);
+
 // @route   PUT /api/teams/:id
 // @desc    Update team
 // @access  Admin, Manager
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Trash Routes
+ * Base: /api/trash
+ */
+
+// @route   GET /api/trash
+// @desc    Get trashed requests, equipment or teams (?type=)
+// @access  Admin
+router.get('/', auth, permissions.adminOnly, trashController.getTrash);
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore a trashed item
+// @access  Admin
+router.post('/:type/:id/restore', auth, permissions.adminOnly, trashController.restoreFromTrash);
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Permanently delete a trashed item
+// @access  Admin
+router.delete('/:type/:id', auth, permissions.adminOnly, trashController.purgeFromTrash);
+
+module.exports = router;
@@ -19,4 +19,24 @@ router.get('/technicians', auth, userController.getTechnicians);
 // @access  Admin, Manager
 router.get('/', auth, permissions.adminAndManager, userController.getAllUsers);
 
+// @route   PATCH /api/users/:id/hourly-rate
+// @desc    Set a user's labor rate
+// @access  Admin, Manager
+router.patch('/:id/hourly-rate', auth, permissions.adminAndManager, userController.updateHourlyRate);
+
+// @route   PATCH /api/users/:id/capacity
+// @desc    Set the working hours per day a technician can be booked for
+// @access  Admin, Manager
+router.patch('/:id/capacity', auth, permissions.adminAndManager, userController.updateCapacity);
+
+// @route   PATCH /api/users/:id/availability
+// @desc    Mark a technician available or unavailable for automatic assignment
+// @access  Admin, Manager
+router.patch('/:id/availability', auth, permissions.adminAndManager, userController.updateAvailability);
+
+// @route   PATCH /api/users/:id/active
+// @desc    Deactivate or reactivate a user account
+// @access  Admin
+router.patch('/:id/active', auth, permissions.adminOnly, userController.updateActive);
+
 module.exports = router;
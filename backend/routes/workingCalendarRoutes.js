@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const workingCalendarController = require('../controllers/workingCalendarController');
+const auth = require('../middleware/auth');
+const { permissions } = require('../middleware/roleAuth');
+
+/**
+ * Working Calendar Routes
+ * Base: /api/working-calendars
+ */
+
+// @route   GET /api/working-calendars/sites
+// @desc    Get equipment locations a calendar can apply to
+// @access  All authenticated users
+router.get('/sites', auth, workingCalendarController.getSites);
+
+// @route   POST /api/working-calendars
+// @desc    Create working calendar
+// @access  Admin, Manager
+router.post('/', auth, permissions.adminAndManager, workingCalendarController.createCalendar);
+
+// @route   GET /api/working-calendars
+// @desc    Get all working calendars with filters
+// @access  All authenticated users
+router.get('/', auth, workingCalendarController.getAllCalendars);
+
+// @route   GET /api/working-calendars/:id
+// @desc    Get single working calendar
+// @access  All authenticated users
+router.get('/:id', auth, workingCalendarController.getCalendarById);
+
+// @route   PUT /api/working-calendars/:id
+// @desc    Update working calendar
+// @access  Admin, Manager
+router.put('/:id', auth, permissions.adminAndManager, workingCalendarController.updateCalendar);
+
+// @route   DELETE /api/working-calendars/:id
+// @desc    Delete working calendar
+// @access  Admin, Manager
+router.delete('/:id', auth, permissions.adminAndManager, workingCalendarController.deleteCalendar);
+
+module.exports = router;
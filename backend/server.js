@@ -2,6 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { startPreventiveMaintenanceJob } = require('./jobs/preventiveMaintenanceJob');
+const { startTrashPurgeJob } = require('./jobs/trashPurgeJob');
+const { startEscalationJob } = require('./jobs/escalationJob');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -10,6 +13,18 @@ const teamRoutes = require('./routes/teamRoutes');
 const requestRoutes = require('./routes/requestRoutes');
 const userRoutes = require('./routes/userRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const planRoutes = require('./routes/planRoutes');
+const slaRoutes = require('./routes/slaRoutes');
+const approvalRuleRoutes = require('./routes/approvalRuleRoutes');
+const escalationRuleRoutes = require('./routes/escalationRuleRoutes');
+const workingCalendarRoutes = require('./routes/workingCalendarRoutes');
+const disposalRoutes = require('./routes/disposalRoutes');
+const checklistTemplateRoutes = require('./routes/checklistTemplateRoutes');
+const partRoutes = require('./routes/partRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const calendarFeedRoutes = require('./routes/calendarFeedRoutes');
 
 // Initialize express app
 const app = express();
@@ -46,6 +61,18 @@ app.use('/api/teams', teamRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/sla-policies', slaRoutes);
+app.use('/api/approval-rules', approvalRuleRoutes);
+app.use('/api/escalation-rules', escalationRuleRoutes);
+app.use('/api/working-calendars', workingCalendarRoutes);
+app.use('/api/disposals', disposalRoutes);
+app.use('/api/checklist-templates', checklistTemplateRoutes);
+app.use('/api/parts', partRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/calendar-feed', calendarFeedRoutes);
 
 // 404 Handler
 app.use('*', (req, res) => {
@@ -83,6 +110,11 @@ app.listen(PORT, () => {
   ║                                           ║
   ╚═══════════════════════════════════════════╝
   `);
+
+  // Background jobs
+  startPreventiveMaintenanceJob();
+  startTrashPurgeJob();
+  startEscalationJob();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,93 @@
+const ApprovalRule = require('../models/ApprovalRule');
+const MaintenanceTeam = require('../models/MaintenanceTeam');
+
+/**
+ * Approval Helpers
+ * Gate requests raised by the User role until a Manager or team lead approves them
+ */
+
+// Requests in these approval states are hidden from technicians and cannot change stage
+const AWAITING_APPROVAL = ['Pending', 'Rejected'];
+
+/**
+ * Find the active rule that gates a request
+ * @param {Object} request - { maintenanceTeam, equipmentCategory }
+ * @returns {Object|null} ApprovalRule document
+ */
+const findApprovalRule = ({ maintenanceTeam, equipmentCategory }) =>
+  ApprovalRule.findOne({
+    isActive: true,
+    maintenanceTeam: { $in: [maintenanceTeam || null, null] },
+    equipmentCategory: { $in: [equipmentCategory || null, null] },
+  });
+
+/**
+ * Put a new request in Pending Approval when a rule matches
+ * Only requests raised by the User role are gated
+ * Does not save the request
+ * @param {Object} request - New MaintenanceRequest document
+ * @param {Object} user - User raising the request
+ * @returns {boolean} Whether the request now waits for approval
+ */
+const applyApprovalRule = async (request, user) => {
+  if (user.role !== 'User') return false;
+
+  const rule = await findApprovalRule(request);
+  if (!rule) return false;
+
+  request.approval = { status: 'Pending', rule: rule._id };
+  return true;
+};
+
+const isAwaitingApproval = (request) => AWAITING_APPROVAL.includes(request.approval?.status);
+
+/**
+ * Admin, Manager or the lead of the request's team may approve or reject it
+ * @param {Object} request - MaintenanceRequest (maintenanceTeam may be populated)
+ * @param {Object} user - Authenticated user
+ */
+const canDecideApproval = async (request, user) => {
+  if (['Admin', 'Manager'].includes(user.role)) return true;
+  if (user.role !== 'Technician') return false;
+
+  const teamId = request.maintenanceTeam?._id || request.maintenanceTeam;
+  return Boolean(await MaintenanceTeam.exists({ _id: teamId, teamLead: user._id }));
+};
+
+/**
+ * Filter for the approvals queue of a user
+ * Admin and Manager see every pending request, team leads those of the teams they lead
+ * @returns {Object} MongoDB filter
+ */
+const buildApprovalQueueFilter = async (user) => {
+  if (['Admin', 'Manager'].includes(user.role)) {
+    return { 'approval.status': 'Pending' };
+  }
+  const teams = await MaintenanceTeam.find({ teamLead: user._id }).distinct('_id');
+  return { 'approval.status': 'Pending', maintenanceTeam: { $in: teams } };
+};
+
+/**
+ * Record an approval decision
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document
+ * @param {string} status - 'Approved' or 'Rejected'
+ * @param {Object} user - User deciding
+ * @param {string} reason - Why the request was rejected
+ */
+const recordApprovalDecision = (request, status, user, reason = '') => {
+  request.approval.status = status;
+  request.approval.decidedBy = user._id;
+  request.approval.decidedAt = new Date();
+  request.approval.reason = reason;
+};
+
+module.exports = {
+  AWAITING_APPROVAL,
+  findApprovalRule,
+  applyApprovalRule,
+  isAwaitingApproval,
+  canDecideApproval,
+  buildApprovalQueueFilter,
+  recordApprovalDecision,
+};
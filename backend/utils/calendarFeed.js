@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+/**
+ * Calendar Feed Helpers
+ * Build the iCalendar (.ics) feed users subscribe to from Google Calendar, Outlook or Apple Calendar
+ *
+ * Each request is one all-day event on its scheduled date. The event UID is derived from the
+ * request ID, so calendar apps update the same event when the request is rescheduled or changes
+ * stage, and drop it once the request leaves the feed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests scheduled further back than this are left out of the feed
+const FEED_PAST_DAYS = 90;
+
+const STAGE_STATUS = {
+  New: 'TENTATIVE',
+  'In Progress': 'CONFIRMED',
+  Repaired: 'CONFIRMED',
+  Scrap: 'CANCELLED',
+};
+
+/**
+ * New random feed token; it is the only credential of the feed URL
+ */
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Hash stored for a feed token, so a leaked database does not hand out feed URLs
+ */
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Earliest scheduled date included in a feed
+ */
+const getFeedStart = () => new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+
+/**
+ * Link to a request in the web app
+ */
+const getRequestLink = (requestId) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${appUrl}/maintenance/${requestId}`;
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line longer than 75 octets onto continuation lines
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * UTC date-time, e.g. 20240115T093000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Date of a stored (UTC) scheduled date, e.g. 20240115
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * VEVENT lines for a request
+ * Expects equipment and assignedTechnician to be populated
+ */
+const buildEvent = (request) => {
+  const link = getRequestLink(request._id);
+  const updatedAt = request.updatedAt || request.createdAt || new Date();
+  const hours = request.estimatedHours > 0 ? request.estimatedHours : request.durationHours;
+
+  const description = [
+    `Equipment: ${request.equipment?.equipmentName || 'Unknown'}`,
+    `Stage: ${request.stage}`,
+    `Priority: ${request.priority}`,
+    `Technician: ${request.assignedTechnician?.name || 'Unassigned'}`,
+    hours > 0 && `Hours: ${hours}`,
+    '',
+    `Open request: ${link}`,
+  ].filter((line) => line !== false);
+
+  const summary = request.stage === 'Repaired' ? `[Repaired] ${request.subject}` : request.subject;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${request._id}@gearguard`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    // Seconds since the epoch only ever grow, so each change supersedes the copy clients hold
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`,
+    `DTSTART;VALUE=DATE:${formatDate(request.scheduledDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(request.scheduledDate).getTime() + DAY_MS)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `URL:${link}`,
+    `STATUS:${STAGE_STATUS[request.stage] || 'CONFIRMED'}`,
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Full iCalendar document for a user's feed
+ * @param {Object} user - Feed owner ({ name })
+ * @param {Array} requests - Scheduled requests visible to the user
+ * @returns {String} text/calendar body
+ */
+const buildCalendar = (user, requests) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GearGuard//Maintenance Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`GearGuard - ${user.name}`)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...requests.flatMap(buildEvent),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  generateFeedToken,
+  hashFeedToken,
+  getFeedStart,
+  buildCalendar,
+};
@@ -0,0 +1,112 @@
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+
+/**
+ * Checklist Helpers
+ * Copy checklist templates onto requests and track step completion
+ */
+
+/**
+ * Find the most specific active template for a request
+ * Equipment beats category, which beats a template with neither set
+ * @param {Object} request - { equipment, equipmentCategory }
+ * @returns {Object|null} ChecklistTemplate document
+ */
+const findChecklistTemplate = async ({ equipment, equipmentCategory }) => {
+  const equipmentId = equipment?._id || equipment;
+  const templates = await ChecklistTemplate.find({
+    isActive: true,
+    $or: [
+      { equipment: equipmentId },
+      { equipment: null, equipmentCategory: { $in: [equipmentCategory || null, null] } },
+    ],
+  });
+
+  const specificity = (template) => (template.equipment ? 2 : 0) + (template.equipmentCategory ? 1 : 0);
+  return templates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Copy the steps of the matching template onto a new request
+ * Does not save the request
+ * @param {Object} request - New MaintenanceRequest document
+ * @returns {Object|null} Applied template
+ */
+const applyChecklistTemplate = async (request) => {
+  const template = await findChecklistTemplate(request);
+  if (!template) return null;
+
+  request.checklist = {
+    template: template._id,
+    items: template.items.map(({ label, required, expectedValue, tolerance, unit }) => ({
+      label,
+      required,
+      expectedValue,
+      tolerance,
+      unit,
+    })),
+  };
+  return template;
+};
+
+const isReadingStep = (item) => item.expectedValue !== null && item.expectedValue !== undefined;
+
+/**
+ * Whether a reading falls outside expectedValue ± tolerance
+ */
+const isOutOfTolerance = (item, reading) =>
+  isReadingStep(item) && reading !== null && Math.abs(reading - item.expectedValue) > (item.tolerance || 0);
+
+/**
+ * Record progress on a checklist step
+ * Reading steps need a reading before they can be ticked off
+ * Does not save the request
+ * @param {Object} item - Checklist item subdocument
+ * @param {Object} updates - { isDone, reading, note }
+ * @param {Object} user - User completing the step
+ * @returns {Object|null} { status, message } when the update is refused
+ */
+const updateChecklistItem = (item, { isDone, reading, note }, user) => {
+  if (isDone !== undefined && typeof isDone !== 'boolean') {
+    return { status: 400, message: 'isDone must be true or false.' };
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    return { status: 400, message: 'Note must be text.' };
+  }
+
+  if (reading !== undefined) {
+    const value = reading === null || reading === '' ? null : Number(reading);
+    if (value !== null && !Number.isFinite(value)) {
+      return { status: 400, message: 'Reading must be a number.' };
+    }
+    item.reading = value;
+    item.outOfTolerance = isOutOfTolerance(item, value);
+  }
+  if (note !== undefined) item.note = note;
+
+  if (isDone !== undefined) {
+    if (isDone && isReadingStep(item) && item.reading === null) {
+      return { status: 400, message: `Record a reading for "${item.label}" first.` };
+    }
+    item.isDone = isDone;
+    item.completedBy = isDone ? user._id : null;
+    item.completedAt = isDone ? new Date() : null;
+  }
+
+  return null;
+};
+
+/**
+ * Required steps that are not done yet
+ * @param {Object} request - MaintenanceRequest document
+ * @returns {Array} Checklist items
+ */
+const getIncompleteSteps = (request) =>
+  (request.checklist?.items || []).filter((item) => item.required && !item.isDone);
+
+module.exports = {
+  findChecklistTemplate,
+  applyChecklistTemplate,
+  isOutOfTolerance,
+  updateChecklistItem,
+  getIncompleteSteps,
+};
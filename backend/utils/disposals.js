@@ -0,0 +1,99 @@
+const Disposal = require('../models/Disposal');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { recordHistory } = require('./requestHistory');
+const { recordSlaStageChange } = require('./sla');
+const { afterStageChange } = require('./stageChanges');
+
+/**
+ * Disposal Helpers
+ * Propose, approve and reverse the scrapping of equipment
+ */
+
+// Requests still being worked on; they are closed when their equipment is disposed of
+const OPEN_STAGES = ['New', 'In Progress'];
+
+// Steps the proposer of a disposal is told about
+const DECISION_ACTIONS = ['approve', 'reject', 'reverse'];
+
+/**
+ * Disposal that is waiting for approval or already retired the equipment
+ * @param {ObjectId|string} equipmentId - Equipment ID
+ * @returns {Object|null} Disposal document
+ */
+const findActiveDisposal = (equipmentId) =>
+  Disposal.findOne({ equipment: equipmentId, status: { $in: ['Pending', 'Approved'] } });
+
+/**
+ * Add a step to a disposal's audit trail
+ * Does not save the disposal
+ * @param {Object} disposal - Disposal document
+ * @param {string} action - propose, approve, reject or reverse
+ * @param {Object} user - User taking the step
+ * @param {string} note - Reason or comment
+ */
+const recordDisposalEvent = (disposal, action, user, note = '') => {
+  disposal.events.push({ action, actor: user._id, note, at: new Date() });
+};
+
+/**
+ * Move the open requests of a disposed equipment to Scrap
+ * Timers stop and reserved parts are released like any other move to Scrap
+ * @param {Object} disposal - Approved Disposal document
+ * @param {Object} user - Approver
+ * @returns {Array} { request, stageFrom } for each closed request
+ */
+const closeEquipmentRequests = async (disposal, user) => {
+  const requests = await MaintenanceRequest.find({ equipment: disposal.equipment, stage: { $in: OPEN_STAGES } });
+  const closed = [];
+
+  for (const request of requests) {
+    const previousStage = request.stage;
+    request.stage = 'Scrap';
+    recordSlaStageChange(request, previousStage);
+    await request.save();
+
+    await recordHistory(request._id, 'stage', user._id, [
+      { field: 'stage', from: previousStage, to: 'Scrap' },
+      { field: 'reason', from: null, to: `Equipment disposed of: ${disposal.reason}` },
+    ]);
+    await afterStageChange(request, previousStage, user._id);
+    closed.push({ request: request._id, stageFrom: previousStage });
+  }
+
+  return closed;
+};
+
+/**
+ * Decisions on the disposals a user proposed
+ * @param {Object} user - Current user
+ * @param {Date} since - Only decisions after this time
+ * @returns {Array} { _id, disposal, equipment: { equipmentName }, action, note, at }
+ */
+const findDisposalNotices = async (user, since) => {
+  const notices = await Disposal.aggregate([
+    { $match: { proposedBy: user._id, 'events.at': { $gt: since } } },
+    { $unwind: '$events' },
+    { $match: { 'events.action': { $in: DECISION_ACTIONS }, 'events.at': { $gt: since } } },
+    {
+      $project: {
+        _id: '$events._id',
+        disposal: '$_id',
+        equipment: 1,
+        action: '$events.action',
+        note: '$events.note',
+        at: '$events.at',
+      },
+    },
+    { $sort: { at: 1 } },
+  ]);
+
+  return Disposal.populate(notices, { path: 'equipment', select: 'equipmentName' });
+};
+
+module.exports = {
+  OPEN_STAGES,
+  findActiveDisposal,
+  recordDisposalEvent,
+  closeEquipmentRequests,
+  findDisposalNotices,
+};
@@ -0,0 +1,82 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const { AWAITING_APPROVAL, isAwaitingApproval } = require('./approvals');
+
+/**
+ * Duplicate Request Helpers
+ * Find open requests that may report the same breakdown
+ */
+
+const OPEN_STAGES = ['New', 'In Progress'];
+
+// Share of subject words two requests must have in common to look alike
+const SIMILARITY_THRESHOLD = 0.3;
+
+// Short filler words that say nothing about the fault
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'is', 'not', 'of', 'on', 'the', 'to', 'with']);
+
+/**
+ * Split a subject into its distinct, meaningful words
+ * Anything but text has no words
+ */
+const tokenize = (text) => {
+  if (typeof text !== 'string') return new Set();
+  const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return new Set(words.filter((word) => word.length > 1 && !STOP_WORDS.has(word)));
+};
+
+/**
+ * Jaccard similarity of two subjects (0 = nothing shared, 1 = same words)
+ */
+const subjectSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Find open requests on the same equipment, most similar subject first
+ * Every open request on the equipment is returned; similarSubject flags
+ * the ones whose subject looks like the new one.
+ * @param {Object} options - { equipmentId, subject, excludeId }
+ * @returns {Array} Lightweight request summaries
+ */
+const findPossibleDuplicates = async ({ equipmentId, subject, excludeId }) => {
+  // Requests waiting for approval are hidden from other reporters, and rejected ones will not be worked on
+  const filter = { equipment: equipmentId, stage: { $in: OPEN_STAGES }, 'approval.status': { $nin: AWAITING_APPROVAL } };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const requests = await MaintenanceRequest.find(filter)
+    .select('subject stage priority requestType createdAt createdBy assignedTechnician')
+    .populate('createdBy', 'name')
+    .populate('assignedTechnician', 'name')
+    .lean();
+
+  return requests
+    .map((request) => {
+      const similarity = Math.round(subjectSimilarity(subject, request.subject) * 100) / 100;
+      return { ...request, similarity, similarSubject: similarity >= SIMILARITY_THRESHOLD };
+    })
+    .sort((a, b) => b.similarity - a.similarity || b.createdAt - a.createdAt);
+};
+
+/**
+ * Whether findPossibleDuplicates lists a request to reporters of its equipment
+ * Reporters may watch these requests without otherwise seeing them
+ * @param {Object} request - MaintenanceRequest with stage, equipment and approval
+ * @returns {Promise<boolean>}
+ */
+const isListedDuplicate = async (request) => {
+  if (!OPEN_STAGES.includes(request.stage) || isAwaitingApproval(request)) return false;
+  // Requests can only be raised on active equipment
+  return Boolean(await Equipment.exists({ _id: request.equipment, isActive: true }));
+};
+
+module.exports = {
+  subjectSimilarity,
+  findPossibleDuplicates,
+  isListedDuplicate,
+};
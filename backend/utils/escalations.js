@@ -0,0 +1,211 @@
+const EscalationRule = require('../models/EscalationRule');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const MaintenanceTeam = require('../models/MaintenanceTeam');
+const { recordHistory } = require('./requestHistory');
+const { getSlaStart } = require('./sla');
+const { startOfDay } = require('./planSchedule');
+const { getRequestCalendar, addWorkingHours } = require('./workingCalendars');
+const { AWAITING_APPROVAL } = require('./approvals');
+
+/**
+ * Escalation Helpers
+ * Match open requests against escalation rules and apply their actions
+ * afterHours counts working time on each request's working calendar
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+// Lowest to highest; bumping moves a request one step up
+const PRIORITY_ORDER = ['Low', 'Medium', 'High', 'Urgent'];
+
+/**
+ * When a request started meeting a rule's condition
+ * Untouched counts from the SLA start (creation, approval or scheduled date for plan requests);
+ * Overdue counts from the request's overdue time, like the overdue list
+ * (the UTC midnight after the scheduled day for requests not stamped with a working calendar yet),
+ * and for a reopened request from the reopen at the earliest
+ */
+const getConditionStart = (rule, request) => {
+  if (rule.condition === 'Untouched') return getSlaStart(request);
+
+  let overdueFrom = request.overdueAt;
+  if (!overdueFrom) {
+    overdueFrom = startOfDay(request.scheduledDate);
+    overdueFrom.setUTCDate(overdueFrom.getUTCDate() + 1);
+  }
+  const reopenedAt = request.reopen?.lastReopenedAt;
+  return reopenedAt && reopenedAt > overdueFrom ? reopenedAt : overdueFrom;
+};
+
+/**
+ * Whether the rule already escalated the request in its current cycle
+ * Each reopen starts a new cycle, so earlier escalations no longer count
+ */
+const escalatedThisCycle = (rule, request) => {
+  const cycleStart = request.reopen?.lastReopenedAt;
+  return request.escalation.events.some(
+    (event) =>
+      event.rule?.toString() === rule._id.toString() && (!cycleStart || event.escalatedAt > cycleStart)
+  );
+};
+
+/**
+ * Open requests the rule has not escalated in this cycle and whose condition has held for afterHours
+ * @param {Object} rule - EscalationRule document
+ * @param {Date} now - Reference time
+ * @returns {Array} MaintenanceRequest documents
+ */
+const findRequestsToEscalate = async (rule, now) => {
+  const cutoff = new Date(now.getTime() - rule.afterHours * HOUR_MS);
+  const filter = {
+    'approval.status': { $nin: AWAITING_APPROVAL },
+    // Requests never reopened are only escalated once by each rule
+    $and: [{ $or: [{ 'escalation.events.rule': { $ne: rule._id } }, { 'reopen.lastReopenedAt': { $ne: null } }] }],
+  };
+  if (rule.priority) filter.priority = rule.priority;
+  if (rule.maintenanceTeam) filter.maintenanceTeam = rule.maintenanceTeam;
+
+  // Working time never runs faster than the clock, so the cutoff narrows the candidates
+  if (rule.condition === 'Untouched') {
+    // The clock never starts before creation either
+    Object.assign(filter, { stage: 'New', createdAt: { $lte: cutoff } });
+  } else {
+    Object.assign(filter, {
+      stage: { $nin: CLOSED_STAGES },
+      $or: [{ overdueAt: { $lte: cutoff } }, { overdueAt: null, scheduledDate: { $lt: startOfDay(cutoff) } }],
+    });
+  }
+
+  const candidates = await MaintenanceRequest.find(filter);
+  const calendars = new Map();
+  const due = [];
+  for (const request of candidates) {
+    if (escalatedThisCycle(rule, request)) continue;
+    const calendar = await getRequestCalendar(request, calendars);
+    const escalateAt = addWorkingHours(calendar, getConditionStart(rule, request), rule.afterHours);
+    if (escalateAt && escalateAt <= now) due.push(request);
+  }
+  return due;
+};
+
+/**
+ * Record an escalation on a request and raise its priority when the rule says so
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document
+ * @param {Object} rule - EscalationRule document
+ * @param {ObjectId|null} teamLeadId - Lead of the request's team, when the rule notifies them
+ * @param {Date} now - Reference time
+ * @returns {Object} Added escalation event
+ */
+const applyEscalation = (request, rule, teamLeadId, now) => {
+  const priorityFrom = request.priority;
+  const nextPriority = PRIORITY_ORDER[PRIORITY_ORDER.indexOf(priorityFrom) + 1];
+  if (rule.bumpPriority && nextPriority) {
+    request.priority = nextPriority;
+  }
+
+  request.escalation.level = Math.max(request.escalation.level || 0, rule.level);
+  request.escalation.escalatedAt = now;
+  request.escalation.events.push({
+    rule: rule._id,
+    ruleName: rule.name,
+    condition: rule.condition,
+    level: rule.level,
+    priorityFrom,
+    priorityTo: request.priority,
+    notifyTeamLead: rule.notifyTeamLead ? teamLeadId : null,
+    notifyRoles: rule.notifyRoles,
+    escalatedAt: now,
+  });
+
+  return request.escalation.events[request.escalation.events.length - 1];
+};
+
+/**
+ * Apply every active rule to the open requests it matches
+ * Lower levels run first so a request that meets several rules ends on the highest one
+ * @param {Date} now - Reference time
+ * @returns {Object} { rules, escalated }
+ */
+const runEscalations = async (now = new Date()) => {
+  const rules = await EscalationRule.find({ isActive: true }).sort({ level: 1, afterHours: 1 });
+  const summary = { rules: rules.length, escalated: 0 };
+  const teamLeads = new Map();
+
+  const findTeamLead = async (teamId) => {
+    const key = teamId?.toString();
+    if (!key) return null;
+    if (!teamLeads.has(key)) {
+      const team = await MaintenanceTeam.findById(teamId).select('teamLead').lean();
+      teamLeads.set(key, team?.teamLead || null);
+    }
+    return teamLeads.get(key);
+  };
+
+  for (const rule of rules) {
+    try {
+      const requests = await findRequestsToEscalate(rule, now);
+      for (const request of requests) {
+        const previousLevel = request.escalation.level || 0;
+        const teamLeadId = rule.notifyTeamLead ? await findTeamLead(request.maintenanceTeam) : null;
+        const event = applyEscalation(request, rule, teamLeadId, now);
+        await request.save();
+
+        const changes = [{ field: 'escalation', from: previousLevel, to: request.escalation.level }];
+        if (event.priorityTo !== event.priorityFrom) {
+          changes.push({ field: 'priority', from: event.priorityFrom, to: event.priorityTo });
+        }
+        await recordHistory(request._id, 'escalate', null, changes);
+        summary.escalated += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Escalation failed for rule ${rule._id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Escalation events the user is told about
+ * Admin and Manager get events for their role; team leads get events naming them
+ * @param {Object} user - Current user
+ * @param {Date} since - Only events after this time
+ * @param {Object} visibility - Request visibility filter for the user
+ * @returns {Array} { _id, request, subject, ruleName, condition, level, priorityFrom, priorityTo, escalatedAt }
+ */
+const findEscalationNotices = async (user, since, visibility) => {
+  const recipient = {
+    $or: [{ 'escalation.events.notifyRoles': user.role }, { 'escalation.events.notifyTeamLead': user._id }],
+  };
+
+  return MaintenanceRequest.aggregate([
+    { $match: { $and: [visibility, { 'escalation.events.escalatedAt': { $gt: since } }] } },
+    { $unwind: '$escalation.events' },
+    { $match: { 'escalation.events.escalatedAt': { $gt: since }, ...recipient } },
+    {
+      $project: {
+        _id: '$escalation.events._id',
+        request: '$_id',
+        subject: 1,
+        ruleName: '$escalation.events.ruleName',
+        condition: '$escalation.events.condition',
+        level: '$escalation.events.level',
+        priorityFrom: '$escalation.events.priorityFrom',
+        priorityTo: '$escalation.events.priorityTo',
+        escalatedAt: '$escalation.events.escalatedAt',
+      },
+    },
+    { $sort: { escalatedAt: 1 } },
+  ]);
+};
+
+module.exports = {
+  getConditionStart,
+  findRequestsToEscalate,
+  applyEscalation,
+  runEscalations,
+  findEscalationNotices,
+};
@@ -0,0 +1,82 @@
+/**
+ * Feedback Helpers
+ * Ask the requester to rate each repair and keep the ratings for satisfaction reports
+ */
+
+/**
+ * Only the user who raised the request rates its repair
+ */
+const canGiveFeedback = (request, user) => request.createdBy?.toString() === user._id.toString();
+
+/**
+ * Open or withdraw the feedback step after a stage change
+ * Moving to Repaired asks the requester for feedback; leaving Repaired before they answered withdraws it
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document (stage already changed)
+ * @param {string} previousStage - Stage before the change
+ * @param {Date} at - Time of the change
+ */
+const recordFeedbackStageChange = (request, previousStage, at = new Date()) => {
+  const feedback = request.feedback;
+  if (!feedback || previousStage === request.stage) return;
+
+  if (request.stage === 'Repaired') {
+    feedback.status = 'Pending';
+    feedback.requestedAt = at;
+  } else if (previousStage === 'Repaired' && feedback.status === 'Pending') {
+    feedback.status = 'Not Requested';
+    feedback.requestedAt = null;
+  }
+};
+
+/**
+ * Check the feedback sent by the requester
+ * A rejected fix needs a comment, which becomes the reopen reason
+ * @param {Object} data - { rating, comment, fixAccepted }
+ * @returns {string|null} Error message or null when valid
+ */
+const validateFeedback = ({ rating, comment, fixAccepted }) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return 'Rating must be a whole number from 1 to 5.';
+  }
+  if (comment !== undefined && typeof comment !== 'string') {
+    return 'Comment must be text.';
+  }
+  if (fixAccepted !== undefined && typeof fixAccepted !== 'boolean') {
+    return 'fixAccepted must be true or false.';
+  }
+  if (fixAccepted === false && !comment?.trim()) {
+    return 'Tell us what is still wrong when rejecting the fix.';
+  }
+  return null;
+};
+
+/**
+ * Record the requester's rating of the current repair
+ * Does not save the request or reopen it
+ * @param {Object} request - MaintenanceRequest document waiting for feedback
+ * @param {Object} data - { rating, comment, fixAccepted } (already validated)
+ * @param {Object} user - Requester
+ * @param {Date} now - Reference time
+ * @returns {Object} Added feedback response
+ */
+const recordFeedback = (request, { rating, comment = '', fixAccepted = true }, user, now = new Date()) => {
+  request.feedback.status = 'Submitted';
+  request.feedback.responses.push({
+    rating,
+    comment: comment.trim(),
+    fixAccepted,
+    technician: request.assignedTechnician || null,
+    submittedBy: user._id,
+    submittedAt: now,
+  });
+
+  return request.feedback.responses[request.feedback.responses.length - 1];
+};
+
+module.exports = {
+  canGiveFeedback,
+  recordFeedbackStageChange,
+  validateFeedback,
+  recordFeedback,
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+/**
+ * List Query Helpers
+ * Pagination, sorting and field selection for list endpoints
+ *
+ * Query parameters:
+ * - page, limit: offset pagination (page starts at 1)
+ * - cursor, limit: keyset pagination from the nextCursor of the previous page
+ * - sort: comma-separated fields, '-' prefix for descending (e.g. sort=-createdAt,subject)
+ * - fields: comma-separated fields to return (e.g. fields=subject,stage)
+ * Without page, limit or cursor every matching document is returned.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Cursor values keep their type through JSON (dates and ObjectIds)
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && value.$date) return new Date(value.$date);
+  if (value && value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const encodeCursor = (doc, sortEntries) => {
+  const values = {};
+  sortEntries.forEach(([field]) => {
+    values[field] = encodeValue(getPath(doc, field));
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortEntries) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!sortEntries.every(([field]) => field in values)) return null;
+    return Object.fromEntries(sortEntries.map(([field]) => [field, decodeValue(values[field])]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Condition for values after the cursor value in one sort direction
+ * MongoDB sorts missing/null values first
+ */
+const afterValue = (value, direction) => {
+  if (value === null || value === undefined) {
+    return direction === 1 ? { $ne: null } : { $in: [] };
+  }
+  return direction === 1 ? { $gt: value } : { $not: { $gte: value } };
+};
+
+/**
+ * Documents after the cursor in sort order:
+ * (a > x) or (a = x and b > y) or ...
+ */
+const buildCursorFilter = (sortEntries, values) => ({
+  $or: sortEntries.map(([field, direction], index) => {
+    const clause = {};
+    sortEntries.slice(0, index).forEach(([previous]) => {
+      clause[previous] = values[previous];
+    });
+    clause[field] = afterValue(values[field], direction);
+    return clause;
+  }),
+});
+
+/**
+ * Parse pagination, sort and field selection from a request query
+ * @param {Object} query - req.query
+ * @param {Object} options - { sortable, selectable, defaultSort } (defaultSort like '-createdAt')
+ * @returns {Object} Parsed options or { status, message } when invalid
+ */
+const parseListQuery = (query, { sortable, selectable, defaultSort }) => {
+  const sortFields = splitList(query.sort || defaultSort);
+  const sortEntries = [];
+  for (const item of sortFields) {
+    const field = item.replace(/^[-+]/, '');
+    if (!sortable.includes(field)) {
+      return { status: 400, message: `Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}.` };
+    }
+    sortEntries.push([field, item.startsWith('-') ? -1 : 1]);
+  }
+  // _id breaks ties so pages never overlap
+  if (!sortEntries.some(([field]) => field === '_id')) {
+    sortEntries.push(['_id', sortEntries[sortEntries.length - 1]?.[1] || 1]);
+  }
+
+  const fields = splitList(query.fields);
+  const unknownField = fields.find((field) => !selectable.includes(field));
+  if (unknownField) {
+    return { status: 400, message: `Unknown field "${unknownField}". Selectable fields: ${selectable.join(', ')}.` };
+  }
+
+  const paginated = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+  const limit = paginated ? Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT) : null;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  let cursorValues = null;
+  if (query.cursor) {
+    cursorValues = decodeCursor(query.cursor, sortEntries);
+    if (!cursorValues) {
+      return { status: 400, message: 'Invalid cursor. Request the first page again.' };
+    }
+  }
+
+  return {
+    sortEntries,
+    sort: Object.fromEntries(sortEntries),
+    fields,
+    limit,
+    page: cursorValues ? null : page,
+    cursorValues,
+  };
+};
+
+/**
+ * Run a list query with the parsed options
+ * Populates only the paths that are selected
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Base filter
+ * @param {Object} listQuery - Result of parseListQuery
+ * @param {Object} options - { populate: [{ path, select }], select: default projection }
+ * @returns {Object} { data, pagination } where pagination holds total, page, limit, totalPages, nextCursor
+ */
+const findList = async (Model, filter, listQuery, { populate = [], select } = {}) => {
+  const { sort, sortEntries, fields, limit, page, cursorValues } = listQuery;
+  const pageFilter = cursorValues ? { $and: [filter, buildCursorFilter(sortEntries, cursorValues)] } : filter;
+
+  const query = Model.find(pageFilter).sort(sort);
+  if (fields.length > 0) {
+    // Sort fields are always returned so the next cursor can be built
+    query.select([...new Set([...fields, ...sortEntries.map(([field]) => field)])].join(' '));
+  } else if (select) {
+    query.select(select);
+  }
+  populate
+    .filter(({ path }) => fields.length === 0 || fields.includes(path))
+    .forEach((option) => query.populate(option));
+
+  if (!limit) {
+    const data = await query;
+    return { data, pagination: { total: data.length } };
+  }
+
+  if (cursorValues) {
+    query.limit(limit + 1);
+  } else {
+    query.skip((page - 1) * limit).limit(limit + 1);
+  }
+
+  const [docs, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortEntries) : null,
+    },
+  };
+};
+
+module.exports = {
+  parseListQuery,
+  findList,
+};
@@ -0,0 +1,179 @@
+const Part = require('../models/Part');
+const RequestPart = require('../models/RequestPart');
+
+/**
+ * Part Stock Helpers
+ * Reserve, consume and release spare parts against maintenance requests
+ * Failures are returned as { status, message } so controllers can send them as-is
+ */
+
+const MAX_RETRIES = 3;
+
+/**
+ * Load a part, apply a stock change and save it
+ * Retries when another request changed the same part concurrently
+ * @param {string} partId - Part ID
+ * @param {Function} mutate - (part) => { status, message } on failure, nothing on success
+ * @returns {Object} { part } or { status, message }
+ */
+const updatePartStock = async (partId, mutate) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const part = await Part.findById(partId);
+    if (!part) {
+      return { status: 404, message: 'Part not found.' };
+    }
+
+    const failure = mutate(part);
+    if (failure) return failure;
+
+    try {
+      await part.save();
+      return { part };
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_RETRIES) throw error;
+    }
+  }
+};
+
+/**
+ * Summary of a part that has fallen to its reorder point
+ */
+const toReorderAlert = (part) => ({
+  _id: part._id,
+  partNumber: part.partNumber,
+  name: part.name,
+  availableQuantity: part.availableQuantity,
+  reorderPoint: part.reorderPoint,
+  reorderQuantity: part.reorderQuantity,
+});
+
+/**
+ * Reserve available stock at a location for a request
+ * @returns {Object} { usage, reorderAlert } or { status, message }
+ */
+const reservePart = async ({ requestId, partId, location, quantity, userId }) => {
+  const result = await updatePartStock(partId, (part) => {
+    if (!part.isActive) {
+      return { status: 400, message: `${part.name} is no longer stocked.` };
+    }
+    const entry = part.getLocationStock(location);
+    const available = entry ? entry.quantity - entry.reserved : 0;
+    if (available < quantity) {
+      return {
+        status: 409,
+        message: `Only ${available} ${part.unit} of ${part.name} available at ${location}.`,
+      };
+    }
+    entry.reserved += quantity;
+    return null;
+  });
+  if (result.status) return result;
+
+  const usage = await RequestPart.create({
+    request: requestId,
+    part: partId,
+    location,
+    quantity,
+    unitCost: result.part.unitCost,
+    reservedBy: userId,
+  });
+
+  return { usage, reorderAlert: result.part.needsReorder ? toReorderAlert(result.part) : null };
+};
+
+/**
+ * Take a reserved part out of stock
+ * @returns {Object} { usage, reorderAlert } or { status, message }
+ */
+const consumeUsage = async (usage, userId, at = new Date()) => {
+  if (usage.status === 'Consumed') {
+    return { status: 400, message: 'Part has already been consumed.' };
+  }
+
+  const result = await updatePartStock(usage.part, (part) => {
+    const entry = part.getLocationStock(usage.location);
+    if (!entry || entry.quantity < usage.quantity) {
+      return { status: 409, message: `Not enough ${part.name} in stock at ${usage.location}.` };
+    }
+    entry.quantity -= usage.quantity;
+    entry.reserved = Math.max(0, entry.reserved - usage.quantity);
+    return null;
+  });
+  if (result.status) return result;
+
+  usage.status = 'Consumed';
+  usage.unitCost = result.part.unitCost;
+  usage.consumedBy = userId;
+  usage.consumedAt = at;
+  await usage.save();
+
+  return { usage, reorderAlert: result.part.needsReorder ? toReorderAlert(result.part) : null };
+};
+
+/**
+ * Cancel a reservation, or return consumed parts to stock, and remove the usage
+ * @returns {Object} {} or { status, message }
+ */
+const releaseUsage = async (usage) => {
+  const result = await updatePartStock(usage.part, (part) => {
+    let entry = part.getLocationStock(usage.location);
+    if (usage.status === 'Reserved') {
+      if (entry) entry.reserved = Math.max(0, entry.reserved - usage.quantity);
+    } else {
+      if (!entry) {
+        part.stock.push({ location: usage.location, quantity: 0, reserved: 0 });
+        entry = part.getLocationStock(usage.location);
+      }
+      entry.quantity += usage.quantity;
+    }
+    return null;
+  });
+  // A deleted part has no stock to restore
+  if (result.status && result.status !== 404) return result;
+
+  await usage.deleteOne();
+  return {};
+};
+
+/**
+ * Consume every part still reserved for a request (when it is Repaired)
+ * Parts that cannot be consumed stay reserved and are reported
+ * @returns {Object} { consumed, failed, reorderAlerts }
+ */
+const consumeReservedParts = async (requestId, userId) => {
+  const usages = await RequestPart.find({ request: requestId, status: 'Reserved' });
+  const summary = { consumed: 0, failed: [], reorderAlerts: [] };
+
+  for (const usage of usages) {
+    const result = await consumeUsage(usage, userId);
+    if (result.status) {
+      summary.failed.push({ usage: usage._id, message: result.message });
+      continue;
+    }
+    summary.consumed += 1;
+    if (result.reorderAlert) summary.reorderAlerts.push(result.reorderAlert);
+  }
+
+  return summary;
+};
+
+/**
+ * Release every part still reserved for a request (when it is scrapped)
+ * @returns {number} Number of reservations released
+ */
+const releaseReservedParts = async (requestId) => {
+  const usages = await RequestPart.find({ request: requestId, status: 'Reserved' });
+  for (const usage of usages) {
+    await releaseUsage(usage);
+  }
+  return usages.length;
+};
+
+module.exports = {
+  updatePartStock,
+  reservePart,
+  consumeUsage,
+  releaseUsage,
+  consumeReservedParts,
+  releaseReservedParts,
+};
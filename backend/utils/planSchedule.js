@@ -0,0 +1,153 @@
+/**
+ * Maintenance Plan Schedule Helpers
+ * Compute occurrence dates for recurring preventive maintenance plans
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit on generated occurrences per call
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Truncate a date to UTC midnight
+ * Days are stored as UTC midnight, like the dates sent by date inputs
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Parse an RRULE-style string into schedule fields
+ * Supports FREQ, INTERVAL, BYDAY and BYMONTHDAY, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+ * @param {string} rrule - Rule string (with or without "RRULE:" prefix)
+ * @returns {Object} { frequency, interval, byWeekday, byMonthDay }
+ */
+exports.parseRRule = (rrule) => {
+  const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const schedule = { interval: 1, byWeekday: [], byMonthDay: null };
+
+  parts.forEach((part) => {
+    const [key, value] = part.split('=').map((s) => s.trim().toUpperCase());
+    switch (key) {
+      case 'FREQ':
+        schedule.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        schedule.interval = parseInt(value, 10);
+        break;
+      case 'BYDAY':
+        schedule.byWeekday = value.split(',').map((code) => WEEKDAY_CODES.indexOf(code));
+        break;
+      case 'BYMONTHDAY':
+        schedule.byMonthDay = parseInt(value, 10);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  });
+
+  if (!FREQUENCIES.includes(schedule.frequency)) {
+    throw new Error('RRULE must include FREQ=DAILY, WEEKLY, MONTHLY or YEARLY.');
+  }
+  if (!Number.isInteger(schedule.interval) || schedule.interval < 1) {
+    throw new Error('RRULE INTERVAL must be a positive integer.');
+  }
+  if (schedule.byWeekday.some((day) => day < 0)) {
+    throw new Error('RRULE BYDAY contains an invalid weekday.');
+  }
+  if (schedule.byMonthDay !== null && (schedule.byMonthDay < 1 || schedule.byMonthDay > 31)) {
+    throw new Error('RRULE BYMONTHDAY must be between 1 and 31.');
+  }
+
+  return schedule;
+};
+
+/**
+ * Get all occurrences of a schedule within a date range (inclusive)
+ * @param {Object} schedule - { frequency, interval, byWeekday, byMonthDay, startDate, endDate }
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Date>} Occurrence dates at UTC midnight, ascending
+ */
+exports.getOccurrences = (schedule, from, to) => {
+  const { frequency, interval = 1, byWeekday = [], byMonthDay } = schedule;
+  const start = startOfDay(schedule.startDate);
+  const rangeStart = startOfDay(from) > start ? startOfDay(from) : start;
+  let rangeEnd = startOfDay(to);
+  if (schedule.endDate && startOfDay(schedule.endDate) < rangeEnd) {
+    rangeEnd = startOfDay(schedule.endDate);
+  }
+
+  const occurrences = [];
+  const push = (date) => {
+    if (date >= rangeStart && date <= rangeEnd && date >= start) {
+      occurrences.push(date);
+    }
+  };
+
+  if (rangeStart > rangeEnd) return occurrences;
+
+  if (frequency === 'daily') {
+    // Jump straight to the first period inside the range
+    const skip = Math.max(0, Math.floor((rangeStart - start) / DAY_MS / interval));
+    for (let i = skip; occurrences.length < MAX_OCCURRENCES; i += 1) {
+      const date = new Date(start);
+      date.setUTCDate(start.getUTCDate() + i * interval);
+      if (date > rangeEnd) break;
+      push(date);
+    }
+  } else if (frequency === 'weekly') {
+    const weekdays = byWeekday.length > 0 ? [...byWeekday].sort() : [start.getUTCDay()];
+    const weekStart = new Date(start);
+    weekStart.setUTCDate(start.getUTCDate() - start.getUTCDay());
+    const skip = Math.max(0, Math.floor((rangeStart - weekStart) / (7 * DAY_MS) / interval));
+    for (let i = skip; occurrences.length < MAX_OCCURRENCES; i += 1) {
+      const week = new Date(weekStart);
+      week.setUTCDate(weekStart.getUTCDate() + i * interval * 7);
+      if (week > rangeEnd) break;
+      weekdays.forEach((day) => {
+        const date = new Date(week);
+        date.setUTCDate(week.getUTCDate() + day);
+        push(date);
+      });
+    }
+  } else if (frequency === 'monthly' || frequency === 'yearly') {
+    const stepMonths = frequency === 'monthly' ? interval : interval * 12;
+    const day = byMonthDay || start.getUTCDate();
+    const monthsToRange =
+      (rangeStart.getUTCFullYear() - start.getUTCFullYear()) * 12 + rangeStart.getUTCMonth() - start.getUTCMonth();
+    const skip = Math.max(0, Math.floor(monthsToRange / stepMonths) - 1);
+    for (let i = skip; occurrences.length < MAX_OCCURRENCES; i += 1) {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + i * stepMonths;
+      const date = new Date(Date.UTC(year, month, 1));
+      if (date > rangeEnd) break;
+      date.setUTCDate(Math.min(day, daysInMonth(date.getUTCFullYear(), date.getUTCMonth())));
+      push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the first occurrence on or after a date
+ * @param {Object} schedule - Plan schedule
+ * @param {Date} after - Search start
+ * @returns {Date|null}
+ */
+exports.getNextOccurrence = (schedule, after) => {
+  // Yearly schedules with long intervals need a wide search window
+  const horizon = new Date(after);
+  horizon.setUTCFullYear(horizon.getUTCFullYear() + (schedule.interval || 1) + 1);
+  return exports.getOccurrences(schedule, after, horizon)[0] || null;
+};
+
+exports.FREQUENCIES = FREQUENCIES;
+exports.startOfDay = startOfDay;
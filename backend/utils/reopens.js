@@ -0,0 +1,52 @@
+/**
+ * Reopen Helpers
+ * Send a Repaired request back to In Progress and keep track of repeat failures
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Besides these roles, the user who raised the request may reopen it
+const REOPEN_ROLES = ['Admin', 'Manager'];
+
+/**
+ * Admin, Manager or the request's creator may reopen a request
+ */
+const canReopenRequest = (request, user) =>
+  REOPEN_ROLES.includes(user.role) || request.createdBy?.toString() === user._id.toString();
+
+/**
+ * Record a reopen on a Repaired request and move it back to In Progress
+ * Captures when the failed repair was finished and which technician did it, and starts
+ * a new escalation cycle: the request's level is cleared so every rule can fire again
+ * Does not save the request or update its SLA
+ * @param {Object} request - MaintenanceRequest document in Repaired
+ * @param {string} reason - Why the repair did not hold
+ * @param {Object} user - User reopening the request
+ * @param {Date} now - Reference time
+ * @returns {Object} Added reopen event
+ */
+const recordReopen = (request, reason, user, now = new Date()) => {
+  const repairedAt = request.sla?.resolvedAt || request.updatedAt;
+  const hoursSinceRepair = repairedAt ? Math.round(((now - repairedAt) / HOUR_MS) * 100) / 100 : null;
+
+  request.reopen.count = (request.reopen.count || 0) + 1;
+  request.reopen.lastReopenedAt = now;
+  request.reopen.events.push({
+    reason,
+    reopenedBy: user._id,
+    reopenedAt: now,
+    repairedAt,
+    technician: request.assignedTechnician || null,
+    hoursSinceRepair,
+  });
+  request.stage = 'In Progress';
+  request.escalation.level = 0;
+
+  return request.reopen.events[request.reopen.events.length - 1];
+};
+
+module.exports = {
+  REOPEN_ROLES,
+  canReopenRequest,
+  recordReopen,
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const WorkLog = require('../models/WorkLog');
+const RequestPart = require('../models/RequestPart');
+const ExternalCost = require('../models/ExternalCost');
+
+/**
+ * Request Cost Helpers
+ * Keep a request's costs equal to its labor, consumed parts and external costs
+ */
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Sum an expression over the documents of a collection
+ */
+const sumOf = async (Model, match, expression) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: expression } } },
+  ]);
+  return roundMoney(result?.total);
+};
+
+/**
+ * Recompute the cost breakdown of a request
+ * - labor: finished work logs at the technician's rate when logged
+ * - parts: consumed parts at their cost when consumed
+ * - external: external cost entries
+ * @param {string} requestId - MaintenanceRequest ID
+ * @returns {Object} { labor, parts, external, total }
+ */
+const syncRequestCosts = async (requestId) => {
+  const request = new mongoose.Types.ObjectId(requestId.toString());
+
+  const labor = await sumOf(WorkLog, { request, endedAt: { $ne: null } }, '$laborCost');
+  const parts = await sumOf(
+    RequestPart,
+    { request, status: 'Consumed' },
+    { $multiply: ['$quantity', '$unitCost'] }
+  );
+  const external = await sumOf(ExternalCost, { request }, '$amount');
+
+  const costs = { labor, parts, external, total: roundMoney(labor + parts + external) };
+  await MaintenanceRequest.updateOne({ _id: request }, { costs });
+
+  return costs;
+};
+
+module.exports = {
+  roundMoney,
+  syncRequestCosts,
+};
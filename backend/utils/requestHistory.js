@@ -0,0 +1,86 @@
+const RequestHistory = require('../models/RequestHistory');
+
+/**
+ * Request History Helpers
+ * Record field-level changes to maintenance requests
+ */
+
+// Fields captured in history entries
+const TRACKED_FIELDS = [
+  'subject',
+  'equipment',
+  'equipmentCategory',
+  'maintenanceTeam',
+  'requestType',
+  'stage',
+  'priority',
+  'scheduledDate',
+  'assignedTechnician',
+  'estimatedHours',
+  'durationHours',
+  'description',
+  'resolutionNotes',
+  'parentRequest',
+];
+
+/**
+ * Normalize a value so it can be stored and compared
+ * (ObjectIds and populated documents become id strings, dates become ISO strings)
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * Take a snapshot of the tracked fields of a request
+ * @param {Object} request - MaintenanceRequest document
+ * @returns {Object} Normalized field values
+ */
+exports.snapshot = (request) => {
+  const values = {};
+  TRACKED_FIELDS.forEach((field) => {
+    values[field] = normalize(request.get ? request.get(field) : request[field]);
+  });
+  return values;
+};
+
+/**
+ * Compare two snapshots and return the changed fields
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+exports.diff = (before, after) => {
+  return TRACKED_FIELDS.map((field) => ({
+    field,
+    from: before[field] ?? null,
+    to: after[field] ?? null,
+  })).filter((change) => change.from !== change.to);
+};
+
+/**
+ * Append a history entry for a request
+ * History failures are logged but never break the main operation
+ * @param {string} requestId - MaintenanceRequest ID
+ * @param {string} action - create, update, stage, assign or delete
+ * @param {string} actorId - User performing the action
+ * @param {Array<Object>} changes - Field-level changes
+ */
+exports.recordHistory = async (requestId, action, actorId, changes = []) => {
+  try {
+    await RequestHistory.create({
+      request: requestId,
+      action,
+      actor: actorId,
+      changes,
+    });
+  } catch (error) {
+    console.error(`Failed to record request history: ${error.message}`);
+  }
+};
@@ -0,0 +1,200 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { recordHistory } = require('./requestHistory');
+
+/**
+ * Request Link Helpers
+ * Parent/child, blocked-by and related-to links between maintenance requests
+ */
+
+// Link types accepted by the links endpoints
+// parent/child set parentRequest on this or the other request; blockedBy and related are lists
+const LINK_TYPES = ['parent', 'child', 'blockedBy', 'related'];
+
+// Children in these stages count as completed in the parent's progress,
+// and blockers in these stages no longer block
+const COMPLETED_STAGES = ['Repaired', 'Scrap'];
+
+/**
+ * Recount a parent's child requests and store the progress on the parent
+ * @param {ObjectId} parentId - Parent request ID (no-op when empty)
+ * @returns {Object|null} { total, completed }
+ */
+const syncSubtaskProgress = async (parentId) => {
+  if (!parentId) return null;
+
+  const [total, completed] = await Promise.all([
+    MaintenanceRequest.countDocuments({ parentRequest: parentId }),
+    MaintenanceRequest.countDocuments({ parentRequest: parentId, stage: { $in: COMPLETED_STAGES } }),
+  ]);
+  const subtasks = { total, completed };
+  await MaintenanceRequest.updateOne({ _id: parentId }, { subtasks });
+  return subtasks;
+};
+
+/**
+ * Whether making parentId the parent of requestId would create a loop
+ */
+const createsParentCycle = async (requestId, parentId) => {
+  let currentId = parentId;
+  const seen = new Set();
+  while (currentId && !seen.has(currentId.toString())) {
+    if (currentId.toString() === requestId.toString()) return true;
+    seen.add(currentId.toString());
+    const current = await MaintenanceRequest.findById(currentId).select('parentRequest').lean();
+    currentId = current?.parentRequest;
+  }
+  return false;
+};
+
+/**
+ * Whether requestId being blocked by blockerId would create a loop
+ * (the blocker already waits, directly or indirectly, on the request)
+ */
+const createsBlockerCycle = async (requestId, blockerId) => {
+  const target = requestId.toString();
+  const seen = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => seen.add(id));
+    const requests = await MaintenanceRequest.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [...new Set(requests.flatMap((request) => request.blockedBy.map(String)))].filter(
+      (id) => !seen.has(id)
+    );
+  }
+  return false;
+};
+
+/**
+ * Blockers of a request that are not Repaired or Scrapped yet
+ * @param {Object} request - MaintenanceRequest document
+ * @returns {Array} Lightweight request summaries
+ */
+const findOpenBlockers = async (request) => {
+  if (!request.blockedBy?.length) return [];
+  return MaintenanceRequest.find({ _id: { $in: request.blockedBy }, stage: { $nin: COMPLETED_STAGES } })
+    .select('subject stage')
+    .lean();
+};
+
+/**
+ * Link a request to another one and record it on the request's history
+ * @param {Object} request - MaintenanceRequest document
+ * @param {string} type - One of LINK_TYPES
+ * @param {Object} target - The other MaintenanceRequest document
+ * @param {Object} user - User adding the link
+ * @returns {Object|null} { status, message } when the link is refused
+ */
+const addLink = async (request, type, target, user) => {
+  if (request._id.equals(target._id)) {
+    return { status: 400, message: 'A request cannot be linked to itself.' };
+  }
+
+  if (type === 'parent' || type === 'child') {
+    const [child, parent] = type === 'parent' ? [request, target] : [target, request];
+    if (child.parentRequest?.equals(parent._id)) {
+      return { status: 409, message: 'These requests are already linked.' };
+    }
+    if (await createsParentCycle(child._id, parent._id)) {
+      return { status: 409, message: 'This link would make a request its own ancestor.' };
+    }
+
+    const previousParent = child.parentRequest;
+    child.parentRequest = parent._id;
+    await child.save();
+    await recordHistory(child._id, 'update', user._id, [
+      { field: 'parentRequest', from: previousParent?.toString() || null, to: parent._id.toString() },
+    ]);
+    await Promise.all([syncSubtaskProgress(previousParent), syncSubtaskProgress(parent._id)]);
+    return null;
+  }
+
+  if (type === 'blockedBy') {
+    if (request.blockedBy.some((id) => id.equals(target._id))) {
+      return { status: 409, message: 'These requests are already linked.' };
+    }
+    if (await createsBlockerCycle(request._id, target._id)) {
+      return { status: 409, message: 'This link would make the requests block each other.' };
+    }
+    request.blockedBy.push(target._id);
+  } else {
+    const alreadyRelated =
+      request.relatedTo.some((id) => id.equals(target._id)) || target.relatedTo.some((id) => id.equals(request._id));
+    if (alreadyRelated) {
+      return { status: 409, message: 'These requests are already linked.' };
+    }
+    request.relatedTo.push(target._id);
+  }
+
+  await request.save();
+  await recordHistory(request._id, 'update', user._id, [
+    { field: type === 'blockedBy' ? 'blockedBy' : 'relatedTo', from: null, to: target._id.toString() },
+  ]);
+  return null;
+};
+
+/**
+ * Remove a link between two requests and record it on the request's history
+ * @param {Object} request - MaintenanceRequest document
+ * @param {string} type - One of LINK_TYPES
+ * @param {Object} target - The other MaintenanceRequest document
+ * @param {Object} user - User removing the link
+ * @returns {Object|null} { status, message } when there is no such link
+ */
+const removeLink = async (request, type, target, user) => {
+  const notLinked = { status: 404, message: 'These requests are not linked.' };
+
+  if (type === 'parent' || type === 'child') {
+    const [child, parent] = type === 'parent' ? [request, target] : [target, request];
+    if (!child.parentRequest?.equals(parent._id)) return notLinked;
+
+    child.parentRequest = null;
+    await child.save();
+    await recordHistory(child._id, 'update', user._id, [
+      { field: 'parentRequest', from: parent._id.toString(), to: null },
+    ]);
+    await syncSubtaskProgress(parent._id);
+    return null;
+  }
+
+  if (type === 'blockedBy') {
+    if (!request.blockedBy.some((id) => id.equals(target._id))) return notLinked;
+    request.blockedBy.pull(target._id);
+    await request.save();
+    await recordHistory(request._id, 'update', user._id, [
+      { field: 'blockedBy', from: target._id.toString(), to: null },
+    ]);
+    return null;
+  }
+
+  // Related links may be stored on either request
+  const [owner, other] = request.relatedTo.some((id) => id.equals(target._id)) ? [request, target] : [target, request];
+  if (!owner.relatedTo.some((id) => id.equals(other._id))) return notLinked;
+  owner.relatedTo.pull(other._id);
+  await owner.save();
+  await recordHistory(request._id, 'update', user._id, [
+    { field: 'relatedTo', from: target._id.toString(), to: null },
+  ]);
+  return null;
+};
+
+/**
+ * Drop every link pointing at a request that is being purged
+ */
+const unlinkRequest = async (requestId) => {
+  await MaintenanceRequest.updateMany({ parentRequest: requestId }, { parentRequest: null }).withDeleted();
+  await MaintenanceRequest.updateMany(
+    { $or: [{ blockedBy: requestId }, { relatedTo: requestId }] },
+    { $pull: { blockedBy: requestId, relatedTo: requestId } }
+  ).withDeleted();
+};
+
+module.exports = {
+  LINK_TYPES,
+  syncSubtaskProgress,
+  findOpenBlockers,
+  addLink,
+  removeLink,
+  unlinkRequest,
+};
@@ -0,0 +1,102 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { AWAITING_APPROVAL, isAwaitingApproval, canDecideApproval } = require('./approvals');
+
+/**
+ * Request Visibility Helpers
+ * Which maintenance requests each role may see in lists and search, and which single request it may open
+ */
+
+// Fields the single-request check reads
+const ACCESS_FIELDS = 'createdBy watchers maintenanceTeam approval';
+
+/**
+ * Requests a user may see
+ * Users see their own and watched requests, Technicians their own and their team's
+ * once they no longer wait for approval
+ * @param {Object} user - Authenticated user
+ * @returns {Object} MongoDB filter
+ */
+const buildVisibilityFilter = (user) => {
+  if (user.role === 'User') {
+    return { $or: [{ createdBy: user._id }, { watchers: user._id }] };
+  }
+  if (user.role === 'Technician') {
+    return {
+      $or: [{ assignedTechnician: user._id }, { maintenanceTeam: user.team }],
+      'approval.status': { $nin: AWAITING_APPROVAL },
+    };
+  }
+  // Admin and Manager see all requests
+  return {};
+};
+
+/**
+ * Whether a user may open a request
+ * Users open their own and watched requests; Technicians open requests waiting for approval
+ * only when they may decide them
+ * @param {Object} request - MaintenanceRequest with createdBy, watchers, maintenanceTeam and approval
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>}
+ */
+const canViewRequest = async (request, user) => {
+  if (user.role === 'User') return request.isRequesterOrWatcher(user._id);
+  if (user.role === 'Technician' && isAwaitingApproval(request)) return canDecideApproval(request, user);
+  return true;
+};
+
+/**
+ * Whether a user may change a request, its stage and its links: Admin, Manager or the assigned Technician
+ * @param {Object} request - MaintenanceRequest with assignedTechnician
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+const canUpdateRequest = (request, user) =>
+  ['Admin', 'Manager'].includes(user.role) || request.assignedTechnician?.toString() === user._id.toString();
+
+/**
+ * Whether a user may work on a request: log time, handle parts, record costs and tick off checklist steps
+ * Admin and Manager always; Technicians on requests assigned to them or to their team
+ * @param {Object} request - MaintenanceRequest with assignedTechnician and maintenanceTeam
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+const canWorkOnRequest = (request, user) => {
+  if (['Admin', 'Manager'].includes(user.role)) return true;
+  if (user.role !== 'Technician') return false;
+
+  return (
+    request.assignedTechnician?.toString() === user._id.toString() ||
+    (Boolean(user.team) && request.maintenanceTeam?.toString() === user.team.toString())
+  );
+};
+
+/**
+ * Find a request and check the user may open it
+ * @param {string} requestId - Request ID
+ * @param {Object} user - Authenticated user
+ * @param {string} fields - Fields the caller needs (optional; the whole request when omitted)
+ * @returns {Object} { request } or { status, message } on failure
+ */
+const findAccessibleRequest = async (requestId, user, fields) => {
+  const query = MaintenanceRequest.findById(requestId);
+  if (fields) query.select(`${fields} ${ACCESS_FIELDS}`);
+  const request = await query;
+
+  if (!request) {
+    return { status: 404, message: 'Request not found.' };
+  }
+
+  if (!(await canViewRequest(request, user))) {
+    return { status: 403, message: 'Access denied.' };
+  }
+
+  return { request };
+};
+
+module.exports = {
+  buildVisibilityFilter,
+  canViewRequest,
+  canUpdateRequest,
+  canWorkOnRequest,
+  findAccessibleRequest,
+};
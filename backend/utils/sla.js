@@ -0,0 +1,123 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const { getRequestCalendar, addWorkingHours } = require('./workingCalendars');
+
+/**
+ * SLA Helpers
+ * Match requests to SLA policies and track response/resolution targets
+ * Target hours count working time on the request's working calendar
+ */
+
+// Request fields that decide which policy applies
+const SLA_FIELDS = ['priority', 'maintenanceTeam', 'equipmentCategory'];
+
+/**
+ * Find the most specific active policy for a request
+ * Team + category beats team only, which beats category only, which beats priority only
+ * @param {Object} request - { priority, maintenanceTeam, equipmentCategory }
+ * @returns {Object|null} SlaPolicy document
+ */
+const findPolicy = async ({ priority, maintenanceTeam, equipmentCategory }) => {
+  const policies = await SlaPolicy.find({
+    isActive: true,
+    priority,
+    maintenanceTeam: { $in: [maintenanceTeam || null, null] },
+    equipmentCategory: { $in: [equipmentCategory || null, null] },
+  });
+
+  const specificity = (policy) => (policy.maintenanceTeam ? 2 : 0) + (policy.equipmentCategory ? 1 : 0);
+  return policies.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * When the SLA clock starts for a request
+ * Plan-generated requests are created ahead of time, so their clock starts on the scheduled date;
+ * requests that needed approval start when they were approved
+ */
+const getSlaStart = (request) => {
+  if (request.approval?.status === 'Approved' && request.approval.decidedAt) {
+    return request.approval.decidedAt;
+  }
+  const createdAt = request.createdAt || new Date();
+  if (request.maintenancePlan && request.scheduledDate && request.scheduledDate > createdAt) {
+    return request.scheduledDate;
+  }
+  return createdAt;
+};
+
+/**
+ * Stamp SLA due times on a request from its matching policy and working calendar
+ * A reopened request is due to be resolved again resolutionTimeHours after its last reopen
+ * Breach flags of already-reached milestones are re-evaluated against the new targets
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document
+ * @returns {Object|null} Applied policy
+ */
+const applySlaPolicy = async (request) => {
+  const policy = await findPolicy(request);
+  const calendar = await getRequestCalendar(request);
+  const start = getSlaStart(request);
+  const resolutionStart = request.reopen?.lastReopenedAt || start;
+  const { respondedAt = null, resolvedAt = null } = request.sla || {};
+
+  const responseDueAt = policy ? addWorkingHours(calendar, start, policy.responseTimeHours) : null;
+  const resolutionDueAt = policy ? addWorkingHours(calendar, resolutionStart, policy.resolutionTimeHours) : null;
+
+  request.sla = {
+    policy: policy?._id || null,
+    responseDueAt,
+    resolutionDueAt,
+    respondedAt,
+    resolvedAt,
+    responseBreached: Boolean(respondedAt && responseDueAt && respondedAt > responseDueAt),
+    resolutionBreached: Boolean(resolvedAt && resolutionDueAt && resolvedAt > resolutionDueAt),
+  };
+
+  return policy;
+};
+
+/**
+ * Re-stamp SLA due times when a field that selects the policy, or the working calendar, has changed
+ * Requests waiting for approval get their due times once approved
+ * Does not save the request
+ */
+const refreshSlaPolicy = async (request) => {
+  if (['Pending', 'Rejected'].includes(request.approval?.status)) return;
+  if ([...SLA_FIELDS, 'workingCalendar'].some((field) => request.isModified(field))) {
+    await applySlaPolicy(request);
+  }
+};
+
+/**
+ * Record SLA milestones for a stage change
+ * The first move to In Progress is the response; moving to Repaired is the resolution
+ * Reopening a repaired request clears its resolution
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document (stage already updated)
+ * @param {string} previousStage - Stage before the change
+ * @param {Date} at - Time of the change
+ */
+const recordSlaStageChange = (request, previousStage, at = new Date()) => {
+  const sla = request.sla;
+  if (!sla || previousStage === request.stage) return;
+
+  if (request.stage === 'In Progress' && !sla.respondedAt) {
+    sla.respondedAt = at;
+    sla.responseBreached = Boolean(sla.responseDueAt && at > sla.responseDueAt);
+  }
+
+  if (request.stage === 'Repaired') {
+    sla.resolvedAt = at;
+    sla.resolutionBreached = Boolean(sla.resolutionDueAt && at > sla.resolutionDueAt);
+  } else if (previousStage === 'Repaired') {
+    sla.resolvedAt = null;
+    sla.resolutionBreached = false;
+  }
+};
+
+module.exports = {
+  findPolicy,
+  getSlaStart,
+  applySlaPolicy,
+  refreshSlaPolicy,
+  recordSlaStageChange,
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft Delete Plugin
+ * Adds deletedAt/deletedBy and hides deleted documents from queries and aggregations
+ *
+ * Deleted documents are still returned when:
+ * - the query calls .withDeleted()
+ * - the filter (or the first $match stage) mentions deletedAt, as trash listings do
+ * deleteOne/deleteMany are not filtered so trashed documents can be purged
+ */
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany',
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(QUERY_HOOKS, function (next) {
+    if (!this._withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    const [firstStage] = this.pipeline();
+    if (!(firstStage?.$match && 'deletedAt' in firstStage.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  /**
+   * Move the document to the trash
+   * @param {ObjectId} userId - User deleting the document
+   */
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  /**
+   * Take the document out of the trash
+   */
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDelete;
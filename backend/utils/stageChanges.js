@@ -0,0 +1,48 @@
+const { stopRunningWorkLogs } = require('./workLogs');
+const { consumeReservedParts, releaseReservedParts } = require('./partStock');
+const { syncRequestCosts } = require('./requestCosts');
+const { syncSubtaskProgress } = require('./requestLinks');
+
+/**
+ * Stage Change Helpers
+ * Follow-up work shared by every path that changes a request's stage
+ */
+
+// Work stops once a request leaves the active stages
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+/**
+ * Follow-up work for a saved stage change
+ * Stops running timers when work ends, consumes reserved parts on Repaired
+ * and releases them on Scrap, then refreshes the request's costs and its parent's progress
+ * @returns {Object} { reorderAlerts, partIssues }
+ */
+const afterStageChange = async (request, previousStage, userId) => {
+  const result = { reorderAlerts: [], partIssues: [] };
+  if (previousStage === request.stage) return result;
+
+  if (CLOSED_STAGES.includes(request.stage)) {
+    const { durationHours } = await stopRunningWorkLogs(request._id, userId);
+    if (durationHours !== null) request.durationHours = durationHours;
+  }
+
+  if (request.stage === 'Repaired') {
+    const parts = await consumeReservedParts(request._id, userId);
+    result.reorderAlerts = parts.reorderAlerts;
+    result.partIssues = parts.failed;
+  } else if (request.stage === 'Scrap') {
+    await releaseReservedParts(request._id);
+  }
+
+  if (CLOSED_STAGES.includes(request.stage)) {
+    request.costs = await syncRequestCosts(request._id);
+  }
+
+  await syncSubtaskProgress(request.parentRequest);
+
+  return result;
+};
+
+module.exports = {
+  afterStageChange,
+};
@@ -0,0 +1,56 @@
+/**
+ * Maintenance Request Stage Transitions
+ * Single source of truth for which stage changes are allowed
+ */
+
+/**
+ * Forward workflow transitions available to anyone allowed to update the request
+ * New → In Progress → Repaired / Scrap
+ */
+const STAGE_TRANSITIONS = {
+  New: ['In Progress', 'Scrap'],
+  'In Progress': ['Repaired', 'Scrap'],
+  Repaired: [],
+  Scrap: [],
+};
+
+/**
+ * Reopen transitions - only Admin and Manager may move a request backwards
+ * Repaired requests are reopened with a reason through the reopen action (see utils/reopens.js)
+ * Scrap is terminal and cannot be reopened
+ */
+const REOPEN_TRANSITIONS = {
+  'In Progress': ['New'],
+};
+
+const REOPEN_ROLES = ['Admin', 'Manager'];
+
+/**
+ * Get the stages a request can move to from its current stage
+ * @param {string} fromStage - Current stage
+ * @param {string} role - Role of the user performing the change
+ * @returns {Array<string>} Allowed next stages
+ */
+exports.getAllowedTransitions = (fromStage, role) => {
+  const allowed = [...(STAGE_TRANSITIONS[fromStage] || [])];
+
+  if (REOPEN_ROLES.includes(role)) {
+    allowed.push(...(REOPEN_TRANSITIONS[fromStage] || []));
+  }
+
+  return allowed;
+};
+
+/**
+ * Check if a stage change is allowed
+ * @param {string} fromStage - Current stage
+ * @param {string} toStage - Requested stage
+ * @param {string} role - Role of the user performing the change
+ * @returns {boolean}
+ */
+exports.isValidTransition = (fromStage, toStage, role) => {
+  return exports.getAllowedTransitions(fromStage, role).includes(toStage);
+};
+
+exports.STAGE_TRANSITIONS = STAGE_TRANSITIONS;
+exports.REOPEN_TRANSITIONS = REOPEN_TRANSITIONS;
@@ -0,0 +1,36 @@
+const localDriver = require('./localDriver');
+
+/**
+ * File Storage
+ * Pluggable storage drivers selected with STORAGE_DRIVER (default: local)
+ *
+ * A driver implements:
+ * - save(key, buffer, mimeType) → Promise
+ * - createReadStream(key) → ReadableStream
+ * - remove(key) → Promise
+ */
+const drivers = {
+  local: localDriver,
+};
+
+/**
+ * Register an additional storage driver (e.g. S3)
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Object} driver - Driver implementation
+ */
+exports.registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+/**
+ * Get a storage driver
+ * @param {string} [name] - Driver name, defaults to STORAGE_DRIVER or local
+ * @returns {Object} Driver implementation
+ */
+exports.getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local Disk Storage Driver
+ * Stores files under UPLOAD_DIR (default: backend/uploads)
+ */
+const rootDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+/**
+ * Resolve a storage key to an absolute path inside the upload directory
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(rootDir, key);
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error('Invalid storage key.');
+  }
+  return filePath;
+};
+
+/**
+ * Save a file
+ * @param {string} key - Storage key (relative path)
+ * @param {Buffer} buffer - File contents
+ */
+exports.save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+/**
+ * Open a read stream for a file
+ * @param {string} key - Storage key
+ * @returns {ReadableStream}
+ */
+exports.createReadStream = (key) => {
+  return fs.createReadStream(resolveKey(key));
+};
+
+/**
+ * Remove a file (missing files are ignored)
+ * @param {string} key - Storage key
+ */
+exports.remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const MaintenanceTeam = require('../models/MaintenanceTeam');
+const User = require('../models/User');
+
+/**
+ * Technician Assignment Helpers
+ * Pick a technician for a new request according to its team's strategy
+ */
+
+const OPEN_STAGES = ['New', 'In Progress'];
+
+const formatLoad = ({ openRequests, scheduledHours }) =>
+  `${openRequests} open request${openRequests === 1 ? '' : 's'}, ${scheduledHours} h scheduled`;
+
+/**
+ * Open request count and scheduled hours per technician
+ * @param {Array} technicianIds - User IDs
+ * @returns {Map} technicianId -> { openRequests, scheduledHours }
+ */
+const getTechnicianLoads = async (technicianIds) => {
+  const ids = technicianIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+  const rows = await MaintenanceRequest.aggregate([
+    { $match: { assignedTechnician: { $in: ids }, stage: { $in: OPEN_STAGES } } },
+    {
+      $group: {
+        _id: '$assignedTechnician',
+        openRequests: { $sum: 1 },
+        scheduledHours: { $sum: { $ifNull: ['$estimatedHours', 0] } },
+      },
+    },
+  ]);
+
+  const loads = new Map(ids.map((id) => [id.toString(), { openRequests: 0, scheduledHours: 0 }]));
+  rows.forEach((row) => {
+    loads.set(row._id.toString(), {
+      openRequests: row.openRequests,
+      scheduledHours: Math.round(row.scheduledHours * 100) / 100,
+    });
+  });
+  return loads;
+};
+
+/**
+ * Technicians of a team with their availability and current load
+ * Kept in team member order, which is the round-robin order
+ * @param {Object} team - MaintenanceTeam document
+ * @returns {Array} [{ technician: { _id, name, email }, isAvailable, openRequests, scheduledHours }]
+ */
+const getTeamWorkload = async (team) => {
+  const members = await User.find({ _id: { $in: team.members }, role: 'Technician' }).select(
+    'name email isAvailable'
+  );
+  const byId = new Map(members.map((member) => [member._id.toString(), member]));
+  const technicians = team.members.map((id) => byId.get(id.toString())).filter(Boolean);
+  const loads = await getTechnicianLoads(technicians.map((technician) => technician._id));
+
+  return technicians.map((technician) => ({
+    technician: { _id: technician._id, name: technician.name, email: technician.email },
+    isAvailable: technician.isAvailable !== false,
+    ...loads.get(technician._id.toString()),
+  }));
+};
+
+const byLoad = (a, b) =>
+  a.openRequests - b.openRequests ||
+  a.scheduledHours - b.scheduledHours ||
+  a.technician.name.localeCompare(b.technician.name);
+
+const pickLeastLoaded = (candidates) => [...candidates].sort(byLoad)[0];
+
+/**
+ * Next available technician after the last one picked, wrapping around
+ */
+const pickNextInRotation = (workload, lastAssignedId) => {
+  const lastIndex = workload.findIndex((entry) => entry.technician._id.toString() === lastAssignedId);
+  for (let step = 1; step <= workload.length; step += 1) {
+    const entry = workload[(lastIndex + step) % workload.length];
+    if (entry.isAvailable) return entry;
+  }
+  return null;
+};
+
+/**
+ * Choose a technician for a request without changing anything
+ * Unavailable technicians are never picked; the default strategy falls back
+ * to the least-loaded team technician when the equipment default is unavailable.
+ * @param {Object} options - { teamId, defaultTechnicianId }
+ * @returns {Object} { technician, method, reason, candidates }
+ */
+const chooseTechnician = async ({ teamId, defaultTechnicianId }) => {
+  const team = teamId ? await MaintenanceTeam.findById(teamId) : null;
+  const strategy = team?.assignmentStrategy || 'default';
+  const workload = team ? await getTeamWorkload(team) : [];
+  const available = workload.filter((entry) => entry.isAvailable);
+  const result = (entry, method, reason) => ({
+    technician: entry?.technician || null,
+    method: entry ? method : null,
+    reason,
+    candidates: workload,
+  });
+
+  if (strategy === 'default') {
+    const defaultTechnician = defaultTechnicianId
+      ? await User.findById(defaultTechnicianId).select('name email isAvailable')
+      : null;
+
+    if (defaultTechnician && defaultTechnician.isAvailable !== false) {
+      const entry = workload.find((item) => item.technician._id.toString() === defaultTechnician._id.toString());
+      const load = entry ? ` (${formatLoad(entry)})` : '';
+      return result(
+        { technician: { _id: defaultTechnician._id, name: defaultTechnician.name, email: defaultTechnician.email } },
+        'default',
+        `Default technician for this equipment${load}.`
+      );
+    }
+
+    const fallback = pickLeastLoaded(available);
+    if (!fallback) {
+      return result(null, null, 'No available technician in the maintenance team.');
+    }
+    const why = defaultTechnician
+      ? `Default technician ${defaultTechnician.name} is unavailable`
+      : 'Equipment has no default technician';
+    return result(fallback, 'least-loaded', `${why}; least loaded in team (${formatLoad(fallback)}).`);
+  }
+
+  if (available.length === 0) {
+    return result(null, null, 'No available technician in the maintenance team.');
+  }
+
+  if (strategy === 'round-robin') {
+    const lastAssignedId = team.lastAssignedTechnician?.toString() || null;
+    const next = pickNextInRotation(workload, lastAssignedId);
+    const after = workload.find((entry) => entry.technician._id.toString() === lastAssignedId);
+    return result(
+      next,
+      'round-robin',
+      after
+        ? `Next in team rotation after ${after.technician.name} (${formatLoad(next)}).`
+        : `First in team rotation (${formatLoad(next)}).`
+    );
+  }
+
+  const leastLoaded = pickLeastLoaded(available);
+  return result(
+    leastLoaded,
+    'least-loaded',
+    `Least loaded of ${available.length} available technician${available.length === 1 ? '' : 's'} (${formatLoad(leastLoaded)}).`
+  );
+};
+
+/**
+ * Assign a technician to a new request using its team's strategy
+ * Advances the team rotation when round-robin picked the technician
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document (maintenanceTeam set)
+ * @param {Object} options - { defaultTechnicianId }
+ * @returns {Object} Choice from chooseTechnician
+ */
+const autoAssignTechnician = async (request, { defaultTechnicianId } = {}) => {
+  const choice = await chooseTechnician({ teamId: request.maintenanceTeam, defaultTechnicianId });
+
+  request.assignedTechnician = choice.technician?._id || null;
+  request.assignment = { method: choice.method || undefined, reason: choice.reason };
+
+  if (choice.method === 'round-robin') {
+    await MaintenanceTeam.updateOne(
+      { _id: request.maintenanceTeam },
+      { lastAssignedTechnician: choice.technician._id }
+    );
+  }
+
+  return choice;
+};
+
+/**
+ * Record that a person chose the technician
+ * Does not save the request
+ */
+const markManualAssignment = (request, user) => {
+  request.assignment = { method: 'manual', reason: `Assigned by ${user.name}.` };
+};
+
+module.exports = {
+  getTeamWorkload,
+  chooseTechnician,
+  autoAssignTechnician,
+  markManualAssignment,
+};
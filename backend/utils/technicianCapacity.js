@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const User = require('../models/User');
+
+/**
+ * Technician Capacity Helpers
+ * Compare the hours booked on a technician's scheduled requests with their daily capacity
+ *
+ * A request books its estimated hours, or its logged hours when it has no estimate,
+ * on the day of its scheduled date (UTC, the way dates are stored).
+ * Only open requests count; requests without a date, a technician or hours book nothing.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STAGES = ['New', 'In Progress'];
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Hours a request books on its scheduled day
+ */
+const getBookedHours = (request) => {
+  const estimatedHours = Number(request.estimatedHours) || 0;
+  return estimatedHours > 0 ? estimatedHours : Number(request.durationHours) || 0;
+};
+
+/**
+ * Day a date is booked on, as YYYY-MM-DD
+ * Days are stored as UTC midnight (see utils/planSchedule.js)
+ */
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Booked hours per technician and day
+ * @param {Object} options - { from, to, technicianIds, excludeRequestId }
+ * @returns {Array} [{ date, technician: { _id, name }, bookedHours, capacityHours, requests, overbooked }]
+ */
+const getDailyLoads = async ({ from, to, technicianIds, excludeRequestId } = {}) => {
+  const match = {
+    assignedTechnician: { $ne: null },
+    scheduledDate: { $ne: null },
+    stage: { $in: OPEN_STAGES },
+    'approval.status': { $ne: 'Rejected' },
+  };
+  if (from) match.scheduledDate.$gte = new Date(from);
+  if (to) match.scheduledDate.$lt = new Date(to);
+  if (technicianIds) match.assignedTechnician = { $in: technicianIds.map(toObjectId) };
+  if (excludeRequestId) match._id = { $ne: toObjectId(excludeRequestId) };
+
+  const rows = await MaintenanceRequest.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          technician: '$assignedTechnician',
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$scheduledDate' } },
+        },
+        bookedHours: {
+          $sum: {
+            $cond: [{ $gt: ['$estimatedHours', 0] }, '$estimatedHours', { $ifNull: ['$durationHours', 0] }],
+          },
+        },
+        requests: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.date': 1 } },
+  ]);
+
+  const technicians = await User.find({ _id: { $in: rows.map((row) => row._id.technician) } }).select(
+    'name dailyCapacityHours'
+  );
+  const byId = new Map(technicians.map((technician) => [technician._id.toString(), technician]));
+
+  return rows
+    .filter((row) => byId.has(row._id.technician.toString()))
+    .map((row) => {
+      const technician = byId.get(row._id.technician.toString());
+      const bookedHours = round(row.bookedHours);
+      return {
+        date: row._id.date,
+        technician: { _id: technician._id, name: technician.name },
+        bookedHours,
+        capacityHours: technician.dailyCapacityHours,
+        requests: row.requests,
+        overbooked: bookedHours > technician.dailyCapacityHours,
+      };
+    });
+};
+
+/**
+ * Check whether a request would take its technician over their capacity on its scheduled day
+ * Pass the request as it will be saved (plain object or document)
+ * @param {Object} request - { _id, stage, assignedTechnician, scheduledDate, estimatedHours, durationHours }
+ * @returns {Object|null} { technician, date, bookedHours, requestHours, totalHours, capacityHours, message }
+ */
+const findCapacityConflict = async (request) => {
+  const requestHours = getBookedHours(request);
+  if (!request.assignedTechnician || !request.scheduledDate || !OPEN_STAGES.includes(request.stage)) {
+    return null;
+  }
+  // Invalid dates are left to the model's validation
+  if (requestHours === 0 || Number.isNaN(new Date(request.scheduledDate).getTime())) {
+    return null;
+  }
+
+  const technician = await User.findById(request.assignedTechnician).select('name dailyCapacityHours');
+  if (!technician) {
+    return null;
+  }
+
+  const date = toDayKey(request.scheduledDate);
+  const from = new Date(`${date}T00:00:00.000Z`);
+  const [load] = await getDailyLoads({
+    from,
+    to: new Date(from.getTime() + DAY_MS),
+    technicianIds: [technician._id],
+    excludeRequestId: request._id,
+  });
+
+  const bookedHours = load?.bookedHours || 0;
+  const totalHours = round(bookedHours + requestHours);
+  const capacityHours = technician.dailyCapacityHours;
+  if (totalHours <= capacityHours) {
+    return null;
+  }
+
+  return {
+    technician: { _id: technician._id, name: technician.name },
+    date,
+    bookedHours,
+    requestHours,
+    totalHours,
+    capacityHours,
+    message: `${technician.name} would be booked for ${totalHours} h on ${date} (capacity ${capacityHours} h).`,
+  };
+};
+
+module.exports = {
+  getDailyLoads,
+  findCapacityConflict,
+};
@@ -0,0 +1,226 @@
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Equipment = require('../models/Equipment');
+const MaintenanceTeam = require('../models/MaintenanceTeam');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const User = require('../models/User');
+const Disposal = require('../models/Disposal');
+const Attachment = require('../models/Attachment');
+const RequestComment = require('../models/RequestComment');
+const WorkLog = require('../models/WorkLog');
+const RequestPart = require('../models/RequestPart');
+const ExternalCost = require('../models/ExternalCost');
+const RequestHistory = require('../models/RequestHistory');
+const { syncSubtaskProgress, unlinkRequest } = require('./requestLinks');
+const { releaseReservedParts } = require('./partStock');
+const { getStorage } = require('./storage');
+
+/**
+ * Trash Helpers
+ * Restore and purge soft-deleted requests, equipment and teams
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Refusal for a document other records still point at
+ * @param {Array} references - [count, word] pairs
+ * @param {string} hint - What to do about them
+ * @returns {Object|null} { status, message } or null when nothing refers to it
+ */
+const referencedBy = (references, hint) => {
+  const parts = references.filter(([count]) => count > 0).map(([count, word]) => plural(count, word));
+  if (parts.length === 0) return null;
+  return { status: 409, message: `Still referenced by ${parts.join(' and ')}. ${hint}` };
+};
+
+/**
+ * Days a document stays in the trash before the purge job removes it
+ * Set with TRASH_RETENTION_DAYS (default 30, 0 disables automatic purging)
+ */
+const getRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+};
+
+/**
+ * Trash types
+ * canRestore/canPurge return { status, message } when the action is refused
+ */
+const TRASH_TYPES = {
+  requests: {
+    model: MaintenanceRequest,
+    label: 'Request',
+    select: 'subject stage priority equipment deletedAt deletedBy',
+    populate: [{ path: 'equipment', select: 'equipmentName' }],
+    canRestore: async (request) => {
+      const equipment = await Equipment.findById(request.equipment).withDeleted().select('equipmentName deletedAt');
+      if (equipment?.deletedAt) {
+        return { status: 409, message: `Restore equipment "${equipment.equipmentName}" first.` };
+      }
+      return null;
+    },
+    canPurge: async () => null,
+  },
+  equipment: {
+    model: Equipment,
+    label: 'Equipment',
+    select: 'equipmentName serialNumber category deletedAt deletedBy',
+    populate: [],
+    canRestore: async (equipment) => {
+      const team = await MaintenanceTeam.findById(equipment.maintenanceTeam).withDeleted().select('teamName deletedAt');
+      if (team?.deletedAt) {
+        return { status: 409, message: `Restore team "${team.teamName}" first.` };
+      }
+      return null;
+    },
+    canPurge: async (equipment) => {
+      const [requests, plans] = await Promise.all([
+        MaintenanceRequest.countDocuments({ equipment: equipment._id }).withDeleted(),
+        MaintenancePlan.countDocuments({ equipment: equipment._id }),
+      ]);
+      return referencedBy([[requests, 'request'], [plans, 'maintenance plan']], 'Purge or delete them first.');
+    },
+  },
+  teams: {
+    model: MaintenanceTeam,
+    label: 'Team',
+    select: 'teamName specialization deletedAt deletedBy',
+    populate: [],
+    canRestore: async () => null,
+    canPurge: async (team) => {
+      const [equipment, requests] = await Promise.all([
+        Equipment.countDocuments({ maintenanceTeam: team._id }).withDeleted(),
+        MaintenanceRequest.countDocuments({ maintenanceTeam: team._id }).withDeleted(),
+      ]);
+      return referencedBy([[equipment, 'equipment record'], [requests, 'request']], 'Purge them first.');
+    },
+  },
+};
+
+/**
+ * Find a trashed document
+ * @returns {Object|null} Document or null when it is missing or not in the trash
+ */
+const findTrashed = (type, id) =>
+  TRASH_TYPES[type].model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+/**
+ * Take a document out of the trash
+ * A restored sub-request counts towards its parent's progress again
+ * @returns {Object|null} { status, message } when refused
+ */
+const restoreItem = async (type, doc) => {
+  const refusal = await TRASH_TYPES[type].canRestore(doc);
+  if (refusal) return refusal;
+
+  await doc.restore();
+  if (type === 'requests') {
+    await syncSubtaskProgress(doc.parentRequest);
+  }
+  return null;
+};
+
+/**
+ * Delete the attachments of a document with their stored files and thumbnails
+ */
+const deleteAttachments = async (entityType, entityId) => {
+  const attachments = await Attachment.find({ entityType, entityId });
+  for (const attachment of attachments) {
+    const storage = getStorage(attachment.storageDriver);
+    await storage.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+      await storage.remove(attachment.thumbnailKey);
+    }
+    await attachment.deleteOne();
+  }
+};
+
+/**
+ * Delete everything recorded against a request
+ * Parts still reserved go back on the shelf; consumed parts stay consumed
+ */
+const deleteRequestRecords = async (requestId) => {
+  await releaseReservedParts(requestId);
+  await deleteAttachments('MaintenanceRequest', requestId);
+  await Promise.all([
+    RequestComment.deleteMany({ request: requestId }),
+    WorkLog.deleteMany({ request: requestId }),
+    RequestPart.deleteMany({ request: requestId }),
+    ExternalCost.deleteMany({ request: requestId }),
+    RequestHistory.deleteMany({ request: requestId }),
+  ]);
+};
+
+/**
+ * Permanently delete a trashed document
+ * Team members lose their team when a team is purged
+ * A purged request takes its comments, attachments, work logs, parts, costs and history with it,
+ * and other requests drop their links to it
+ * Purged equipment takes its attachments and disposal records with it
+ * Related records go first so a failed purge can be retried
+ * @returns {Object|null} { status, message } when refused
+ */
+const purgeItem = async (type, doc) => {
+  const refusal = await TRASH_TYPES[type].canPurge(doc);
+  if (refusal) return refusal;
+
+  if (type === 'requests') {
+    await deleteRequestRecords(doc._id);
+  }
+  if (type === 'equipment') {
+    await deleteAttachments('Equipment', doc._id);
+  }
+  await doc.deleteOne();
+  if (type === 'requests') {
+    await unlinkRequest(doc._id);
+  }
+  if (type === 'equipment') {
+    await Disposal.deleteMany({ equipment: doc._id });
+  }
+  if (type === 'teams') {
+    await User.updateMany({ team: doc._id }, { team: null });
+  }
+  return null;
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention period
+ * Requests go first so equipment and teams they referenced can follow in the same run;
+ * documents that are still referenced are kept
+ * @param {Date} now - Reference time
+ * @returns {Object} { purged, kept } counts per type
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const summary = { purged: {}, kept: {} };
+  const days = getRetentionDays();
+  if (!days) return summary;
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  for (const type of ['requests', 'equipment', 'teams']) {
+    summary.purged[type] = 0;
+    summary.kept[type] = 0;
+
+    const expired = await TRASH_TYPES[type].model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+    for (const doc of expired) {
+      const refusal = await purgeItem(type, doc);
+      if (refusal) {
+        summary.kept[type] += 1;
+      } else {
+        summary.purged[type] += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  findTrashed,
+  restoreItem,
+  purgeItem,
+  purgeExpiredTrash,
+};
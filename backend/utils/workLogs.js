@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const WorkLog = require('../models/WorkLog');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const { recordHistory } = require('./requestHistory');
+const { syncRequestCosts } = require('./requestCosts');
+
+/**
+ * Work Log Helpers
+ * Keep a request's durationHours equal to the sum of its finished work logs
+ * (and its labor cost in step, see utils/requestCosts.js)
+ */
+
+/**
+ * Recompute durationHours of a request from its work logs
+ * @param {string} requestId - MaintenanceRequest ID
+ * @param {string} actorId - User whose change triggered the update (for history)
+ * @returns {number} New duration in hours
+ */
+const syncRequestDuration = async (requestId, actorId) => {
+  const [result] = await WorkLog.aggregate([
+    {
+      $match: {
+        request: new mongoose.Types.ObjectId(requestId.toString()),
+        endedAt: { $ne: null },
+      },
+    },
+    { $group: { _id: null, total: { $sum: '$durationHours' } } },
+  ]);
+  const total = Math.round((result?.total || 0) * 100) / 100;
+
+  const request = await MaintenanceRequest.findById(requestId).select('durationHours');
+  if (request && request.durationHours !== total) {
+    const previous = request.durationHours;
+    await MaintenanceRequest.updateOne({ _id: requestId }, { durationHours: total });
+    await recordHistory(requestId, 'update', actorId, [
+      { field: 'durationHours', from: previous, to: total },
+    ]);
+  }
+
+  // Technicians bill at different rates, so labor cost is recomputed with every log change
+  await syncRequestCosts(requestId);
+
+  return total;
+};
+
+/**
+ * Stop every running timer on a request (e.g. when work on it ends)
+ * @param {string} requestId - MaintenanceRequest ID
+ * @param {string} actorId - User closing the request
+ * @param {Date} at - Stop time
+ * @returns {Object} { stopped, durationHours } (durationHours is null when nothing was running)
+ */
+const stopRunningWorkLogs = async (requestId, actorId, at = new Date()) => {
+  const running = await WorkLog.find({ request: requestId, endedAt: null });
+  for (const log of running) {
+    log.endedAt = at > log.startedAt ? at : new Date(log.startedAt.getTime() + 1000);
+    await log.save();
+  }
+
+  const durationHours = running.length > 0 ? await syncRequestDuration(requestId, actorId) : null;
+  return { stopped: running.length, durationHours };
+};
+
+module.exports = {
+  syncRequestDuration,
+  stopRunningWorkLogs,
+};
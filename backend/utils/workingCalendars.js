@@ -0,0 +1,284 @@
+const WorkingCalendar = require('../models/WorkingCalendar');
+const Equipment = require('../models/Equipment');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+
+/**
+ * Working Calendar Helpers
+ * Match requests to working calendars and do date math in working time
+ *
+ * Working hours and holidays are read in the calendar's time zone. Without a matching
+ * calendar every hour of every day counts and days end at UTC midnight, which is how
+ * overdue state, SLA due times and escalation timers worked before calendars existed.
+ * Scheduled dates are stored at UTC midnight, so the default calendar reads them in UTC too.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Give up looking for working time this many days ahead (e.g. every day marked a holiday)
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const CLOSED_STAGES = ['Repaired', 'Scrap'];
+
+// Request fields that decide which calendar applies and when the request turns overdue
+const CALENDAR_FIELDS = ['scheduledDate', 'maintenanceTeam', 'equipment'];
+
+/**
+ * Calendar used when none matches: always working, in UTC like the unstamped overdue fallback
+ */
+const getDefaultCalendar = () => ({
+  _id: null,
+  name: 'Default (all hours)',
+  timezone: 'UTC',
+  workingDays: [0, 1, 2, 3, 4, 5, 6],
+  workStart: '00:00',
+  workEnd: '24:00',
+  holidays: [],
+});
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} { dateKey: 'YYYY-MM-DD', utcMs } where utcMs reads the wall clock as if it were UTC
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+  const utcMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return { dateKey, utcMs };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffset = (ms, timeZone) => getZonedParts(new Date(ms), timeZone).utcMs - Math.floor(ms / 1000) * 1000;
+
+/**
+ * Instant of a wall-clock time on a day in a time zone
+ * Times skipped by a DST change resolve to the same wall time after the change
+ */
+const toInstant = (dateKey, minutes, timeZone) => {
+  const wallMs = Date.parse(`${dateKey}T00:00:00.000Z`) + minutes * MINUTE_MS;
+  const offset = getOffset(wallMs, timeZone);
+  const adjusted = getOffset(wallMs - offset, timeZone);
+  return new Date(wallMs - adjusted);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const nextDateKey = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whether a day (YYYY-MM-DD in the calendar's time zone) is a working day
+ */
+const isWorkingDay = (calendar, dateKey) => {
+  const weekday = new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+  if (!calendar.workingDays.includes(weekday)) return false;
+  return !calendar.holidays.some((holiday) => dateKey >= holiday.date && dateKey <= (holiday.endDate || holiday.date));
+};
+
+/**
+ * Opening and closing instants of a day, or null on days off
+ */
+const getWorkingHours = (calendar, dateKey) => {
+  if (!isWorkingDay(calendar, dateKey)) return null;
+  return {
+    open: toInstant(dateKey, toMinutes(calendar.workStart), calendar.timezone),
+    close: toInstant(dateKey, toMinutes(calendar.workEnd), calendar.timezone),
+  };
+};
+
+/**
+ * Move forward by a number of working hours
+ * Time outside working hours, on days off and on holidays does not count
+ * @param {Object} calendar - WorkingCalendar (or the default calendar)
+ * @param {Date} start - Start time
+ * @param {number} hours - Working hours to add
+ * @returns {Date|null} End time, or null when the calendar has no working time left
+ */
+const addWorkingHours = (calendar, start, hours) => {
+  let remaining = hours * HOUR_MS;
+  let dateKey = getZonedParts(new Date(start), calendar.timezone).dateKey;
+
+  for (let day = 0; day < MAX_SEARCH_DAYS; day += 1, dateKey = nextDateKey(dateKey)) {
+    const workingHours = getWorkingHours(calendar, dateKey);
+    if (!workingHours) continue;
+
+    const from = Math.max(workingHours.open.getTime(), new Date(start).getTime());
+    const available = workingHours.close.getTime() - from;
+    if (available < 0) continue;
+    if (remaining <= available) return new Date(from + remaining);
+    remaining -= available;
+  }
+  return null;
+};
+
+/**
+ * When a scheduled request turns overdue: the start of the first working day after its scheduled day
+ * The scheduled day is the stored (UTC) date, like the calendar view
+ * @returns {Date|null}
+ */
+const getOverdueAt = (calendar, scheduledDate) => {
+  if (!scheduledDate) return null;
+  let dateKey = new Date(scheduledDate).toISOString().slice(0, 10);
+
+  for (let day = 0; day < MAX_SEARCH_DAYS; day += 1) {
+    dateKey = nextDateKey(dateKey);
+    const workingHours = getWorkingHours(calendar, dateKey);
+    if (workingHours) return workingHours.open;
+  }
+  return null;
+};
+
+/**
+ * Find the most specific active calendar for a team and site
+ * Team + site beats team only, which beats site only, which beats the company-wide calendar
+ * @param {Object} scope - { maintenanceTeam, location }
+ * @returns {Object} WorkingCalendar document, or the default calendar
+ */
+const findCalendar = async ({ maintenanceTeam, location }) => {
+  const calendars = await WorkingCalendar.find({
+    isActive: true,
+    maintenanceTeam: { $in: [maintenanceTeam || null, null] },
+    location: { $in: [location?.trim() || null, null] },
+  });
+  return pickCalendar(calendars, { maintenanceTeam, location });
+};
+
+/**
+ * Most specific calendar for a team and site among already loaded active calendars
+ * @param {Array} calendars - Active WorkingCalendar documents
+ * @param {Object} scope - { maintenanceTeam, location }
+ * @returns {Object} WorkingCalendar, or the default calendar
+ */
+const pickCalendar = (calendars, { maintenanceTeam, location }) => {
+  const team = maintenanceTeam?.toString() || null;
+  const site = location?.trim() || null;
+  const matching = calendars.filter(
+    (calendar) =>
+      (!calendar.maintenanceTeam || calendar.maintenanceTeam.toString() === team) &&
+      (!calendar.location || calendar.location === site)
+  );
+
+  const specificity = (calendar) => (calendar.maintenanceTeam ? 2 : 0) + (calendar.location ? 1 : 0);
+  return matching.sort((a, b) => specificity(b) - specificity(a))[0] || getDefaultCalendar();
+};
+
+/**
+ * Calendar stamped on a request
+ * @param {Object} request - { workingCalendar }
+ * @param {Map} cache - Calendars already loaded, by ID (optional)
+ * @returns {Object} WorkingCalendar document, or the default calendar
+ */
+const getRequestCalendar = async (request, cache = new Map()) => {
+  const key = request.workingCalendar?.toString() || 'default';
+  if (!cache.has(key)) {
+    const calendar = request.workingCalendar ? await WorkingCalendar.findById(request.workingCalendar) : null;
+    cache.set(key, calendar || getDefaultCalendar());
+  }
+  return cache.get(key);
+};
+
+/**
+ * Stamp the matching calendar and the overdue time on a request
+ * Does not save the request
+ * @param {Object} request - MaintenanceRequest document
+ * @returns {Object} Applied calendar
+ */
+const applyWorkingCalendar = async (request) => {
+  const equipment = request.equipment ? await Equipment.findById(request.equipment).select('location') : null;
+  const calendar = await findCalendar({ maintenanceTeam: request.maintenanceTeam, location: equipment?.location });
+
+  request.workingCalendar = calendar._id;
+  request.overdueAt = getOverdueAt(calendar, request.scheduledDate);
+  return calendar;
+};
+
+/**
+ * Re-stamp the calendar when a field that selects it, or the scheduled date, has changed
+ * Does not save the request
+ */
+const refreshWorkingCalendar = async (request) => {
+  if (CALENDAR_FIELDS.some((field) => request.isModified(field))) {
+    await applyWorkingCalendar(request);
+  }
+};
+
+/**
+ * Re-match open requests after calendars were added, changed or removed
+ * Their overdue time follows the new calendar; SLA due times already stamped are not changed
+ * Calendars and equipment sites are loaded once and the changes written in one bulk write
+ * @returns {number} Requests that changed
+ */
+const refreshOpenRequests = async () => {
+  const [calendars, requests] = await Promise.all([
+    WorkingCalendar.find({ isActive: true }).lean(),
+    MaintenanceRequest.find({ stage: { $nin: CLOSED_STAGES } })
+      .select('scheduledDate maintenanceTeam equipment workingCalendar overdueAt')
+      .lean(),
+  ]);
+
+  const equipmentIds = [...new Set(requests.map((request) => request.equipment?.toString()).filter(Boolean))];
+  const equipment = await Equipment.find({ _id: { $in: equipmentIds } }).select('location').lean();
+  const locations = new Map(equipment.map((item) => [item._id.toString(), item.location]));
+
+  const writes = [];
+  for (const request of requests) {
+    const calendar = pickCalendar(calendars, {
+      maintenanceTeam: request.maintenanceTeam,
+      location: locations.get(request.equipment?.toString()),
+    });
+    const workingCalendar = calendar._id;
+    const overdueAt = getOverdueAt(calendar, request.scheduledDate);
+
+    if (
+      String(workingCalendar) !== String(request.workingCalendar ?? null) ||
+      overdueAt?.getTime() !== request.overdueAt?.getTime()
+    ) {
+      // Derived fields only: skip validation and leave updatedAt alone
+      writes.push({
+        updateOne: { filter: { _id: request._id }, update: { workingCalendar, overdueAt }, timestamps: false },
+      });
+    }
+  }
+
+  if (writes.length > 0) {
+    await MaintenanceRequest.bulkWrite(writes);
+  }
+  return writes.length;
+};
+
+module.exports = {
+  getDefaultCalendar,
+  addWorkingHours,
+  getOverdueAt,
+  findCalendar,
+  getRequestCalendar,
+  applyWorkingCalendar,
+  refreshWorkingCalendar,
+  refreshOpenRequests,
+};
@@ -0,0 +1,87 @@
+import axiosInstance from './axios';
+
+/**
+ * Approval API Service
+ * Handles approval rules and the queue of requests waiting for approval
+ */
+
+/**
+ * Get all approval rules with optional filters
+ * @param {Object} params - { teamId, isActive }
+ * @returns {Promise} API response with rules
+ */
+export const getAllRules = async (params = {}) => {
+  const response = await axiosInstance.get('/approval-rules', { params });
+  return response.data;
+};
+
+/**
+ * Create approval rule
+ * @param {Object} ruleData - Rule data
+ * @returns {Promise} API response
+ */
+export const createRule = async (ruleData) => {
+  const response = await axiosInstance.post('/approval-rules', ruleData);
+  return response.data;
+};
+
+/**
+ * Update approval rule
+ * @param {string} id - Rule ID
+ * @param {Object} ruleData - Updated rule data
+ * @returns {Promise} API response
+ */
+export const updateRule = async (id, ruleData) => {
+  const response = await axiosInstance.put(`/approval-rules/${id}`, ruleData);
+  return response.data;
+};
+
+/**
+ * Delete approval rule
+ * @param {string} id - Rule ID
+ * @returns {Promise} API response
+ */
+export const deleteRule = async (id) => {
+  const response = await axiosInstance.delete(`/approval-rules/${id}`);
+  return response.data;
+};
+
+/**
+ * Get requests waiting for approval
+ * @returns {Promise} API response with requests
+ */
+export const getApprovalQueue = async () => {
+  const response = await axiosInstance.get('/requests/approvals');
+  return response.data;
+};
+
+/**
+ * Get approvals and rejections of the current user's requests
+ * @param {string} since - Only decisions after this time (optional; default: last day)
+ * @returns {Promise} API response with requests
+ */
+export const getApprovalDecisions = async (since) => {
+  const response = await axiosInstance.get('/requests/approvals/decisions', { params: since ? { since } : {} });
+  return response.data;
+};
+
+/**
+ * Approve a request
+ * @param {string} id - Request ID
+ * @returns {Promise} API response
+ */
+export const approveRequest = async (id) => {
+  const response = await axiosInstance.patch(`/requests/${id}/approve`);
+  return response.data;
+};
+
+/**
+ * Reject a request
+ * @param {string} id - Request ID
+ * @param {string} reason - Why the request is rejected
+ * @returns {Promise} API response
+ */
+export const rejectRequest = async (id, reason) => {
+  const response = await axiosInstance.patch(`/requests/${id}/reject`, { reason });
+  return response.data;
+};
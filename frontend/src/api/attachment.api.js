@@ -0,0 +1,83 @@
+import axiosInstance from './axios';
+
+/**
+ * Attachment API Service
+ * Handles photo and file attachments on requests and equipment
+ */
+
+/**
+ * Build multipart form data from a FileList or array of files
+ */
+const toFormData = (files) => {
+  const formData = new FormData();
+  Array.from(files).forEach((file) => formData.append('files', file));
+  return formData;
+};
+
+const multipartConfig = {
+  headers: { 'Content-Type': 'multipart/form-data' },
+};
+
+/**
+ * Get attachments of a maintenance request
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with attachments
+ */
+export const getRequestAttachments = async (requestId) => {
+  const response = await axiosInstance.get(`/requests/${requestId}/attachments`);
+  return response.data;
+};
+
+/**
+ * Upload files to a maintenance request
+ * @param {string} requestId - Request ID
+ * @param {FileList|Array<File>} files - Files to upload
+ * @returns {Promise} API response with created attachments
+ */
+export const uploadRequestAttachments = async (requestId, files) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/attachments`, toFormData(files), multipartConfig);
+  return response.data;
+};
+
+/**
+ * Get attachments of equipment
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise} API response with attachments
+ */
+export const getEquipmentAttachments = async (equipmentId) => {
+  const response = await axiosInstance.get(`/equipment/${equipmentId}/attachments`);
+  return response.data;
+};
+
+/**
+ * Upload files to equipment
+ * @param {string} equipmentId - Equipment ID
+ * @param {FileList|Array<File>} files - Files to upload
+ * @returns {Promise} API response with created attachments
+ */
+export const uploadEquipmentAttachments = async (equipmentId, files) => {
+  const response = await axiosInstance.post(`/equipment/${equipmentId}/attachments`, toFormData(files), multipartConfig);
+  return response.data;
+};
+
+/**
+ * Fetch an attachment file or thumbnail as a Blob
+ * (files require the auth header, so they cannot be linked directly)
+ * @param {string} id - Attachment ID
+ * @param {string} variant - 'file' or 'thumbnail'
+ * @returns {Promise<Blob>}
+ */
+export const getAttachmentBlob = async (id, variant = 'file') => {
+  const response = await axiosInstance.get(`/attachments/${id}/${variant}`, { responseType: 'blob' });
+  return response.data;
+};
+
+/**
+ * Delete attachment
+ * @param {string} id - Attachment ID
+ * @returns {Promise} API response
+ */
+export const deleteAttachment = async (id) => {
+  const response = await axiosInstance.delete(`/attachments/${id}`);
+  return response.data;
+};
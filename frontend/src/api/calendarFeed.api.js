@@ -0,0 +1,33 @@
+import axiosInstance from './axios';
+
+/**
+ * Calendar Feed API Service
+ * Handles the current user's .ics subscription URL for external calendar apps
+ */
+
+/**
+ * Get the current user's calendar feed
+ * @returns {Promise} API response with { enabled, url } (url is null: it is only shown when created)
+ */
+export const getMyFeed = async () => {
+  const response = await axiosInstance.get('/calendar-feed');
+  return response.data;
+};
+
+/**
+ * Create the calendar feed or replace its URL; the previous URL stops working
+ * @returns {Promise} API response with { enabled, url }
+ */
+export const regenerateFeedToken = async () => {
+  const response = await axiosInstance.post('/calendar-feed/token');
+  return response.data;
+};
+
+/**
+ * Turn off the calendar feed
+ * @returns {Promise} API response
+ */
+export const disableFeed = async () => {
+  const response = await axiosInstance.delete('/calendar-feed/token');
+  return response.data;
+};
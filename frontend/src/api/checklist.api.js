@@ -0,0 +1,59 @@
+import axiosInstance from './axios';
+
+/**
+ * Checklist API Service
+ * Handles checklist templates and the checklists of maintenance requests
+ */
+
+/**
+ * Get all checklist templates with optional filters
+ * @param {Object} params - { equipmentId, category, isActive }
+ * @returns {Promise} API response with templates
+ */
+export const getAllTemplates = async (params = {}) => {
+  const response = await axiosInstance.get('/checklist-templates', { params });
+  return response.data;
+};
+
+/**
+ * Create checklist template
+ * @param {Object} templateData - Template data with ordered items
+ * @returns {Promise} API response
+ */
+export const createTemplate = async (templateData) => {
+  const response = await axiosInstance.post('/checklist-templates', templateData);
+  return response.data;
+};
+
+/**
+ * Update checklist template
+ * @param {string} id - Template ID
+ * @param {Object} templateData - Updated template data
+ * @returns {Promise} API response
+ */
+export const updateTemplate = async (id, templateData) => {
+  const response = await axiosInstance.put(`/checklist-templates/${id}`, templateData);
+  return response.data;
+};
+
+/**
+ * Delete checklist template
+ * @param {string} id - Template ID
+ * @returns {Promise} API response
+ */
+export const deleteTemplate = async (id) => {
+  const response = await axiosInstance.delete(`/checklist-templates/${id}`);
+  return response.data;
+};
+
+/**
+ * Complete, reopen or record a reading for a checklist step
+ * @param {string} requestId - Request ID
+ * @param {string} itemId - Checklist step ID
+ * @param {Object} updates - { isDone, reading, note }
+ * @returns {Promise} API response with the request's checklist
+ */
+export const updateChecklistItem = async (requestId, itemId, updates) => {
+  const response = await axiosInstance.patch(`/requests/${requestId}/checklist/${itemId}`, updates);
+  return response.data;
+};
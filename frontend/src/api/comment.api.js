@@ -0,0 +1,50 @@
+import axiosInstance from './axios';
+
+/**
+ * Request Comment API Service
+ * Handles comment threads and internal notes on maintenance requests
+ */
+
+/**
+ * Get comments for a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with comments (oldest first)
+ */
+export const getComments = async (requestId) => {
+  const response = await axiosInstance.get(`/requests/${requestId}/comments`);
+  return response.data;
+};
+
+/**
+ * Add comment to a request
+ * @param {string} requestId - Request ID
+ * @param {Object} commentData - { body, isInternal }
+ * @returns {Promise} API response
+ */
+export const addComment = async (requestId, commentData) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/comments`, commentData);
+  return response.data;
+};
+
+/**
+ * Edit a comment
+ * @param {string} requestId - Request ID
+ * @param {string} commentId - Comment ID
+ * @param {string} body - New comment text
+ * @returns {Promise} API response
+ */
+export const updateComment = async (requestId, commentId, body) => {
+  const response = await axiosInstance.put(`/requests/${requestId}/comments/${commentId}`, { body });
+  return response.data;
+};
+
+/**
+ * Delete a comment
+ * @param {string} requestId - Request ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} API response
+ */
+export const deleteComment = async (requestId, commentId) => {
+  const response = await axiosInstance.delete(`/requests/${requestId}/comments/${commentId}`);
+  return response.data;
+};
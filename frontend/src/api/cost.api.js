@@ -0,0 +1,38 @@
+import axiosInstance from './axios';
+
+/**
+ * Cost API Service
+ * Handles request cost breakdowns and external costs
+ */
+
+/**
+ * Get the cost breakdown and external costs of a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with { costs, externalCosts }
+ */
+export const getRequestCosts = async (requestId) => {
+  const response = await axiosInstance.get(`/requests/${requestId}/costs`);
+  return response.data;
+};
+
+/**
+ * Add an external cost to a request
+ * @param {string} requestId - Request ID
+ * @param {Object} costData - { description, vendor, amount, incurredAt }
+ * @returns {Promise} API response with the cost and updated costs
+ */
+export const addExternalCost = async (requestId, costData) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/costs`, costData);
+  return response.data;
+};
+
+/**
+ * Delete an external cost
+ * @param {string} requestId - Request ID
+ * @param {string} costId - External cost ID
+ * @returns {Promise} API response with updated costs
+ */
+export const deleteExternalCost = async (requestId, costId) => {
+  const response = await axiosInstance.delete(`/requests/${requestId}/costs/${costId}`);
+  return response.data;
+};
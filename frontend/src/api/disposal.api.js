@@ -0,0 +1,79 @@
+import axiosInstance from './axios';
+
+/**
+ * Disposal API Service
+ * Handles proposals to scrap equipment, their approval and reversal
+ */
+
+/**
+ * Propose scrapping a piece of equipment
+ * @param {Object} disposalData - { equipmentId, requestId, reason, method, salvageValue, disposedAt }
+ * @returns {Promise} API response
+ */
+export const proposeDisposal = async (disposalData) => {
+  const response = await axiosInstance.post('/disposals', disposalData);
+  return response.data;
+};
+
+/**
+ * Get disposals with optional filters
+ * @param {Object} params - { status, equipmentId }
+ * @returns {Promise} API response with disposals
+ */
+export const getAllDisposals = async (params = {}) => {
+  const response = await axiosInstance.get('/disposals', { params });
+  return response.data;
+};
+
+/**
+ * Get approvals, rejections and reversals of the disposals the current user proposed
+ * @param {string} since - Only decisions after this time (optional; default: last day)
+ * @returns {Promise} API response with notices
+ */
+export const getDisposalNotices = async (since) => {
+  const response = await axiosInstance.get('/disposals/notices', { params: since ? { since } : {} });
+  return response.data;
+};
+
+/**
+ * Get disposal by ID with its audit trail
+ * @param {string} id - Disposal ID
+ * @returns {Promise} API response with disposal
+ */
+export const getDisposalById = async (id) => {
+  const response = await axiosInstance.get(`/disposals/${id}`);
+  return response.data;
+};
+
+/**
+ * Approve a disposal; scraps the equipment and closes its open requests
+ * @param {string} id - Disposal ID
+ * @param {string} note - Optional approval note
+ * @returns {Promise} API response
+ */
+export const approveDisposal = async (id, note) => {
+  const response = await axiosInstance.patch(`/disposals/${id}/approve`, { note });
+  return response.data;
+};
+
+/**
+ * Reject a disposal
+ * @param {string} id - Disposal ID
+ * @param {string} reason - Why the disposal is rejected
+ * @returns {Promise} API response
+ */
+export const rejectDisposal = async (id, reason) => {
+  const response = await axiosInstance.patch(`/disposals/${id}/reject`, { reason });
+  return response.data;
+};
+
+/**
+ * Reverse an approved disposal and put the equipment back into service
+ * @param {string} id - Disposal ID
+ * @param {string} reason - Why the disposal is reversed
+ * @returns {Promise} API response
+ */
+export const reverseDisposal = async (id, reason) => {
+  const response = await axiosInstance.patch(`/disposals/${id}/reverse`, { reason });
+  return response.data;
+};
@@ -6,8 +6,9 @@ import axiosInstance from './axios';
  */
 
 /**
- * Get all equipment with optional filters
- * @param {Object} params - { category, isActive, search }
+ * Get equipment with optional filters
+ * Passing page/limit (or cursor) returns one page with total and totalPages
+ * @param {Object} params - { category, isActive, ownershipType, search, page, limit, cursor, sort, fields }
  * @returns {Promise} API response with equipment list
  */
 export const getAllEquipment = async (params = {}) => {
@@ -15,6 +16,15 @@ export const getAllEquipment = async (params = {}) => {
   return response.data;
 };
 
+/**
+ * Get distinct equipment categories
+ * @returns {Promise} API response with category names
+ */
+export const getEquipmentCategories = async () => {
+  const response = await axiosInstance.get('/equipment/categories');
+  return response.data;
+};
+
 /**
  * Get single equipment by ID
  * @param {string} id - Equipment ID
@@ -0,0 +1,66 @@
+import axiosInstance from './axios';
+
+/**
+ * Escalation API Service
+ * Handles escalation rules and the escalations the current user is notified about
+ */
+
+/**
+ * Get all escalation rules with optional filters
+ * @param {Object} params - { condition, teamId, isActive }
+ * @returns {Promise} API response with rules
+ */
+export const getAllRules = async (params = {}) => {
+  const response = await axiosInstance.get('/escalation-rules', { params });
+  return response.data;
+};
+
+/**
+ * Create escalation rule
+ * @param {Object} ruleData - Rule data
+ * @returns {Promise} API response
+ */
+export const createRule = async (ruleData) => {
+  const response = await axiosInstance.post('/escalation-rules', ruleData);
+  return response.data;
+};
+
+/**
+ * Update escalation rule
+ * @param {string} id - Rule ID
+ * @param {Object} ruleData - Updated rule data
+ * @returns {Promise} API response
+ */
+export const updateRule = async (id, ruleData) => {
+  const response = await axiosInstance.put(`/escalation-rules/${id}`, ruleData);
+  return response.data;
+};
+
+/**
+ * Delete escalation rule
+ * @param {string} id - Rule ID
+ * @returns {Promise} API response
+ */
+export const deleteRule = async (id) => {
+  const response = await axiosInstance.delete(`/escalation-rules/${id}`);
+  return response.data;
+};
+
+/**
+ * Apply escalation rules now instead of waiting for the background job
+ * @returns {Promise} API response with { rules, escalated }
+ */
+export const runRules = async () => {
+  const response = await axiosInstance.post('/escalation-rules/run');
+  return response.data;
+};
+
+/**
+ * Get escalations the current user is notified about
+ * @param {string} since - ISO date; only newer escalations are returned (default: last day)
+ * @returns {Promise} API response with escalation events
+ */
+export const getEscalationNotices = async (since) => {
+  const response = await axiosInstance.get('/requests/escalations', { params: since ? { since } : {} });
+  return response.data;
+};
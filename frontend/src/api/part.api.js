@@ -0,0 +1,111 @@
+import axiosInstance from './axios';
+
+/**
+ * Spare Part API Service
+ * Handles the parts catalog, stock levels and parts used on requests
+ */
+
+/**
+ * Get all parts with optional filters
+ * @param {Object} params - { search, category, location, isActive, lowStock }
+ * @returns {Promise} API response with parts list
+ */
+export const getAllParts = async (params = {}) => {
+  const response = await axiosInstance.get('/parts', { params });
+  return response.data;
+};
+
+/**
+ * Get parts at or below their reorder point
+ * @returns {Promise} API response with parts list
+ */
+export const getReorderAlerts = async () => {
+  const response = await axiosInstance.get('/parts/reorder');
+  return response.data;
+};
+
+/**
+ * Create part
+ * @param {Object} partData - Part data with optional initial stock [{ location, quantity }]
+ * @returns {Promise} API response
+ */
+export const createPart = async (partData) => {
+  const response = await axiosInstance.post('/parts', partData);
+  return response.data;
+};
+
+/**
+ * Update part details
+ * @param {string} id - Part ID
+ * @param {Object} partData - Updated part data (stock is ignored)
+ * @returns {Promise} API response
+ */
+export const updatePart = async (id, partData) => {
+  const response = await axiosInstance.put(`/parts/${id}`, partData);
+  return response.data;
+};
+
+/**
+ * Adjust stock at a storage location
+ * @param {string} id - Part ID
+ * @param {string} location - Storage location
+ * @param {number} adjustment - Positive to add, negative to remove
+ * @returns {Promise} API response with updated part
+ */
+export const adjustStock = async (id, location, adjustment) => {
+  const response = await axiosInstance.patch(`/parts/${id}/stock`, { location, adjustment });
+  return response.data;
+};
+
+/**
+ * Delete part
+ * @param {string} id - Part ID
+ * @returns {Promise} API response
+ */
+export const deletePart = async (id) => {
+  const response = await axiosInstance.delete(`/parts/${id}`);
+  return response.data;
+};
+
+/**
+ * Get parts reserved for or consumed by a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with part usages
+ */
+export const getRequestParts = async (requestId) => {
+  const response = await axiosInstance.get(`/requests/${requestId}/parts`);
+  return response.data;
+};
+
+/**
+ * Reserve a part for a request
+ * @param {string} requestId - Request ID
+ * @param {Object} usageData - { part, location, quantity }
+ * @returns {Promise} API response with usage and reorderAlerts
+ */
+export const reserveRequestPart = async (requestId, usageData) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/parts`, usageData);
+  return response.data;
+};
+
+/**
+ * Consume a reserved part
+ * @param {string} requestId - Request ID
+ * @param {string} usageId - Part usage ID
+ * @returns {Promise} API response with usage and reorderAlerts
+ */
+export const consumeRequestPart = async (requestId, usageId) => {
+  const response = await axiosInstance.patch(`/requests/${requestId}/parts/${usageId}/consume`);
+  return response.data;
+};
+
+/**
+ * Release a reservation or return consumed parts to stock
+ * @param {string} requestId - Request ID
+ * @param {string} usageId - Part usage ID
+ * @returns {Promise} API response
+ */
+export const releaseRequestPart = async (requestId, usageId) => {
+  const response = await axiosInstance.delete(`/requests/${requestId}/parts/${usageId}`);
+  return response.data;
+};
@@ -0,0 +1,57 @@
+import axiosInstance from './axios';
+
+/**
+ * Maintenance Plan API Service
+ * Handles recurring preventive maintenance plans
+ */
+
+/**
+ * Get all maintenance plans with optional filters
+ * @param {Object} params - { equipmentId, isActive }
+ * @returns {Promise} API response with plans (each with upcomingDates)
+ */
+export const getAllPlans = async (params = {}) => {
+  const response = await axiosInstance.get('/plans', { params });
+  return response.data;
+};
+
+/**
+ * Create maintenance plan
+ * @param {Object} planData - Plan data (schedule fields or rrule string)
+ * @returns {Promise} API response
+ */
+export const createPlan = async (planData) => {
+  const response = await axiosInstance.post('/plans', planData);
+  return response.data;
+};
+
+/**
+ * Update maintenance plan
+ * @param {string} id - Plan ID
+ * @param {Object} planData - Updated plan data
+ * @returns {Promise} API response
+ */
+export const updatePlan = async (id, planData) => {
+  const response = await axiosInstance.put(`/plans/${id}`, planData);
+  return response.data;
+};
+
+/**
+ * Delete maintenance plan
+ * @param {string} id - Plan ID
+ * @returns {Promise} API response
+ */
+export const deletePlan = async (id) => {
+  const response = await axiosInstance.delete(`/plans/${id}`);
+  return response.data;
+};
+
+/**
+ * Generate upcoming requests for a plan now
+ * @param {string} id - Plan ID
+ * @returns {Promise} API response with generation summary
+ */
+export const generatePlanRequests = async (id) => {
+  const response = await axiosInstance.post(`/plans/${id}/generate`);
+  return response.data;
+};
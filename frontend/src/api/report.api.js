@@ -23,10 +23,53 @@ export const getReportsByCategory = async () => {
   return response.data;
 };
 
+/**
+ * Get SLA breach counts by priority
+ * @returns {Promise} API response with SLA report and totals
+ */
+export const getSlaReport = async () => {
+  const response = await axiosInstance.get('/reports/sla');
+  return response.data;
+};
+
+/**
+ * Get maintenance costs rolled up by equipment, team or category
+ * @param {Object} params - { groupBy, equipmentId, from, to }
+ * @returns {Promise} API response with cost rows and totals
+ */
+export const getCostReport = async (params = {}) => {
+  const response = await axiosInstance.get('/reports/costs', { params });
+  return response.data;
+};
+
+/**
+ * Get reopened repairs by equipment or by the technician who repaired them
+ * @param {Object} params - { groupBy, from, to }
+ * @returns {Promise} API response with repeat failure rows and totals
+ */
+export const getRepeatFailureReport = async (params = {}) => {
+  const response = await axiosInstance.get('/reports/repeat-failures', { params });
+  return response.data;
+};
+
+/**
+ * Get requester satisfaction scores by technician or team
+ * @param {Object} params - { groupBy, from, to }
+ * @returns {Promise} API response with satisfaction rows and totals
+ */
+export const getSatisfactionReport = async (params = {}) => {
+  const response = await axiosInstance.get('/reports/satisfaction', { params });
+  return response.data;
+};
+
 /**
  * Export as default object for easier imports
  */
 export const reportAPI = {
   getReportsByTeam,
   getReportsByCategory,
+  getSlaReport,
+  getCostReport,
+  getRepeatFailureReport,
+  getSatisfactionReport,
 };
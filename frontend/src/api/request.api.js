@@ -6,8 +6,10 @@ import axiosInstance from './axios';
  */
 
 /**
- * Get all maintenance requests with optional filters
- * @param {Object} params - { stage, priority, requestType, equipmentId, technicianId }
+ * Get maintenance requests with optional filters
+ * Passing page/limit (or cursor) returns one page with total and totalPages
+ * @param {Object} params - { stage, priority, requestType, equipmentId, technicianId, category,
+ *   search, overdue, userId, page, limit, cursor, sort, fields }
  * @returns {Promise} API response with requests list
  */
 export const getAllRequests = async (params = {}) => {
@@ -15,6 +17,16 @@ export const getAllRequests = async (params = {}) => {
   return response.data;
 };
 
+/**
+ * Get request counts for dashboard KPIs
+ * @param {Object} params - { requestType, priority }
+ * @returns {Promise} API response with { totalRequests, openRequests, overdueRequests, byMonth }
+ */
+export const getRequestSummary = async (params = {}) => {
+  const response = await axiosInstance.get('/requests/summary', { params });
+  return response.data;
+};
+
 /**
  * Get single request by ID
  * @param {string} id - Request ID
@@ -25,8 +37,20 @@ export const getRequestById = async (id) => {
   return response.data;
 };
 
+/**
+ * Preview the technician a new request on the equipment would be assigned
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise} API response with { technician, method, reason, candidates }
+ */
+export const getAssignmentSuggestion = async (equipmentId) => {
+  const response = await axiosInstance.get('/requests/assignment-suggestion', { params: { equipmentId } });
+  return response.data;
+};
+
 /**
  * Create new maintenance request
+ * Corrective requests on equipment with open requests are rejected with 409
+ * and a duplicates list unless requestData.force is true
  * @param {Object} requestData - Request data
  * @returns {Promise} API response
  */
@@ -57,14 +81,47 @@ export const updateRequestStage = async (id, stage) => {
   return response.data;
 };
 
+/**
+ * Reopen a Repaired request whose fix did not hold
+ * @param {string} id - Request ID
+ * @param {string} reason - Why the request is reopened
+ * @returns {Promise} API response
+ */
+export const reopenRequest = async (id, reason) => {
+  const response = await axiosInstance.patch(`/requests/${id}/reopen`, { reason });
+  return response.data;
+};
+
+/**
+ * Rate the repair of a request (requester only)
+ * @param {string} id - Request ID
+ * @param {Object} feedbackData - { rating (1-5), comment, fixAccepted }
+ * @returns {Promise} API response (a rejected fix reopens the request)
+ */
+export const submitFeedback = async (id, feedbackData) => {
+  const response = await axiosInstance.post(`/requests/${id}/feedback`, feedbackData);
+  return response.data;
+};
+
+/**
+ * Get the current user's repaired requests waiting for their feedback
+ * @param {string} since - Only repairs finished after this time (optional)
+ * @returns {Promise} API response with requests
+ */
+export const getPendingFeedback = async (since) => {
+  const response = await axiosInstance.get('/requests/feedback/pending', { params: since ? { since } : {} });
+  return response.data;
+};
+
 /**
  * Assign technician to request
  * @param {string} id - Request ID
  * @param {string} technicianId - Technician user ID
+ * @param {Object} options - { allowOverbooking } to assign past the technician's daily capacity
  * @returns {Promise} API response
  */
-export const assignTechnician = async (id, technicianId) => {
-  const response = await axiosInstance.patch(`/requests/${id}/assign`, { technicianId });
+export const assignTechnician = async (id, technicianId, options = {}) => {
+  const response = await axiosInstance.patch(`/requests/${id}/assign`, { technicianId, ...options });
   return response.data;
 };
 
@@ -78,6 +135,19 @@ export const deleteRequest = async (id) => {
   return response.data;
 };
 
+/**
+ * Apply one action to many requests
+ * @param {Array<string>} ids - Request IDs
+ * @param {string} action - stage, priority, scheduledDate, assign or delete
+ * @param {*} value - New stage, priority, date (or null) or technician ID
+ * @param {Object} options - { allowOverbooking } to assign or reschedule past technicians' daily capacity
+ * @returns {Promise} API response with per-request results and summary
+ */
+export const bulkUpdateRequests = async (ids, action, value = null, options = {}) => {
+  const response = await axiosInstance.post('/requests/bulk', { ids, action, value, ...options });
+  return response.data;
+};
+
 /**
  * Get calendar view of scheduled requests
  * @param {Object} params - { startDate, endDate }
@@ -88,6 +158,16 @@ export const getCalendarRequests = async (params = {}) => {
   return response.data;
 };
 
+/**
+ * Get booked hours against capacity per technician and day
+ * @param {Object} params - { startDate, endDate, technicianId }
+ * @returns {Promise} API response with daily loads
+ */
+export const getCalendarLoad = async (params = {}) => {
+  const response = await axiosInstance.get('/requests/calendar/load', { params });
+  return response.data;
+};
+
 /**
  * Get overdue requests
  * @returns {Promise} API response with overdue requests
@@ -98,9 +178,10 @@ export const getOverdueRequests = async () => {
 };
 
 /**
- * Update request resolution (duration and notes)
+ * Update request resolution notes
+ * Duration is derived from work logs (see worklog.api.js)
  * @param {string} id - Request ID
- * @param {Object} resolutionData - { durationHours, resolutionNotes }
+ * @param {Object} resolutionData - { resolutionNotes }
  * @returns {Promise} API response
  */
 export const updateResolution = async (id, resolutionData) => {
@@ -108,16 +189,92 @@ export const updateResolution = async (id, resolutionData) => {
   return response.data;
 };
 
+/**
+ * Get activity history for a request
+ * @param {string} id - Request ID
+ * @returns {Promise} API response with history entries (newest first)
+ */
+export const getRequestHistory = async (id) => {
+  const response = await axiosInstance.get(`/requests/${id}/history`);
+  return response.data;
+};
+
+/**
+ * Watch a request (follow it instead of filing a duplicate)
+ * @param {string} id - Request ID
+ * @returns {Promise} API response with the updated watchers
+ */
+export const watchRequest = async (id) => {
+  const response = await axiosInstance.post(`/requests/${id}/watch`);
+  return response.data;
+};
+
+/**
+ * Stop watching a request
+ * @param {string} id - Request ID
+ * @returns {Promise} API response with the updated watchers
+ */
+export const unwatchRequest = async (id) => {
+  const response = await axiosInstance.delete(`/requests/${id}/watch`);
+  return response.data;
+};
+
+/**
+ * Get the links of a request
+ * @param {string} id - Request ID
+ * @returns {Promise} API response with { parent, children, blockedBy, blocking, related, subtasks }
+ */
+export const getRequestLinks = async (id) => {
+  const response = await axiosInstance.get(`/requests/${id}/links`);
+  return response.data;
+};
+
+/**
+ * Link a request to another request
+ * @param {string} id - Request ID
+ * @param {Object} linkData - { type: parent|child|blockedBy|related, requestId }
+ * @returns {Promise} API response
+ */
+export const addRequestLink = async (id, linkData) => {
+  const response = await axiosInstance.post(`/requests/${id}/links`, linkData);
+  return response.data;
+};
+
+/**
+ * Remove a link between two requests
+ * @param {string} id - Request ID
+ * @param {string} type - Link type (parent, child, blockedBy, related)
+ * @param {string} targetId - Linked request ID
+ * @returns {Promise} API response
+ */
+export const removeRequestLink = async (id, type, targetId) => {
+  const response = await axiosInstance.delete(`/requests/${id}/links/${type}/${targetId}`);
+  return response.data;
+};
+
 // Export as default object
 export const requestAPI = {
   getAllRequests,
+  getRequestSummary,
   getRequestById,
+  getAssignmentSuggestion,
   createRequest,
   updateRequest,
   updateRequestStage,
+  reopenRequest,
+  submitFeedback,
+  getPendingFeedback,
   assignTechnician,
   deleteRequest,
+  bulkUpdateRequests,
   getCalendarRequests,
+  getCalendarLoad,
   getOverdueRequests,
-  updateResolution
+  updateResolution,
+  getRequestHistory,
+  watchRequest,
+  unwatchRequest,
+  getRequestLinks,
+  addRequestLink,
+  removeRequestLink
 };
@@ -0,0 +1,17 @@
+import axiosInstance from './axios';
+
+/**
+ * Search API Service
+ * Global text search across requests, equipment, teams and users
+ */
+
+/**
+ * Search all collections the current user may see
+ * @param {string} q - Search text (at least 2 characters)
+ * @param {Object} params - { types, limit }
+ * @returns {Promise} API response with results grouped by type
+ */
+export const search = async (q, params = {}) => {
+  const response = await axiosInstance.get('/search', { params: { q, ...params } });
+  return response.data;
+};
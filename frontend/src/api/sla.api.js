@@ -0,0 +1,47 @@
+import axiosInstance from './axios';
+
+/**
+ * SLA Policy API Service
+ * Handles response/resolution targets for maintenance requests
+ */
+
+/**
+ * Get all SLA policies with optional filters
+ * @param {Object} params - { priority, teamId, isActive }
+ * @returns {Promise} API response with policies
+ */
+export const getAllPolicies = async (params = {}) => {
+  const response = await axiosInstance.get('/sla-policies', { params });
+  return response.data;
+};
+
+/**
+ * Create SLA policy
+ * @param {Object} policyData - Policy data
+ * @returns {Promise} API response
+ */
+export const createPolicy = async (policyData) => {
+  const response = await axiosInstance.post('/sla-policies', policyData);
+  return response.data;
+};
+
+/**
+ * Update SLA policy
+ * @param {string} id - Policy ID
+ * @param {Object} policyData - Updated policy data
+ * @returns {Promise} API response
+ */
+export const updatePolicy = async (id, policyData) => {
+  const response = await axiosInstance.put(`/sla-policies/${id}`, policyData);
+  return response.data;
+};
+
+/**
+ * Delete SLA policy
+ * @param {string} id - Policy ID
+ * @returns {Promise} API response
+ */
+export const deletePolicy = async (id) => {
+  const response = await axiosInstance.delete(`/sla-policies/${id}`);
+  return response.data;
+};
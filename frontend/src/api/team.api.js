@@ -76,3 +76,13 @@ export const removeTeamMember = async (teamId, userId) => {
   const response = await axiosInstance.delete(`/teams/${teamId}/members/${userId}`);
   return response.data;
 };
+
+/**
+ * Get team technicians with availability and open workload
+ * @param {string} id - Team ID
+ * @returns {Promise} API response with workload rows and assignmentStrategy
+ */
+export const getTeamWorkload = async (id) => {
+  const response = await axiosInstance.get(`/teams/${id}/workload`);
+  return response.data;
+};
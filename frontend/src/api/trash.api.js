@@ -0,0 +1,39 @@
+import axiosInstance from './axios';
+
+/**
+ * Trash API Service
+ * Restore or permanently delete trashed requests, equipment and teams (Admin only)
+ */
+
+/**
+ * Get trashed items of one type
+ * @param {string} type - requests, equipment or teams
+ * @param {Object} params - List options { page, limit, sort }
+ * @returns {Promise} API response with items, pagination and retentionDays
+ */
+export const getTrash = async (type, params = {}) => {
+  const response = await axiosInstance.get('/trash', { params: { type, ...params } });
+  return response.data;
+};
+
+/**
+ * Restore a trashed item
+ * @param {string} type - requests, equipment or teams
+ * @param {string} id - Item ID
+ * @returns {Promise} API response
+ */
+export const restoreItem = async (type, id) => {
+  const response = await axiosInstance.post(`/trash/${type}/${id}/restore`);
+  return response.data;
+};
+
+/**
+ * Permanently delete a trashed item
+ * @param {string} type - requests, equipment or teams
+ * @param {string} id - Item ID
+ * @returns {Promise} API response
+ */
+export const purgeItem = async (type, id) => {
+  const response = await axiosInstance.delete(`/trash/${type}/${id}`);
+  return response.data;
+};
@@ -23,3 +23,36 @@ export const getTechnicians = async () => {
   const response = await axiosInstance.get('/users/technicians');
   return response.data;
 };
+
+/**
+ * Set a user's labor rate
+ * @param {string} id - User ID
+ * @param {number} hourlyRate - Cost per hour
+ * @returns {Promise} API response with updated user
+ */
+export const updateHourlyRate = async (id, hourlyRate) => {
+  const response = await axiosInstance.patch(`/users/${id}/hourly-rate`, { hourlyRate });
+  return response.data;
+};
+
+/**
+ * Set the working hours per day a technician can be booked for
+ * @param {string} id - User ID
+ * @param {number} dailyCapacityHours - Hours per day (0-24)
+ * @returns {Promise} API response with updated user
+ */
+export const updateCapacity = async (id, dailyCapacityHours) => {
+  const response = await axiosInstance.patch(`/users/${id}/capacity`, { dailyCapacityHours });
+  return response.data;
+};
+
+/**
+ * Mark a technician available or unavailable for automatic assignment
+ * @param {string} id - User ID
+ * @param {boolean} isAvailable - Availability
+ * @returns {Promise} API response with updated user
+ */
+export const updateAvailability = async (id, isAvailable) => {
+  const response = await axiosInstance.patch(`/users/${id}/availability`, { isAvailable });
+  return response.data;
+};
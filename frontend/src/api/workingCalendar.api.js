@@ -0,0 +1,56 @@
+import axiosInstance from './axios';
+
+/**
+ * Working Calendar API Service
+ * Handles working days, hours and holidays used for overdue state, SLA due times and escalations
+ */
+
+/**
+ * Get all working calendars with optional filters
+ * @param {Object} params - { teamId, location, isActive }
+ * @returns {Promise} API response with calendars
+ */
+export const getAllCalendars = async (params = {}) => {
+  const response = await axiosInstance.get('/working-calendars', { params });
+  return response.data;
+};
+
+/**
+ * Get the sites (equipment locations) a calendar can apply to
+ * @returns {Promise} API response with site names
+ */
+export const getSites = async () => {
+  const response = await axiosInstance.get('/working-calendars/sites');
+  return response.data;
+};
+
+/**
+ * Create working calendar
+ * @param {Object} calendarData - Calendar data
+ * @returns {Promise} API response
+ */
+export const createCalendar = async (calendarData) => {
+  const response = await axiosInstance.post('/working-calendars', calendarData);
+  return response.data;
+};
+
+/**
+ * Update working calendar
+ * @param {string} id - Calendar ID
+ * @param {Object} calendarData - Updated calendar data
+ * @returns {Promise} API response
+ */
+export const updateCalendar = async (id, calendarData) => {
+  const response = await axiosInstance.put(`/working-calendars/${id}`, calendarData);
+  return response.data;
+};
+
+/**
+ * Delete working calendar
+ * @param {string} id - Calendar ID
+ * @returns {Promise} API response
+ */
+export const deleteCalendar = async (id) => {
+  const response = await axiosInstance.delete(`/working-calendars/${id}`);
+  return response.data;
+};
@@ -0,0 +1,59 @@
+import axiosInstance from './axios';
+
+/**
+ * Work Log API Service
+ * Handles technician time tracking on maintenance requests
+ */
+
+/**
+ * Get work logs for a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with logs (oldest first) and totalHours
+ */
+export const getWorkLogs = async (requestId) => {
+  const response = await axiosInstance.get(`/requests/${requestId}/worklogs`);
+  return response.data;
+};
+
+/**
+ * Start a timer for the current user
+ * @param {string} requestId - Request ID
+ * @returns {Promise} API response with the running log
+ */
+export const startTimer = async (requestId) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/worklogs/start`);
+  return response.data;
+};
+
+/**
+ * Stop the current user's running timer
+ * @param {string} requestId - Request ID
+ * @param {string} notes - Optional notes for the entry
+ * @returns {Promise} API response with the finished log and request durationHours
+ */
+export const stopTimer = async (requestId, notes) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/worklogs/stop`, { notes });
+  return response.data;
+};
+
+/**
+ * Add a finished work log entry
+ * @param {string} requestId - Request ID
+ * @param {Object} logData - { startedAt, endedAt, notes, technician }
+ * @returns {Promise} API response
+ */
+export const addWorkLog = async (requestId, logData) => {
+  const response = await axiosInstance.post(`/requests/${requestId}/worklogs`, logData);
+  return response.data;
+};
+
+/**
+ * Delete a work log entry
+ * @param {string} requestId - Request ID
+ * @param {string} logId - Work log ID
+ * @returns {Promise} API response
+ */
+export const deleteWorkLog = async (requestId, logId) => {
+  const response = await axiosInstance.delete(`/requests/${requestId}/worklogs/${logId}`);
+  return response.data;
+};
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Check, X } from 'lucide-react';
+import * as approvalAPI from '../api/approval.api';
+import { useNotifications } from '../context/NotificationContext';
+import { PRIORITY_COLORS } from '../utils/constants';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+
+/**
+ * ApprovalQueue Component
+ * Requests waiting for approval, oldest first, with approve and reject actions
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const ApprovalQueue = ({ onNotify }) => {
+  const navigate = useNavigate();
+  const { addAuditLog } = useNotifications();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [rejectModal, setRejectModal] = useState({ isOpen: false, request: null });
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      const response = await approvalAPI.getApprovalQueue();
+      setRequests(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch approval queue:', error);
+      onNotify?.('Failed to load approval queue', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Record the decision and drop the request from the queue
+  // The requester is notified from the server (see NotificationContext)
+  const afterDecision = (request, decision, message) => {
+    addAuditLog({
+      action: decision === 'approved' ? 'approve' : 'reject',
+      entityType: 'request',
+      entityId: request._id,
+      details: message,
+    });
+    setRequests(prev => prev.filter(r => r._id !== request._id));
+  };
+
+  const handleApprove = async (request) => {
+    try {
+      setBusyId(request._id);
+      const response = await approvalAPI.approveRequest(request._id);
+      onNotify?.(response.message, 'success');
+      afterDecision(request, 'approved', `Approved request "${request.subject}"`);
+    } catch (error) {
+      console.error('Failed to approve request:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to approve request', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openReject = (request) => {
+    setReason('');
+    setRejectModal({ isOpen: true, request });
+  };
+
+  const handleReject = async () => {
+    const { request } = rejectModal;
+    if (!reason.trim()) {
+      onNotify?.('A reason is required to reject a request', 'error');
+      return;
+    }
+
+    try {
+      setBusyId(request._id);
+      const response = await approvalAPI.rejectRequest(request._id, reason.trim());
+      onNotify?.(response.message, 'success');
+      afterDecision(request, 'rejected', `Rejected request "${request.subject}": ${reason.trim()}`);
+      setRejectModal({ isOpen: false, request: null });
+    } catch (error) {
+      console.error('Failed to reject request:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to reject request', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner className="py-12" />;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      {requests.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          No requests are waiting for your approval.
+        </div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Request</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested By</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {requests.map(request => (
+              <tr key={request._id}>
+                <td className="px-6 py-3">
+                  <button
+                    onClick={() => navigate(`/maintenance/${request._id}`)}
+                    className="text-sm font-medium text-blue-600 hover:text-blue-800 text-left"
+                  >
+                    {request.subject}
+                  </button>
+                  <p className="text-xs text-gray-500">
+                    {[request.equipment?.equipmentName, request.approval?.rule?.name].filter(Boolean).join(' · ')}
+                  </p>
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">{request.maintenanceTeam?.teamName || '—'}</td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {request.createdBy?.name || 'Unknown'}
+                  <span className="block text-xs text-gray-500">{new Date(request.createdAt).toLocaleString()}</span>
+                </td>
+                <td className="px-6 py-3">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${PRIORITY_COLORS[request.priority]}`}>
+                    {request.priority}
+                  </span>
+                </td>
+                <td className="px-6 py-3 text-right">
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => handleApprove(request)}
+                      disabled={busyId === request._id}
+                      className="flex items-center px-3 py-1.5 text-sm text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <Check className="w-4 h-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => openReject(request)}
+                      disabled={busyId === request._id}
+                      className="flex items-center px-3 py-1.5 text-sm text-red-700 border border-red-300 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <X className="w-4 h-4 mr-1" />
+                      Reject
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Modal
+        isOpen={rejectModal.isOpen}
+        onClose={() => setRejectModal({ isOpen: false, request: null })}
+        title="Reject Request"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Tell {rejectModal.request?.createdBy?.name || 'the requester'} why "{rejectModal.request?.subject}" is rejected.
+          </p>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Reason *"
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setRejectModal({ isOpen: false, request: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleReject}
+              disabled={busyId !== null}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              Reject Request
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default ApprovalQueue;
@@ -0,0 +1,269 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, Plus, Edit, Trash2 } from 'lucide-react';
+import * as approvalAPI from '../api/approval.api';
+import * as teamAPI from '../api/team.api';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+
+const emptyForm = {
+  name: '',
+  maintenanceTeam: '',
+  equipmentCategory: '',
+  isActive: true,
+};
+
+/**
+ * ApprovalRules Component
+ * Manage which teams and categories need approval before technicians see new requests
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const ApprovalRules = ({ onNotify }) => {
+  const [rules, setRules] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ isOpen: false, ruleId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, rule: null });
+
+  useEffect(() => {
+    fetchRules();
+    fetchTeams();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await approvalAPI.getAllRules();
+      setRules(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch approval rules:', error);
+      onNotify?.('Failed to load approval rules', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getAllTeams();
+      setTeams(response.data || []);
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  };
+
+  const openForm = (rule = null) => {
+    setFormData(rule ? {
+      name: rule.name,
+      maintenanceTeam: rule.maintenanceTeam?._id || '',
+      equipmentCategory: rule.equipmentCategory || '',
+      isActive: rule.isActive,
+    } : emptyForm);
+    setFormModal({ isOpen: true, ruleId: rule?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      onNotify?.('Rule name is required', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      maintenanceTeam: formData.maintenanceTeam || null,
+      equipmentCategory: formData.equipmentCategory.trim() || null,
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.ruleId) {
+        await approvalAPI.updateRule(formModal.ruleId, payload);
+        onNotify?.('Approval rule updated', 'success');
+      } else {
+        await approvalAPI.createRule(payload);
+        onNotify?.('Approval rule created', 'success');
+      }
+      setFormModal({ isOpen: false, ruleId: null });
+      fetchRules();
+    } catch (error) {
+      console.error('Failed to save approval rule:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save approval rule', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await approvalAPI.deleteRule(deleteDialog.rule._id);
+      onNotify?.('Approval rule deleted', 'success');
+      setRules(prev => prev.filter(r => r._id !== deleteDialog.rule._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete approval rule', 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ShieldCheck className="w-5 h-5 mr-2 text-gray-500" />
+          Approval Rules
+        </h3>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Rule
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Requests raised by users that match an active rule wait for a Manager or the team lead to approve them
+        before technicians can see them.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : rules.length === 0 ? (
+        <p className="text-sm text-gray-500">No approval rules configured. New requests go straight to technicians.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rules.map(rule => (
+                <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {rule.name}
+                    {!rule.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{rule.maintenanceTeam?.teamName || 'All teams'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{rule.equipmentCategory || 'All categories'}</td>
+                  <td className="px-4 py-2 text-right">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        onClick={() => openForm(rule)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, rule })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Rule Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, ruleId: null })}
+        title={formModal.ruleId ? 'Edit Approval Rule' : 'New Approval Rule'}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Facilities sign-off"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+              <select
+                value={formData.maintenanceTeam}
+                onChange={(e) => handleChange('maintenanceTeam', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All teams</option>
+                {teams.map(team => (
+                  <option key={team._id} value={team._id}>{team.teamName}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <input
+                type="text"
+                value={formData.equipmentCategory}
+                onChange={(e) => handleChange('equipmentCategory', e.target.value)}
+                className={inputClass}
+                placeholder="All categories"
+              />
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, ruleId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rule'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, rule: null })}
+        onConfirm={handleDelete}
+        title="Delete Approval Rule"
+        message={`Delete "${deleteDialog.rule?.name}"? Requests already waiting for approval stay in the queue.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default ApprovalRules;
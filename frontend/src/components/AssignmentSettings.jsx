@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { Users } from 'lucide-react';
+import * as teamAPI from '../api/team.api';
+import * as userAPI from '../api/user.api';
+import { ASSIGNMENT_STRATEGIES, ASSIGNMENT_STRATEGY_LABELS } from '../utils/constants';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * AssignmentSettings Component
+ * Per-team automatic assignment strategy and technician availability
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const AssignmentSettings = ({ onNotify }) => {
+  const [teams, setTeams] = useState([]);
+  const [selectedTeamId, setSelectedTeamId] = useState('');
+  const [workload, setWorkload] = useState([]);
+  const [strategy, setStrategy] = useState(ASSIGNMENT_STRATEGIES.DEFAULT);
+  const [loading, setLoading] = useState(true);
+  const [loadingWorkload, setLoadingWorkload] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchTeams();
+  }, []);
+
+  useEffect(() => {
+    if (selectedTeamId) fetchWorkload(selectedTeamId);
+  }, [selectedTeamId]);
+
+  const fetchTeams = async () => {
+    try {
+      setLoading(true);
+      const response = await teamAPI.getAllTeams();
+      const teamList = response.data || [];
+      setTeams(teamList);
+      if (teamList.length > 0) setSelectedTeamId(teamList[0]._id);
+    } catch (error) {
+      console.error('Failed to fetch teams:', error);
+      onNotify?.('Failed to load teams', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchWorkload = async (teamId) => {
+    try {
+      setLoadingWorkload(true);
+      const response = await teamAPI.getTeamWorkload(teamId);
+      setWorkload(response.data || []);
+      setStrategy(response.assignmentStrategy || ASSIGNMENT_STRATEGIES.DEFAULT);
+    } catch (error) {
+      console.error('Failed to fetch team workload:', error);
+      onNotify?.('Failed to load team workload', 'error');
+    } finally {
+      setLoadingWorkload(false);
+    }
+  };
+
+  const handleStrategyChange = async (value) => {
+    try {
+      setSaving(true);
+      await teamAPI.updateTeam(selectedTeamId, { assignmentStrategy: value });
+      setStrategy(value);
+      onNotify?.('Assignment strategy updated', 'success');
+    } catch (error) {
+      console.error('Failed to update strategy:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to update strategy', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleAvailability = async (entry) => {
+    try {
+      await userAPI.updateAvailability(entry.technician._id, !entry.isAvailable);
+      setWorkload(prev => prev.map(item => (
+        item.technician._id === entry.technician._id ? { ...item, isAvailable: !entry.isAvailable } : item
+      )));
+    } catch (error) {
+      console.error('Failed to update availability:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to update availability', 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  if (loading) {
+    return <LoadingSpinner className="py-12" />;
+  }
+
+  if (teams.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+        No maintenance teams yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+          <select
+            value={selectedTeamId}
+            onChange={(e) => setSelectedTeamId(e.target.value)}
+            className={inputClass}
+          >
+            {teams.map(team => (
+              <option key={team._id} value={team._id}>{team.teamName}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Assignment Strategy</label>
+          <select
+            value={strategy}
+            onChange={(e) => handleStrategyChange(e.target.value)}
+            disabled={saving || loadingWorkload}
+            className={inputClass}
+          >
+            {Object.values(ASSIGNMENT_STRATEGIES).map(value => (
+              <option key={value} value={value}>{ASSIGNMENT_STRATEGY_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-4">
+        {strategy === ASSIGNMENT_STRATEGIES.DEFAULT && 'New requests go to the equipment\'s default technician, or the least loaded technician when they are unavailable.'}
+        {strategy === ASSIGNMENT_STRATEGIES.ROUND_ROBIN && 'New requests rotate through available technicians in team order.'}
+        {strategy === ASSIGNMENT_STRATEGIES.LEAST_LOADED && 'New requests go to the available technician with the fewest open requests, then the fewest scheduled hours.'}
+      </p>
+
+      <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+        <Users className="w-4 h-4 mr-2 text-gray-500" />
+        Technicians
+      </h3>
+      {loadingWorkload ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : workload.length === 0 ? (
+        <p className="text-sm text-gray-500">This team has no technicians.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Technician</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Open Requests</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Scheduled Hours</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {workload.map(entry => (
+              <tr key={entry.technician._id}>
+                <td className="px-4 py-2 text-sm text-gray-900">
+                  {entry.technician.name}
+                  <span className="block text-xs text-gray-500">{entry.technician.email}</span>
+                </td>
+                <td className="px-4 py-2 text-sm text-right text-gray-700">{entry.openRequests}</td>
+                <td className="px-4 py-2 text-sm text-right text-gray-700">{entry.scheduledHours}</td>
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => handleToggleAvailability(entry)}
+                    className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      entry.isAvailable ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                    }`}
+                    title="Toggle availability"
+                  >
+                    {entry.isAvailable ? 'Available' : 'Unavailable'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentSettings;
@@ -0,0 +1,246 @@
+import { useState, useEffect, useRef } from 'react';
+import { Paperclip, Upload, FileText, Trash2, Download } from 'lucide-react';
+import * as attachmentAPI from '../api/attachment.api';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif,application/pdf,text/plain,text/csv';
+
+/**
+ * AttachmentGallery Component
+ * Photo gallery and file list for a request or equipment
+ *
+ * Props:
+ * - entityType: 'request' or 'equipment'
+ * - entityId: Request or equipment ID
+ * - user: Current user
+ * - canUpload: Whether the upload button is shown
+ * - onError: Called with an error message when an action fails
+ */
+const AttachmentGallery = ({ entityType, entityId, user, canUpload = true, onError }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, attachment: null });
+  const fileInputRef = useRef(null);
+  const objectUrlsRef = useRef([]);
+
+  const api = entityType === 'equipment'
+    ? { list: attachmentAPI.getEquipmentAttachments, upload: attachmentAPI.uploadEquipmentAttachments }
+    : { list: attachmentAPI.getRequestAttachments, upload: attachmentAPI.uploadRequestAttachments };
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [entityType, entityId]);
+
+  // Release thumbnail object URLs on unmount
+  useEffect(() => {
+    return () => objectUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const loadThumbnails = async (items) => {
+    const images = items.filter(a => a.thumbnailKey && !thumbnails[a._id]);
+    const loaded = await Promise.all(images.map(async (attachment) => {
+      try {
+        const blob = await attachmentAPI.getAttachmentBlob(attachment._id, 'thumbnail');
+        const url = URL.createObjectURL(blob);
+        objectUrlsRef.current.push(url);
+        return [attachment._id, url];
+      } catch (error) {
+        return [attachment._id, null];
+      }
+    }));
+    setThumbnails(prev => ({ ...prev, ...Object.fromEntries(loaded) }));
+  };
+
+  const fetchAttachments = async () => {
+    try {
+      setLoading(true);
+      const response = await api.list(entityId);
+      setAttachments(response.data || []);
+      loadThumbnails(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch attachments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    try {
+      setUploading(true);
+      const response = await api.upload(entityId, files);
+      setAttachments(prev => [...response.data, ...prev]);
+      loadThumbnails(response.data);
+    } catch (error) {
+      console.error('Failed to upload files:', error);
+      onError?.(error.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      const blob = await attachmentAPI.getAttachmentBlob(attachment._id, 'file');
+      const url = URL.createObjectURL(blob);
+      objectUrlsRef.current.push(url);
+      window.open(url, '_blank', 'noopener');
+    } catch (error) {
+      console.error('Failed to open attachment:', error);
+      onError?.('Failed to open attachment');
+    }
+  };
+
+  const handleDelete = async () => {
+    const { attachment } = deleteDialog;
+    try {
+      await attachmentAPI.deleteAttachment(attachment._id);
+      setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+    } catch (error) {
+      console.error('Failed to delete attachment:', error);
+      onError?.(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const canDeleteAttachment = (attachment) => {
+    return attachment.uploadedBy?._id === user._id || isAdminOrManager(user.role);
+  };
+
+  const images = attachments.filter(a => a.isImage);
+  const files = attachments.filter(a => !a.isImage);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Paperclip className="w-5 h-5 mr-2 text-gray-500" />
+          Attachments
+          <span className="ml-2 text-sm font-normal text-gray-500">({attachments.length})</span>
+        </h2>
+        {canUpload && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_TYPES}
+              onChange={handleUpload}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploading}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              <Upload className="w-4 h-4 mr-1" />
+              {uploading ? 'Uploading...' : 'Upload'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">No photos or files attached.</p>
+      ) : (
+        <div className="space-y-4">
+          {/* Photo Gallery */}
+          {images.length > 0 && (
+            <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+              {images.map(attachment => (
+                <div key={attachment._id} className="relative group aspect-square rounded-lg overflow-hidden bg-gray-100 border border-gray-200">
+                  {thumbnails[attachment._id] ? (
+                    <img
+                      src={thumbnails[attachment._id]}
+                      alt={attachment.originalName}
+                      onClick={() => handleOpen(attachment)}
+                      className="w-full h-full object-cover cursor-pointer"
+                    />
+                  ) : (
+                    <button
+                      onClick={() => handleOpen(attachment)}
+                      className="w-full h-full flex items-center justify-center text-xs text-gray-500 p-2"
+                    >
+                      {attachment.originalName}
+                    </button>
+                  )}
+                  {canDeleteAttachment(attachment) && (
+                    <button
+                      onClick={() => setDeleteDialog({ isOpen: true, attachment })}
+                      className="absolute top-1 right-1 p-1 bg-white rounded-full shadow opacity-0 group-hover:opacity-100 text-red-600 transition-opacity"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Other Files */}
+          {files.length > 0 && (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {files.map(attachment => (
+                <li key={attachment._id} className="flex items-center justify-between px-3 py-2">
+                  <div className="flex items-center min-w-0">
+                    <FileText className="w-4 h-4 text-gray-400 mr-2 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-900 truncate">{attachment.originalName}</p>
+                      <p className="text-xs text-gray-500">
+                        {formatSize(attachment.size)} · {attachment.uploadedBy?.name || 'Unknown'}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-2">
+                    <button
+                      onClick={() => handleOpen(attachment)}
+                      className="text-gray-400 hover:text-blue-600"
+                      title="Open"
+                    >
+                      <Download className="w-4 h-4" />
+                    </button>
+                    {canDeleteAttachment(attachment) && (
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, attachment })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, attachment: null })}
+        onConfirm={handleDelete}
+        title="Delete Attachment"
+        message={`Are you sure you want to delete "${deleteDialog.attachment?.originalName}"? This action cannot be undone.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default AttachmentGallery;
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import { X, AlertTriangle } from 'lucide-react';
+import { requestAPI } from '../api/request.api';
+import * as userAPI from '../api/user.api';
+import { REQUEST_STAGES, PRIORITIES } from '../utils/constants';
+import { isAdminOrManager, canDeleteMaintenanceRequest } from '../utils/rolePermissions';
+import ConfirmDialog from './ConfirmDialog';
+
+/**
+ * BulkActionBar Component
+ * Applies one action to the selected maintenance requests and lists the ones that failed
+ *
+ * Props:
+ * - selectedIds: Selected request IDs
+ * - requests: Loaded requests (used to name failed items)
+ * - user: Current user
+ * - onComplete: Called with the API response after an action ran
+ * - onClear: Clears the selection
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const BulkActionBar = ({ selectedIds, requests, user, onComplete, onClear, onNotify }) => {
+  const [action, setAction] = useState('stage');
+  const [value, setValue] = useState(REQUEST_STAGES.IN_PROGRESS);
+  const [technicians, setTechnicians] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [failures, setFailures] = useState([]);
+  const [confirmDialog, setConfirmDialog] = useState(false);
+  const [allowOverbooking, setAllowOverbooking] = useState(false);
+
+  const canManage = isAdminOrManager(user.role);
+  // Actions that book technician time and are refused past daily capacity
+  const booksTime = action === 'assign' || action === 'scheduledDate';
+
+  const actions = [
+    { value: 'stage', label: 'Change Stage' },
+    { value: 'priority', label: 'Change Priority' },
+    { value: 'scheduledDate', label: 'Reschedule' },
+    ...(canManage ? [{ value: 'assign', label: 'Assign Technician' }] : []),
+    ...(canDeleteMaintenanceRequest(user.role) ? [{ value: 'delete', label: 'Delete' }] : []),
+  ];
+
+  useEffect(() => {
+    if (canManage) fetchTechnicians();
+  }, [canManage]);
+
+  const fetchTechnicians = async () => {
+    try {
+      const response = await userAPI.getTechnicians();
+      setTechnicians(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch technicians:', error);
+    }
+  };
+
+  const handleActionChange = (nextAction) => {
+    setAction(nextAction);
+    setAllowOverbooking(false);
+    const defaults = {
+      stage: REQUEST_STAGES.IN_PROGRESS,
+      priority: PRIORITIES.HIGH,
+      scheduledDate: '',
+      assign: technicians[0]?._id || '',
+      delete: null,
+    };
+    setValue(defaults[nextAction]);
+  };
+
+  const subjectOf = (id) => requests.find(request => request._id === id)?.subject || id;
+
+  const runAction = async () => {
+    try {
+      setBusy(true);
+      const payload = action === 'scheduledDate' ? (value || null) : value;
+      const response = await requestAPI.bulkUpdateRequests(
+        selectedIds,
+        action,
+        payload,
+        booksTime && allowOverbooking ? { allowOverbooking: true } : {}
+      );
+      const failed = response.results.filter(result => !result.success);
+      const overbooked = response.results.filter(result => result.success && result.capacityWarning);
+
+      setFailures(failed.map(result => ({ ...result, subject: subjectOf(result.id) })));
+      onNotify?.(response.message, failed.length > 0 ? 'error' : 'success');
+      if (overbooked.length > 0) {
+        onNotify?.(`${overbooked.length} request${overbooked.length === 1 ? '' : 's'} booked past the technician's daily capacity`, 'info');
+      }
+      onComplete?.(response);
+    } catch (error) {
+      console.error('Bulk action failed:', error);
+      onNotify?.(error.response?.data?.message || 'Bulk action failed', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = () => {
+    // Deleting and scrapping need a second look
+    if (action === 'delete' || (action === 'stage' && value === REQUEST_STAGES.SCRAP)) {
+      setConfirmDialog(true);
+      return;
+    }
+    runAction();
+  };
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const renderValueInput = () => {
+    switch (action) {
+      case 'stage':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            {Object.values(REQUEST_STAGES).map(stage => (
+              <option key={stage} value={stage}>{stage}</option>
+            ))}
+          </select>
+        );
+      case 'priority':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            {Object.values(PRIORITIES).map(priority => (
+              <option key={priority} value={priority}>{priority}</option>
+            ))}
+          </select>
+        );
+      case 'scheduledDate':
+        return (
+          <input
+            type="date"
+            value={value || ''}
+            onChange={(e) => setValue(e.target.value)}
+            className={inputClass}
+            title="Leave empty to clear the scheduled date"
+          />
+        );
+      case 'assign':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+            <option value="">Select technician</option>
+            {technicians.map(technician => (
+              <option key={technician._id} value={technician._id}>{technician.name}</option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (selectedIds.length === 0 && failures.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4">
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-lg p-3">
+          <span className="text-sm font-medium text-blue-900">
+            {selectedIds.length} selected
+          </span>
+          <select
+            value={action}
+            onChange={(e) => handleActionChange(e.target.value)}
+            className={inputClass}
+          >
+            {actions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {renderValueInput()}
+          {booksTime && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={allowOverbooking}
+                onChange={(e) => setAllowOverbooking(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Allow overbooking
+            </label>
+          )}
+          <button
+            onClick={handleApply}
+            disabled={busy || (action === 'assign' && !value)}
+            className={`px-4 py-2 text-sm text-white rounded-lg transition-colors disabled:opacity-50 ${
+              action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {busy ? 'Applying...' : 'Apply'}
+          </button>
+          <button
+            onClick={onClear}
+            className="ml-auto px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Clear Selection
+          </button>
+        </div>
+      )}
+
+      {failures.length > 0 && (
+        <div className="mt-2 bg-red-50 border border-red-200 rounded-lg p-3">
+          <div className="flex items-center justify-between mb-1">
+            <p className="text-sm font-medium text-red-800 flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              {failures.length} request{failures.length === 1 ? '' : 's'} could not be changed
+            </p>
+            <button
+              onClick={() => setFailures([])}
+              className="text-red-400 hover:text-red-600"
+              title="Dismiss"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <ul className="text-sm text-red-700 space-y-0.5">
+            {failures.map(failure => (
+              <li key={failure.id}>
+                <span className="font-medium">{failure.subject}</span>: {failure.capacityConflict?.message || failure.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmDialog}
+        onClose={() => setConfirmDialog(false)}
+        onConfirm={runAction}
+        title={action === 'delete' ? 'Delete Requests' : 'Scrap Requests'}
+        message={action === 'delete'
+          ? `Delete ${selectedIds.length} request${selectedIds.length === 1 ? '' : 's'}? They will be moved to the trash, where an Admin can restore them.`
+          : `Move ${selectedIds.length} request${selectedIds.length === 1 ? '' : 's'} to Scrap? They are closed without a repair; their equipment stays in service.`}
+        confirmText={action === 'delete' ? 'Delete' : 'Yes, Scrap'}
+      />
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { Copy, RefreshCw } from 'lucide-react';
+import * as calendarFeedAPI from '../api/calendarFeed.api';
+import Modal from './Modal';
+
+/**
+ * CalendarFeedModal Component
+ * Subscription URL of the user's .ics feed for Google Calendar, Outlook or Apple Calendar
+ *
+ * Props:
+ * - isOpen: Whether the modal is shown
+ * - onClose: Called when the modal is closed
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const CalendarFeedModal = ({ isOpen, onClose, onNotify }) => {
+  const [feed, setFeed] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) fetchFeed();
+  }, [isOpen]);
+
+  const fetchFeed = async () => {
+    try {
+      const response = await calendarFeedAPI.getMyFeed();
+      setFeed(response.data);
+    } catch (error) {
+      console.error('Failed to fetch calendar feed:', error);
+      onNotify?.('Failed to load the calendar feed', 'error');
+    }
+  };
+
+  const runAction = async (action, label) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      setFeed(response.data);
+      onNotify?.(response.message, 'success');
+    } catch (error) {
+      console.error(`Failed to ${label} calendar feed:`, error);
+      onNotify?.(error.response?.data?.message || `Failed to ${label} calendar feed`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      onNotify?.('Feed URL copied', 'success');
+    } catch (error) {
+      onNotify?.('Copy failed; select the URL and copy it by hand', 'error');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Subscribe to Calendar" size="md">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Add this URL as a calendar subscription in Google Calendar, Outlook or Apple Calendar. It shows
+          the scheduled requests you can see here, links each event back to its request and picks up
+          changes when your calendar app refreshes.
+        </p>
+
+        {feed?.enabled ? (
+          <>
+            {feed.url ? (
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={feed.url}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg bg-gray-50 font-mono"
+                />
+                <button
+                  onClick={handleCopy}
+                  className="flex items-center px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  <Copy className="w-4 h-4 mr-1" />
+                  Copy
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-700">
+                Your feed is on. Its URL is only shown when it is created; reset it to get a new URL.
+              </p>
+            )}
+            <p className="text-xs text-gray-500">
+              Anyone with this URL can read the feed. Copy it now: it is not shown again.
+              Reset it if it was shared by mistake or lost.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => runAction(calendarFeedAPI.disableFeed, 'turn off')}
+                disabled={busy}
+                className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                Turn Off
+              </button>
+              <button
+                onClick={() => runAction(calendarFeedAPI.regenerateFeedToken, 'reset')}
+                disabled={busy}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                <RefreshCw className="w-4 h-4 mr-2" />
+                Reset URL
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => runAction(calendarFeedAPI.regenerateFeedToken, 'create')}
+              disabled={busy || !feed}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Create Feed URL
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default CalendarFeedModal;
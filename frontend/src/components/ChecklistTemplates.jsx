@@ -0,0 +1,438 @@
+import { useState, useEffect } from 'react';
+import { ListChecks, Plus, Edit, Trash2, ArrowUp, ArrowDown, X } from 'lucide-react';
+import * as checklistAPI from '../api/checklist.api';
+import * as equipmentAPI from '../api/equipment.api';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+
+const emptyStep = { label: '', required: true, expectedValue: '', tolerance: '', unit: '' };
+
+const emptyForm = {
+  name: '',
+  description: '',
+  equipment: '',
+  equipmentCategory: '',
+  items: [emptyStep],
+  isActive: true,
+};
+
+/**
+ * ChecklistTemplates Component
+ * Manage the checklist steps copied onto new requests per equipment or category
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const ChecklistTemplates = ({ onNotify }) => {
+  const [templates, setTemplates] = useState([]);
+  const [equipment, setEquipment] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ isOpen: false, templateId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, template: null });
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchEquipment();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await checklistAPI.getAllTemplates();
+      setTemplates(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch checklist templates:', error);
+      onNotify?.('Failed to load checklist templates', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchEquipment = async () => {
+    try {
+      const [equipmentResponse, categoryResponse] = await Promise.all([
+        equipmentAPI.getAllEquipment({ isActive: true, fields: 'equipmentName,serialNumber', sort: 'equipmentName' }),
+        equipmentAPI.getEquipmentCategories(),
+      ]);
+      setEquipment(equipmentResponse.data || []);
+      setCategories(categoryResponse.data || []);
+    } catch (error) {
+      console.error('Failed to load equipment:', error);
+    }
+  };
+
+  const openForm = (template = null) => {
+    setFormData(template ? {
+      name: template.name,
+      description: template.description || '',
+      equipment: template.equipment?._id || '',
+      equipmentCategory: template.equipmentCategory || '',
+      items: template.items.map(item => ({
+        label: item.label,
+        required: item.required,
+        expectedValue: item.expectedValue ?? '',
+        tolerance: item.tolerance || '',
+        unit: item.unit || '',
+      })),
+      isActive: template.isActive,
+    } : emptyForm);
+    setFormModal({ isOpen: true, templateId: template?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleStepChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+  };
+
+  const addStep = () => {
+    setFormData(prev => ({ ...prev, items: [...prev.items, emptyStep] }));
+  };
+
+  const removeStep = (index) => {
+    setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+  };
+
+  const moveStep = (index, offset) => {
+    setFormData(prev => {
+      const items = [...prev.items];
+      [items[index], items[index + offset]] = [items[index + offset], items[index]];
+      return { ...prev, items };
+    });
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      onNotify?.('Template name is required', 'error');
+      return;
+    }
+
+    const items = formData.items.filter(item => item.label.trim());
+    if (items.length === 0) {
+      onNotify?.('Add at least one step', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      equipment: formData.equipment || null,
+      equipmentCategory: formData.equipment ? null : formData.equipmentCategory.trim() || null,
+      items: items.map(item => ({
+        label: item.label.trim(),
+        required: item.required,
+        expectedValue: item.expectedValue === '' ? null : Number(item.expectedValue),
+        tolerance: Number(item.tolerance) || 0,
+        unit: item.unit.trim(),
+      })),
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.templateId) {
+        await checklistAPI.updateTemplate(formModal.templateId, payload);
+        onNotify?.('Checklist template updated', 'success');
+      } else {
+        await checklistAPI.createTemplate(payload);
+        onNotify?.('Checklist template created', 'success');
+      }
+      setFormModal({ isOpen: false, templateId: null });
+      fetchTemplates();
+    } catch (error) {
+      console.error('Failed to save checklist template:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save checklist template', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await checklistAPI.deleteTemplate(deleteDialog.template._id);
+      onNotify?.('Checklist template deleted', 'success');
+      setTemplates(prev => prev.filter(t => t._id !== deleteDialog.template._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete checklist template', 'error');
+    }
+  };
+
+  const describeScope = (template) => {
+    if (template.equipment) return template.equipment.equipmentName;
+    return template.equipmentCategory || 'All equipment';
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const stepInputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ListChecks className="w-5 h-5 mr-2 text-gray-500" />
+          Checklist Templates
+        </h3>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Template
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        New requests get the steps of the most specific active template: equipment, then category, then all equipment.
+        Required steps must be done before a request can be marked Repaired.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : templates.length === 0 ? (
+        <p className="text-sm text-gray-500">No checklist templates configured. Requests have no checklist.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Steps</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {templates.map(template => (
+                <tr key={template._id} className={template.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {template.name}
+                    {!template.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{describeScope(template)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {template.items.length} ({template.items.filter(item => item.required).length} required)
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        onClick={() => openForm(template)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, template })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Template Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, templateId: null })}
+        title={formModal.templateId ? 'Edit Checklist Template' : 'New Checklist Template'}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Compressor monthly service"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => handleChange('description', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Equipment</label>
+              <select
+                value={formData.equipment}
+                onChange={(e) => handleChange('equipment', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">Any equipment in the category</option>
+                {equipment.map(item => (
+                  <option key={item._id} value={item._id}>
+                    {item.equipmentName}{item.serialNumber ? ` (${item.serialNumber})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <input
+                type="text"
+                list="checklist-categories"
+                value={formData.equipment ? '' : formData.equipmentCategory}
+                onChange={(e) => handleChange('equipmentCategory', e.target.value)}
+                disabled={Boolean(formData.equipment)}
+                className={`${inputClass} disabled:bg-gray-50`}
+                placeholder={formData.equipment ? 'Set by the equipment' : 'All categories'}
+              />
+              <datalist id="checklist-categories">
+                {categories.map(category => (
+                  <option key={category} value={category} />
+                ))}
+              </datalist>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <label className="block text-sm font-medium text-gray-700">Steps *</label>
+              <button
+                onClick={addStep}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add Step
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+              Fill in an expected value to make a step a reading; readings outside the tolerance are flagged.
+            </p>
+            <div className="space-y-2">
+              {formData.items.map((item, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <span className="w-6 text-sm text-gray-500">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={item.label}
+                    onChange={(e) => handleStepChange(index, 'label', e.target.value)}
+                    className={`${stepInputClass} flex-1`}
+                    placeholder="Step"
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    value={item.expectedValue}
+                    onChange={(e) => handleStepChange(index, 'expectedValue', e.target.value)}
+                    className={`${stepInputClass} !w-24`}
+                    placeholder="Expected"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={item.tolerance}
+                    onChange={(e) => handleStepChange(index, 'tolerance', e.target.value)}
+                    className={`${stepInputClass} !w-20`}
+                    placeholder="± Tol."
+                  />
+                  <input
+                    type="text"
+                    value={item.unit}
+                    onChange={(e) => handleStepChange(index, 'unit', e.target.value)}
+                    className={`${stepInputClass} !w-16`}
+                    placeholder="Unit"
+                  />
+                  <label className="flex items-center text-xs text-gray-600 whitespace-nowrap">
+                    <input
+                      type="checkbox"
+                      checked={item.required}
+                      onChange={(e) => handleStepChange(index, 'required', e.target.checked)}
+                      className="mr-1"
+                    />
+                    Required
+                  </label>
+                  <button
+                    onClick={() => moveStep(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveStep(index, 1)}
+                    disabled={index === formData.items.length - 1}
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => removeStep(index)}
+                    disabled={formData.items.length === 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                    title="Remove step"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, templateId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, template: null })}
+        onConfirm={handleDelete}
+        title="Delete Checklist Template"
+        message={`Delete "${deleteDialog.template?.name}"? Checklists already on requests are kept.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default ChecklistTemplates;
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import * as disposalAPI from '../api/disposal.api';
+import { useNotifications } from '../context/NotificationContext';
+import { DISPOSAL_METHODS } from '../utils/constants';
+import Modal from './Modal';
+
+const emptyForm = {
+  reason: '',
+  method: DISPOSAL_METHODS[0],
+  salvageValue: '',
+  disposedAt: '',
+};
+
+/**
+ * DisposalModal Component
+ * Form to propose scrapping a piece of equipment; an Admin or Manager approves it
+ *
+ * Props:
+ * - isOpen: Whether the modal is shown
+ * - onClose: Called when the modal is closed
+ * - equipment: Equipment to scrap ({ _id, equipmentName })
+ * - requestId: Request the proposal comes from (optional)
+ * - onProposed: Called with the API response after the disposal was proposed
+ * - onError: Called with an error message when proposing fails
+ */
+const DisposalModal = ({ isOpen, onClose, equipment, requestId, onProposed, onError }) => {
+  const { addNotification, addAuditLog } = useNotifications();
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setFormData(emptyForm);
+  }, [isOpen]);
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.reason.trim()) {
+      onError?.('A reason is required to scrap equipment');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await disposalAPI.proposeDisposal({
+        equipmentId: equipment._id,
+        requestId: requestId || undefined,
+        reason: formData.reason.trim(),
+        method: formData.method,
+        salvageValue: formData.salvageValue === '' ? 0 : Number(formData.salvageValue),
+        disposedAt: formData.disposedAt || undefined,
+      });
+
+      addNotification({
+        type: 'disposal_proposed',
+        title: 'Disposal Needs Approval',
+        message: `Scrapping "${equipment.equipmentName}" was proposed: ${formData.reason.trim()}`,
+        entityType: 'equipment',
+        entityId: equipment._id,
+        recipientRoles: ['Admin', 'Manager']
+      });
+      addAuditLog({
+        action: 'create',
+        entityType: 'equipment',
+        entityId: equipment._id,
+        details: `Proposed scrapping ${equipment.equipmentName} (${formData.method})`
+      });
+
+      onProposed?.(response);
+      onClose();
+    } catch (error) {
+      console.error('Failed to propose disposal:', error);
+      onError?.(error.response?.data?.message || 'Failed to propose disposal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Scrap Equipment" size="sm">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Propose scrapping "{equipment?.equipmentName}". It stays in service until an Admin or Manager
+          approves; approval closes its open requests.
+        </p>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reason *</label>
+          <textarea
+            value={formData.reason}
+            onChange={(e) => handleChange('reason', e.target.value)}
+            rows={3}
+            className={inputClass}
+            placeholder="Why can the equipment not be repaired?"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+            <select
+              value={formData.method}
+              onChange={(e) => handleChange('method', e.target.value)}
+              className={inputClass}
+            >
+              {DISPOSAL_METHODS.map(method => (
+                <option key={method} value={method}>{method}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Salvage Value</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={formData.salvageValue}
+              onChange={(e) => handleChange('salvageValue', e.target.value)}
+              className={inputClass}
+              placeholder="0.00"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Disposal Date</label>
+          <input
+            type="date"
+            value={formData.disposedAt}
+            onChange={(e) => handleChange('disposedAt', e.target.value)}
+            className={inputClass}
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to use the approval date.</p>
+        </div>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={saving || !formData.reason.trim()}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {saving ? 'Sending...' : 'Propose Disposal'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default DisposalModal;
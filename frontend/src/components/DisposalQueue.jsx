@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Check, X, RotateCcw } from 'lucide-react';
+import * as disposalAPI from '../api/disposal.api';
+import { useNotifications } from '../context/NotificationContext';
+import { DISPOSAL_STATUS_COLORS } from '../utils/constants';
+import { formatCurrency } from '../utils/currency';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+
+const STATUS_FILTERS = ['Pending', 'Approved', 'Rejected', 'Reversed'];
+
+// Decision modal wording; a note is required to reject or reverse
+const DECISIONS = {
+  approve: {
+    title: 'Approve Disposal',
+    prompt: 'The equipment is scrapped and its open requests are closed.',
+    placeholder: 'Note (optional)',
+    button: 'Approve & Scrap',
+  },
+  reject: {
+    title: 'Reject Disposal',
+    prompt: 'The equipment stays in service.',
+    placeholder: 'Reason *',
+    button: 'Reject Disposal',
+  },
+  reverse: {
+    title: 'Reverse Disposal',
+    prompt: 'The equipment goes back into service. Requests closed by the disposal stay in Scrap.',
+    placeholder: 'Reason *',
+    button: 'Reverse Disposal',
+  },
+};
+
+/**
+ * DisposalQueue Component
+ * Proposals to scrap equipment with approve, reject and reverse actions
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const DisposalQueue = ({ onNotify }) => {
+  const navigate = useNavigate();
+  const { addAuditLog } = useNotifications();
+  const [disposals, setDisposals] = useState([]);
+  const [status, setStatus] = useState('Pending');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [decision, setDecision] = useState({ isOpen: false, action: '', disposal: null });
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    fetchDisposals();
+  }, [status]);
+
+  const fetchDisposals = async () => {
+    try {
+      setLoading(true);
+      const response = await disposalAPI.getAllDisposals({ status: status || undefined });
+      setDisposals(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch disposals:', error);
+      onNotify?.('Failed to load disposals', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openDecision = (action, disposal) => {
+    setNote('');
+    setDecision({ isOpen: true, action, disposal });
+  };
+
+  const closeDecision = () => {
+    setDecision({ isOpen: false, action: '', disposal: null });
+  };
+
+  // Record the decision; the proposer is notified from the server (see NotificationContext)
+  const recordDecision = (action, disposal) => {
+    const name = disposal.equipment?.equipmentName || 'Unknown';
+    const details = {
+      approve: `Scrapping "${name}" was approved.`,
+      reject: `Scrapping "${name}" was rejected: ${note.trim()}`,
+      reverse: `"${name}" is back in service: ${note.trim()}`,
+    };
+
+    addAuditLog({
+      action: action === 'approve' ? 'scrap' : 'update',
+      entityType: 'equipment',
+      entityId: disposal.equipment?._id,
+      details: details[action],
+    });
+  };
+
+  const handleDecision = async () => {
+    const { action, disposal } = decision;
+    if (action !== 'approve' && !note.trim()) {
+      onNotify?.(`A reason is required to ${action} a disposal`, 'error');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const calls = {
+        approve: disposalAPI.approveDisposal,
+        reject: disposalAPI.rejectDisposal,
+        reverse: disposalAPI.reverseDisposal,
+      };
+      const response = await calls[action](disposal._id, note.trim());
+      onNotify?.(response.message, 'success');
+      recordDecision(action, disposal);
+      setDisposals(prev => prev.filter(d => d._id !== disposal._id));
+      closeDecision();
+    } catch (error) {
+      console.error(`Failed to ${action} disposal:`, error);
+      onNotify?.(error.response?.data?.message || `Failed to ${action} disposal`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const decisionText = DECISIONS[decision.action];
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="flex items-center justify-end px-6 py-4 border-b border-gray-200">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {STATUS_FILTERS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner className="py-12" />
+      ) : disposals.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          No {status ? status.toLowerCase() : ''} disposals.
+        </div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Equipment</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Salvage</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proposed By</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {disposals.map(disposal => (
+              <tr key={disposal._id}>
+                <td className="px-6 py-3">
+                  <button
+                    onClick={() => navigate(`/equipment/${disposal.equipment?._id}`)}
+                    disabled={!disposal.equipment}
+                    className="text-sm font-medium text-blue-600 hover:text-blue-800 text-left"
+                  >
+                    {disposal.equipment?.equipmentName || 'Deleted equipment'}
+                  </button>
+                  <p className="text-xs text-gray-500">{disposal.equipment?.serialNumber}</p>
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {disposal.reason}
+                  <span className="block text-xs text-gray-500">
+                    {[disposal.method, disposal.request?.subject].filter(Boolean).join(' · ')}
+                  </span>
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">{formatCurrency(disposal.salvageValue)}</td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {disposal.proposedBy?.name || 'Unknown'}
+                  <span className="block text-xs text-gray-500">{new Date(disposal.createdAt).toLocaleString()}</span>
+                </td>
+                <td className="px-6 py-3">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${DISPOSAL_STATUS_COLORS[disposal.status]}`}>
+                    {disposal.status}
+                  </span>
+                  {disposal.approvedBy && (
+                    <span className="block mt-1 text-xs text-gray-500">by {disposal.approvedBy.name}</span>
+                  )}
+                </td>
+                <td className="px-6 py-3 text-right">
+                  <div className="flex justify-end space-x-2">
+                    {disposal.status === 'Pending' && (
+                      <>
+                        <button
+                          onClick={() => openDecision('approve', disposal)}
+                          disabled={busy}
+                          className="flex items-center px-3 py-1.5 text-sm text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                        >
+                          <Check className="w-4 h-4 mr-1" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => openDecision('reject', disposal)}
+                          disabled={busy}
+                          className="flex items-center px-3 py-1.5 text-sm text-red-700 border border-red-300 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                        >
+                          <X className="w-4 h-4 mr-1" />
+                          Reject
+                        </button>
+                      </>
+                    )}
+                    {disposal.status === 'Approved' && (
+                      <button
+                        onClick={() => openDecision('reverse', disposal)}
+                        disabled={busy}
+                        className="flex items-center px-3 py-1.5 text-sm text-blue-700 border border-blue-300 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        <RotateCcw className="w-4 h-4 mr-1" />
+                        Reverse
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Modal
+        isOpen={decision.isOpen}
+        onClose={closeDecision}
+        title={decisionText?.title}
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            "{decision.disposal?.equipment?.equipmentName}": {decisionText?.prompt}
+          </p>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder={decisionText?.placeholder}
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={closeDecision}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDecision}
+              disabled={busy || (decision.action !== 'approve' && !note.trim())}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {decisionText?.button}
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default DisposalQueue;
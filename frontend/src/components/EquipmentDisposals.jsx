@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Recycle, ChevronDown, ChevronRight } from 'lucide-react';
+import * as disposalAPI from '../api/disposal.api';
+import { DISPOSAL_STATUS_COLORS } from '../utils/constants';
+import { formatCurrency } from '../utils/currency';
+import DisposalModal from './DisposalModal';
+
+const EVENT_LABELS = {
+  propose: 'Proposed',
+  approve: 'Approved',
+  reject: 'Rejected',
+  reverse: 'Reversed',
+};
+
+/**
+ * EquipmentDisposals Component
+ * Disposal history of a piece of equipment with each proposal's audit trail
+ *
+ * Props:
+ * - equipment: Current equipment ({ _id, equipmentName, isActive })
+ * - canPropose: Whether the user may propose scrapping the equipment
+ * - canApprove: Whether the user may decide on disposals (links to the Disposals tab)
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const EquipmentDisposals = ({ equipment, canPropose, canApprove, onNotify }) => {
+  const navigate = useNavigate();
+  const [disposals, setDisposals] = useState([]);
+  const [trails, setTrails] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+
+  useEffect(() => {
+    fetchDisposals();
+  }, [equipment._id]);
+
+  const fetchDisposals = async () => {
+    try {
+      const response = await disposalAPI.getAllDisposals({ equipmentId: equipment._id });
+      setDisposals(response.data || []);
+      setTrails({});
+    } catch (error) {
+      console.error('Failed to fetch disposals:', error);
+    }
+  };
+
+  const toggleTrail = async (disposalId) => {
+    if (expandedId === disposalId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(disposalId);
+    if (trails[disposalId]) return;
+
+    try {
+      const response = await disposalAPI.getDisposalById(disposalId);
+      setTrails(prev => ({ ...prev, [disposalId]: response.data }));
+    } catch (error) {
+      console.error('Failed to fetch disposal:', error);
+      onNotify?.('Failed to load the audit trail', 'error');
+    }
+  };
+
+  const hasActiveDisposal = disposals.some(d => d.status === 'Pending' || d.status === 'Approved');
+
+  if (disposals.length === 0 && !(canPropose && equipment.isActive)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Recycle className="h-5 w-5 text-gray-400 mr-2" />
+          Disposal
+        </h2>
+        {canPropose && equipment.isActive && !hasActiveDisposal && (
+          <button
+            onClick={() => setModalOpen(true)}
+            className="inline-flex items-center px-3 py-1.5 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50"
+          >
+            Propose Disposal
+          </button>
+        )}
+        {canApprove && hasActiveDisposal && (
+          <button
+            onClick={() => navigate('/equipment/disposals')}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Review in Disposals
+          </button>
+        )}
+      </div>
+
+      {disposals.length === 0 ? (
+        <p className="text-sm text-gray-500">No disposal has been proposed for this equipment.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {disposals.map(disposal => {
+            const trail = trails[disposal._id];
+            return (
+              <li key={disposal._id} className="py-3">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm text-gray-900">{disposal.reason}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {disposal.method} · Salvage {formatCurrency(disposal.salvageValue)}
+                      {disposal.disposedAt && ` · ${new Date(disposal.disposedAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${DISPOSAL_STATUS_COLORS[disposal.status]}`}>
+                    {disposal.status}
+                  </span>
+                </div>
+                <button
+                  onClick={() => toggleTrail(disposal._id)}
+                  className="mt-2 flex items-center text-xs text-gray-600 hover:text-gray-900"
+                >
+                  {expandedId === disposal._id
+                    ? <ChevronDown className="w-4 h-4 mr-1" />
+                    : <ChevronRight className="w-4 h-4 mr-1" />}
+                  Audit trail
+                </button>
+                {expandedId === disposal._id && trail && (
+                  <div className="mt-2 ml-5 space-y-1 text-xs text-gray-600">
+                    {trail.events.map(event => (
+                      <p key={event._id}>
+                        <span className="font-medium text-gray-900">{EVENT_LABELS[event.action]}</span>
+                        {' by '}{event.actor?.name || 'Unknown'} · {new Date(event.at).toLocaleString()}
+                        {event.note && <span className="block text-gray-500">{event.note}</span>}
+                      </p>
+                    ))}
+                    {trail.closedRequests.length > 0 && (
+                      <div className="pt-1">
+                        <p className="font-medium text-gray-900">Closed requests</p>
+                        {trail.closedRequests.map(closed => (
+                          <button
+                            key={closed._id}
+                            onClick={() => navigate(`/maintenance/${closed.request?._id}`)}
+                            disabled={!closed.request}
+                            className="block text-blue-600 hover:text-blue-800 text-left"
+                          >
+                            {closed.request?.subject || 'Deleted request'} (was {closed.stageFrom})
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <DisposalModal
+        isOpen={modalOpen}
+        onClose={() => setModalOpen(false)}
+        equipment={equipment}
+        onProposed={(response) => {
+          onNotify?.(response.message, 'success');
+          fetchDisposals();
+        }}
+        onError={(message) => onNotify?.(message, 'error')}
+      />
+    </div>
+  );
+};
+
+export default EquipmentDisposals;
@@ -0,0 +1,429 @@
+import { useState, useEffect } from 'react';
+import { Siren, Plus, Edit, Trash2, Play } from 'lucide-react';
+import * as escalationAPI from '../api/escalation.api';
+import * as teamAPI from '../api/team.api';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+import { PRIORITIES, ESCALATION_CONDITIONS, ESCALATION_COLORS } from '../utils/constants';
+
+const emptyForm = {
+  name: '',
+  condition: ESCALATION_CONDITIONS.UNTOUCHED,
+  afterHours: '',
+  priority: '',
+  maintenanceTeam: '',
+  level: 1,
+  bumpPriority: false,
+  notifyTeamLead: true,
+  notifyRoles: [],
+  isActive: true,
+};
+
+const NOTIFY_ROLES = ['Manager', 'Admin'];
+
+/**
+ * Describe when a rule fires, e.g. "Untouched for 2h"
+ */
+const describeTrigger = (rule) => {
+  const hours = rule.afterHours >= 24 && rule.afterHours % 24 === 0
+    ? `${rule.afterHours / 24}d`
+    : `${rule.afterHours}h`;
+  return rule.condition === ESCALATION_CONDITIONS.OVERDUE ? `Overdue by ${hours}` : `Untouched for ${hours}`;
+};
+
+/**
+ * Describe what a rule does, e.g. "Bump priority, notify team lead, Managers"
+ */
+const describeActions = (rule) => {
+  const actions = [];
+  if (rule.bumpPriority) actions.push('Bump priority');
+  if (rule.notifyTeamLead) actions.push('notify team lead');
+  if (rule.notifyRoles?.length > 0) actions.push(`notify ${rule.notifyRoles.map(role => `${role}s`).join(', ')}`);
+  if (actions.length === 0) return 'Record level only';
+  const text = actions.join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * EscalationRules Component
+ * Manage what happens when requests sit untouched in New or stay overdue
+ * The escalation job applies each rule once per request
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const EscalationRules = ({ onNotify }) => {
+  const [rules, setRules] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ isOpen: false, ruleId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, rule: null });
+
+  useEffect(() => {
+    fetchRules();
+    fetchTeams();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await escalationAPI.getAllRules();
+      setRules(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch escalation rules:', error);
+      onNotify?.('Failed to load escalation rules', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getAllTeams();
+      setTeams(response.data || []);
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  };
+
+  const openForm = (rule = null) => {
+    setFormData(rule ? {
+      name: rule.name,
+      condition: rule.condition,
+      afterHours: rule.afterHours,
+      priority: rule.priority || '',
+      maintenanceTeam: rule.maintenanceTeam?._id || '',
+      level: rule.level,
+      bumpPriority: rule.bumpPriority,
+      notifyTeamLead: rule.notifyTeamLead,
+      notifyRoles: rule.notifyRoles || [],
+      isActive: rule.isActive,
+    } : emptyForm);
+    setFormModal({ isOpen: true, ruleId: rule?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleNotifyRole = (role) => {
+    setFormData(prev => ({
+      ...prev,
+      notifyRoles: prev.notifyRoles.includes(role)
+        ? prev.notifyRoles.filter(r => r !== role)
+        : [...prev.notifyRoles, role],
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      onNotify?.('Rule name is required', 'error');
+      return;
+    }
+    if (formData.afterHours === '' || Number(formData.afterHours) < 0) {
+      onNotify?.('Hours must be zero or more', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      afterHours: Number(formData.afterHours),
+      level: Number(formData.level),
+      priority: formData.priority || null,
+      maintenanceTeam: formData.maintenanceTeam || null,
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.ruleId) {
+        await escalationAPI.updateRule(formModal.ruleId, payload);
+        onNotify?.('Escalation rule updated', 'success');
+      } else {
+        await escalationAPI.createRule(payload);
+        onNotify?.('Escalation rule created', 'success');
+      }
+      setFormModal({ isOpen: false, ruleId: null });
+      fetchRules();
+    } catch (error) {
+      console.error('Failed to save escalation rule:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save escalation rule', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await escalationAPI.deleteRule(deleteDialog.rule._id);
+      onNotify?.('Escalation rule deleted', 'success');
+      setRules(prev => prev.filter(r => r._id !== deleteDialog.rule._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete escalation rule', 'error');
+    }
+  };
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const response = await escalationAPI.runRules();
+      onNotify?.(response.message, 'success');
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to run escalation rules', 'error');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Siren className="w-5 h-5 mr-2 text-gray-500" />
+          Escalation Rules
+        </h3>
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={handleRun}
+            disabled={running || rules.length === 0}
+            className="flex items-center text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            <Play className="w-4 h-4 mr-1" />
+            {running ? 'Running...' : 'Run Now'}
+          </button>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Rule
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Open requests are checked every few minutes. Each matching rule fires once per request, records its level
+        on the request and can raise its priority and notify the team lead or Managers.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : rules.length === 0 ? (
+        <p className="text-sm text-gray-500">No escalation rules configured. Requests are never escalated.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Level</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rules.map(rule => (
+                <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {rule.name}
+                    {!rule.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{describeTrigger(rule)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {rule.priority || 'All priorities'} · {rule.maintenanceTeam?.teamName || 'All teams'}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded ${ESCALATION_COLORS[rule.level] || ESCALATION_COLORS[5]}`}>
+                      L{rule.level}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{describeActions(rule)}</td>
+                  <td className="px-4 py-2 text-right">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        onClick={() => openForm(rule)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, rule })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Rule Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, ruleId: null })}
+        title={formModal.ruleId ? 'Edit Escalation Rule' : 'New Escalation Rule'}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Urgent untouched"
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Condition</label>
+              <select
+                value={formData.condition}
+                onChange={(e) => handleChange('condition', e.target.value)}
+                className={inputClass}
+              >
+                <option value={ESCALATION_CONDITIONS.UNTOUCHED}>Untouched (still New)</option>
+                <option value={ESCALATION_CONDITIONS.OVERDUE}>Overdue</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">After (hours) *</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.afterHours}
+                onChange={(e) => handleChange('afterHours', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Level</label>
+              <select
+                value={formData.level}
+                onChange={(e) => handleChange('level', e.target.value)}
+                className={inputClass}
+              >
+                {[1, 2, 3, 4, 5].map(level => (
+                  <option key={level} value={level}>Level {level}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => handleChange('priority', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All priorities</option>
+                {Object.values(PRIORITIES).map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+              <select
+                value={formData.maintenanceTeam}
+                onChange={(e) => handleChange('maintenanceTeam', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All teams</option>
+                {teams.map(team => (
+                  <option key={team._id} value={team._id}>{team.teamName}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-2">Actions</span>
+            <div className="space-y-2">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.bumpPriority}
+                  onChange={(e) => handleChange('bumpPriority', e.target.checked)}
+                  className="mr-2"
+                />
+                Raise priority one step
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.notifyTeamLead}
+                  onChange={(e) => handleChange('notifyTeamLead', e.target.checked)}
+                  className="mr-2"
+                />
+                Notify the team lead
+              </label>
+              {NOTIFY_ROLES.map(role => (
+                <label key={role} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.notifyRoles.includes(role)}
+                    onChange={() => toggleNotifyRole(role)}
+                    className="mr-2"
+                  />
+                  Notify all {role}s
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, ruleId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rule'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, rule: null })}
+        onConfirm={handleDelete}
+        title="Delete Escalation Rule"
+        message={`Delete "${deleteDialog.rule?.name}"? Escalation levels already on requests are kept.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default EscalationRules;
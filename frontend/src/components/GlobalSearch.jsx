@@ -0,0 +1,234 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Wrench, Box, Users, User } from 'lucide-react';
+import * as searchAPI from '../api/search.api';
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Result groups in display order
+ * path builds the page a result opens
+ */
+const GROUPS = [
+  {
+    type: 'requests',
+    label: 'Requests',
+    icon: Wrench,
+    path: (item) => `/maintenance/${item._id}`,
+    title: (item) => item.subject,
+    subtitle: (item) => [item.equipment?.equipmentName, item.stage].filter(Boolean).join(' · '),
+  },
+  {
+    type: 'equipment',
+    label: 'Equipment',
+    icon: Box,
+    path: (item) => `/equipment/${item._id}`,
+    title: (item) => item.equipmentName,
+    subtitle: (item) => [item.serialNumber, item.location, item.isActive === false && 'Scrapped'].filter(Boolean).join(' · '),
+  },
+  {
+    type: 'teams',
+    label: 'Teams',
+    icon: Users,
+    path: () => '/teams',
+    title: (item) => item.teamName,
+    subtitle: (item) => item.specialization,
+  },
+  {
+    type: 'users',
+    label: 'Users',
+    icon: User,
+    path: () => '/users',
+    title: (item) => item.name,
+    subtitle: (item) => `${item.email} · ${item.role}`,
+  },
+];
+
+/**
+ * GlobalSearch Component
+ * Navbar search box with ranked results across requests, equipment, teams and users
+ * Keyboard: "/" focuses, arrows move, Enter opens, Escape closes
+ */
+const GlobalSearch = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Flat list in display order for keyboard navigation
+  const items = GROUPS.flatMap(group =>
+    (results[group.type] || []).map(item => ({ group, item }))
+  );
+
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      setResults({});
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await searchAPI.search(text);
+        if (!cancelled) {
+          setResults(response.data || {});
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) setResults({});
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  // "/" focuses the search box unless the user is typing elsewhere
+  useEffect(() => {
+    const handleShortcut = (event) => {
+      const tag = event.target.tagName;
+      if (event.key === '/' && !event.target.isContentEditable && !['INPUT', 'TEXTAREA', 'SELECT'].includes(tag)) {
+        event.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  const openResult = ({ group, item }) => {
+    navigate(group.path(item));
+    setIsOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (items.length === 0 ? -1 : (prev + 1) % items.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => (items.length === 0 ? -1 : (prev <= 0 ? items.length - 1 : prev - 1)));
+    } else if (e.key === 'Enter') {
+      const selected = items[activeIndex] || items[0];
+      if (selected) {
+        e.preventDefault();
+        openResult(selected);
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+  let index = -1;
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-md">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search requests, equipment... ( / )"
+          className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          role="combobox"
+          aria-expanded={showDropdown}
+          aria-controls="global-search-results"
+          aria-activedescendant={activeIndex >= 0 ? `global-search-result-${activeIndex}` : undefined}
+        />
+      </div>
+
+      {showDropdown && (
+        <div
+          id="global-search-results"
+          role="listbox"
+          className="absolute z-50 mt-2 w-full bg-white rounded-lg shadow-lg border border-gray-200 max-h-96 overflow-y-auto"
+        >
+          {loading && items.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">Searching...</p>
+          ) : items.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No results for "{query.trim()}"</p>
+          ) : (
+            GROUPS.filter(group => results[group.type]?.length > 0).map(group => {
+              const Icon = group.icon;
+              return (
+                <div key={group.type} className="py-1">
+                  <p className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase">{group.label}</p>
+                  {results[group.type].map(item => {
+                    index += 1;
+                    const itemIndex = index;
+                    return (
+                      <button
+                        key={item._id}
+                        id={`global-search-result-${itemIndex}`}
+                        role="option"
+                        aria-selected={itemIndex === activeIndex}
+                        onMouseEnter={() => setActiveIndex(itemIndex)}
+                        onClick={() => openResult({ group, item })}
+                        className={`w-full flex items-start px-4 py-2 text-left ${
+                          itemIndex === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <Icon className="w-4 h-4 mt-0.5 mr-3 flex-shrink-0 text-gray-400" />
+                        <span className="min-w-0">
+                          <span className="block text-sm text-gray-900 truncate">{group.title(item)}</span>
+                          {group.subtitle(item) && (
+                            <span className="block text-xs text-gray-500 truncate">{group.subtitle(item)}</span>
+                          )}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -1,6 +1,12 @@
+import { useState, useEffect } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { AlertCircle, User } from 'lucide-react';
+import { AlertCircle, User, Timer, ShieldCheck, Lock, ListTree, Siren, RotateCcw } from 'lucide-react';
+import { getActiveSlaTarget, formatCountdown } from '../utils/sla';
+import { AWAITING_APPROVAL, APPROVAL_COLORS, ESCALATION_COLORS } from '../utils/constants';
+
+// SLA countdowns turn amber when less than this is left
+const SLA_WARNING_MS = 2 * 60 * 60 * 1000;
 
 /**
  * KanbanCard Component
@@ -10,8 +16,10 @@ import { AlertCircle, User } from 'lucide-react';
  * - request: Request object
  * - isDraggable: Whether card can be dragged
  * - onClick: Card click handler
+ * - isSelected: Whether the card is selected for a bulk action
+ * - onToggleSelect: Selection checkbox handler (checkbox hidden when omitted)
  */
-const KanbanCard = ({ request, isDraggable, onClick }) => {
+const KanbanCard = ({ request, isDraggable, onClick, isSelected = false, onToggleSelect }) => {
   const {
     attributes,
     listeners,
@@ -24,6 +32,15 @@ const KanbanCard = ({ request, isDraggable, onClick }) => {
     disabled: !isDraggable,
   });
 
+  // Refresh the SLA countdown every minute
+  const slaTarget = getActiveSlaTarget(request);
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!slaTarget) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, [Boolean(slaTarget)]);
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
@@ -50,6 +67,43 @@ const KanbanCard = ({ request, isDraggable, onClick }) => {
     return colors[priority] || 'border-l-gray-400';
   };
 
+  const renderSlaBadge = () => {
+    if (!slaTarget) {
+      // Closed requests only show a badge when a target was missed
+      if (!request.sla?.responseBreached && !request.sla?.resolutionBreached) return null;
+      return (
+        <span className="flex items-center px-2 py-0.5 text-xs font-medium rounded bg-red-50 text-red-700 border border-red-200">
+          <Timer className="w-3 h-3 mr-1" />
+          SLA missed
+        </span>
+      );
+    }
+
+    const remaining = slaTarget.dueAt.getTime() - now;
+    const colors = remaining < 0
+      ? 'bg-red-100 text-red-800 border-red-300'
+      : remaining < SLA_WARNING_MS
+        ? 'bg-amber-100 text-amber-800 border-amber-300'
+        : 'bg-green-100 text-green-800 border-green-300';
+
+    return (
+      <span
+        className={`flex items-center px-2 py-0.5 text-xs font-medium rounded border ${colors}`}
+        title={`${slaTarget.label} due ${slaTarget.dueAt.toLocaleString()}`}
+      >
+        <Timer className="w-3 h-3 mr-1" />
+        {remaining < 0
+          ? `${formatCountdown(remaining)} over`
+          : `${formatCountdown(remaining)} left`}
+      </span>
+    );
+  };
+
+  // New requests cannot start while a blocker is not Repaired or Scrap
+  const openBlockers = request.stage === 'New'
+    ? (request.blockedBy || []).filter(blocker => blocker.stage && !['Repaired', 'Scrap'].includes(blocker.stage))
+    : [];
+
   // Card styling based on stage
   const isScrap = request.stage === 'Scrap';
   const cardClasses = `
@@ -58,6 +112,7 @@ const KanbanCard = ({ request, isDraggable, onClick }) => {
     ${isDraggable ? 'cursor-grab active:cursor-grabbing hover:shadow-md' : 'cursor-pointer'}
     ${isScrap ? 'opacity-60 bg-gray-50' : ''}
     ${isDragging ? 'shadow-lg ring-2 ring-blue-500' : ''}
+    ${isSelected && !isDragging ? 'ring-2 ring-blue-400' : ''}
     transition-all duration-200
   `;
 
@@ -71,7 +126,19 @@ const KanbanCard = ({ request, isDraggable, onClick }) => {
       {...listeners}
     >
       {/* Header: Subject */}
-      <div className="mb-2">
+      <div className="mb-2 flex items-start">
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={onToggleSelect}
+            onClick={(e) => e.stopPropagation()}
+            onPointerDown={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+            className="mt-0.5 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            aria-label={`Select ${request.subject}`}
+          />
+        )}
         <h4 className="font-semibold text-gray-900 text-sm mb-1 line-clamp-2">
           {request.subject}
         </h4>
@@ -106,6 +173,70 @@ const KanbanCard = ({ request, isDraggable, onClick }) => {
             Overdue
           </span>
         )}
+
+        {/* SLA Countdown Badge */}
+        {renderSlaBadge()}
+
+        {/* Escalation Badge (open requests only) */}
+        {request.escalation?.level > 0 && !isScrap && request.stage !== 'Repaired' && (
+          <span
+            className={`flex items-center px-2 py-0.5 text-xs font-medium rounded ${ESCALATION_COLORS[request.escalation.level] || ESCALATION_COLORS[5]}`}
+            title={request.escalation.escalatedAt
+              ? `Escalated ${new Date(request.escalation.escalatedAt).toLocaleString()}`
+              : undefined}
+          >
+            <Siren className="w-3 h-3 mr-1" />
+            L{request.escalation.level}
+          </span>
+        )}
+
+        {/* Approval Badge */}
+        {AWAITING_APPROVAL.includes(request.approval?.status) && (
+          <span
+            className={`flex items-center px-2 py-0.5 text-xs font-medium rounded ${APPROVAL_COLORS[request.approval.status]}`}
+            title={request.approval.reason || undefined}
+          >
+            <ShieldCheck className="w-3 h-3 mr-1" />
+            {request.approval.status === 'Pending' ? 'Awaiting approval' : 'Rejected'}
+          </span>
+        )}
+
+        {/* Blocked Badge */}
+        {openBlockers.length > 0 && (
+          <span
+            className="flex items-center px-2 py-0.5 text-xs font-medium rounded bg-amber-100 text-amber-800 border border-amber-300"
+            title={`Waiting for: ${openBlockers.map(blocker => blocker.subject).join(', ')}`}
+          >
+            <Lock className="w-3 h-3 mr-1" />
+            Blocked
+          </span>
+        )}
+
+        {/* Sub-request Progress Badge */}
+        {request.subtasks?.total > 0 && (
+          <span
+            className={`flex items-center px-2 py-0.5 text-xs font-medium rounded border ${
+              request.subtasks.completed === request.subtasks.total
+                ? 'bg-green-100 text-green-800 border-green-300'
+                : 'bg-gray-100 text-gray-700 border-gray-300'
+            }`}
+            title="Completed sub-requests"
+          >
+            <ListTree className="w-3 h-3 mr-1" />
+            {request.subtasks.completed}/{request.subtasks.total}
+          </span>
+        )}
+
+        {/* Reopen Count Badge */}
+        {request.reopen?.count > 0 && (
+          <span
+            className="flex items-center px-2 py-0.5 text-xs font-medium rounded bg-orange-100 text-orange-800 border border-orange-300"
+            title={`Reopened ${request.reopen.count} time${request.reopen.count === 1 ? '' : 's'}`}
+          >
+            <RotateCcw className="w-3 h-3 mr-1" />
+            {request.reopen.count}
+          </span>
+        )}
       </div>
 
       {/* Scrap Indicator */}
@@ -0,0 +1,478 @@
+import { useState, useEffect } from 'react';
+import { Repeat, Plus, Edit, Trash2, PlayCircle, PauseCircle } from 'lucide-react';
+import * as planAPI from '../api/plan.api';
+import * as userAPI from '../api/user.api';
+import { PRIORITIES } from '../utils/constants';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FREQUENCY_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year',
+};
+
+const emptyForm = {
+  title: '',
+  description: '',
+  priority: PRIORITIES.MEDIUM,
+  frequency: 'monthly',
+  interval: 1,
+  byWeekday: [],
+  byMonthDay: '',
+  startDate: '',
+  endDate: '',
+  leadTimeDays: 7,
+  estimatedDurationHours: '',
+  assignedTechnician: '',
+  isActive: true,
+};
+
+/**
+ * MaintenancePlans Component
+ * Recurring preventive maintenance plans for one equipment
+ *
+ * Props:
+ * - equipmentId: Equipment ID
+ * - equipmentActive: Whether the equipment is active (plans pause otherwise)
+ * - canManage: Whether the user can create, edit and delete plans
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const MaintenancePlans = ({ equipmentId, equipmentActive = true, canManage, onNotify }) => {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [technicians, setTechnicians] = useState([]);
+  const [formModal, setFormModal] = useState({ isOpen: false, planId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, plan: null });
+
+  useEffect(() => {
+    fetchPlans();
+  }, [equipmentId]);
+
+  const fetchPlans = async () => {
+    try {
+      setLoading(true);
+      const response = await planAPI.getAllPlans({ equipmentId });
+      setPlans(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch maintenance plans:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTechnicians = async () => {
+    if (technicians.length > 0) return;
+    try {
+      const response = await userAPI.getTechnicians();
+      setTechnicians(response.data || []);
+    } catch (error) {
+      console.error('Failed to load technicians:', error);
+    }
+  };
+
+  const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+  const openForm = (plan = null) => {
+    loadTechnicians();
+    setFormData(plan ? {
+      title: plan.title,
+      description: plan.description || '',
+      priority: plan.priority,
+      frequency: plan.frequency,
+      interval: plan.interval,
+      byWeekday: plan.byWeekday || [],
+      byMonthDay: plan.byMonthDay || '',
+      startDate: toDateInput(plan.startDate),
+      endDate: toDateInput(plan.endDate),
+      leadTimeDays: plan.leadTimeDays,
+      estimatedDurationHours: plan.estimatedDurationHours || '',
+      assignedTechnician: plan.assignedTechnician?._id || '',
+      isActive: plan.isActive,
+    } : { ...emptyForm, startDate: toDateInput(new Date()) });
+    setFormModal({ isOpen: true, planId: plan?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleWeekday = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      byWeekday: prev.byWeekday.includes(day)
+        ? prev.byWeekday.filter(d => d !== day)
+        : [...prev.byWeekday, day].sort()
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.title.trim()) {
+      onNotify?.('Plan title is required', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      equipment: equipmentId,
+      title: formData.title.trim(),
+      interval: Number(formData.interval) || 1,
+      byWeekday: formData.frequency === 'weekly' ? formData.byWeekday : [],
+      byMonthDay: formData.frequency === 'monthly' && formData.byMonthDay ? Number(formData.byMonthDay) : null,
+      endDate: formData.endDate || null,
+      leadTimeDays: Number(formData.leadTimeDays) || 0,
+      estimatedDurationHours: Number(formData.estimatedDurationHours) || 0,
+      assignedTechnician: formData.assignedTechnician || null,
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.planId) {
+        await planAPI.updatePlan(formModal.planId, payload);
+        onNotify?.('Maintenance plan updated', 'success');
+      } else {
+        const response = await planAPI.createPlan(payload);
+        onNotify?.(`Maintenance plan created${response.generated ? ` (${response.generated} request(s) generated)` : ''}`, 'success');
+      }
+      setFormModal({ isOpen: false, planId: null });
+      fetchPlans();
+    } catch (error) {
+      console.error('Failed to save maintenance plan:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save maintenance plan', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (plan) => {
+    try {
+      await planAPI.updatePlan(plan._id, { isActive: !plan.isActive });
+      onNotify?.(plan.isActive ? 'Plan paused' : 'Plan resumed', 'success');
+      fetchPlans();
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to update plan', 'error');
+    }
+  };
+
+  const handleGenerate = async (plan) => {
+    try {
+      const response = await planAPI.generatePlanRequests(plan._id);
+      onNotify?.(response.message, 'success');
+      fetchPlans();
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to generate requests', 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await planAPI.deletePlan(deleteDialog.plan._id);
+      onNotify?.('Maintenance plan deleted', 'success');
+      setPlans(prev => prev.filter(p => p._id !== deleteDialog.plan._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete plan', 'error');
+    }
+  };
+
+  const describeSchedule = (plan) => {
+    const unit = FREQUENCY_UNITS[plan.frequency];
+    let text = plan.interval > 1 ? `Every ${plan.interval} ${unit}s` : `Every ${unit}`;
+    if (plan.frequency === 'weekly' && plan.byWeekday?.length > 0) {
+      text += ` on ${plan.byWeekday.map(d => WEEKDAYS[d]).join(', ')}`;
+    }
+    if (plan.frequency === 'monthly' && plan.byMonthDay) {
+      text += ` on day ${plan.byMonthDay}`;
+    }
+    return text;
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Repeat className="w-5 h-5 mr-2 text-gray-500" />
+          Preventive Maintenance Plans
+        </h2>
+        {canManage && (
+          <button
+            onClick={() => openForm()}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Plan
+          </button>
+        )}
+      </div>
+
+      {!equipmentActive && plans.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+          <p className="text-sm text-yellow-800">
+            Equipment is inactive, so these plans are paused and will not generate requests.
+          </p>
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : plans.length === 0 ? (
+        <p className="text-sm text-gray-500">No recurring maintenance scheduled for this equipment.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {plans.map(plan => (
+            <li key={plan._id} className="py-3">
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {plan.title}
+                    {!plan.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Paused</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-600 mt-1">
+                    {describeSchedule(plan)} · {plan.priority} priority · generated {plan.leadTimeDays} day(s) ahead
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Technician: {plan.assignedTechnician?.name || 'Equipment default'}
+                  </p>
+                  {plan.isActive && plan.upcomingDates?.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Next: {plan.upcomingDates.slice(0, 3).map(formatDate).join(', ')}
+                    </p>
+                  )}
+                </div>
+                {canManage && (
+                  <div className="flex items-center space-x-2 ml-4">
+                    {plan.isActive && (
+                      <button
+                        onClick={() => handleGenerate(plan)}
+                        className="text-xs text-blue-600 hover:text-blue-800"
+                        title="Generate upcoming requests now"
+                      >
+                        Generate
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleToggleActive(plan)}
+                      className="text-gray-400 hover:text-gray-700"
+                      title={plan.isActive ? 'Pause plan' : 'Resume plan'}
+                    >
+                      {plan.isActive ? <PauseCircle className="w-4 h-4" /> : <PlayCircle className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => openForm(plan)}
+                      className="text-gray-400 hover:text-blue-600"
+                      title="Edit"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setDeleteDialog({ isOpen: true, plan })}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Plan Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, planId: null })}
+        title={formModal.planId ? 'Edit Maintenance Plan' : 'New Maintenance Plan'}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => handleChange('title', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Monthly lubrication"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => handleChange('description', e.target.value)}
+              rows="2"
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Repeat every</label>
+              <input
+                type="number"
+                min="1"
+                value={formData.interval}
+                onChange={(e) => handleChange('interval', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+              <select
+                value={formData.frequency}
+                onChange={(e) => handleChange('frequency', e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(FREQUENCY_UNITS).map(([value, unit]) => (
+                  <option key={value} value={value}>{unit}(s)</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => handleChange('priority', e.target.value)}
+                className={inputClass}
+              >
+                {Object.values(PRIORITIES).map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {formData.frequency === 'weekly' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">On days</label>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAYS.map((day, index) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleWeekday(index)}
+                    className={`px-3 py-1 text-sm rounded-lg border ${
+                      formData.byWeekday.includes(index)
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {day}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {formData.frequency === 'monthly' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Day of month</label>
+              <input
+                type="number"
+                min="1"
+                max="31"
+                value={formData.byMonthDay}
+                onChange={(e) => handleChange('byMonthDay', e.target.value)}
+                className={inputClass}
+                placeholder="Same day as start date"
+              />
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start date</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => handleChange('startDate', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End date</label>
+              <input
+                type="date"
+                value={formData.endDate}
+                onChange={(e) => handleChange('endDate', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Generate days ahead</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.leadTimeDays}
+                onChange={(e) => handleChange('leadTimeDays', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Estimated hours</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.estimatedDurationHours}
+                onChange={(e) => handleChange('estimatedDurationHours', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Technician</label>
+            <select
+              value={formData.assignedTechnician}
+              onChange={(e) => handleChange('assignedTechnician', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Equipment default technician</option>
+              {technicians.map(tech => (
+                <option key={tech._id} value={tech._id}>{tech.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, planId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Plan'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, plan: null })}
+        onConfirm={handleDelete}
+        title="Delete Maintenance Plan"
+        message={`Delete "${deleteDialog.plan?.title}"? Requests already generated from this plan are kept.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default MaintenancePlans;
@@ -2,10 +2,11 @@ import { Link, useNavigate } from 'react-router-dom';
 import { LogOut, User } from 'lucide-react';
 import useAuth from '../hooks/useAuth';
 import NotificationBell from './NotificationBell';
+import GlobalSearch from './GlobalSearch';
 
 /**
  * Navbar Component
- * Top navigation bar with user info, notifications, and logout
+ * Top navigation bar with global search, user info, notifications, and logout
  */
 const Navbar = () => {
   const navigate = useNavigate();
@@ -28,6 +29,11 @@ const Navbar = () => {
             </Link>
           </div>
 
+          {/* Global Search */}
+          <div className="flex-1 flex justify-center px-6">
+            <GlobalSearch />
+          </div>
+
           {/* Right side - User info & logout */}
           <div className="flex items-center space-x-4">
             {/* Notification Bell */}
@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Bell, Check, X, Clock, User, Wrench, AlertTriangle } from 'lucide-react';
+import { Bell, Check, X, Clock, User, Wrench, AlertTriangle, Boxes, Siren, RotateCcw, Star, Recycle } from 'lucide-react';
 import { useNotifications } from '../context/NotificationContext';
 
 /**
@@ -41,6 +41,8 @@ const NotificationBell = () => {
       navigate(`/maintenance/${notification.entityId}`);
     } else if (notification.entityType === 'Equipment' && notification.entityId) {
       navigate(`/equipment/${notification.entityId}`);
+    } else if (notification.entityType === 'Part') {
+      navigate('/equipment/parts');
     }
 
     setIsOpen(false);
@@ -60,6 +62,19 @@ const NotificationBell = () => {
         return <AlertTriangle className="w-5 h-5 text-red-600" />;
       case 'equipment_scrapped':
         return <Wrench className="w-5 h-5 text-gray-600" />;
+      case 'part_reorder':
+        return <Boxes className="w-5 h-5 text-orange-600" />;
+      case 'request_escalated':
+        return <Siren className="w-5 h-5 text-orange-600" />;
+      case 'request_reopened':
+        return <RotateCcw className="w-5 h-5 text-orange-600" />;
+      case 'feedback_requested':
+        return <Star className="w-5 h-5 text-yellow-500" />;
+      case 'disposal_proposed':
+        return <Recycle className="w-5 h-5 text-purple-600" />;
+      case 'disposal_rejected':
+      case 'disposal_reversed':
+        return <Recycle className="w-5 h-5 text-gray-600" />;
       default:
         return <Bell className="w-5 h-5 text-gray-600" />;
     }
@@ -0,0 +1,62 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+/**
+ * Pagination Component
+ * Page controls for server-paginated lists
+ *
+ * Props:
+ * - page: Current page (starts at 1)
+ * - totalPages: Number of pages
+ * - total: Number of matching items
+ * - limit: Items per page
+ * - onPageChange: Called with the new page
+ * - onLimitChange: Called with the new page size (optional; hides the size picker when omitted)
+ */
+const Pagination = ({ page, totalPages, total, limit, onPageChange, onLimitChange }) => {
+  const first = total === 0 ? 0 : (page - 1) * limit + 1;
+  const last = Math.min(page * limit, total);
+
+  return (
+    <div className="flex items-center justify-between px-6 py-3 bg-white border-t border-gray-200 text-sm text-gray-600">
+      <div className="flex items-center space-x-3">
+        <span>
+          Showing {first}-{last} of {total}
+        </span>
+        {onLimitChange && (
+          <select
+            value={limit}
+            onChange={(e) => onLimitChange(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {[10, 20, 50, 100].map(size => (
+              <option key={size} value={size}>{size} / page</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="p-1 rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Previous page"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span>
+          Page {totalPages === 0 ? 0 : page} of {totalPages}
+        </span>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= totalPages}
+          className="p-1 rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Next page"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { Plus } from 'lucide-react';
+import * as partAPI from '../api/part.api';
+import { getAvailableAt } from '../utils/parts';
+
+const emptySelection = { part: '', location: '', quantity: 1 };
+
+/**
+ * PartPicker Component
+ * Pick an active part, a storage location with available stock, and a quantity
+ *
+ * Props:
+ * - onAdd: Called with { part, location, quantity, partInfo } when the user adds the selection
+ * - disabled: Disable the add button (e.g. while saving)
+ * - submitLabel: Add button text
+ */
+const PartPicker = ({ onAdd, disabled = false, submitLabel = 'Add' }) => {
+  const [parts, setParts] = useState([]);
+  const [selection, setSelection] = useState(emptySelection);
+
+  useEffect(() => {
+    loadParts();
+  }, []);
+
+  const loadParts = async () => {
+    try {
+      const response = await partAPI.getAllParts({ isActive: true });
+      setParts(response.data || []);
+    } catch (error) {
+      console.error('Failed to load parts:', error);
+    }
+  };
+
+  const selectedPart = parts.find(part => part._id === selection.part);
+  const selectedStock = selectedPart?.stock.find(entry => entry.location === selection.location);
+  const available = getAvailableAt(selectedStock);
+  const quantity = Number(selection.quantity);
+  const canAdd = Boolean(selectedStock) && quantity > 0 && quantity <= available;
+
+  const handlePartChange = (partId) => {
+    const part = parts.find(p => p._id === partId);
+    // Preselect the location with the most available stock
+    const best = [...(part?.stock || [])].sort((a, b) => getAvailableAt(b) - getAvailableAt(a))[0];
+    setSelection({ part: partId, location: best?.location || '', quantity: 1 });
+  };
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+    onAdd({
+      part: selectedPart._id,
+      location: selection.location,
+      quantity,
+      partInfo: selectedPart
+    });
+    setSelection(emptySelection);
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="grid grid-cols-12 gap-2 items-end">
+      <div className="col-span-5">
+        <label className="block text-xs font-medium text-gray-600 mb-1">Part</label>
+        <select
+          value={selection.part}
+          onChange={(e) => handlePartChange(e.target.value)}
+          className={inputClass}
+        >
+          <option value="">Select part</option>
+          {parts.map(part => (
+            <option key={part._id} value={part._id}>
+              {part.partNumber} – {part.name} ({part.availableQuantity} {part.unit})
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="col-span-4">
+        <label className="block text-xs font-medium text-gray-600 mb-1">Location</label>
+        <select
+          value={selection.location}
+          onChange={(e) => setSelection(prev => ({ ...prev, location: e.target.value }))}
+          disabled={!selectedPart}
+          className={inputClass}
+        >
+          <option value="">Select location</option>
+          {selectedPart?.stock.map(entry => (
+            <option key={entry.location} value={entry.location} disabled={getAvailableAt(entry) === 0}>
+              {entry.location} ({getAvailableAt(entry)} available)
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="col-span-2">
+        <label className="block text-xs font-medium text-gray-600 mb-1">Qty</label>
+        <input
+          type="number"
+          min="1"
+          max={available || undefined}
+          value={selection.quantity}
+          onChange={(e) => setSelection(prev => ({ ...prev, quantity: e.target.value }))}
+          className={inputClass}
+        />
+      </div>
+      <div className="col-span-1">
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={disabled || !canAdd}
+          className="w-full flex justify-center px-2 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          title={submitLabel}
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PartPicker;
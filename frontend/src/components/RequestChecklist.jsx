@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { ListChecks, AlertTriangle } from 'lucide-react';
+import * as checklistAPI from '../api/checklist.api';
+import { ROLES } from '../utils/constants';
+import { isAdminOrManager } from '../utils/rolePermissions';
+
+/**
+ * RequestChecklist Component
+ * Checklist steps of a maintenance request, completed one by one
+ * Required steps must be done before the request can move to Repaired
+ *
+ * Props:
+ * - requestId: Request ID
+ * - checklist: Request checklist ({ template, items })
+ * - stage: Current request stage (steps can only change on open requests)
+ * - user: Current user
+ * - onChange: Called with the updated checklist
+ * - onError: Called with an error message when an action fails
+ */
+const RequestChecklist = ({ requestId, checklist, stage, user, onChange, onError }) => {
+  const items = checklist?.items || [];
+  const [readings, setReadings] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    setReadings(Object.fromEntries(items.map(item => [item._id, item.reading ?? ''])));
+  }, [checklist]);
+
+  const canEdit = (isAdminOrManager(user.role) || user.role === ROLES.TECHNICIAN)
+    && (stage === 'New' || stage === 'In Progress');
+  const isReadingStep = (item) => item.expectedValue !== null && item.expectedValue !== undefined;
+  const requiredItems = items.filter(item => item.required);
+  const requiredDone = requiredItems.filter(item => item.isDone).length;
+
+  const saveItem = async (item, updates) => {
+    try {
+      setBusyId(item._id);
+      const response = await checklistAPI.updateChecklistItem(requestId, item._id, updates);
+      onChange?.(response.data);
+    } catch (error) {
+      console.error('Failed to update checklist:', error);
+      onError?.(error.response?.data?.message || 'Failed to update checklist');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggle = (item) => {
+    const updates = { isDone: !item.isDone };
+    // Send an edited reading along with the tick
+    if (isReadingStep(item) && readings[item._id] !== (item.reading ?? '')) {
+      updates.reading = readings[item._id] === '' ? null : readings[item._id];
+    }
+    saveItem(item, updates);
+  };
+
+  const handleReadingBlur = (item) => {
+    const value = readings[item._id];
+    if (value === (item.reading ?? '')) return;
+    saveItem(item, { reading: value === '' ? null : value });
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ListChecks className="w-5 h-5 mr-2 text-gray-500" />
+          Checklist
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            ({requiredDone}/{requiredItems.length} required done)
+          </span>
+        </h2>
+      </div>
+
+      {requiredItems.length > 0 && (
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+          <div
+            className={`h-2 rounded-full ${requiredDone === requiredItems.length ? 'bg-green-500' : 'bg-blue-500'}`}
+            style={{ width: `${Math.round((requiredDone / requiredItems.length) * 100)}%` }}
+          />
+        </div>
+      )}
+
+      <ol className="space-y-3">
+        {items.map((item, index) => (
+          <li key={item._id} className="flex items-start">
+            <input
+              type="checkbox"
+              checked={item.isDone}
+              onChange={() => handleToggle(item)}
+              disabled={!canEdit || busyId === item._id}
+              className="mt-1 mr-3 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              aria-label={item.label}
+            />
+            <div className="flex-1">
+              <p className={`text-sm ${item.isDone ? 'text-gray-500 line-through' : 'text-gray-900'}`}>
+                {index + 1}. {item.label}
+                {!item.required && <span className="ml-2 text-xs text-gray-400">(optional)</span>}
+              </p>
+              {isReadingStep(item) && (
+                <div className="mt-1 flex items-center space-x-2">
+                  <input
+                    type="number"
+                    step="any"
+                    value={readings[item._id] ?? ''}
+                    onChange={(e) => setReadings(prev => ({ ...prev, [item._id]: e.target.value }))}
+                    onBlur={() => handleReadingBlur(item)}
+                    disabled={!canEdit || busyId === item._id}
+                    className="w-28 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Reading"
+                  />
+                  <span className="text-xs text-gray-500">
+                    Expected {item.expectedValue}{item.tolerance ? ` ± ${item.tolerance}` : ''} {item.unit}
+                  </span>
+                  {item.outOfTolerance && (
+                    <span className="flex items-center text-xs font-medium text-red-600">
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      Out of tolerance
+                    </span>
+                  )}
+                </div>
+              )}
+              {item.isDone && item.completedAt && (
+                <p className="mt-1 text-xs text-gray-400">
+                  Done by {item.completedBy?.name || 'Unknown'} on {new Date(item.completedAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default RequestChecklist;
@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react';
+import { MessageSquare, Lock, Send, Edit, Trash2 } from 'lucide-react';
+import * as commentAPI from '../api/comment.api';
+import { ROLES } from '../utils/constants';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+
+/**
+ * RequestComments Component
+ * Conversation panel for a maintenance request
+ *
+ * Props:
+ * - requestId: Request ID
+ * - user: Current user
+ * - onError: Called with an error message when an action fails
+ */
+const RequestComments = ({ requestId, user, onError }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newComment, setNewComment] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [editing, setEditing] = useState({ id: null, body: '' });
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, commentId: null });
+
+  // Requesters cannot see or write internal notes
+  const canPostInternal = user.role !== ROLES.USER;
+
+  useEffect(() => {
+    fetchComments();
+  }, [requestId]);
+
+  const fetchComments = async () => {
+    try {
+      setLoading(true);
+      const response = await commentAPI.getComments(requestId);
+      setComments(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+
+    try {
+      setSubmitting(true);
+      const response = await commentAPI.addComment(requestId, {
+        body: newComment.trim(),
+        isInternal: canPostInternal && isInternal
+      });
+      setComments(prev => [...prev, response.data]);
+      setNewComment('');
+      setIsInternal(false);
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      onError?.(error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing.body.trim()) return;
+
+    try {
+      const response = await commentAPI.updateComment(requestId, editing.id, editing.body.trim());
+      setComments(prev => prev.map(c => (c._id === editing.id ? response.data : c)));
+      setEditing({ id: null, body: '' });
+    } catch (error) {
+      console.error('Failed to update comment:', error);
+      onError?.(error.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await commentAPI.deleteComment(requestId, deleteDialog.commentId);
+      setComments(prev => prev.filter(c => c._id !== deleteDialog.commentId));
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+      onError?.(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <MessageSquare className="w-5 h-5 mr-2 text-gray-500" />
+        Conversation
+        <span className="ml-2 text-sm font-normal text-gray-500">({comments.length})</span>
+      </h2>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No comments yet. Start the conversation below.</p>
+      ) : (
+        <div className="space-y-4 mb-4 max-h-96 overflow-y-auto">
+          {comments.map(comment => {
+            const isAuthor = comment.author?._id === user._id;
+            const canDeleteComment = isAuthor || isAdminOrManager(user.role);
+
+            return (
+              <div
+                key={comment._id}
+                className={`rounded-lg p-3 border ${
+                  comment.isInternal ? 'bg-yellow-50 border-yellow-200' : 'bg-gray-50 border-gray-200'
+                }`}
+              >
+                <div className="flex justify-between items-start mb-1">
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-900">{comment.author?.name || 'Unknown'}</span>
+                    <span className="text-xs text-gray-500 ml-2">{comment.author?.role}</span>
+                    {comment.isInternal && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 text-xs font-medium rounded bg-yellow-100 text-yellow-800">
+                        <Lock className="w-3 h-3 mr-1" />
+                        Internal
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs text-gray-500">
+                      {formatDateTime(comment.createdAt)}
+                      {comment.editedAt && ' (edited)'}
+                    </span>
+                    {isAuthor && editing.id !== comment._id && (
+                      <button
+                        onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canDeleteComment && (
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, commentId: comment._id })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {editing.id === comment._id ? (
+                  <div className="space-y-2">
+                    <textarea
+                      value={editing.body}
+                      onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+                      rows="3"
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => setEditing({ id: null, body: '' })}
+                        className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSaveEdit}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{comment.body}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* New Comment */}
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <textarea
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          rows="3"
+          placeholder={isInternal ? 'Add an internal note (not visible to the requester)...' : 'Write a comment...'}
+          className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+            isInternal ? 'border-yellow-300 bg-yellow-50' : 'border-gray-300'
+          }`}
+        />
+        <div className="flex justify-between items-center">
+          {canPostInternal ? (
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={isInternal}
+                onChange={(e) => setIsInternal(e.target.checked)}
+                className="mr-2 rounded border-gray-300"
+              />
+              Internal note
+            </label>
+          ) : (
+            <span />
+          )}
+          <button
+            type="submit"
+            disabled={submitting || !newComment.trim()}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Send className="w-4 h-4 mr-2" />
+            {isInternal ? 'Add Note' : 'Comment'}
+          </button>
+        </div>
+      </form>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, commentId: null })}
+        onConfirm={handleDelete}
+        title="Delete Comment"
+        message="Are you sure you want to delete this comment? This action cannot be undone."
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default RequestComments;
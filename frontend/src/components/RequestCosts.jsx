@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react';
+import { DollarSign, Plus, Trash2 } from 'lucide-react';
+import * as costAPI from '../api/cost.api';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import { formatCurrency } from '../utils/currency';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+
+const emptyCost = { description: '', vendor: '', amount: '', incurredAt: '' };
+
+/**
+ * RequestCosts Component
+ * Labor, parts and external cost breakdown of a maintenance request
+ *
+ * Props:
+ * - requestId: Request ID
+ * - user: Current user
+ * - refreshKey: Change to reload costs (e.g. after work logs or parts change)
+ * - onError: Called with an error message when an action fails
+ */
+const RequestCosts = ({ requestId, user, refreshKey, onError }) => {
+  const [costs, setCosts] = useState(null);
+  const [externalCosts, setExternalCosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyCost);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, cost: null });
+
+  useEffect(() => {
+    fetchCosts();
+  }, [requestId, refreshKey]);
+
+  const fetchCosts = async () => {
+    try {
+      setLoading(true);
+      const response = await costAPI.getRequestCosts(requestId);
+      setCosts(response.data?.costs || null);
+      setExternalCosts(response.data?.externalCosts || []);
+    } catch (error) {
+      console.error('Failed to fetch costs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!formData.description.trim() || formData.amount === '') {
+      onError?.('Description and amount are required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await costAPI.addExternalCost(requestId, {
+        description: formData.description.trim(),
+        vendor: formData.vendor.trim(),
+        amount: Number(formData.amount),
+        incurredAt: formData.incurredAt || undefined
+      });
+      setFormData(emptyCost);
+      setShowForm(false);
+      fetchCosts();
+    } catch (error) {
+      console.error('Failed to add cost:', error);
+      onError?.(error.response?.data?.message || 'Failed to add cost');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await costAPI.deleteExternalCost(requestId, deleteDialog.cost._id);
+      fetchCosts();
+    } catch (error) {
+      console.error('Failed to delete cost:', error);
+      onError?.(error.response?.data?.message || 'Failed to delete cost');
+    }
+  };
+
+  const canDeleteCost = (cost) => {
+    return cost.createdBy?._id === user._id || isAdminOrManager(user.role);
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const breakdown = [
+    { label: 'Labor', value: costs?.labor },
+    { label: 'Parts', value: costs?.parts },
+    { label: 'External', value: costs?.external }
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <DollarSign className="w-5 h-5 mr-2 text-gray-500" />
+          Costs
+        </h2>
+        <button
+          onClick={() => setShowForm(prev => !prev)}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add External Cost
+        </button>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-4 mb-4">
+            {breakdown.map(item => (
+              <div key={item.label}>
+                <p className="text-sm text-gray-500">{item.label}</p>
+                <p className="text-base font-medium text-gray-900">{formatCurrency(item.value)}</p>
+              </div>
+            ))}
+            <div>
+              <p className="text-sm text-gray-500">Total</p>
+              <p className="text-base font-semibold text-gray-900">{formatCurrency(costs?.total)}</p>
+            </div>
+          </div>
+
+          {showForm && (
+            <form onSubmit={handleAdd} className="mb-4 p-4 border border-gray-200 rounded-lg space-y-3">
+              <input
+                type="text"
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="Description (e.g. contractor callout)"
+                className={inputClass}
+              />
+              <div className="grid grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={formData.vendor}
+                  onChange={(e) => setFormData(prev => ({ ...prev, vendor: e.target.value }))}
+                  placeholder="Vendor (optional)"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.amount}
+                  onChange={(e) => setFormData(prev => ({ ...prev, amount: e.target.value }))}
+                  placeholder="Amount"
+                  className={inputClass}
+                />
+                <input
+                  type="date"
+                  value={formData.incurredAt}
+                  onChange={(e) => setFormData(prev => ({ ...prev, incurredAt: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => { setShowForm(false); setFormData(emptyCost); }}
+                  className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Save Cost
+                </button>
+              </div>
+            </form>
+          )}
+
+          {externalCosts.length > 0 && (
+            <ul className="divide-y divide-gray-200">
+              {externalCosts.map(cost => (
+                <li key={cost._id} className="py-2 flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900">
+                      <span className="font-medium">{cost.description}</span>
+                      {cost.vendor && <span className="text-gray-500"> · {cost.vendor}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {new Date(cost.incurredAt).toLocaleDateString('en-US')} · {cost.createdBy?.name || 'Unknown'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-2">
+                    <span className="text-sm font-medium text-gray-700">{formatCurrency(cost.amount)}</span>
+                    {canDeleteCost(cost) && (
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, cost })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, cost: null })}
+        onConfirm={handleDelete}
+        title="Delete Cost"
+        message="Are you sure you want to delete this cost? The request's total will be recalculated."
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default RequestCosts;
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Star, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { requestAPI } from '../api/request.api';
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * RequestFeedback Component
+ * Requester's rating of each repair; rejecting the fix reopens the request
+ *
+ * Props:
+ * - request: Current request ({ _id, stage, createdBy, feedback })
+ * - user: Current user (only the requester can rate)
+ * - onSubmitted: Called with the API response after feedback was sent
+ * - onError: Called with an error message when sending fails
+ */
+const RequestFeedback = ({ request, user, onSubmitted, onError }) => {
+  const [rating, setRating] = useState(0);
+  const [hovered, setHovered] = useState(0);
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const feedback = request.feedback || {};
+  const responses = feedback.responses || [];
+  const canRate = request.stage === 'Repaired' && feedback.status === 'Pending'
+    && request.createdBy?._id === user._id;
+
+  if (!canRate && responses.length === 0) {
+    return null;
+  }
+
+  const handleSubmit = async (fixAccepted) => {
+    try {
+      setBusy(true);
+      const response = await requestAPI.submitFeedback(request._id, {
+        rating,
+        comment: comment.trim(),
+        fixAccepted
+      });
+      setRating(0);
+      setComment('');
+      onSubmitted?.(response);
+    } catch (error) {
+      console.error('Failed to submit feedback:', error);
+      onError?.(error.response?.data?.message || 'Failed to submit feedback');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderStars = (value, size = 'w-4 h-4') => (
+    <span className="flex">
+      {RATINGS.map(star => (
+        <Star
+          key={star}
+          className={`${size} ${star <= value ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`}
+        />
+      ))}
+    </span>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Star className="w-5 h-5 mr-2 text-gray-500" />
+        Feedback
+      </h2>
+
+      {canRate && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-3">
+          <p className="text-sm text-blue-900">Your request was repaired. Did the fix work?</p>
+          <div className="flex" onMouseLeave={() => setHovered(0)}>
+            {RATINGS.map(star => (
+              <button
+                key={star}
+                type="button"
+                onClick={() => setRating(star)}
+                onMouseEnter={() => setHovered(star)}
+                className="p-1"
+                title={`${star} star${star === 1 ? '' : 's'}`}
+              >
+                <Star
+                  className={`w-7 h-7 ${star <= (hovered || rating) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`}
+                />
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows="3"
+            className="w-full px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Comments (required if the problem is not fixed)"
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => handleSubmit(false)}
+              disabled={busy || !rating || !comment.trim()}
+              className="flex items-center px-4 py-2 text-sm border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Reopens the request"
+            >
+              <ThumbsDown className="w-4 h-4 mr-2" />
+              Still Broken
+            </button>
+            <button
+              type="button"
+              onClick={() => handleSubmit(true)}
+              disabled={busy || !rating}
+              className="flex items-center px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ThumbsUp className="w-4 h-4 mr-2" />
+              Fix Works
+            </button>
+          </div>
+        </div>
+      )}
+
+      {responses.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {[...responses].reverse().map(response => (
+            <li key={response._id} className="py-3">
+              <div className="flex items-center justify-between">
+                {renderStars(response.rating)}
+                <span className="text-xs text-gray-500">
+                  {new Date(response.submittedAt).toLocaleString()}
+                </span>
+              </div>
+              {!response.fixAccepted && (
+                <span className="inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded bg-red-100 text-red-800">
+                  Fix rejected
+                </span>
+              )}
+              {response.comment && (
+                <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">{response.comment}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RequestFeedback;
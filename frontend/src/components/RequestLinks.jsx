@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Link2, Plus, X, Search, Lock, ListTree } from 'lucide-react';
+import { requestAPI } from '../api/request.api';
+import { search } from '../api/search.api';
+import { STAGE_COLORS } from '../utils/constants';
+
+// Link types offered when adding a link, phrased from this request's side
+const LINK_OPTIONS = [
+  { value: 'child', label: 'Sub-request' },
+  { value: 'parent', label: 'Parent request' },
+  { value: 'blockedBy', label: 'Blocked by' },
+  { value: 'related', label: 'Related to' },
+];
+
+const MIN_SEARCH_LENGTH = 2;
+
+/**
+ * RequestLinks Component
+ * Parent, sub-requests, blockers and related requests of a maintenance request
+ * The request cannot be started while any blocker is not Repaired or Scrap
+ *
+ * Props:
+ * - request: Current request ({ _id, subject, stage })
+ * - canEdit: Whether the user may add and remove links
+ * - refreshKey: Changes when the request is updated (reloads the links)
+ * - onChange: Called after a link was added or removed
+ * - onError: Called with an error message when an action fails
+ */
+const RequestLinks = ({ request, canEdit, refreshKey, onChange, onError }) => {
+  const navigate = useNavigate();
+  const [links, setLinks] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [linkType, setLinkType] = useState('child');
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadLinks();
+  }, [request._id, refreshKey]);
+
+  // Search requests to link as the user types
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_SEARCH_LENGTH) {
+      setResults([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await search(text, { types: 'requests', limit: 8 });
+        setResults((response.data.requests || []).filter(result => result._id !== request._id));
+      } catch (error) {
+        console.error('Failed to search requests:', error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const loadLinks = async () => {
+    try {
+      const response = await requestAPI.getRequestLinks(request._id);
+      setLinks(response.data);
+    } catch (error) {
+      console.error('Failed to load request links:', error);
+    }
+  };
+
+  const handleAdd = async (targetId) => {
+    try {
+      setBusy(true);
+      await requestAPI.addRequestLink(request._id, { type: linkType, requestId: targetId });
+      setIsAdding(false);
+      setQuery('');
+      await loadLinks();
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to link requests:', error);
+      onError?.(error.response?.data?.message || 'Failed to link requests');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (type, targetId) => {
+    try {
+      setBusy(true);
+      await requestAPI.removeRequestLink(request._id, type, targetId);
+      await loadLinks();
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to remove link:', error);
+      onError?.(error.response?.data?.message || 'Failed to remove link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!links) {
+    return null;
+  }
+
+  const { parent, children, blockedBy, blocking, related } = links;
+  const completedChildren = children.filter(child => child.stage === 'Repaired' || child.stage === 'Scrap').length;
+  const openBlockers = blockedBy.filter(blocker => blocker.stage !== 'Repaired' && blocker.stage !== 'Scrap');
+  const hasLinks = parent || children.length > 0 || blockedBy.length > 0 || blocking.length > 0 || related.length > 0;
+
+  const renderLinkedRequest = (linked, removeType) => (
+    <li key={linked._id} className="flex items-center justify-between py-2">
+      <button
+        type="button"
+        onClick={() => navigate(`/maintenance/${linked._id}`)}
+        className="flex-1 text-left text-sm text-gray-900 hover:text-blue-600 truncate"
+      >
+        <span className="text-gray-400 mr-2">#{linked._id.slice(-6).toUpperCase()}</span>
+        {linked.subject}
+      </button>
+      <span className={`ml-2 px-2 py-0.5 text-xs font-medium rounded ${STAGE_COLORS[linked.stage] || 'bg-gray-100 text-gray-800'}`}>
+        {linked.stage}
+      </span>
+      {canEdit && removeType && (
+        <button
+          type="button"
+          onClick={() => handleRemove(removeType, linked._id)}
+          disabled={busy}
+          className="ml-2 p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+          title="Remove link"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </li>
+  );
+
+  const renderSection = (title, items, removeType) => items.length > 0 && (
+    <div>
+      <h3 className="text-sm font-medium text-gray-500">{title}</h3>
+      <ul className="divide-y divide-gray-100">
+        {items.map(linked => renderLinkedRequest(linked, removeType))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Link2 className="w-5 h-5 mr-2 text-gray-500" />
+          Linked Requests
+        </h2>
+        {canEdit && (
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => navigate('/maintenance/new', {
+                state: { parentRequest: request._id, parentSubject: request.subject }
+              })}
+              className="flex items-center px-3 py-1.5 text-sm text-blue-600 border border-blue-300 rounded-lg hover:bg-blue-50"
+            >
+              <ListTree className="w-4 h-4 mr-1" />
+              Add Sub-request
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsAdding(!isAdding)}
+              className="flex items-center px-3 py-1.5 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Link
+            </button>
+          </div>
+        )}
+      </div>
+
+      {openBlockers.length > 0 && request.stage === 'New' && (
+        <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-center text-sm text-amber-800">
+          <Lock className="w-4 h-4 mr-2 flex-shrink-0" />
+          Cannot be started until {openBlockers.length === 1 ? 'its blocker is' : `all ${openBlockers.length} blockers are`} Repaired or scrapped.
+        </div>
+      )}
+
+      {isAdding && (
+        <div className="mb-4 p-4 bg-gray-50 rounded-lg space-y-3">
+          <div className="flex space-x-2">
+            <select
+              value={linkType}
+              onChange={(e) => setLinkType(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {LINK_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Search requests..."
+                autoFocus
+              />
+            </div>
+          </div>
+          {results.length > 0 && (
+            <ul className="divide-y divide-gray-100 bg-white rounded-lg border border-gray-200">
+              {results.map(result => (
+                <li key={result._id} className="flex items-center justify-between px-3 py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900 truncate">{result.subject}</p>
+                    <p className="text-xs text-gray-500">
+                      {result.equipment?.equipmentName || 'Unknown Equipment'} · {result.stage}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleAdd(result._id)}
+                    disabled={busy}
+                    className="ml-2 px-3 py-1 text-xs text-blue-600 border border-blue-300 rounded hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    Link
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!hasLinks ? (
+        <p className="text-sm text-gray-500">No linked requests</p>
+      ) : (
+        <div className="space-y-4">
+          {parent && renderSection('Parent', [parent], 'parent')}
+
+          {children.length > 0 && (
+            <div>
+              <div className="flex justify-between items-center">
+                <h3 className="text-sm font-medium text-gray-500">Sub-requests</h3>
+                <span className="text-xs text-gray-500">{completedChildren}/{children.length} completed</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2 my-2">
+                <div
+                  className={`h-2 rounded-full ${completedChildren === children.length ? 'bg-green-500' : 'bg-blue-500'}`}
+                  style={{ width: `${Math.round((completedChildren / children.length) * 100)}%` }}
+                />
+              </div>
+              <ul className="divide-y divide-gray-100">
+                {children.map(child => renderLinkedRequest(child, 'child'))}
+              </ul>
+            </div>
+          )}
+
+          {renderSection('Blocked by', blockedBy, 'blockedBy')}
+          {renderSection('Blocking', blocking, null)}
+          {renderSection('Related', related, 'related')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RequestLinks;
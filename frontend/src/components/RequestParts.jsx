@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { Package, CheckCircle, Undo2 } from 'lucide-react';
+import * as partAPI from '../api/part.api';
+import { ROLES } from '../utils/constants';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import { formatCurrency } from '../utils/currency';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+import PartPicker from './PartPicker';
+
+/**
+ * RequestParts Component
+ * Spare parts reserved for and consumed by a maintenance request
+ *
+ * Props:
+ * - requestId: Request ID
+ * - stage: Current request stage (parts can only be reserved/consumed on open requests)
+ * - user: Current user
+ * - refreshKey: Change to reload usages (e.g. request.updatedAt after a stage change)
+ * - onReorderAlerts: Called with reorder alerts returned by the API
+ * - onChange: Called after parts are reserved, consumed or released
+ * - onError: Called with an error message when an action fails
+ */
+const RequestParts = ({ requestId, stage, user, refreshKey, onReorderAlerts, onChange, onError }) => {
+  const [usages, setUsages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [releaseDialog, setReleaseDialog] = useState({ isOpen: false, usage: null });
+
+  const canHandle = isAdminOrManager(user.role) || user.role === ROLES.TECHNICIAN;
+  const isOpen = stage === 'New' || stage === 'In Progress';
+
+  useEffect(() => {
+    fetchUsages();
+  }, [requestId, refreshKey]);
+
+  const fetchUsages = async () => {
+    try {
+      setLoading(true);
+      const response = await partAPI.getRequestParts(requestId);
+      setUsages(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch request parts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const afterChange = (response) => {
+    if (response.reorderAlerts?.length > 0) {
+      onReorderAlerts?.(response.reorderAlerts);
+    }
+    onChange?.();
+    fetchUsages();
+  };
+
+  const handleReserve = async ({ part, location, quantity }) => {
+    try {
+      setBusy(true);
+      const response = await partAPI.reserveRequestPart(requestId, { part, location, quantity });
+      afterChange(response);
+    } catch (error) {
+      console.error('Failed to reserve part:', error);
+      onError?.(error.response?.data?.message || 'Failed to reserve part');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConsume = async (usage) => {
+    try {
+      setBusy(true);
+      const response = await partAPI.consumeRequestPart(requestId, usage._id);
+      afterChange(response);
+    } catch (error) {
+      console.error('Failed to consume part:', error);
+      onError?.(error.response?.data?.message || 'Failed to consume part');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRelease = async () => {
+    try {
+      await partAPI.releaseRequestPart(requestId, releaseDialog.usage._id);
+      onChange?.();
+      fetchUsages();
+    } catch (error) {
+      console.error('Failed to release part:', error);
+      onError?.(error.response?.data?.message || 'Failed to release part');
+    }
+  };
+
+  const canRelease = (usage) => {
+    return usage.status === 'Reserved' ? canHandle : isAdminOrManager(user.role);
+  };
+
+  const totalCost = usages.reduce((sum, usage) => sum + usage.quantity * (usage.unitCost || 0), 0);
+  const releasingConsumed = releaseDialog.usage?.status === 'Consumed';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Package className="w-5 h-5 mr-2 text-gray-500" />
+        Parts
+        {usages.length > 0 && (
+          <span className="ml-2 text-sm font-normal text-gray-500">({formatCurrency(totalCost)})</span>
+        )}
+      </h2>
+
+      {canHandle && isOpen && (
+        <div className="mb-4 p-4 border border-gray-200 rounded-lg">
+          <PartPicker onAdd={handleReserve} disabled={busy} submitLabel="Reserve" />
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : usages.length === 0 ? (
+        <p className="text-sm text-gray-500">No parts reserved.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {usages.map(usage => (
+            <li key={usage._id} className="py-2 flex items-start justify-between">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{usage.part?.partNumber}</span>
+                  <span> {usage.part?.name}</span>
+                  <span className="text-gray-500"> · {usage.quantity} {usage.part?.unit} from {usage.location}</span>
+                </p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {usage.status === 'Consumed'
+                    ? `Consumed by ${usage.consumedBy?.name || 'system'}`
+                    : `Reserved by ${usage.reservedBy?.name || 'Unknown'}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-2">
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+                  usage.status === 'Consumed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  {usage.status}
+                </span>
+                {usage.status === 'Reserved' && canHandle && isOpen && (
+                  <button
+                    onClick={() => handleConsume(usage)}
+                    disabled={busy}
+                    className="text-gray-400 hover:text-green-600 disabled:opacity-50"
+                    title="Mark as used"
+                  >
+                    <CheckCircle className="w-4 h-4" />
+                  </button>
+                )}
+                {canRelease(usage) && (
+                  <button
+                    onClick={() => setReleaseDialog({ isOpen: true, usage })}
+                    className="text-gray-400 hover:text-red-600"
+                    title={usage.status === 'Consumed' ? 'Return to stock' : 'Release reservation'}
+                  >
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmDialog
+        isOpen={releaseDialog.isOpen}
+        onClose={() => setReleaseDialog({ isOpen: false, usage: null })}
+        onConfirm={handleRelease}
+        title={releasingConsumed ? 'Return Part to Stock' : 'Release Reservation'}
+        message={releasingConsumed
+          ? 'The consumed quantity will be added back to stock at its location.'
+          : 'The reserved quantity will become available to other requests again.'}
+        confirmText={releasingConsumed ? 'Return' : 'Release'}
+      />
+    </div>
+  );
+};
+
+export default RequestParts;
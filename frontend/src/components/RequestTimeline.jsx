@@ -0,0 +1,150 @@
+import { useState, useEffect } from 'react';
+import { History, PlusCircle, Edit, ArrowRight, UserCheck, Trash2, RotateCcw, ShieldCheck, ShieldX, Siren, Star } from 'lucide-react';
+import { requestAPI } from '../api/request.api';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * RequestTimeline Component
+ * Activity history of a maintenance request, newest first
+ *
+ * Props:
+ * - requestId: Request ID
+ * - technicians: Technician list used to resolve assignee IDs to names
+ * - refreshKey: Changing value that triggers a reload (e.g. request.updatedAt)
+ */
+const RequestTimeline = ({ requestId, technicians = [], refreshKey }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [requestId, refreshKey]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await requestAPI.getRequestHistory(requestId);
+      setHistory(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch request history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const actionConfig = {
+    create: { label: 'created the request', icon: PlusCircle, color: 'bg-green-100 text-green-600' },
+    update: { label: 'updated the request', icon: Edit, color: 'bg-blue-100 text-blue-600' },
+    stage: { label: 'changed the stage', icon: ArrowRight, color: 'bg-yellow-100 text-yellow-600' },
+    assign: { label: 'reassigned the request', icon: UserCheck, color: 'bg-purple-100 text-purple-600' },
+    delete: { label: 'deleted the request', icon: Trash2, color: 'bg-red-100 text-red-600' },
+    restore: { label: 'restored the request', icon: RotateCcw, color: 'bg-green-100 text-green-600' },
+    approve: { label: 'approved the request', icon: ShieldCheck, color: 'bg-green-100 text-green-600' },
+    reject: { label: 'rejected the request', icon: ShieldX, color: 'bg-red-100 text-red-600' },
+    escalate: { label: 'escalated the request', icon: Siren, color: 'bg-orange-100 text-orange-600' },
+    reopen: { label: 'reopened the request', icon: RotateCcw, color: 'bg-orange-100 text-orange-600' },
+    feedback: { label: 'rated the repair', icon: Star, color: 'bg-yellow-100 text-yellow-600' },
+  };
+
+  const fieldLabels = {
+    subject: 'Subject',
+    equipment: 'Equipment',
+    equipmentCategory: 'Category',
+    maintenanceTeam: 'Team',
+    requestType: 'Type',
+    stage: 'Stage',
+    priority: 'Priority',
+    scheduledDate: 'Scheduled Date',
+    assignedTechnician: 'Technician',
+    estimatedHours: 'Estimated Hours',
+    durationHours: 'Duration (Hours)',
+    description: 'Description',
+    resolutionNotes: 'Resolution Notes',
+    approval: 'Approval',
+    reason: 'Reason',
+    rating: 'Rating',
+    comment: 'Comment',
+    fixAccepted: 'Fix Accepted',
+    escalation: 'Escalation Level',
+    parentRequest: 'Parent Request',
+    blockedBy: 'Blocked By',
+    relatedTo: 'Related To',
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) return '—';
+    if (field === 'assignedTechnician') {
+      return technicians.find(t => t._id === value)?.name || 'Another technician';
+    }
+    if (field === 'scheduledDate') {
+      return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+    if (field === 'rating') return `${value}/5`;
+    if (field === 'fixAccepted') return value ? 'Yes' : 'No';
+    if (['equipment', 'maintenanceTeam', 'parentRequest', 'blockedBy', 'relatedTo'].includes(field)) {
+      return `#${String(value).slice(-6).toUpperCase()}`;
+    }
+    return String(value);
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <History className="w-5 h-5 mr-2 text-gray-500" />
+        Activity History
+      </h2>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity recorded yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-3">
+          {history.map(entry => {
+            const config = actionConfig[entry.action] || actionConfig.update;
+            const Icon = config.icon;
+
+            return (
+              <li key={entry._id} className="mb-6 ml-6 last:mb-0">
+                <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${config.color}`}>
+                  <Icon className="w-3 h-3" />
+                </span>
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">
+                    {entry.action === 'escalate' ? 'System' : entry.actor?.name || 'Unknown user'}
+                  </span>{' '}
+                  {config.label}
+                </p>
+                <time className="block text-xs text-gray-500 mb-1">{formatDateTime(entry.createdAt)}</time>
+                {entry.action !== 'create' && entry.action !== 'delete' && entry.changes?.length > 0 && (
+                  <ul className="mt-1 space-y-1">
+                    {entry.changes.map(change => (
+                      <li key={change.field} className="text-xs text-gray-600">
+                        <span className="font-medium text-gray-700">{fieldLabels[change.field] || change.field}:</span>{' '}
+                        <span className="line-through text-gray-400">{formatValue(change.field, change.from)}</span>
+                        {' → '}
+                        <span>{formatValue(change.field, change.to)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RequestTimeline;
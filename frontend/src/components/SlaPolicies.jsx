@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { Timer, Plus, Edit, Trash2 } from 'lucide-react';
+import * as slaAPI from '../api/sla.api';
+import * as teamAPI from '../api/team.api';
+import { PRIORITIES } from '../utils/constants';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+
+const emptyForm = {
+  name: '',
+  priority: PRIORITIES.MEDIUM,
+  maintenanceTeam: '',
+  equipmentCategory: '',
+  responseTimeHours: 4,
+  resolutionTimeHours: 24,
+  isActive: true,
+};
+
+/**
+ * SlaPolicies Component
+ * Manage response and resolution targets per priority, team and category
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const SlaPolicies = ({ onNotify }) => {
+  const [policies, setPolicies] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ isOpen: false, policyId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, policy: null });
+
+  useEffect(() => {
+    fetchPolicies();
+    fetchTeams();
+  }, []);
+
+  const fetchPolicies = async () => {
+    try {
+      setLoading(true);
+      const response = await slaAPI.getAllPolicies();
+      setPolicies(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch SLA policies:', error);
+      onNotify?.('Failed to load SLA policies', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getAllTeams();
+      setTeams(response.data || []);
+    } catch (error) {
+      console.error('Failed to load teams:', error);
+    }
+  };
+
+  const openForm = (policy = null) => {
+    setFormData(policy ? {
+      name: policy.name,
+      priority: policy.priority,
+      maintenanceTeam: policy.maintenanceTeam?._id || '',
+      equipmentCategory: policy.equipmentCategory || '',
+      responseTimeHours: policy.responseTimeHours,
+      resolutionTimeHours: policy.resolutionTimeHours,
+      isActive: policy.isActive,
+    } : emptyForm);
+    setFormModal({ isOpen: true, policyId: policy?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      onNotify?.('Policy name is required', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      maintenanceTeam: formData.maintenanceTeam || null,
+      equipmentCategory: formData.equipmentCategory.trim() || null,
+      responseTimeHours: Number(formData.responseTimeHours) || 0,
+      resolutionTimeHours: Number(formData.resolutionTimeHours) || 0,
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.policyId) {
+        await slaAPI.updatePolicy(formModal.policyId, payload);
+        onNotify?.('SLA policy updated', 'success');
+      } else {
+        await slaAPI.createPolicy(payload);
+        onNotify?.('SLA policy created', 'success');
+      }
+      setFormModal({ isOpen: false, policyId: null });
+      fetchPolicies();
+    } catch (error) {
+      console.error('Failed to save SLA policy:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save SLA policy', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await slaAPI.deletePolicy(deleteDialog.policy._id);
+      onNotify?.('SLA policy deleted', 'success');
+      setPolicies(prev => prev.filter(p => p._id !== deleteDialog.policy._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete SLA policy', 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Timer className="w-5 h-5 mr-2 text-gray-500" />
+          SLA Policies
+        </h3>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Policy
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        The most specific active policy applies: team and category, then team, then category, then priority only.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : policies.length === 0 ? (
+        <p className="text-sm text-gray-500">No SLA policies configured. Requests have no due times.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Response</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Resolution</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {policies.map(policy => (
+                <tr key={policy._id} className={policy.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {policy.name}
+                    {!policy.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{policy.priority}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{policy.maintenanceTeam?.teamName || 'All teams'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{policy.equipmentCategory || 'All categories'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{policy.responseTimeHours}h</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{policy.resolutionTimeHours}h</td>
+                  <td className="px-4 py-2 text-right">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        onClick={() => openForm(policy)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, policy })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Policy Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, policyId: null })}
+        title={formModal.policyId ? 'Edit SLA Policy' : 'New SLA Policy'}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Urgent - Electrical"
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => handleChange('priority', e.target.value)}
+                className={inputClass}
+              >
+                {Object.values(PRIORITIES).map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+              <select
+                value={formData.maintenanceTeam}
+                onChange={(e) => handleChange('maintenanceTeam', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All teams</option>
+                {teams.map(team => (
+                  <option key={team._id} value={team._id}>{team.teamName}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <input
+                type="text"
+                value={formData.equipmentCategory}
+                onChange={(e) => handleChange('equipmentCategory', e.target.value)}
+                className={inputClass}
+                placeholder="All categories"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Response time (hours)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.responseTimeHours}
+                onChange={(e) => handleChange('responseTimeHours', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Resolution time (hours)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={formData.resolutionTimeHours}
+                onChange={(e) => handleChange('resolutionTimeHours', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, policyId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, policy: null })}
+        onConfirm={handleDelete}
+        title="Delete SLA Policy"
+        message={`Delete "${deleteDialog.policy?.name}"? Due times already stamped on requests are kept.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default SlaPolicies;
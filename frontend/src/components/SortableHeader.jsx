@@ -0,0 +1,31 @@
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+
+/**
+ * SortableHeader Component
+ * Table header cell that toggles server-side sort on a field
+ *
+ * Props:
+ * - label: Column label
+ * - field: Sort field sent to the API
+ * - sort: Current sort string (e.g. 'subject' or '-createdAt')
+ * - onSort: Called with the new sort string
+ */
+const SortableHeader = ({ label, field, sort, onSort }) => {
+  const isAscending = sort === field;
+  const isDescending = sort === `-${field}`;
+  const Icon = isAscending ? ArrowUp : isDescending ? ArrowDown : ArrowUpDown;
+
+  return (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        onClick={() => onSort(isAscending ? `-${field}` : field)}
+        className="flex items-center uppercase tracking-wider hover:text-gray-700"
+      >
+        {label}
+        <Icon className={`w-3 h-3 ml-1 ${isAscending || isDescending ? 'text-gray-700' : 'text-gray-300'}`} />
+      </button>
+    </th>
+  );
+};
+
+export default SortableHeader;
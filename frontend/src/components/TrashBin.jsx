@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import * as trashAPI from '../api/trash.api';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+import Pagination from './Pagination';
+
+const PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash types with how each item is described
+ */
+const TYPES = [
+  {
+    id: 'requests',
+    label: 'Requests',
+    name: (item) => item.subject,
+    detail: (item) => [item.equipment?.equipmentName, item.stage].filter(Boolean).join(' · '),
+  },
+  {
+    id: 'equipment',
+    label: 'Equipment',
+    name: (item) => item.equipmentName,
+    detail: (item) => [item.serialNumber, item.category].filter(Boolean).join(' · '),
+  },
+  {
+    id: 'teams',
+    label: 'Teams',
+    name: (item) => item.teamName,
+    detail: (item) => item.specialization,
+  },
+];
+
+/**
+ * TrashBin Component
+ * Deleted requests, equipment and teams with restore and permanent delete
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const TrashBin = ({ onNotify }) => {
+  const [type, setType] = useState('requests');
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [purgeDialog, setPurgeDialog] = useState({ isOpen: false, item: null });
+
+  const typeConfig = TYPES.find(option => option.id === type);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [type, page]);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await trashAPI.getTrash(type, { page, limit: PAGE_SIZE });
+      setItems(response.data || []);
+      setRetentionDays(response.retentionDays || 0);
+      setPagination({ total: response.total || 0, totalPages: response.totalPages || 0 });
+    } catch (error) {
+      console.error('Failed to fetch trash:', error);
+      onNotify?.('Failed to load trash', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTypeChange = (value) => {
+    setType(value);
+    setPage(1);
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      const response = await trashAPI.restoreItem(type, item._id);
+      onNotify?.(response.message, 'success');
+      fetchTrash();
+    } catch (error) {
+      console.error('Failed to restore item:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to restore item', 'error');
+    }
+  };
+
+  const handlePurge = async () => {
+    try {
+      const response = await trashAPI.purgeItem(type, purgeDialog.item._id);
+      onNotify?.(response.message, 'success');
+      fetchTrash();
+    } catch (error) {
+      console.error('Failed to purge item:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to delete item', 'error');
+    }
+  };
+
+  const formatPurgeDate = (deletedAt) => {
+    if (!retentionDays) return 'Kept until deleted';
+    const daysLeft = Math.ceil((new Date(deletedAt).getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS);
+    return daysLeft > 0 ? `Purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` : 'Purged at next cleanup';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="flex items-center justify-between px-6 pt-4 border-b border-gray-200">
+        <nav className="flex space-x-6">
+          {TYPES.map(option => (
+            <button
+              key={option.id}
+              onClick={() => handleTypeChange(option.id)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+                type === option.id
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </nav>
+        <p className="pb-3 text-xs text-gray-500">
+          {retentionDays
+            ? `Items are permanently deleted ${retentionDays} days after they are trashed`
+            : 'Automatic cleanup is off'}
+        </p>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner className="py-12" />
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          No {typeConfig.label.toLowerCase()} in the trash.
+        </div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deleted</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cleanup</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {items.map(item => (
+              <tr key={item._id}>
+                <td className="px-6 py-3">
+                  <p className="text-sm font-medium text-gray-900">{typeConfig.name(item)}</p>
+                  {typeConfig.detail(item) && (
+                    <p className="text-xs text-gray-500">{typeConfig.detail(item)}</p>
+                  )}
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-700">
+                  {new Date(item.deletedAt).toLocaleString()}
+                  <span className="block text-xs text-gray-500">by {item.deletedBy?.name || 'Unknown'}</span>
+                </td>
+                <td className="px-6 py-3 text-sm text-gray-500">{formatPurgeDate(item.deletedAt)}</td>
+                <td className="px-6 py-3 text-right">
+                  <div className="flex justify-end space-x-3">
+                    <button
+                      onClick={() => handleRestore(item)}
+                      className="text-gray-400 hover:text-green-600"
+                      title="Restore"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setPurgeDialog({ isOpen: true, item })}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete permanently"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {!loading && pagination.total > PAGE_SIZE && (
+        <Pagination
+          page={page}
+          totalPages={pagination.totalPages}
+          total={pagination.total}
+          limit={PAGE_SIZE}
+          onPageChange={setPage}
+        />
+      )}
+
+      <ConfirmDialog
+        isOpen={purgeDialog.isOpen}
+        onClose={() => setPurgeDialog({ isOpen: false, item: null })}
+        onConfirm={handlePurge}
+        title="Delete Permanently"
+        message={`Permanently delete "${purgeDialog.item ? typeConfig.name(purgeDialog.item) : ''}"? This action cannot be undone.`}
+        confirmText="Delete Permanently"
+      />
+    </div>
+  );
+};
+
+export default TrashBin;
@@ -0,0 +1,318 @@
+import { useState, useEffect } from 'react';
+import { Clock, Play, Square, Plus, Trash2 } from 'lucide-react';
+import * as workLogAPI from '../api/worklog.api';
+import { ROLES } from '../utils/constants';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+
+const emptyEntry = { startedAt: '', endedAt: '', notes: '', technician: '' };
+
+/**
+ * WorkLogPanel Component
+ * Work log entries and start/stop timer for a maintenance request
+ *
+ * Props:
+ * - requestId: Request ID
+ * - stage: Current request stage (timers only run on open requests)
+ * - user: Current user
+ * - technicians: Technician list (Admin/Manager can log time for others)
+ * - onDurationChange: Called with the request's new durationHours
+ * - onError: Called with an error message when an action fails
+ */
+const WorkLogPanel = ({ requestId, stage, user, technicians = [], onDurationChange, onError }) => {
+  const [logs, setLogs] = useState([]);
+  const [totalHours, setTotalHours] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [stopNotes, setStopNotes] = useState('');
+  const [showEntryForm, setShowEntryForm] = useState(false);
+  const [entry, setEntry] = useState(emptyEntry);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, log: null });
+
+  const canLog = isAdminOrManager(user.role) || user.role === ROLES.TECHNICIAN;
+  const isOpen = stage === 'New' || stage === 'In Progress';
+  const myRunningLog = logs.find(log => log.isRunning && log.technician?._id === user._id);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [requestId, stage]);
+
+  // Tick once a second while a timer is running
+  useEffect(() => {
+    if (!myRunningLog) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [Boolean(myRunningLog)]);
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true);
+      const response = await workLogAPI.getWorkLogs(requestId);
+      setLogs(response.data || []);
+      setTotalHours(response.totalHours || 0);
+    } catch (error) {
+      console.error('Failed to fetch work logs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const afterChange = (response) => {
+    if (response.durationHours !== undefined) {
+      onDurationChange?.(response.durationHours);
+    }
+    fetchLogs();
+  };
+
+  const handleStart = async () => {
+    try {
+      setBusy(true);
+      await workLogAPI.startTimer(requestId);
+      setNow(Date.now());
+      fetchLogs();
+    } catch (error) {
+      console.error('Failed to start timer:', error);
+      onError?.(error.response?.data?.message || 'Failed to start timer');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      setBusy(true);
+      const response = await workLogAPI.stopTimer(requestId, stopNotes.trim() || undefined);
+      setStopNotes('');
+      afterChange(response);
+    } catch (error) {
+      console.error('Failed to stop timer:', error);
+      onError?.(error.response?.data?.message || 'Failed to stop timer');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    if (!entry.startedAt || !entry.endedAt) {
+      onError?.('Start and end times are required');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await workLogAPI.addWorkLog(requestId, {
+        startedAt: new Date(entry.startedAt).toISOString(),
+        endedAt: new Date(entry.endedAt).toISOString(),
+        notes: entry.notes.trim(),
+        technician: entry.technician || undefined,
+      });
+      setEntry(emptyEntry);
+      setShowEntryForm(false);
+      afterChange(response);
+    } catch (error) {
+      console.error('Failed to add work log:', error);
+      onError?.(error.response?.data?.message || 'Failed to add work log');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await workLogAPI.deleteWorkLog(requestId, deleteDialog.log._id);
+      afterChange(response);
+    } catch (error) {
+      console.error('Failed to delete work log:', error);
+      onError?.(error.response?.data?.message || 'Failed to delete work log');
+    }
+  };
+
+  const formatElapsed = (startedAt) => {
+    const seconds = Math.max(0, Math.floor((now - new Date(startedAt).getTime()) / 1000));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+  };
+
+  const formatTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const canDeleteLog = (log) => {
+    return !log.isRunning && (log.technician?._id === user._id || isAdminOrManager(user.role));
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Clock className="w-5 h-5 mr-2 text-gray-500" />
+          Work Log
+          <span className="ml-2 text-sm font-normal text-gray-500">({totalHours}h logged)</span>
+        </h2>
+        {canLog && (
+          <button
+            onClick={() => setShowEntryForm(prev => !prev)}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Entry
+          </button>
+        )}
+      </div>
+
+      {/* Timer */}
+      {canLog && myRunningLog && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-xs text-green-700">Timer running since {formatTime(myRunningLog.startedAt)}</p>
+              <p className="text-2xl font-mono font-semibold text-green-900">{formatElapsed(myRunningLog.startedAt)}</p>
+            </div>
+            <button
+              onClick={handleStop}
+              disabled={busy}
+              className="flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              <Square className="w-4 h-4 mr-2" />
+              Stop
+            </button>
+          </div>
+          <input
+            type="text"
+            value={stopNotes}
+            onChange={(e) => setStopNotes(e.target.value)}
+            placeholder="What did you work on? (optional)"
+            className={`${inputClass} mt-3`}
+          />
+        </div>
+      )}
+      {canLog && !myRunningLog && isOpen && (
+        <button
+          onClick={handleStart}
+          disabled={busy}
+          className="mb-4 flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          <Play className="w-4 h-4 mr-2" />
+          Start Timer
+        </button>
+      )}
+
+      {/* Manual Entry */}
+      {showEntryForm && (
+        <form onSubmit={handleAddEntry} className="mb-4 p-4 border border-gray-200 rounded-lg space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Start</label>
+              <input
+                type="datetime-local"
+                value={entry.startedAt}
+                onChange={(e) => setEntry(prev => ({ ...prev, startedAt: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">End</label>
+              <input
+                type="datetime-local"
+                value={entry.endedAt}
+                onChange={(e) => setEntry(prev => ({ ...prev, endedAt: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {isAdminOrManager(user.role) && (
+            <select
+              value={entry.technician}
+              onChange={(e) => setEntry(prev => ({ ...prev, technician: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">Myself</option>
+              {technicians.map(tech => (
+                <option key={tech._id} value={tech._id}>{tech.name}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={entry.notes}
+            onChange={(e) => setEntry(prev => ({ ...prev, notes: e.target.value }))}
+            placeholder="Notes (optional)"
+            className={inputClass}
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => { setShowEntryForm(false); setEntry(emptyEntry); }}
+              className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save Entry
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Entries */}
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : logs.length === 0 ? (
+        <p className="text-sm text-gray-500">No work logged yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {logs.map(log => (
+            <li key={log._id} className="py-2 flex items-start justify-between">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{log.technician?.name || 'Unknown'}</span>
+                  <span className="text-gray-500"> · {formatTime(log.startedAt)} – {log.isRunning ? 'running' : formatTime(log.endedAt)}</span>
+                </p>
+                {log.notes && <p className="text-xs text-gray-600 mt-0.5">{log.notes}</p>}
+              </div>
+              <div className="flex items-center space-x-2 ml-2">
+                <span className="text-sm font-medium text-gray-700">
+                  {log.isRunning ? '—' : `${log.durationHours}h`}
+                </span>
+                {canDeleteLog(log) && (
+                  <button
+                    onClick={() => setDeleteDialog({ isOpen: true, log })}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, log: null })}
+        onConfirm={handleDelete}
+        title="Delete Work Log"
+        message="Are you sure you want to delete this work log entry? The request's duration will be recalculated."
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default WorkLogPanel;
@@ -0,0 +1,450 @@
+import { useState, useEffect } from 'react';
+import { CalendarClock, Plus, Edit, Trash2, X } from 'lucide-react';
+import * as workingCalendarAPI from '../api/workingCalendar.api';
+import * as teamAPI from '../api/team.api';
+import LoadingSpinner from './LoadingSpinner';
+import Modal from './Modal';
+import ConfirmDialog from './ConfirmDialog';
+
+// Day numbers match the backend (0 = Sunday), listed from Monday
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+];
+
+const emptyForm = {
+  name: '',
+  maintenanceTeam: '',
+  location: '',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  workingDays: [1, 2, 3, 4, 5],
+  workStart: '08:00',
+  workEnd: '17:00',
+  holidays: [],
+  isActive: true,
+};
+
+const formatDays = (days) =>
+  WEEKDAYS.filter(day => days.includes(day.value)).map(day => day.label).join(', ');
+
+/**
+ * WorkingCalendars Component
+ * Manage working days, hours and holidays per team and site
+ *
+ * Props:
+ * - onNotify: Called with (message, type) to show feedback
+ */
+const WorkingCalendars = ({ onNotify }) => {
+  const [calendars, setCalendars] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ isOpen: false, calendarId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, calendar: null });
+
+  useEffect(() => {
+    fetchCalendars();
+    fetchOptions();
+  }, []);
+
+  const fetchCalendars = async () => {
+    try {
+      setLoading(true);
+      const response = await workingCalendarAPI.getAllCalendars();
+      setCalendars(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch working calendars:', error);
+      onNotify?.('Failed to load working calendars', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [teamResponse, siteResponse] = await Promise.all([
+        teamAPI.getAllTeams(),
+        workingCalendarAPI.getSites(),
+      ]);
+      setTeams(teamResponse.data || []);
+      setSites(siteResponse.data || []);
+    } catch (error) {
+      console.error('Failed to load teams and sites:', error);
+    }
+  };
+
+  const openForm = (calendar = null) => {
+    setFormData(calendar ? {
+      name: calendar.name,
+      maintenanceTeam: calendar.maintenanceTeam?._id || '',
+      location: calendar.location || '',
+      timezone: calendar.timezone,
+      workingDays: calendar.workingDays,
+      workStart: calendar.workStart,
+      workEnd: calendar.workEnd,
+      holidays: calendar.holidays.map(holiday => ({ ...holiday, endDate: holiday.endDate || '' })),
+      isActive: calendar.isActive,
+    } : emptyForm);
+    setFormModal({ isOpen: true, calendarId: calendar?._id || null });
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      workingDays: prev.workingDays.includes(day)
+        ? prev.workingDays.filter(d => d !== day)
+        : [...prev.workingDays, day],
+    }));
+  };
+
+  const handleHolidayChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      holidays: prev.holidays.map((holiday, i) => (i === index ? { ...holiday, [field]: value } : holiday)),
+    }));
+  };
+
+  const addHoliday = () => {
+    setFormData(prev => ({ ...prev, holidays: [...prev.holidays, { name: '', date: '', endDate: '' }] }));
+  };
+
+  const removeHoliday = (index) => {
+    setFormData(prev => ({ ...prev, holidays: prev.holidays.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      onNotify?.('Calendar name is required', 'error');
+      return;
+    }
+    if (formData.workingDays.length === 0) {
+      onNotify?.('Pick at least one working day', 'error');
+      return;
+    }
+    if (formData.holidays.some(holiday => !holiday.name.trim() || !holiday.date)) {
+      onNotify?.('Each holiday needs a name and a date', 'error');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      name: formData.name.trim(),
+      maintenanceTeam: formData.maintenanceTeam || null,
+      location: formData.location.trim() || null,
+      timezone: formData.timezone.trim(),
+      holidays: formData.holidays.map(holiday => ({
+        name: holiday.name.trim(),
+        date: holiday.date,
+        endDate: holiday.endDate || null,
+      })),
+    };
+
+    try {
+      setSaving(true);
+      const response = formModal.calendarId
+        ? await workingCalendarAPI.updateCalendar(formModal.calendarId, payload)
+        : await workingCalendarAPI.createCalendar(payload);
+      const refreshed = response.refreshedRequests ? ` ${response.refreshedRequests} open request(s) updated.` : '';
+      onNotify?.(`${response.message}${refreshed}`, 'success');
+      setFormModal({ isOpen: false, calendarId: null });
+      fetchCalendars();
+    } catch (error) {
+      console.error('Failed to save working calendar:', error);
+      onNotify?.(error.response?.data?.message || 'Failed to save working calendar', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await workingCalendarAPI.deleteCalendar(deleteDialog.calendar._id);
+      onNotify?.('Working calendar deleted', 'success');
+      setCalendars(prev => prev.filter(c => c._id !== deleteDialog.calendar._id));
+    } catch (error) {
+      onNotify?.(error.response?.data?.message || 'Failed to delete working calendar', 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <CalendarClock className="w-5 h-5 mr-2 text-gray-500" />
+          Working Calendars
+        </h3>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Calendar
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Requests turn overdue at the start of the first working day after their scheduled date, and SLA
+        and escalation hours only count working time. The most specific active calendar applies: team
+        and site, then team, then site, then the company-wide calendar.
+      </p>
+
+      {loading ? (
+        <LoadingSpinner size="sm" className="py-6" />
+      ) : calendars.length === 0 ? (
+        <p className="text-sm text-gray-500">No working calendars configured. Every hour of every day counts.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Working Time</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Holidays</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {calendars.map(calendar => (
+                <tr key={calendar._id} className={calendar.isActive ? '' : 'opacity-60'}>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {calendar.name}
+                    {!calendar.isActive && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{calendar.maintenanceTeam?.teamName || 'All teams'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{calendar.location || 'All sites'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {formatDays(calendar.workingDays)} · {calendar.workStart}–{calendar.workEnd}
+                    <span className="block text-xs text-gray-500">{calendar.timezone}</span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{calendar.holidays.length}</td>
+                  <td className="px-4 py-2 text-right">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        onClick={() => openForm(calendar)}
+                        className="text-gray-400 hover:text-blue-600"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, calendar })}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Calendar Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, calendarId: null })}
+        title={formModal.calendarId ? 'Edit Working Calendar' : 'New Working Calendar'}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={inputClass}
+              placeholder="e.g. Plant A - Day Shift"
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+              <select
+                value={formData.maintenanceTeam}
+                onChange={(e) => handleChange('maintenanceTeam', e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All teams</option>
+                {teams.map(team => (
+                  <option key={team._id} value={team._id}>{team.teamName}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Site</label>
+              <input
+                type="text"
+                list="working-calendar-sites"
+                value={formData.location}
+                onChange={(e) => handleChange('location', e.target.value)}
+                className={inputClass}
+                placeholder="All sites"
+              />
+              <datalist id="working-calendar-sites">
+                {sites.map(site => (
+                  <option key={site} value={site} />
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Time zone</label>
+              <input
+                type="text"
+                value={formData.timezone}
+                onChange={(e) => handleChange('timezone', e.target.value)}
+                className={inputClass}
+                placeholder="e.g. Europe/Berlin"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Working days</label>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.value}
+                  type="button"
+                  onClick={() => toggleDay(day.value)}
+                  className={`px-3 py-1.5 text-sm rounded-lg border ${
+                    formData.workingDays.includes(day.value)
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Work starts</label>
+              <input
+                type="time"
+                value={formData.workStart}
+                onChange={(e) => handleChange('workStart', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Work ends</label>
+              <input
+                type="time"
+                value={formData.workEnd}
+                onChange={(e) => handleChange('workEnd', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <label className="block text-sm font-medium text-gray-700">Holidays and shutdowns</label>
+              <button
+                type="button"
+                onClick={addHoliday}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add
+              </button>
+            </div>
+            {formData.holidays.length === 0 ? (
+              <p className="text-sm text-gray-500">No holidays. Leave the end date empty for a single day.</p>
+            ) : (
+              <div className="space-y-2">
+                {formData.holidays.map((holiday, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={holiday.name}
+                      onChange={(e) => handleHolidayChange(index, 'name', e.target.value)}
+                      className={inputClass}
+                      placeholder="Name"
+                    />
+                    <input
+                      type="date"
+                      value={holiday.date}
+                      onChange={(e) => handleHolidayChange(index, 'date', e.target.value)}
+                      className={inputClass}
+                    />
+                    <input
+                      type="date"
+                      value={holiday.endDate}
+                      min={holiday.date}
+                      onChange={(e) => handleHolidayChange(index, 'endDate', e.target.value)}
+                      className={inputClass}
+                      title="Last day (optional)"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeHoliday(index)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, calendarId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Calendar'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, calendar: null })}
+        onConfirm={handleDelete}
+        title="Delete Working Calendar"
+        message={`Delete "${deleteDialog.calendar?.name}"? Its open requests move to the next matching calendar; SLA due times already stamped are kept.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default WorkingCalendars;
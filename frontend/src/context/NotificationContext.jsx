@@ -1,10 +1,18 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import useAuth from '../hooks/useAuth';
+import useServerPoll from '../hooks/useServerPoll';
+import * as escalationAPI from '../api/escalation.api';
+import * as approvalAPI from '../api/approval.api';
+import * as disposalAPI from '../api/disposal.api';
+import { requestAPI } from '../api/request.api';
 
 /**
  * NotificationContext
  * Manages in-app notifications and audit trail
  * Stores data in localStorage for demo purposes
+ * Escalations raised by the server's escalation job are polled and added as notifications,
+ * as are approval decisions on and repairs of the user's own requests waiting for their rating
+ * and decisions on the disposals the user proposed
  */
 const NotificationContext = createContext();
 
@@ -62,6 +70,76 @@ export const NotificationProvider = ({ children }) => {
     setNotifications((prev) => [newNotification, ...prev]);
   };
 
+  /**
+   * localStorage key of a server poll's cursor, or null when the poll does not apply to the user
+   */
+  const pollKey = (name, applies) => (user && applies ? `gearguard_${name}_seen_${user._id}` : null);
+  const notifyUser = (notification) => addNotification({ ...notification, recipientId: user._id });
+
+  // Poll escalations addressed to the user (Users are never notified about escalations)
+  useServerPoll(pollKey('escalations', user?.role !== 'User'), {
+    fetch: escalationAPI.getEscalationNotices,
+    cursorOf: notice => notice.escalatedAt,
+    toNotification: notice => ({
+      type: 'request_escalated',
+      title: `Request Escalated (Level ${notice.level})`,
+      message: `"${notice.subject}" ${notice.condition === 'Overdue' ? 'is overdue' : 'is still untouched'}: ${notice.ruleName}`
+        + (notice.priorityTo !== notice.priorityFrom ? `. Priority raised to ${notice.priorityTo}` : ''),
+      entityType: 'request',
+      entityId: notice.request,
+    }),
+    notify: notifyUser,
+  });
+
+  // Poll approvals and rejections of the user's requests (only the User role's requests need approval)
+  useServerPoll(pollKey('approvals', user?.role === 'User'), {
+    fetch: approvalAPI.getApprovalDecisions,
+    cursorOf: request => request.approval.decidedAt,
+    toNotification: request => {
+      const approved = request.approval.status === 'Approved';
+      return {
+        type: approved ? 'request_approved' : 'request_rejected',
+        title: approved ? 'Request Approved' : 'Request Rejected',
+        message: approved
+          ? `Your request "${request.subject}" was approved.`
+          : `Your request "${request.subject}" was rejected: ${request.approval.reason}`,
+        entityType: 'request',
+        entityId: request._id,
+      };
+    },
+    notify: notifyUser,
+  });
+
+  // Poll decisions on the disposals the user proposed (Users cannot propose disposals)
+  useServerPoll(pollKey('disposals', user?.role !== 'User'), {
+    fetch: disposalAPI.getDisposalNotices,
+    cursorOf: notice => notice.at,
+    toNotification: notice => {
+      const name = notice.equipment?.equipmentName || 'Unknown';
+      const decisions = {
+        approve: { type: 'equipment_scrapped', title: 'Equipment Scrapped', message: `Scrapping "${name}" was approved.` },
+        reject: { type: 'disposal_rejected', title: 'Disposal Rejected', message: `Scrapping "${name}" was rejected: ${notice.note}` },
+        reverse: { type: 'disposal_reversed', title: 'Disposal Reversed', message: `"${name}" is back in service: ${notice.note}` },
+      };
+      return { ...decisions[notice.action], entityType: 'equipment', entityId: notice.equipment?._id };
+    },
+    notify: notifyUser,
+  });
+
+  // Poll repairs of the user's requests that wait for their feedback
+  useServerPoll(pollKey('feedback', true), {
+    fetch: requestAPI.getPendingFeedback,
+    cursorOf: request => request.feedback.requestedAt,
+    toNotification: request => ({
+      type: 'feedback_requested',
+      title: 'How Did the Repair Go?',
+      message: `"${request.subject}" was repaired${request.assignedTechnician ? ` by ${request.assignedTechnician.name}` : ''}. Rate the fix or tell us if it still fails.`,
+      entityType: 'request',
+      entityId: request._id,
+    }),
+    notify: notifyUser,
+  });
+
   /**
    * Mark notification as read
    * @param {string} notificationId
@@ -0,0 +1,41 @@
+import { useEffect, useRef } from 'react';
+
+// How often server notices (escalations, decisions, repairs waiting for feedback) are checked
+const SERVER_POLL_MS = 5 * 60 * 1000;
+
+/**
+ * Custom hook to poll a server notice endpoint and turn new items into notifications
+ * The cursor of the last item seen is kept in localStorage under storageKey and sent
+ * with the next request, so each item is notified once
+ * @param {string|null} storageKey - localStorage key of the cursor; null turns polling off
+ * @param {Object} options - { fetch(since), toNotification(item), cursorOf(item), notify(notification) }
+ */
+const useServerPoll = (storageKey, options) => {
+  // Always call the latest callbacks without restarting the timer on every render
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  useEffect(() => {
+    if (!storageKey) return undefined;
+
+    const check = async () => {
+      const { fetch, toNotification, cursorOf, notify } = optionsRef.current;
+      try {
+        const response = await fetch(localStorage.getItem(storageKey) || undefined);
+        const items = response.data || [];
+        items.forEach(item => notify(toNotification(item)));
+        if (items.length > 0) {
+          localStorage.setItem(storageKey, cursorOf(items[items.length - 1]));
+        }
+      } catch (error) {
+        console.error(`Failed to check server notices (${storageKey}):`, error);
+      }
+    };
+
+    check();
+    const timer = setInterval(check, SERVER_POLL_MS);
+    return () => clearInterval(timer);
+  }, [storageKey]);
+};
+
+export default useServerPoll;
@@ -1,20 +1,25 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Calendar as BigCalendar, momentLocalizer } from 'react-big-calendar';
 import moment from 'moment';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 import '../styles/calendar.css';
-import { Plus, AlertCircle, List } from 'lucide-react';
+import { Plus, AlertCircle, List, Rss } from 'lucide-react';
 import { requestAPI } from '../api/request.api';
 import useAuth from '../hooks/useAuth';
 import { canCreateMaintenanceRequest } from '../utils/rolePermissions';
+import { ROLES } from '../utils/constants';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Modal from '../components/Modal';
+import CalendarFeedModal from '../components/CalendarFeedModal';
 import { useToast } from '../components/Toast';
 
 // Setup the localizer for react-big-calendar
 const localizer = momentLocalizer(moment);
 
+// Share of the day's capacity at which the load indicator turns amber
+const BUSY_LOAD_RATIO = 0.8;
+
 /**
  * Calendar Component
  * Displays preventive maintenance requests on a calendar
@@ -25,6 +30,8 @@ const localizer = momentLocalizer(moment);
  * - Quick create (Admin/Manager only)
  * - Color-coded by priority
  * - Overdue indicators
+ * - Booked hours against technician capacity per day (month view, not for Users)
+ * - .ics subscription URL for external calendar apps
  */
 const Calendar = () => {
   const navigate = useNavigate();
@@ -36,6 +43,9 @@ const Calendar = () => {
   const [loading, setLoading] = useState(true);
   const [view, setView] = useState('month');
   const [date, setDate] = useState(new Date());
+  const [loads, setLoads] = useState([]);
+  const [feedModalOpen, setFeedModalOpen] = useState(false);
+  const canViewLoad = user.role !== ROLES.USER;
   const [quickCreateModal, setQuickCreateModal] = useState({
     isOpen: false,
     selectedDate: null
@@ -45,6 +55,10 @@ const Calendar = () => {
     fetchCalendarEvents();
   }, []);
 
+  useEffect(() => {
+    if (canViewLoad) fetchLoads();
+  }, [date]);
+
   const fetchCalendarEvents = async () => {
     try {
       setLoading(true);
@@ -77,6 +91,63 @@ const Calendar = () => {
     }
   };
 
+  // Technician load for the visible month, including the spill-over weeks
+  const fetchLoads = async () => {
+    try {
+      const response = await requestAPI.getCalendarLoad({
+        startDate: moment(date).startOf('month').subtract(7, 'days').format('YYYY-MM-DD'),
+        endDate: moment(date).endOf('month').add(8, 'days').format('YYYY-MM-DD')
+      });
+      setLoads(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch technician load:', error);
+    }
+  };
+
+  // Sum technician loads per day
+  const loadByDay = useMemo(() => {
+    const days = {};
+    loads.forEach(load => {
+      const day = days[load.date] || { bookedHours: 0, capacityHours: 0, overbooked: false, technicians: [] };
+      day.bookedHours += load.bookedHours;
+      day.capacityHours += load.capacityHours;
+      day.overbooked = day.overbooked || load.overbooked;
+      day.technicians.push(load);
+      days[load.date] = day;
+    });
+    return days;
+  }, [loads]);
+
+  const getLoadColor = (load) => {
+    if (load.overbooked) return 'bg-red-100 text-red-800';
+    if (load.bookedHours >= load.capacityHours * BUSY_LOAD_RATIO) return 'bg-yellow-100 text-yellow-800';
+    return 'bg-green-100 text-green-800';
+  };
+
+  // Month cell header with the day's booked hours against capacity
+  const DateHeader = ({ date: day, label, onDrillDown }) => {
+    const load = loadByDay[moment(day).format('YYYY-MM-DD')];
+    return (
+      <div className="flex items-center justify-between">
+        {load ? (
+          <span
+            className={`px-1.5 rounded text-xs font-medium ${getLoadColor(load)}`}
+            title={load.technicians
+              .map(t => `${t.technician.name}: ${t.bookedHours}/${t.capacityHours} h (${t.requests} request${t.requests === 1 ? '' : 's'})`)
+              .join('\n')}
+          >
+            {Math.round(load.bookedHours * 10) / 10}/{load.capacityHours} h
+          </span>
+        ) : (
+          <span />
+        )}
+        <button type="button" className="rbc-button-link" onClick={onDrillDown}>
+          {label}
+        </button>
+      </div>
+    );
+  };
+
   // Event click handler
   const handleSelectEvent = useCallback((event) => {
     navigate(`/maintenance/${event.id}`);
@@ -186,6 +257,13 @@ const Calendar = () => {
               <List className="w-5 h-5 mr-2" />
               List View
             </button>
+            <button
+              onClick={() => setFeedModalOpen(true)}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Rss className="w-5 h-5 mr-2" />
+              Subscribe
+            </button>
             {canCreateMaintenanceRequest(user.role) && (
               <button
                 onClick={() => navigate('/maintenance/new', { state: { requestType: 'Preventive' } })}
@@ -227,6 +305,14 @@ const Calendar = () => {
               <span className="text-sm text-gray-600">Overdue</span>
             </div>
           </div>
+          {canViewLoad && (
+            <div className="flex flex-wrap items-center gap-3 mt-3 pt-3 border-t border-gray-100">
+              <span className="text-sm text-gray-600">Booked / capacity hours per day:</span>
+              <span className="px-1.5 rounded text-xs font-medium bg-green-100 text-green-800">Available</span>
+              <span className="px-1.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">Nearly full</span>
+              <span className="px-1.5 rounded text-xs font-medium bg-red-100 text-red-800">Technician overbooked</span>
+            </div>
+          )}
         </div>
 
         {/* Instructions */}
@@ -276,7 +362,8 @@ const Calendar = () => {
             selectable={canCreateMaintenanceRequest(user.role)}
             eventPropGetter={eventStyleGetter}
             components={{
-              event: EventComponent
+              event: EventComponent,
+              month: canViewLoad ? { dateHeader: DateHeader } : {}
             }}
             views={['month', 'week', 'day']}
             popup
@@ -316,6 +403,12 @@ const Calendar = () => {
       </Modal>
 
       {/* Toast Container */}
+      <CalendarFeedModal
+        isOpen={feedModalOpen}
+        onClose={() => setFeedModalOpen(false)}
+        onNotify={showToast}
+      />
+
       <ToastContainer />
     </div>
   );
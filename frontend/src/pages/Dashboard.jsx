@@ -87,70 +87,41 @@ const Dashboard = ({ reportType, showHeader = true }) => {
       // Check if user has admin/manager role for full dashboard
       const hasFullAccess = isAdminOrManager(user?.role);
 
-      if (hasFullAccess) {
-        // Fetch all data in parallel for Admin/Manager
-        const [requests, equipment, teamReports, categoryReports] = await Promise.all([
-          requestAPI.getAllRequests(buildFilterParams()),
-          equipmentAPI.getAllEquipment(),
-          reportAPI.getReportsByTeam(),
-          reportAPI.getReportsByCategory(),
-        ]);
-
-        // Calculate KPIs
-        const openRequests = requests.filter(
-          (r) => r.stage === 'New' || r.stage === 'In Progress'
-        ).length;
-        const overdueRequests = requests.filter((r) => r.isOverdue).length;
-        const scrappedEquipment = equipment.filter((e) => !e.isActive).length;
-
-        setKpiData({
-          totalRequests: requests.length,
-          openRequests,
-          overdueRequests,
-          scrappedEquipment,
-        });
+      // KPIs are counted by the server; only the scrapped equipment total is needed
+      const [summaryResponse, scrappedResponse, teamReports, categoryReports] = await Promise.all([
+        requestAPI.getRequestSummary(buildFilterParams()),
+        equipmentAPI.getAllEquipment({ isActive: false, limit: 1, fields: 'equipmentName' }),
+        hasFullAccess ? reportAPI.getReportsByTeam() : null,
+        hasFullAccess ? reportAPI.getReportsByCategory() : null,
+      ]);
+      const summary = summaryResponse.data;
+
+      setKpiData({
+        totalRequests: summary.totalRequests,
+        openRequests: summary.openRequests,
+        overdueRequests: summary.overdueRequests,
+        scrappedEquipment: scrappedResponse.total || 0,
+      });
 
+      if (hasFullAccess) {
         // Process team data
-        const teamData = teamReports.map((item) => ({
+        const teamData = (teamReports.data || []).map((item) => ({
           name: item.teamName || 'Unassigned',
-          requests: item.count,
+          requests: item.totalRequests,
         }));
 
         // Process category data
-        const categoryData = categoryReports.map((item) => ({
+        const categoryData = (categoryReports.data || []).map((item) => ({
           name: item.category || 'Unknown',
-          value: item.count,
+          value: item.totalRequests,
         }));
 
-        // Process over time data (group by month)
-        const overTimeData = processOverTimeData(requests);
-
         setChartData({
           byTeam: teamData,
           byCategory: categoryData,
-          overTime: overTimeData,
+          overTime: summary.byMonth,
         });
       } else {
-        // For User/Technician: only fetch basic data without reports
-        const [requests, equipment] = await Promise.all([
-          requestAPI.getAllRequests(buildFilterParams()),
-          equipmentAPI.getAllEquipment(),
-        ]);
-
-        // Calculate basic KPIs
-        const openRequests = requests.filter(
-          (r) => r.stage === 'New' || r.stage === 'In Progress'
-        ).length;
-        const overdueRequests = requests.filter((r) => r.isOverdue).length;
-        const scrappedEquipment = equipment.filter((e) => !e.isActive).length;
-
-        setKpiData({
-          totalRequests: requests.length,
-          openRequests,
-          overdueRequests,
-          scrappedEquipment,
-        });
-
         // No chart data for basic users
         setChartData({
           byTeam: [],
@@ -174,25 +145,6 @@ const Dashboard = ({ reportType, showHeader = true }) => {
     return params;
   };
 
-  const processOverTimeData = (requests) => {
-    // Group requests by month
-    const grouped = {};
-    requests.forEach((req) => {
-      const date = new Date(req.createdAt);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      grouped[monthKey] = (grouped[monthKey] || 0) + 1;
-    });
-
-    // Convert to array and sort
-    return Object.keys(grouped)
-      .sort()
-      .slice(-6) // Last 6 months
-      .map((key) => ({
-        month: key,
-        requests: grouped[key],
-      }));
-  };
-
   const handleFilterChange = (filterName, value) => {
     setFilters((prev) => ({ ...prev, [filterName]: value }));
   };
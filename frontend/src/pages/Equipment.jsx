@@ -7,10 +7,13 @@ import { canManageEquipment, canDelete } from '../utils/rolePermissions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { useToast } from '../components/Toast';
 import ConfirmDialog from '../components/ConfirmDialog';
+import Pagination from '../components/Pagination';
+import SortableHeader from '../components/SortableHeader';
 
 /**
  * Equipment List Page
  * Display and manage all equipment
+ * Search, filters, sorting and paging are done by the server
  * 
  * @param {string} filterByOwnership - Filter by Department or Employee
  * @param {string} groupBy - Group results by 'department' or 'employee'
@@ -25,35 +28,65 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
   const [equipment, setEquipment] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [categories, setCategories] = useState([]);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [equipmentToDelete, setEquipmentToDelete] = useState(null);
 
+  // Server-side paging and sorting
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
+  // Department groups stay together across pages
+  const [sort, setSort] = useState(groupBy === 'department' ? 'department' : '-createdAt');
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+
   // Permissions
   const canManage = canManageEquipment(user?.role);
   const canDeleteEquipment = canDelete(user?.role);
 
-  // Fetch equipment on mount
+  // Load category options once
   useEffect(() => {
-    fetchEquipment();
+    fetchCategories();
   }, []);
 
-  // Fetch equipment from API
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Refetch when filters, paging or sort change
+  useEffect(() => {
+    fetchEquipment();
+  }, [categoryFilter, statusFilter, debouncedSearch, page, limit, sort, filterByOwnership]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await equipmentAPI.getEquipmentCategories();
+      setCategories(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch categories:', error);
+    }
+  };
+
+  // Fetch one page of equipment from API
   const fetchEquipment = async () => {
     try {
       setLoading(true);
-      const params = {};
+      const params = { page, limit, sort };
       if (categoryFilter) params.category = categoryFilter;
       if (statusFilter) params.isActive = statusFilter === 'active';
+      if (debouncedSearch) params.search = debouncedSearch;
+      if (filterByOwnership) params.ownershipType = filterByOwnership;
 
       const response = await equipmentAPI.getAllEquipment(params);
-      setEquipment(response.data);
-
-      // Extract unique categories
-      const uniqueCategories = [...new Set(response.data.map((item) => item.category))];
-      setCategories(uniqueCategories);
+      setEquipment(response.data || []);
+      setPagination({ total: response.total || 0, totalPages: response.totalPages || 0 });
     } catch (error) {
       showToast(error.response?.data?.message || 'Failed to fetch equipment', 'error');
     } finally {
@@ -61,38 +94,30 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
     }
   };
 
-  // Refetch when filters change
-  useEffect(() => {
-    fetchEquipment();
-  }, [categoryFilter, statusFilter]);
-
-  // Filter equipment by search term and ownership
-  let filteredEquipment = equipment.filter((item) => {
-    const searchLower = searchTerm.toLowerCase();
-    const matchesSearch = (
-      item.equipmentName?.toLowerCase().includes(searchLower) ||
-      item.serialNumber?.toLowerCase().includes(searchLower)
-    );
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
 
-    // Apply ownership filter if specified
-    if (filterByOwnership === 'Department') {
-      return matchesSearch && item.ownership === 'Department';
-    } else if (filterByOwnership === 'Employee') {
-      return matchesSearch && item.ownership === 'Employee';
-    }
+  const handleSort = (value) => {
+    setSort(value);
+    setPage(1);
+  };
 
-    return matchesSearch;
-  });
+  const handleLimitChange = (value) => {
+    setLimit(value);
+    setPage(1);
+  };
 
   // Group equipment if groupBy is specified
   const groupedEquipment = {};
   if (groupBy) {
-    filteredEquipment.forEach((item) => {
+    equipment.forEach((item) => {
       let groupKey;
       if (groupBy === 'department') {
         groupKey = item.department || 'Unassigned';
       } else if (groupBy === 'employee') {
-        groupKey = item.assignedTo || 'Unassigned';
+        groupKey = item.assignedEmployee?.name || 'Unassigned';
       }
       
       if (!groupedEquipment[groupKey]) {
@@ -163,7 +188,7 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
           <div>
             <select
               value={categoryFilter}
-              onChange={(e) => setCategoryFilter(e.target.value)}
+              onChange={(e) => handleFilterChange(setCategoryFilter)(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
             >
               <option value="">All Categories</option>
@@ -179,7 +204,7 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
           <div>
             <select
               value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
+              onChange={(e) => handleFilterChange(setStatusFilter)(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
             >
               <option value="">All Status</option>
@@ -198,7 +223,7 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
       ) : (
         <>
           {/* Equipment Display - Grouped or Table */}
-          {filteredEquipment.length > 0 ? (
+          {equipment.length > 0 ? (
             groupBy ? (
               /* Grouped View */
               <div className="space-y-6">
@@ -312,31 +337,21 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
                   <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50">
                       <tr>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Equipment Name
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Serial Number
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Category
-                        </th>
+                        <SortableHeader label="Equipment Name" field="equipmentName" sort={sort} onSort={handleSort} />
+                        <SortableHeader label="Serial Number" field="serialNumber" sort={sort} onSort={handleSort} />
+                        <SortableHeader label="Category" field="category" sort={sort} onSort={handleSort} />
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Ownership
                         </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Location
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Status
-                        </th>
+                        <SortableHeader label="Location" field="location" sort={sort} onSort={handleSort} />
+                        <SortableHeader label="Status" field="isActive" sort={sort} onSort={handleSort} />
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Actions
                         </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                      {filteredEquipment.map((item) => (
+                      {equipment.map((item) => (
                         <tr
                           key={item._id}
                           className="hover:bg-gray-50 cursor-pointer transition-colors"
@@ -431,6 +446,18 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
               )}
             </div>
           )}
+          {pagination.total > 0 && (
+            <div className="mt-4 bg-white rounded-lg shadow overflow-hidden">
+              <Pagination
+                page={page}
+                totalPages={pagination.totalPages}
+                total={pagination.total}
+                limit={limit}
+                onPageChange={setPage}
+                onLimitChange={handleLimitChange}
+              />
+            </div>
+          )}
         </>
       )}
 
@@ -440,7 +467,7 @@ const Equipment = ({ filterByOwnership, groupBy, showHeader = true }) => {
         onClose={() => setDeleteDialogOpen(false)}
         onConfirm={handleDelete}
         title="Delete Equipment"
-        message={`Are you sure you want to delete "${equipmentToDelete?.equipmentName}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${equipmentToDelete?.equipmentName}"? It will be moved to the trash, where an Admin can restore it.`}
         confirmText="Delete"
         type="danger"
       />
@@ -10,12 +10,18 @@ import {
   Shield,
   Users,
   ClipboardList,
+  DollarSign,
 } from 'lucide-react';
 import * as equipmentAPI from '../api/equipment.api';
+import * as reportAPI from '../api/report.api';
 import useAuth from '../hooks/useAuth';
 import { useNotifications } from '../context/NotificationContext';
-import { canManageEquipment, canDelete } from '../utils/rolePermissions';
+import { canManageEquipment, canDelete, canUploadEquipmentFiles, canViewReports, canProposeDisposal, canApproveDisposal } from '../utils/rolePermissions';
+import { formatCurrency } from '../utils/currency';
 import LoadingSpinner from '../components/LoadingSpinner';
+import AttachmentGallery from '../components/AttachmentGallery';
+import MaintenancePlans from '../components/MaintenancePlans';
+import EquipmentDisposals from '../components/EquipmentDisposals';
 import { useToast } from '../components/Toast';
 import ConfirmDialog from '../components/ConfirmDialog';
 
@@ -35,15 +41,18 @@ const EquipmentDetail = () => {
   const [loading, setLoading] = useState(true);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [openRequestsCount, setOpenRequestsCount] = useState(0);
+  const [maintenanceCosts, setMaintenanceCosts] = useState(null);
 
   // Permissions
   const canManage = canManageEquipment(user?.role);
   const canDeleteEquipment = canDelete(user?.role);
+  const canViewCosts = canViewReports(user?.role);
 
   // Fetch equipment details
   useEffect(() => {
     fetchEquipmentDetails();
     fetchOpenRequests();
+    if (canViewCosts) fetchCosts();
   }, [id]);
 
   const fetchEquipmentDetails = async () => {
@@ -69,6 +78,16 @@ const EquipmentDetail = () => {
     }
   };
 
+  const fetchCosts = async () => {
+    try {
+      const response = await reportAPI.getCostReport({ groupBy: 'equipment', equipmentId: id });
+      setMaintenanceCosts(response.totals);
+    } catch (error) {
+      // Silent fail for cost card
+      console.error('Failed to fetch equipment costs:', error);
+    }
+  };
+
   // Handle delete
   const handleDelete = async () => {
     try {
@@ -261,6 +280,46 @@ const EquipmentDetail = () => {
             </div>
           </div>
 
+          {/* Cost of Ownership */}
+          {canViewCosts && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <DollarSign className="h-5 w-5 text-gray-400 mr-2" />
+                Cost of Ownership
+              </h2>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Purchase</span>
+                  <span className="text-gray-900">{formatCurrency(equipment.purchaseCost)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Labor</span>
+                  <span className="text-gray-900">{formatCurrency(maintenanceCosts?.laborCost)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Parts</span>
+                  <span className="text-gray-900">{formatCurrency(maintenanceCosts?.partsCost)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">External</span>
+                  <span className="text-gray-900">{formatCurrency(maintenanceCosts?.externalCost)}</span>
+                </div>
+                <div className="flex justify-between pt-2 border-t border-gray-200">
+                  <span className="text-gray-500">
+                    Maintenance ({maintenanceCosts?.totalRequests || 0} requests)
+                  </span>
+                  <span className="font-medium text-gray-900">{formatCurrency(maintenanceCosts?.totalCost)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="font-semibold text-gray-900">Total</span>
+                  <span className="text-lg font-bold text-primary-600">
+                    {formatCurrency((equipment.purchaseCost || 0) + (maintenanceCosts?.totalCost || 0))}
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Maintenance Team */}
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Maintenance Team</h2>
@@ -285,6 +344,31 @@ const EquipmentDetail = () => {
               </div>
             </div>
           </div>
+
+          {/* Preventive Maintenance Plans */}
+          <MaintenancePlans
+            equipmentId={id}
+            equipmentActive={equipment.isActive}
+            canManage={canManage}
+            onNotify={showToast}
+          />
+
+          {/* Disposal */}
+          <EquipmentDisposals
+            equipment={equipment}
+            canPropose={canProposeDisposal(user?.role)}
+            canApprove={canApproveDisposal(user?.role)}
+            onNotify={showToast}
+          />
+
+          {/* Photos and Files */}
+          <AttachmentGallery
+            entityType="equipment"
+            entityId={id}
+            user={user}
+            canUpload={canUploadEquipmentFiles(user?.role)}
+            onError={(message) => showToast(message, 'error')}
+          />
         </div>
 
         {/* Right Column - Actions & Stats */}
@@ -346,7 +430,7 @@ const EquipmentDetail = () => {
         onClose={() => setDeleteDialogOpen(false)}
         onConfirm={handleDelete}
         title="Delete Equipment"
-        message={`Are you sure you want to delete "${equipment.equipmentName}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${equipment.equipmentName}"? It will be moved to the trash, where an Admin can restore it.`}
         confirmText="Delete"
         type="danger"
       />
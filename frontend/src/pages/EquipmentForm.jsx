@@ -28,6 +28,7 @@ const EquipmentForm = () => {
     serialNumber: '',
     category: '',
     purchaseDate: '',
+    purchaseCost: '',
     warrantyExpiryDate: '',
     location: '',
     ownershipType: OWNERSHIP_TYPES.DEPARTMENT,
@@ -74,6 +75,7 @@ const EquipmentForm = () => {
           serialNumber: equipment.serialNumber || '',
           category: equipment.category || '',
           purchaseDate: equipment.purchaseDate ? equipment.purchaseDate.split('T')[0] : '',
+          purchaseCost: equipment.purchaseCost || '',
           warrantyExpiryDate: equipment.warrantyExpiryDate
             ? equipment.warrantyExpiryDate.split('T')[0]
             : '',
@@ -178,6 +180,9 @@ const EquipmentForm = () => {
       if (formData.warrantyExpiryDate) {
         submitData.warrantyExpiryDate = formData.warrantyExpiryDate;
       }
+      if (formData.purchaseCost !== '') {
+        submitData.purchaseCost = Number(formData.purchaseCost);
+      }
 
       // Add conditional fields based on ownership type
       if (formData.ownershipType === OWNERSHIP_TYPES.DEPARTMENT) {
@@ -334,6 +339,21 @@ const EquipmentForm = () => {
             />
           </div>
 
+          {/* Purchase Cost */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Purchase Cost</label>
+            <input
+              type="number"
+              name="purchaseCost"
+              min="0"
+              step="0.01"
+              value={formData.purchaseCost}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              placeholder="0.00"
+            />
+          </div>
+
           {/* Warranty Expiry Date */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
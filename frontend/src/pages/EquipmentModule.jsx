@@ -1,10 +1,13 @@
 import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Package, Building, User, List } from 'lucide-react';
+import { Package, Building, User, List, Boxes, Recycle } from 'lucide-react';
 import useAuth from '../hooks/useAuth';
+import { useToast } from '../components/Toast';
+import DisposalQueue from '../components/DisposalQueue';
 
 // Import existing page component
 import Equipment from './Equipment';
+import Parts from './Parts';
 
 /**
  * EquipmentModule Component
@@ -14,6 +17,8 @@ import Equipment from './Equipment';
  * 1. All Equipment - Complete equipment list with CRUD
  * 2. By Department - Equipment grouped by department
  * 3. By Employee - Equipment assigned to employees
+ * 4. Spare Parts - Parts catalog, stock levels and reorder alerts
+ * 5. Disposals - Proposals to scrap equipment, approval and reversal
  */
 const EquipmentModule = () => {
   const navigate = useNavigate();
@@ -25,6 +30,8 @@ const EquipmentModule = () => {
     const path = location.pathname;
     if (path.includes('/equipment/by-department')) return 'by-department';
     if (path.includes('/equipment/by-employee')) return 'by-employee';
+    if (path.includes('/equipment/parts')) return 'parts';
+    if (path.includes('/equipment/disposals')) return 'disposals';
     return 'all';
   };
 
@@ -49,6 +56,18 @@ const EquipmentModule = () => {
       label: 'By Employee',
       icon: User,
       roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'parts',
+      label: 'Spare Parts',
+      icon: Boxes,
+      roles: ['Admin', 'Manager', 'Technician']
+    },
+    {
+      id: 'disposals',
+      label: 'Disposals',
+      icon: Recycle,
+      roles: ['Admin', 'Manager']
     }
   ];
 
@@ -63,7 +82,9 @@ const EquipmentModule = () => {
     const paths = {
       'all': '/equipment',
       'by-department': '/equipment/by-department',
-      'by-employee': '/equipment/by-employee'
+      'by-employee': '/equipment/by-employee',
+      'parts': '/equipment/parts',
+      'disposals': '/equipment/disposals'
     };
     
     navigate(paths[tabId], { replace: true });
@@ -78,6 +99,10 @@ const EquipmentModule = () => {
         return <ByDepartment />;
       case 'by-employee':
         return <ByEmployee />;
+      case 'parts':
+        return <Parts showHeader={false} />;
+      case 'disposals':
+        return <Disposals />;
       default:
         return <Equipment showHeader={false} />;
     }
@@ -157,4 +182,25 @@ const ByEmployee = () => {
   );
 };
 
+/**
+ * Disposals Component
+ * Proposals to scrap equipment waiting for approval, and past decisions
+ */
+const Disposals = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Equipment Disposals</h2>
+        <p className="mt-2 text-gray-600">
+          Equipment is only retired once a disposal is approved
+        </p>
+      </div>
+      <DisposalQueue onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
 export default EquipmentModule;
@@ -18,25 +18,31 @@ import { ArrowLeft, Search, Filter, List, Calendar } from 'lucide-react';
 import { requestAPI } from '../api/request.api';
 import useAuth from '../hooks/useAuth';
 import { useNotifications } from '../context/NotificationContext';
-import { canUpdateStage } from '../utils/rolePermissions';
+import { canUpdateStage, getAllowedStageTransitions, isAdminOrManager } from '../utils/rolePermissions';
+import { ROLES, AWAITING_APPROVAL } from '../utils/constants';
 import LoadingSpinner from '../components/LoadingSpinner';
 import KanbanCard from '../components/KanbanCard';
 import ConfirmDialog from '../components/ConfirmDialog';
+import BulkActionBar from '../components/BulkActionBar';
 import { useToast } from '../components/Toast';
 
 /**
  * DroppableColumn Component
  * Wrapper for each Kanban column to make it a drop target
  */
-const DroppableColumn = ({ stage, children, stageColor, headerColor, count }) => {
-  const { setNodeRef } = useDroppable({
+const DroppableColumn = ({ stage, children, stageColor, headerColor, count, isDisabled, isHighlighted }) => {
+  const { setNodeRef, isOver } = useDroppable({
     id: stage,
+    disabled: isDisabled,
   });
 
   return (
     <div
       ref={setNodeRef}
-      className={`flex flex-col rounded-lg border-2 overflow-hidden ${stageColor}`}
+      className={`flex flex-col rounded-lg border-2 overflow-hidden transition-opacity ${stageColor}
+        ${isDisabled ? 'opacity-40' : ''}
+        ${isHighlighted ? 'ring-2 ring-blue-400' : ''}
+        ${isHighlighted && isOver ? 'ring-4' : ''}`}
     >
       {/* Column Header */}
       <div className={`${headerColor} text-white px-4 py-3 flex justify-between items-center`}>
@@ -60,6 +66,7 @@ const DroppableColumn = ({ stage, children, stageColor, headerColor, count }) =>
  * - Role-based visibility and permissions
  * - Filters and search
  * - Scrap confirmation dialog
+ * - Multi-select with bulk actions
  */
 const Kanban = () => {
   const navigate = useNavigate();
@@ -75,6 +82,7 @@ const Kanban = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [scrapDialog, setScrapDialog] = useState({ isOpen: false, requestId: null, fromStage: '' });
+  const [selectedIds, setSelectedIds] = useState([]);
 
   // Filter states
   const [filters, setFilters] = useState({
@@ -114,7 +122,8 @@ const Kanban = () => {
   const fetchRequests = async () => {
     try {
       setLoading(true);
-      const data = await requestAPI.getAllRequests();
+      const response = await requestAPI.getAllRequests();
+      const data = response.data || [];
       setRequests(data);
 
       // Extract unique values for filters
@@ -179,26 +188,9 @@ const Kanban = () => {
     return canUpdateStage(user.role);
   };
 
-  // Validate stage transition
+  // Validate stage transition against the workflow enforced by the API
   const isValidTransition = (fromStage, toStage) => {
-    // Can't move from Scrap
-    if (fromStage === 'Scrap') {
-      return false;
-    }
-
-    // Allow moving to Scrap from any stage (with confirmation)
-    if (toStage === 'Scrap') {
-      return true;
-    }
-
-    // Standard workflow transitions
-    const validTransitions = {
-      'New': ['In Progress'],
-      'In Progress': ['Repaired'],
-      'Repaired': [] // Can't move from Repaired except to Scrap
-    };
-
-    return validTransitions[fromStage]?.includes(toStage) || false;
+    return getAllowedStageTransitions(fromStage, user.role).includes(toStage);
   };
 
   const handleDragStart = (event) => {
@@ -279,19 +271,6 @@ const Kanban = () => {
         recipientIds.push(request.assignedTo._id);
       }
       
-      // Special handling for Scrap stage
-      if (newStage === 'Scrap') {
-        // Notify admins/managers about equipment scrap
-        addNotification({
-          type: 'equipment_scrapped',
-          title: 'Equipment Scrapped',
-          message: `Equipment "${request?.equipment?.name || 'Unknown'}" has been marked as scrapped via maintenance request`,
-          entityType: 'equipment',
-          entityId: request?.equipment?._id,
-          recipientRoles: ['Admin', 'Manager']
-        });
-      }
-      
       if (recipientIds.length > 0) {
         addNotification({
           type: 'stage_updated',
@@ -317,6 +296,22 @@ const Kanban = () => {
     navigate(`/maintenance/${requestId}`);
   };
 
+  // Technicians may bulk-change their assigned requests; the API checks each one
+  const canSelect = isAdminOrManager(user.role) || user.role === ROLES.TECHNICIAN;
+
+  const toggleSelected = (requestId) => {
+    setSelectedIds(prev => (
+      prev.includes(requestId) ? prev.filter(id => id !== requestId) : [...prev, requestId]
+    ));
+  };
+
+  const handleBulkComplete = (response) => {
+    const failedIds = response.results.filter(result => !result.success).map(result => result.id);
+    // Keep failed requests selected so they can be retried
+    setSelectedIds(failedIds);
+    fetchRequests();
+  };
+
   const getStageColor = (stage) => {
     const colors = {
       'New': 'bg-blue-50 border-blue-200',
@@ -339,6 +334,11 @@ const Kanban = () => {
 
   const activeRequest = activeId ? requests.find(r => r._id === activeId) : null;
 
+  // While dragging, only the current column and legal targets accept drops
+  const allowedTargets = activeRequest
+    ? getAllowedStageTransitions(activeRequest.stage, user.role)
+    : [];
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -466,6 +466,18 @@ const Kanban = () => {
         </div>
       )}
 
+      {/* Bulk Actions */}
+      {canSelect && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          requests={requests}
+          user={user}
+          onComplete={handleBulkComplete}
+          onClear={() => setSelectedIds([])}
+          onNotify={showToast}
+        />
+      )}
+
       {/* Kanban Board */}
       <div className="flex-1 overflow-hidden">
         <DndContext
@@ -477,7 +489,9 @@ const Kanban = () => {
           <div className="grid grid-cols-4 gap-4 h-full">
             {stages.map(stage => {
               const stageRequests = getRequestsByStage(stage);
-              const isDraggable = canDrag() && stage !== 'Scrap';
+              const isDraggable = canDrag() && getAllowedStageTransitions(stage, user.role).length > 0;
+              const isLegalTarget = activeRequest && allowedTargets.includes(stage);
+              const isDropDisabled = Boolean(activeRequest) && activeRequest.stage !== stage && !isLegalTarget;
 
               return (
                 <DroppableColumn
@@ -486,6 +500,8 @@ const Kanban = () => {
                   stageColor={getStageColor(stage)}
                   headerColor={getStageHeaderColor(stage)}
                   count={stageRequests.length}
+                  isDisabled={isDropDisabled}
+                  isHighlighted={isLegalTarget}
                 >
                   {/* Sortable Items */}
                   <SortableContext
@@ -502,8 +518,10 @@ const Kanban = () => {
                           <KanbanCard
                             key={request._id}
                             request={request}
-                            isDraggable={isDraggable}
+                            isDraggable={isDraggable && !AWAITING_APPROVAL.includes(request.approval?.status)}
                             onClick={() => handleCardClick(request._id)}
+                            isSelected={selectedIds.includes(request._id)}
+                            onToggleSelect={canSelect ? () => toggleSelected(request._id) : undefined}
                           />
                         ))
                       )}
@@ -535,8 +553,8 @@ const Kanban = () => {
         onClose={() => setScrapDialog({ isOpen: false, requestId: null, fromStage: '', subject: '' })}
         onConfirm={confirmScrapMove}
         title="Confirm Scrap"
-        message={`Are you sure you want to scrap "${scrapDialog.subject}"? This will permanently deactivate the associated equipment. This action should only be used when equipment is beyond repair.`}
-        confirmText="Yes, Scrap Equipment"
+        message={`Are you sure you want to scrap "${scrapDialog.subject}"? This closes the request without a repair. The equipment stays in service until a disposal for it is approved.`}
+        confirmText="Yes, Scrap Request"
         confirmButtonClass="bg-red-600 hover:bg-red-700"
       />
 
@@ -2,11 +2,16 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Plus, Search, Filter, Eye, Edit, Trash2, AlertCircle, Columns, Calendar } from 'lucide-react';
 import { requestAPI } from '../api/request.api';
+import * as equipmentAPI from '../api/equipment.api';
 import useAuth from '../hooks/useAuth';
-import { canCreateMaintenanceRequest, canEditMaintenanceRequest, canDeleteMaintenanceRequest } from '../utils/rolePermissions';
+import { canCreateMaintenanceRequest, canEditMaintenanceRequest, canDeleteMaintenanceRequest, isAdminOrManager } from '../utils/rolePermissions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ConfirmDialog from '../components/ConfirmDialog';
+import Pagination from '../components/Pagination';
+import SortableHeader from '../components/SortableHeader';
+import BulkActionBar from '../components/BulkActionBar';
 import { useToast } from '../components/Toast';
+import { REQUEST_STAGES, REQUEST_TYPES, PRIORITIES, ROLES } from '../utils/constants';
 
 /**
  * Maintenance Requests List Page
@@ -14,7 +19,9 @@ import { useToast } from '../components/Toast';
  * - View all maintenance requests with role-based filtering
  * - Search by subject or equipment name
  * - Filter by stage, request type, priority, and category
+ * - Server-side search, filtering, sorting and paging
  * - Create, view, edit, delete requests (role-based)
+ * - Multi-select with bulk stage, priority, schedule, assignment and delete actions
  * - Overdue indicator
  * 
  * @param {string} filterByUser - Filter to show only requests for specific user
@@ -28,11 +35,12 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
 
   // State
   const [requests, setRequests] = useState([]);
-  const [filteredRequests, setFilteredRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, requestId: null, subject: '' });
+  const [selectedIds, setSelectedIds] = useState([]);
 
   // Filter states
   const [filters, setFilters] = useState({
@@ -42,42 +50,68 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
     category: ''
   });
 
-  // Available filter options (will be populated from data)
-  const [filterOptions, setFilterOptions] = useState({
-    stages: [],
-    requestTypes: [],
-    priorities: [],
-    categories: []
-  });
+  // Server-side paging and sorting
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
+  const [sort, setSort] = useState('-createdAt');
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+
+  // Filter options
+  const [categories, setCategories] = useState([]);
+  const filterOptions = {
+    stages: Object.values(REQUEST_STAGES),
+    requestTypes: Object.values(REQUEST_TYPES),
+    priorities: Object.values(PRIORITIES),
+    categories
+  };
 
-  // Fetch requests on mount
+  // Load category options once
   useEffect(() => {
-    fetchRequests();
+    fetchCategories();
   }, []);
 
-  // Apply filters and search whenever they change
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Refetch whenever filters, paging or sort change; the selection only covers the visible page
   useEffect(() => {
-    applyFilters();
-  }, [searchTerm, filters, requests, filterByUser, filterOverdue]);
+    setSelectedIds([]);
+    fetchRequests();
+  }, [debouncedSearch, filters, page, limit, sort, filterByUser, filterOverdue]);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await equipmentAPI.getEquipmentCategories();
+      setCategories(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch categories:', error);
+    }
+  };
+
+  const buildParams = () => {
+    const params = { page, limit, sort };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (filters.stage) params.stage = filters.stage;
+    if (filters.requestType) params.requestType = filters.requestType;
+    if (filters.priority) params.priority = filters.priority;
+    if (filters.category) params.category = filters.category;
+    if (filterByUser) params.userId = filterByUser;
+    if (filterOverdue) params.overdue = true;
+    return params;
+  };
 
   const fetchRequests = async () => {
     try {
       setLoading(true);
-      const data = await requestAPI.getAllRequests();
-      setRequests(data);
-      
-      // Extract unique values for filters
-      const stages = [...new Set(data.map(r => r.stage))];
-      const requestTypes = [...new Set(data.map(r => r.requestType))];
-      const priorities = [...new Set(data.map(r => r.priority))];
-      const categories = [...new Set(data.map(r => r.equipmentCategory).filter(Boolean))];
-      
-      setFilterOptions({
-        stages,
-        requestTypes,
-        priorities,
-        categories
-      });
+      const response = await requestAPI.getAllRequests(buildParams());
+      setRequests(response.data || []);
+      setPagination({ total: response.total || 0, totalPages: response.totalPages || 0 });
     } catch (error) {
       console.error('Failed to fetch requests:', error);
       showToast('Failed to load maintenance requests', 'error');
@@ -86,58 +120,9 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
     }
   };
 
-  const applyFilters = () => {
-    let filtered = [...requests];
-
-    // Apply prop-based filters first
-    if (filterByUser) {
-      filtered = filtered.filter(req => 
-        req.createdBy?._id === filterByUser || req.assignedTo?._id === filterByUser
-      );
-    }
-
-    if (filterOverdue) {
-      const now = new Date();
-      filtered = filtered.filter(req => {
-        if (!req.scheduledDate) return false;
-        return new Date(req.scheduledDate) < now && req.stage !== 'Repaired' && req.stage !== 'Scrap';
-      });
-    }
-
-    // Search filter
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(req =>
-        req.subject.toLowerCase().includes(term) ||
-        req.equipment?.name.toLowerCase().includes(term)
-      );
-    }
-
-    // Stage filter
-    if (filters.stage) {
-      filtered = filtered.filter(req => req.stage === filters.stage);
-    }
-
-    // Request type filter
-    if (filters.requestType) {
-      filtered = filtered.filter(req => req.requestType === filters.requestType);
-    }
-
-    // Priority filter
-    if (filters.priority) {
-      filtered = filtered.filter(req => req.priority === filters.priority);
-    }
-
-    // Category filter
-    if (filters.category) {
-      filtered = filtered.filter(req => req.equipmentCategory === filters.category);
-    }
-
-    setFilteredRequests(filtered);
-  };
-
   const handleFilterChange = (filterName, value) => {
     setFilters(prev => ({ ...prev, [filterName]: value }));
+    setPage(1);
   };
 
   const clearFilters = () => {
@@ -148,6 +133,39 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
       category: ''
     });
     setSearchTerm('');
+    setPage(1);
+  };
+
+  const handleSort = (value) => {
+    setSort(value);
+    setPage(1);
+  };
+
+  const handleLimitChange = (value) => {
+    setLimit(value);
+    setPage(1);
+  };
+
+  const hasActiveFilters = Boolean(debouncedSearch) || Object.values(filters).some(Boolean);
+
+  // Technicians may bulk-change their assigned requests; the API checks each one
+  const canSelect = isAdminOrManager(user.role) || user.role === ROLES.TECHNICIAN;
+  const allSelected = requests.length > 0 && requests.every(request => selectedIds.includes(request._id));
+
+  const toggleSelected = (requestId) => {
+    setSelectedIds(prev => (
+      prev.includes(requestId) ? prev.filter(id => id !== requestId) : [...prev, requestId]
+    ));
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : requests.map(request => request._id));
+  };
+
+  const handleBulkComplete = (response) => {
+    // Keep failed requests selected so they can be retried
+    setSelectedIds(response.results.filter(result => !result.success).map(result => result.id));
+    fetchRequests();
   };
 
   const handleDelete = async () => {
@@ -192,10 +210,6 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
     });
   };
 
-  if (loading) {
-    return <LoadingSpinner />;
-  }
-
   return (
     <div className="p-6">
       {/* Header */}
@@ -326,19 +340,28 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
         )}
       </div>
 
-      {/* Results count */}
-      <div className="mb-4 text-sm text-gray-600">
-        Showing {filteredRequests.length} of {requests.length} requests
-      </div>
+      {/* Bulk Actions */}
+      {canSelect && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          requests={requests}
+          user={user}
+          onComplete={handleBulkComplete}
+          onClear={() => setSelectedIds([])}
+          onNotify={showToast}
+        />
+      )}
 
       {/* Requests Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
-        {filteredRequests.length === 0 ? (
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : requests.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-6xl mb-4">🔨</div>
             <h3 className="text-xl font-semibold text-gray-900 mb-2">No Requests Found</h3>
             <p className="text-gray-600">
-              {requests.length === 0
+              {!hasActiveFilters
                 ? 'No maintenance requests yet. Create your first request to get started.'
                 : 'No requests match your filters. Try adjusting your search criteria.'}
             </p>
@@ -348,38 +371,52 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Subject
-                  </th>
+                  {canSelect && (
+                    <th className="pl-6 py-3 w-4">
+                      <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={toggleAllSelected}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        title="Select all on this page"
+                      />
+                    </th>
+                  )}
+                  <SortableHeader label="Subject" field="subject" sort={sort} onSort={handleSort} />
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Equipment
                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Category
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Type
-                  </th>
+                  <SortableHeader label="Category" field="equipmentCategory" sort={sort} onSort={handleSort} />
+                  <SortableHeader label="Type" field="requestType" sort={sort} onSort={handleSort} />
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Priority
                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Stage
-                  </th>
+                  <SortableHeader label="Stage" field="stage" sort={sort} onSort={handleSort} />
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Technician
                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Scheduled
-                  </th>
+                  <SortableHeader label="Scheduled" field="scheduledDate" sort={sort} onSort={handleSort} />
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {filteredRequests.map((request) => (
-                  <tr key={request._id} className="hover:bg-gray-50">
+                {requests.map((request) => (
+                  <tr
+                    key={request._id}
+                    className={selectedIds.includes(request._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}
+                  >
+                    {canSelect && (
+                      <td className="pl-6 py-4 w-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(request._id)}
+                          onChange={() => toggleSelected(request._id)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                      </td>
+                    )}
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div className="text-sm font-medium text-gray-900">
@@ -459,6 +496,16 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
             </table>
           </div>
         )}
+        {!loading && pagination.total > 0 && (
+          <Pagination
+            page={page}
+            totalPages={pagination.totalPages}
+            total={pagination.total}
+            limit={limit}
+            onPageChange={setPage}
+            onLimitChange={handleLimitChange}
+          />
+        )}
       </div>
 
       {/* Delete Confirmation Dialog */}
@@ -467,7 +514,7 @@ const Maintenance = ({ filterByUser, filterOverdue, showHeader = true }) => {
         onClose={() => setDeleteDialog({ isOpen: false, requestId: null, subject: '' })}
         onConfirm={handleDelete}
         title="Delete Request"
-        message={`Are you sure you want to delete "${deleteDialog.subject}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${deleteDialog.subject}"? It will be moved to the trash, where an Admin can restore it.`}
         confirmText="Delete"
         confirmButtonClass="bg-red-600 hover:bg-red-700"
       />
@@ -1,15 +1,27 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { ArrowLeft, Edit, Trash2, AlertCircle, Clock, CheckCircle, XCircle, User } from 'lucide-react';
+import { ArrowLeft, Edit, Trash2, AlertCircle, Clock, CheckCircle, XCircle, User, Eye, EyeOff, RotateCcw, Recycle } from 'lucide-react';
 import { requestAPI } from '../api/request.api';
 import * as userAPI from '../api/user.api';
 import useAuth from '../hooks/useAuth';
 import { useNotifications } from '../context/NotificationContext';
-import { canEditMaintenanceRequest, canDeleteMaintenanceRequest, canAssignTechnician, canUpdateStage } from '../utils/rolePermissions';
+import { canEditMaintenanceRequest, canDeleteMaintenanceRequest, canAssignTechnician, canUpdateStage, getAllowedStageTransitions, canReopenRequest, canProposeDisposal } from '../utils/rolePermissions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ConfirmDialog from '../components/ConfirmDialog';
 import Modal from '../components/Modal';
+import RequestTimeline from '../components/RequestTimeline';
+import RequestComments from '../components/RequestComments';
+import AttachmentGallery from '../components/AttachmentGallery';
+import RequestLinks from '../components/RequestLinks';
+import RequestFeedback from '../components/RequestFeedback';
+import RequestChecklist from '../components/RequestChecklist';
+import WorkLogPanel from '../components/WorkLogPanel';
+import RequestParts from '../components/RequestParts';
+import RequestCosts from '../components/RequestCosts';
+import DisposalModal from '../components/DisposalModal';
 import { useToast } from '../components/Toast';
+import { toReorderNotification } from '../utils/parts';
+import { ROLES, AWAITING_APPROVAL, APPROVAL_COLORS, ESCALATION_COLORS } from '../utils/constants';
 
 /**
  * MaintenanceDetail Component
@@ -18,9 +30,21 @@ import { useToast } from '../components/Toast';
  * Features:
  * - View all request details
  * - Update stage (with scrap warning)
+ * - Propose scrapping the equipment (needs Admin or Manager approval)
+ * - Reopen a Repaired request with a reason (reopen count and history)
+ * - Requester rating of the repair (rejecting the fix reopens the request)
+ * - Escalation level and the rules that raised it
  * - Assign technician
- * - Enter duration and resolution notes
+ * - Parent, sub-requests with progress, blockers and related requests
+ * - Checklist steps with readings (required steps must be done before Repaired)
+ * - Work log with start/stop timer (duration is the sum of logs)
+ * - Spare parts reservation and consumption
+ * - Labor, parts and external cost breakdown
+ * - Enter resolution notes
  * - Edit/Delete actions (role-based)
+ * - Photo and file attachments
+ * - Conversation thread with internal notes
+ * - Activity history timeline
  */
 const MaintenanceDetail = () => {
   const navigate = useNavigate();
@@ -33,11 +57,14 @@ const MaintenanceDetail = () => {
   const [request, setRequest] = useState(null);
   const [loading, setLoading] = useState(true);
   const [technicians, setTechnicians] = useState([]);
+  const [partsVersion, setPartsVersion] = useState(0);
 
   // Modal states
   const [stageModal, setStageModal] = useState({ isOpen: false });
   const [assignModal, setAssignModal] = useState({ isOpen: false });
   const [resolutionModal, setResolutionModal] = useState({ isOpen: false });
+  const [reopenModal, setReopenModal] = useState({ isOpen: false });
+  const [disposalModal, setDisposalModal] = useState({ isOpen: false });
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false });
   const [scrapWarningDialog, setScrapWarningDialog] = useState({ isOpen: false, newStage: '' });
 
@@ -45,11 +72,9 @@ const MaintenanceDetail = () => {
   const [selectedStage, setSelectedStage] = useState('');
   const [selectedTechnician, setSelectedTechnician] = useState('');
   const [resolutionData, setResolutionData] = useState({
-    durationHours: '',
     resolutionNotes: ''
   });
-
-  const stages = ['New', 'In Progress', 'Repaired', 'Scrap'];
+  const [reopenReason, setReopenReason] = useState('');
 
   useEffect(() => {
     fetchRequest();
@@ -64,7 +89,6 @@ const MaintenanceDetail = () => {
       setSelectedStage(data.stage);
       setSelectedTechnician(data.assignedTechnician?._id || '');
       setResolutionData({
-        durationHours: data.durationHours || '',
         resolutionNotes: data.resolutionNotes || ''
       });
     } catch (error) {
@@ -101,8 +125,12 @@ const MaintenanceDetail = () => {
   const updateStage = async (newStage) => {
     try {
       const oldStage = request.stage;
-      await requestAPI.updateRequestStage(id, newStage);
+      const response = await requestAPI.updateRequestStage(id, newStage);
       showToast(`Request moved to ${newStage}`, 'success');
+      if (response.partIssues?.length > 0) {
+        showToast(`${response.partIssues.length} reserved part(s) could not be consumed`, 'error');
+      }
+      notifyReorderAlerts(response.reorderAlerts);
       setStageModal({ isOpen: false });
       
       // Add audit log for stage change
@@ -122,18 +150,6 @@ const MaintenanceDetail = () => {
         recipientIds.push(request.assignedTo._id);
       }
 
-      // Check if equipment is scrapped and notify admins/managers
-      if (newStage === 'Scrap') {
-        addNotification({
-          type: 'equipment_scrapped',
-          title: 'Equipment Scrapped',
-          message: `Equipment "${request.equipment?.name}" has been marked as scrapped`,
-          entityType: 'equipment',
-          entityId: request.equipment?._id,
-          recipientRoles: ['Admin', 'Manager']
-        });
-      }
-
       if (recipientIds.length > 0) {
         addNotification({
           type: 'stage_updated',
@@ -152,10 +168,54 @@ const MaintenanceDetail = () => {
     }
   };
 
-  const handleAssignTechnician = async () => {
+  const handleReopen = async () => {
+    try {
+      await requestAPI.reopenRequest(id, reopenReason.trim());
+      showToast('Request reopened', 'success');
+      setReopenModal({ isOpen: false });
+      setReopenReason('');
+
+      addAuditLog({
+        action: 'stage_change',
+        entityType: 'request',
+        entityId: id,
+        details: `Reopened request: ${request.subject} (${reopenReason.trim()})`
+      });
+
+      // Let the technician who repaired it know the fix did not hold
+      if (request.assignedTechnician?._id && request.assignedTechnician._id !== user._id) {
+        addNotification({
+          type: 'request_reopened',
+          title: 'Request Reopened',
+          message: `"${request.subject}" was reopened: ${reopenReason.trim()}`,
+          entityType: 'request',
+          entityId: id,
+          recipientId: request.assignedTechnician._id
+        });
+      }
+
+      fetchRequest();
+    } catch (error) {
+      console.error('Failed to reopen request:', error);
+      showToast(error.response?.data?.message || 'Failed to reopen request', 'error');
+    }
+  };
+
+  const notifyReorderAlerts = (alerts = []) => {
+    alerts.forEach(alert => addNotification(toReorderNotification(alert)));
+  };
+
+  /**
+   * Assign the selected technician
+   * @param {boolean} allowOverbooking - Assign even if it takes the technician over their daily capacity
+   */
+  const handleAssignTechnician = async (allowOverbooking = false) => {
     try {
-      await requestAPI.assignTechnician(id, { technicianId: selectedTechnician });
+      const response = await requestAPI.assignTechnician(id, selectedTechnician, { allowOverbooking });
       showToast('Technician assigned successfully', 'success');
+      if (response.capacityWarning) {
+        showToast(response.capacityWarning.message, 'info');
+      }
       setAssignModal({ isOpen: false });
       
       // Find the assigned technician details
@@ -183,15 +243,31 @@ const MaintenanceDetail = () => {
       
       fetchRequest();
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.capacityConflict) {
+        setAssignModal({ isOpen: true, capacityConflict: error.response.data.capacityConflict });
+        return;
+      }
       console.error('Failed to assign technician:', error);
       showToast(error.response?.data?.message || 'Failed to assign technician', 'error');
     }
   };
 
+  const handleToggleWatch = async () => {
+    try {
+      const response = isWatching
+        ? await requestAPI.unwatchRequest(id)
+        : await requestAPI.watchRequest(id);
+      showToast(response.message, 'success');
+      setRequest(prev => ({ ...prev, watchers: response.data || [] }));
+    } catch (error) {
+      console.error('Failed to update watch:', error);
+      showToast(error.response?.data?.message || 'Failed to update watch', 'error');
+    }
+  };
+
   const handleUpdateResolution = async () => {
     try {
       await requestAPI.updateResolution(id, {
-        durationHours: resolutionData.durationHours ? Number(resolutionData.durationHours) : undefined,
         resolutionNotes: resolutionData.resolutionNotes.trim() || undefined
       });
       showToast('Resolution updated successfully', 'success');
@@ -255,10 +331,36 @@ const MaintenanceDetail = () => {
     });
   };
 
+  // SLA milestone status: met/missed once reached, overdue/pending while open
+  const renderSlaStatus = (dueAt, reachedAt, breached) => {
+    if (!dueAt) return <p className="text-gray-900">N/A</p>;
+
+    let status;
+    if (reachedAt) {
+      status = breached
+        ? <span className="ml-2 text-xs font-medium text-red-600">Missed</span>
+        : <span className="ml-2 text-xs font-medium text-green-600">Met</span>;
+    } else if (request.stage !== 'Scrap' && new Date(dueAt) < new Date()) {
+      status = <span className="ml-2 text-xs font-medium text-red-600">Overdue</span>;
+    }
+
+    return (
+      <p className="text-gray-900">
+        {formatDateTime(dueAt)}
+        {status}
+      </p>
+    );
+  };
+
   if (loading) {
     return <LoadingSpinner />;
   }
 
+  // Current stage plus the stages the workflow allows next (none while awaiting approval)
+  const stageOptions = request && !AWAITING_APPROVAL.includes(request.approval?.status)
+    ? [request.stage, ...getAllowedStageTransitions(request.stage, user.role)]
+    : [request?.stage];
+
   if (!request) {
     return (
       <div className="p-6">
@@ -276,6 +378,9 @@ const MaintenanceDetail = () => {
     );
   }
 
+  const isWatching = request.watchers?.some(watcher => watcher._id === user._id);
+  const isOpenRequest = request.stage === 'New' || request.stage === 'In Progress';
+
   return (
     <div className="p-6 max-w-5xl mx-auto">
       {/* Header */}
@@ -293,6 +398,15 @@ const MaintenanceDetail = () => {
             <p className="text-gray-600 mt-2">Request #{request._id.slice(-8).toUpperCase()}</p>
           </div>
           <div className="flex space-x-2">
+            {canProposeDisposal(user.role) && request.equipment && (
+              <button
+                onClick={() => setDisposalModal({ isOpen: true })}
+                className="flex items-center px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors"
+              >
+                <Recycle className="w-5 h-5 mr-2" />
+                Scrap Equipment
+              </button>
+            )}
             {canEditMaintenanceRequest(user.role) && (
               <button
                 onClick={() => navigate(`/maintenance/${id}/edit`)}
@@ -343,7 +457,12 @@ const MaintenanceDetail = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-500 mb-1">Request Type</label>
-                <p className="text-gray-900">{request.requestType}</p>
+                <p className="text-gray-900">
+                  {request.requestType}
+                  {request.maintenancePlan && (
+                    <span className="ml-2 text-xs text-gray-500">(from maintenance plan)</span>
+                  )}
+                </p>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-500 mb-1">Priority</label>
@@ -359,6 +478,18 @@ const MaintenanceDetail = () => {
                 <label className="block text-sm font-medium text-gray-500 mb-1">Created</label>
                 <p className="text-gray-900">{formatDateTime(request.createdAt)}</p>
               </div>
+              {request.sla?.policy && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-1">Response Due (SLA)</label>
+                    {renderSlaStatus(request.sla.responseDueAt, request.sla.respondedAt, request.sla.responseBreached)}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-1">Resolution Due (SLA)</label>
+                    {renderSlaStatus(request.sla.resolutionDueAt, request.sla.resolvedAt, request.sla.resolutionBreached)}
+                  </div>
+                </>
+              )}
             </div>
           </div>
 
@@ -382,9 +513,17 @@ const MaintenanceDetail = () => {
               )}
             </div>
             <div className="space-y-3">
-              <div>
-                <label className="block text-sm font-medium text-gray-500 mb-1">Duration (Hours)</label>
-                <p className="text-gray-900">{request.durationHours || 'Not recorded'}</p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-1">Logged Hours</label>
+                  <p className="text-gray-900">{request.durationHours || 'Not recorded'}</p>
+                </div>
+                {request.estimatedHours > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-500 mb-1">Estimated Hours</label>
+                    <p className="text-gray-900">{request.estimatedHours}</p>
+                  </div>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-500 mb-1">Resolution Notes</label>
@@ -392,6 +531,89 @@ const MaintenanceDetail = () => {
               </div>
             </div>
           </div>
+
+          {/* Requester Feedback */}
+          <RequestFeedback
+            request={request}
+            user={user}
+            onSubmitted={(response) => {
+              showToast(response.message, 'success');
+              fetchRequest();
+            }}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Linked Requests */}
+          <RequestLinks
+            request={request}
+            canEdit={canUpdateStage(user.role) || user._id === request.assignedTechnician?._id}
+            refreshKey={request.updatedAt}
+            onChange={fetchRequest}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Checklist */}
+          <RequestChecklist
+            requestId={id}
+            checklist={request.checklist}
+            stage={request.stage}
+            user={user}
+            onChange={(checklist) => setRequest(prev => ({ ...prev, checklist }))}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Work Log */}
+          <WorkLogPanel
+            requestId={id}
+            stage={request.stage}
+            user={user}
+            technicians={technicians}
+            onDurationChange={(durationHours) => setRequest(prev => ({ ...prev, durationHours }))}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Spare Parts */}
+          <RequestParts
+            requestId={id}
+            stage={request.stage}
+            user={user}
+            refreshKey={request.updatedAt}
+            onReorderAlerts={notifyReorderAlerts}
+            onChange={() => setPartsVersion(prev => prev + 1)}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Costs */}
+          {user.role !== ROLES.USER && (
+            <RequestCosts
+              requestId={id}
+              user={user}
+              refreshKey={`${request.updatedAt}-${request.durationHours}-${partsVersion}`}
+              onError={(message) => showToast(message, 'error')}
+            />
+          )}
+
+          {/* Photos and Files */}
+          <AttachmentGallery
+            entityType="request"
+            entityId={id}
+            user={user}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Conversation */}
+          <RequestComments
+            requestId={id}
+            user={user}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          {/* Activity History */}
+          <RequestTimeline
+            requestId={id}
+            technicians={technicians}
+            refreshKey={request.updatedAt}
+          />
         </div>
 
         {/* Sidebar */}
@@ -406,7 +628,54 @@ const MaintenanceDetail = () => {
                   {request.stage}
                 </span>
               </div>
-              {canUpdateStage(user.role) && (
+              {APPROVAL_COLORS[request.approval?.status] && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">Approval</label>
+                  <span className={`px-3 py-1 inline-flex text-sm font-semibold rounded-full ${APPROVAL_COLORS[request.approval.status]}`}>
+                    {request.approval.status === 'Pending' ? 'Awaiting approval' : request.approval.status}
+                  </span>
+                  {request.approval.decidedAt && (
+                    <p className="mt-2 text-xs text-gray-500">{formatDateTime(request.approval.decidedAt)}</p>
+                  )}
+                  {request.approval.reason && (
+                    <p className="mt-1 text-sm text-gray-700">Reason: {request.approval.reason}</p>
+                  )}
+                </div>
+              )}
+              {request.escalation?.level > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">Escalation</label>
+                  <span className={`px-3 py-1 inline-flex text-sm font-semibold rounded-full ${ESCALATION_COLORS[request.escalation.level] || ESCALATION_COLORS[5]}`}>
+                    Level {request.escalation.level}
+                  </span>
+                  <ul className="mt-2 space-y-1">
+                    {request.escalation.events.map(event => (
+                      <li key={event._id} className="text-xs text-gray-500">
+                        {event.ruleName} (L{event.level}) · {formatDateTime(event.escalatedAt)}
+                        {event.priorityTo !== event.priorityFrom && ` · ${event.priorityFrom} → ${event.priorityTo}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {request.reopen?.count > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-2">Reopened</label>
+                  <span className="px-3 py-1 inline-flex text-sm font-semibold rounded-full bg-orange-100 text-orange-800">
+                    {request.reopen.count} {request.reopen.count === 1 ? 'time' : 'times'}
+                  </span>
+                  <ul className="mt-2 space-y-1">
+                    {request.reopen.events.map(event => (
+                      <li key={event._id} className="text-xs text-gray-500">
+                        {formatDateTime(event.reopenedAt)}
+                        {event.hoursSinceRepair !== null && event.hoursSinceRepair !== undefined && ` · ${event.hoursSinceRepair}h after repair`}
+                        <span className="block text-gray-700">{event.reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {canUpdateStage(user.role) && stageOptions.length > 1 && (
                 <button
                   onClick={() => setStageModal({ isOpen: true })}
                   className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
@@ -414,6 +683,15 @@ const MaintenanceDetail = () => {
                   Update Stage
                 </button>
               )}
+              {canReopenRequest(user, request) && (
+                <button
+                  onClick={() => setReopenModal({ isOpen: true })}
+                  className="w-full flex items-center justify-center px-4 py-2 border border-orange-300 text-orange-700 rounded-lg hover:bg-orange-50 transition-colors"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Reopen
+                </button>
+              )}
             </div>
           </div>
 
@@ -431,6 +709,9 @@ const MaintenanceDetail = () => {
                   <User className="w-4 h-4 mr-2" />
                   {request.assignedTechnician?.name || 'Unassigned'}
                 </p>
+                {request.assignment?.reason && (
+                  <p className="text-xs text-gray-500 mt-1">{request.assignment.reason}</p>
+                )}
               </div>
               {canAssignTechnician(user.role) && (
                 <button
@@ -452,6 +733,32 @@ const MaintenanceDetail = () => {
               <p className="text-xs text-gray-500 mt-2">{formatDateTime(request.createdAt)}</p>
             </div>
           </div>
+
+          {/* Watchers */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Watchers</h3>
+            {request.watchers?.length > 0 ? (
+              <ul className="space-y-1 mb-4">
+                {request.watchers.map(watcher => (
+                  <li key={watcher._id} className="text-sm text-gray-900 flex items-center">
+                    <Eye className="w-4 h-4 mr-2 text-gray-400" />
+                    {watcher.name}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500 mb-4">No one is watching this request.</p>
+            )}
+            {(isWatching || isOpenRequest) && request.createdBy?._id !== user._id && (
+              <button
+                onClick={handleToggleWatch}
+                className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                {isWatching ? <EyeOff className="w-4 h-4 mr-2" /> : <Eye className="w-4 h-4 mr-2" />}
+                {isWatching ? 'Stop Watching' : 'Watch'}
+              </button>
+            )}
+          </div>
         </div>
       </div>
 
@@ -469,7 +776,7 @@ const MaintenanceDetail = () => {
               onChange={(e) => setSelectedStage(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              {stages.map(stage => (
+              {stageOptions.map(stage => (
                 <option key={stage} value={stage}>{stage}</option>
               ))}
             </select>
@@ -477,7 +784,7 @@ const MaintenanceDetail = () => {
           {selectedStage === 'Scrap' && (
             <div className="bg-red-50 border border-red-200 rounded-lg p-3">
               <p className="text-sm text-red-800">
-                <strong>Warning:</strong> Setting stage to "Scrap" will deactivate the equipment.
+                <strong>Warning:</strong> "Scrap" closes the request without a repair. Use Scrap Equipment to retire the equipment itself.
               </p>
             </div>
           )}
@@ -490,7 +797,8 @@ const MaintenanceDetail = () => {
             </button>
             <button
               onClick={() => handleStageChange(selectedStage)}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              disabled={selectedStage === request.stage}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               Update Stage
             </button>
@@ -509,7 +817,10 @@ const MaintenanceDetail = () => {
             <label className="block text-sm font-medium text-gray-700 mb-2">Select Technician</label>
             <select
               value={selectedTechnician}
-              onChange={(e) => setSelectedTechnician(e.target.value)}
+              onChange={(e) => {
+                setSelectedTechnician(e.target.value);
+                setAssignModal({ isOpen: true });
+              }}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="">Unassigned</option>
@@ -520,6 +831,13 @@ const MaintenanceDetail = () => {
               ))}
             </select>
           </div>
+          {assignModal.capacityConflict && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+              <p className="text-sm text-yellow-800">
+                <strong>Overbooked:</strong> {assignModal.capacityConflict.message}
+              </p>
+            </div>
+          )}
           <div className="flex justify-end space-x-3 pt-4">
             <button
               onClick={() => setAssignModal({ isOpen: false })}
@@ -527,12 +845,21 @@ const MaintenanceDetail = () => {
             >
               Cancel
             </button>
-            <button
-              onClick={handleAssignTechnician}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-            >
-              Assign
-            </button>
+            {assignModal.capacityConflict ? (
+              <button
+                onClick={() => handleAssignTechnician(true)}
+                className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700"
+              >
+                Assign Anyway
+              </button>
+            ) : (
+              <button
+                onClick={() => handleAssignTechnician()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Assign
+              </button>
+            )}
           </div>
         </div>
       </Modal>
@@ -544,18 +871,6 @@ const MaintenanceDetail = () => {
         title="Update Resolution"
       >
         <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Duration (Hours)</label>
-            <input
-              type="number"
-              min="0"
-              step="0.5"
-              value={resolutionData.durationHours}
-              onChange={(e) => setResolutionData(prev => ({ ...prev, durationHours: e.target.value }))}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Hours spent on resolution"
-            />
-          </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Resolution Notes</label>
             <textarea
@@ -583,14 +898,62 @@ const MaintenanceDetail = () => {
         </div>
       </Modal>
 
+      {/* Reopen Modal */}
+      <Modal
+        isOpen={reopenModal.isOpen}
+        onClose={() => setReopenModal({ isOpen: false })}
+        title="Reopen Request"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            The request goes back to In Progress and counts as a repeat failure.
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+            <textarea
+              value={reopenReason}
+              onChange={(e) => setReopenReason(e.target.value)}
+              rows="3"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="What is still wrong?"
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setReopenModal({ isOpen: false })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleReopen}
+              disabled={!reopenReason.trim()}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Reopen
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Propose Disposal Modal */}
+      <DisposalModal
+        isOpen={disposalModal.isOpen}
+        onClose={() => setDisposalModal({ isOpen: false })}
+        equipment={request.equipment}
+        requestId={id}
+        onProposed={(response) => showToast(response.message, 'success')}
+        onError={(message) => showToast(message, 'error')}
+      />
+
       {/* Scrap Warning Dialog */}
       <ConfirmDialog
         isOpen={scrapWarningDialog.isOpen}
         onClose={() => setScrapWarningDialog({ isOpen: false, newStage: '' })}
         onConfirm={confirmScrapUpdate}
         title="Confirm Scrap"
-        message="Setting this request to 'Scrap' will permanently deactivate the associated equipment. This action should only be used when the equipment is beyond repair. Are you sure you want to continue?"
-        confirmText="Yes, Scrap Equipment"
+        message="Setting this request to 'Scrap' closes it without a repair. The equipment stays in service until a disposal for it is approved. Are you sure you want to continue?"
+        confirmText="Yes, Scrap Request"
         confirmButtonClass="bg-red-600 hover:bg-red-700"
       />
 
@@ -600,7 +963,7 @@ const MaintenanceDetail = () => {
         onClose={() => setDeleteDialog({ isOpen: false })}
         onConfirm={handleDelete}
         title="Delete Request"
-        message={`Are you sure you want to delete "${request.subject}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${request.subject}"? It will be moved to the trash, where an Admin can restore it.`}
         confirmText="Delete"
         confirmButtonClass="bg-red-600 hover:bg-red-700"
       />
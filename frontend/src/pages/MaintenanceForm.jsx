@@ -1,13 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
-import { ArrowLeft, Save, AlertCircle } from 'lucide-react';
+import { ArrowLeft, Save, AlertCircle, AlertTriangle, Package, X, Eye, ExternalLink } from 'lucide-react';
 import { requestAPI } from '../api/request.api';
 import * as equipmentAPI from '../api/equipment.api';
 import * as userAPI from '../api/user.api';
+import * as partAPI from '../api/part.api';
 import useAuth from '../hooks/useAuth';
 import { useNotifications } from '../context/NotificationContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PartPicker from '../components/PartPicker';
+import RequestParts from '../components/RequestParts';
 import { useToast } from '../components/Toast';
+import { ROLES } from '../utils/constants';
+import { toReorderNotification } from '../utils/parts';
 
 /**
  * MaintenanceForm Component
@@ -17,7 +22,19 @@ import { useToast } from '../components/Toast';
  * When equipment is selected, automatically populates:
  * - equipmentCategory (read-only)
  * - maintenanceTeam (read-only)
- * - defaultTechnician (pre-selected but editable)
+ * - defaultTechnician (pre-selected when editing)
+ *
+ * New requests without a chosen technician are assigned by the team's
+ * strategy; non-User roles see the suggested technician and why.
+ *
+ * Non-User roles can reserve spare parts: on create they are reserved
+ * once the request exists, on edit they are managed directly.
+ *
+ * Corrective requests on equipment that already has open requests are
+ * held back: the user can watch an existing request or create anyway.
+ *
+ * Sub-requests are opened from the parent's detail page, which passes
+ * parentRequest and parentSubject in the navigation state.
  */
 const MaintenanceForm = () => {
   const navigate = useNavigate();
@@ -28,8 +45,9 @@ const MaintenanceForm = () => {
   const { user } = useAuth();
   const { addNotification, addAuditLog } = useNotifications();
 
-  // Get pre-filled data from navigation state (from Calendar)
+  // Get pre-filled data from navigation state (from Calendar or a parent request)
   const preFilledData = location.state || {};
+  const parentRequestId = isEditMode ? null : preFilledData.parentRequest || null;
 
   // Form data
   const [formData, setFormData] = useState({
@@ -38,6 +56,7 @@ const MaintenanceForm = () => {
     requestType: preFilledData.requestType || 'Corrective',
     priority: 'Medium',
     scheduledDate: preFilledData.scheduledDate || '',
+    estimatedHours: '',
     description: '',
     // Auto-filled fields
     equipmentCategory: '',
@@ -58,6 +77,20 @@ const MaintenanceForm = () => {
     defaultTechnicianName: ''
   });
 
+  // Technician the assignment engine would pick for a new request
+  const [assignmentSuggestion, setAssignmentSuggestion] = useState(null);
+
+  // Parts to reserve once the request is created
+  const [plannedParts, setPlannedParts] = useState([]);
+  const [requestStage, setRequestStage] = useState('New');
+  const canReserveParts = user.role !== ROLES.USER;
+
+  // Open requests on the same equipment returned by a held-back create
+  const [duplicates, setDuplicates] = useState([]);
+
+  // Technician overbooking returned by a held-back save, with the force flag it was sent with
+  const [capacityConflict, setCapacityConflict] = useState(null);
+
   // UI states
   const [loading, setLoading] = useState(false);
   const [loadingEquipment, setLoadingEquipment] = useState(false);
@@ -78,6 +111,7 @@ const MaintenanceForm = () => {
       try {
         setLoading(true);
         const request = await requestAPI.getRequestById(id);
+        setRequestStage(request.stage);
         
         // Populate form with existing data
         setFormData({
@@ -86,6 +120,7 @@ const MaintenanceForm = () => {
           requestType: request.requestType || 'Corrective',
           priority: request.priority || 'Medium',
           scheduledDate: request.scheduledDate ? request.scheduledDate.split('T')[0] : '',
+          estimatedHours: request.estimatedHours || '',
           description: request.description || '',
           equipmentCategory: request.equipmentCategory || '',
           maintenanceTeam: request.maintenanceTeam?._id || '',
@@ -145,6 +180,8 @@ const MaintenanceForm = () => {
    * When equipment is selected, fetch auto-fill data and populate fields
    */
   const handleEquipmentChange = async (equipmentId) => {
+    setDuplicates([]);
+    setAssignmentSuggestion(null);
     if (!equipmentId) {
       // Clear auto-fill data
       setFormData(prev => ({
@@ -177,7 +214,8 @@ const MaintenanceForm = () => {
         equipment: equipmentId,
         equipmentCategory: autoFill.equipmentCategory || '',
         maintenanceTeam: autoFill.maintenanceTeam?._id || '',
-        assignedTechnician: autoFill.defaultTechnician?._id || ''
+        // New requests leave the choice to the team's assignment strategy
+        assignedTechnician: isEditMode ? autoFill.defaultTechnician?._id || '' : ''
       }));
 
       // Update auto-fill display data
@@ -194,6 +232,10 @@ const MaintenanceForm = () => {
         await loadTechniciansForTeam(autoFill.maintenanceTeam._id);
       }
 
+      if (!isEditMode && user.role !== ROLES.USER) {
+        loadAssignmentSuggestion(equipmentId);
+      }
+
       showToast('Equipment details auto-filled', 'success');
     } catch (error) {
       console.error('Failed to auto-fill equipment data:', error);
@@ -203,8 +245,20 @@ const MaintenanceForm = () => {
     }
   };
 
+  const loadAssignmentSuggestion = async (equipmentId) => {
+    try {
+      const response = await requestAPI.getAssignmentSuggestion(equipmentId);
+      setAssignmentSuggestion(response.data || null);
+    } catch (error) {
+      console.error('Failed to load assignment suggestion:', error);
+    }
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
+    if (['scheduledDate', 'estimatedHours', 'assignedTechnician'].includes(field)) {
+      setCapacityConflict(null);
+    }
     // Clear error for this field
     if (formErrors[field]) {
       setFormErrors(prev => ({ ...prev, [field]: '' }));
@@ -243,7 +297,37 @@ const MaintenanceForm = () => {
     return Object.keys(errors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
+  const handleAddPlannedPart = (selection) => {
+    setPlannedParts(prev => [...prev, selection]);
+  };
+
+  const handleRemovePlannedPart = (index) => {
+    setPlannedParts(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const notifyReorderAlerts = (alerts = []) => {
+    alerts.forEach(alert => addNotification(toReorderNotification(alert)));
+  };
+
+  /**
+   * Reserve the planned parts against a newly created request
+   * @returns {number} Number of parts that could not be reserved
+   */
+  const reservePlannedParts = async (requestId) => {
+    let failed = 0;
+    for (const { part, location, quantity } of plannedParts) {
+      try {
+        const response = await partAPI.reserveRequestPart(requestId, { part, location, quantity });
+        notifyReorderAlerts(response.reorderAlerts);
+      } catch (error) {
+        console.error('Failed to reserve part:', error);
+        failed += 1;
+      }
+    }
+    return failed;
+  };
+
+  const handleSubmit = (e) => {
     e.preventDefault();
 
     if (!validateForm()) {
@@ -251,6 +335,29 @@ const MaintenanceForm = () => {
       return;
     }
 
+    submitRequest(false);
+  };
+
+  /**
+   * Follow an existing request instead of creating a duplicate
+   */
+  const handleWatchDuplicate = async (duplicate) => {
+    try {
+      await requestAPI.watchRequest(duplicate._id);
+      showToast(`You are now watching "${duplicate.subject}"`, 'success');
+      setTimeout(() => navigate(`/maintenance/${duplicate._id}`), 1000);
+    } catch (error) {
+      console.error('Failed to watch request:', error);
+      showToast(error.response?.data?.message || 'Failed to watch request', 'error');
+    }
+  };
+
+  /**
+   * Save the request
+   * @param {boolean} force - Create even if open requests exist on the equipment
+   * @param {boolean} allowOverbooking - Save even if the technician is over capacity that day
+   */
+  const submitRequest = async (force, allowOverbooking = false) => {
     try {
       setLoading(true);
 
@@ -264,12 +371,19 @@ const MaintenanceForm = () => {
         equipmentCategory: formData.equipmentCategory,
         maintenanceTeam: formData.maintenanceTeam,
         assignedTechnician: formData.assignedTechnician || undefined,
-        scheduledDate: formData.scheduledDate || undefined
+        scheduledDate: formData.scheduledDate || undefined,
+        estimatedHours: formData.estimatedHours === '' ? undefined : Number(formData.estimatedHours)
       };
+      if (force) submitData.force = true;
+      if (allowOverbooking) submitData.allowOverbooking = true;
+      if (parentRequestId) submitData.parentRequest = parentRequestId;
 
       if (isEditMode) {
-        await requestAPI.updateRequest(id, submitData);
+        const updatedRequest = await requestAPI.updateRequest(id, submitData);
         showToast('Request updated successfully', 'success');
+        if (updatedRequest.capacityWarning) {
+          showToast(updatedRequest.capacityWarning.message, 'info');
+        }
         
         // Add audit log for request update
         addAuditLog({
@@ -280,7 +394,23 @@ const MaintenanceForm = () => {
         });
       } else {
         const createdRequest = await requestAPI.createRequest(submitData);
-        showToast('Request created successfully', 'success');
+        showToast(
+          createdRequest.data?.approval?.status === 'Pending'
+            ? 'Request created and waiting for approval'
+            : 'Request created successfully',
+          'success'
+        );
+        if (createdRequest.capacityWarning) {
+          showToast(createdRequest.capacityWarning.message, 'info');
+        }
+
+        const newRequestId = createdRequest.data?._id;
+        if (newRequestId && plannedParts.length > 0) {
+          const failedParts = await reservePlannedParts(newRequestId);
+          if (failedParts > 0) {
+            showToast(`${failedParts} part(s) could not be reserved`, 'error');
+          }
+        }
         
         // Add audit log for request creation
         addAuditLog({
@@ -301,9 +431,17 @@ const MaintenanceForm = () => {
         });
       }
 
-      // Navigate back to list
-      setTimeout(() => navigate('/maintenance'), 1500);
+      // Navigate back to the parent request or the list
+      setTimeout(() => navigate(parentRequestId ? `/maintenance/${parentRequestId}` : '/maintenance'), 1500);
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.duplicates) {
+        setDuplicates(error.response.data.duplicates);
+        return;
+      }
+      if (error.response?.status === 409 && error.response.data?.capacityConflict) {
+        setCapacityConflict({ ...error.response.data.capacityConflict, force });
+        return;
+      }
       console.error('Failed to save request:', error);
       showToast(error.response?.data?.message || 'Failed to save request', 'error');
     } finally {
@@ -332,6 +470,11 @@ const MaintenanceForm = () => {
         <p className="text-gray-600 mt-2">
           {isEditMode ? 'Update request details' : 'Create a new maintenance request'}
         </p>
+        {parentRequestId && (
+          <p className="mt-2 text-sm text-blue-700">
+            Sub-request of: {preFilledData.parentSubject || `#${parentRequestId.slice(-6).toUpperCase()}`}
+          </p>
+        )}
       </div>
 
       {/* Form */}
@@ -417,6 +560,17 @@ const MaintenanceForm = () => {
                   </div>
                 </div>
               </div>
+              {assignmentSuggestion && !formData.assignedTechnician && (
+                <div className="mt-4">
+                  <label className="block text-xs font-medium text-blue-700 mb-1">
+                    Suggested Technician
+                  </label>
+                  <div className="px-3 py-2 bg-white border border-blue-200 rounded text-sm text-gray-900">
+                    {assignmentSuggestion.technician?.name || 'Unassigned'}
+                    <p className="text-xs text-gray-500 mt-0.5">{assignmentSuggestion.reason}</p>
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -498,6 +652,26 @@ const MaintenanceForm = () => {
             )}
           </div>
 
+          {/* Estimated Hours (booked against the technician's daily capacity) */}
+          <div>
+            <label htmlFor="estimatedHours" className="block text-sm font-medium text-gray-700 mb-2">
+              Estimated Hours
+            </label>
+            <input
+              type="number"
+              id="estimatedHours"
+              min="0"
+              step="0.5"
+              value={formData.estimatedHours}
+              onChange={(e) => handleInputChange('estimatedHours', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="e.g. 2"
+            />
+            <p className="mt-1 text-sm text-gray-600">
+              Booked on the scheduled date against the technician's daily capacity
+            </p>
+          </div>
+
           {/* Assigned Technician (Editable - Pre-filled from auto-fill) */}
           {technicianOptions.length > 0 && (
             <div>
@@ -510,7 +684,7 @@ const MaintenanceForm = () => {
                 onChange={(e) => handleInputChange('assignedTechnician', e.target.value)}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="">Unassigned</option>
+                <option value="">{isEditMode ? 'Unassigned' : 'Automatic'}</option>
                 {technicianOptions.map(tech => (
                   <option key={tech._id} value={tech._id}>
                     {tech.name} ({tech.email})
@@ -547,8 +721,128 @@ const MaintenanceForm = () => {
               </p>
             )}
           </div>
+
+          {/* Spare Parts (reserved after the request is created) */}
+          {!isEditMode && canReserveParts && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+                <Package className="w-4 h-4 mr-1" />
+                Parts Needed
+              </label>
+              <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+                <PartPicker onAdd={handleAddPlannedPart} disabled={loading} />
+                {plannedParts.length > 0 && (
+                  <ul className="divide-y divide-gray-200">
+                    {plannedParts.map((item, index) => (
+                      <li key={`${item.part}-${item.location}-${index}`} className="py-2 flex items-center justify-between text-sm">
+                        <span className="text-gray-900">
+                          <span className="font-medium">{item.partInfo.partNumber}</span> {item.partInfo.name}
+                          <span className="text-gray-500"> · {item.quantity} {item.partInfo.unit} from {item.location}</span>
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleRemovePlannedPart(index)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
+        {/* Possible duplicates */}
+        {duplicates.length > 0 && (
+          <div className="mx-6 mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <h3 className="text-sm font-semibold text-yellow-900 mb-1 flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              {duplicates.length} open request{duplicates.length === 1 ? '' : 's'} on this machine — link to existing?
+            </h3>
+            <p className="text-xs text-yellow-800 mb-3">
+              Watch an existing request to follow its progress, or create a new one anyway.
+            </p>
+            <ul className="divide-y divide-yellow-200">
+              {duplicates.map(duplicate => (
+                <li key={duplicate._id} className="py-2 flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900">
+                      <span className="font-medium">{duplicate.subject}</span>
+                      {duplicate.similarSubject && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-200 text-yellow-900">
+                          Similar
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-600 mt-0.5">
+                      {duplicate.stage} · {duplicate.priority} · reported by {duplicate.createdBy?.name || 'Unknown'} on{' '}
+                      {new Date(duplicate.createdAt).toLocaleDateString('en-US')}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3 ml-2">
+                    <a
+                      href={`/maintenance/${duplicate._id}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="flex items-center text-sm text-gray-600 hover:text-gray-900"
+                    >
+                      <ExternalLink className="w-4 h-4 mr-1" />
+                      View
+                    </a>
+                    <button
+                      type="button"
+                      onClick={() => handleWatchDuplicate(duplicate)}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Eye className="w-4 h-4 mr-1" />
+                      Watch
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end mt-3">
+              <button
+                type="button"
+                onClick={() => submitRequest(true)}
+                disabled={loading}
+                className="px-3 py-1.5 text-sm border border-yellow-300 text-yellow-900 rounded-lg hover:bg-yellow-100 disabled:opacity-50"
+              >
+                Create Anyway
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Technician over capacity */}
+        {capacityConflict && (
+          <div className="mx-6 mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <h3 className="text-sm font-semibold text-yellow-900 mb-1 flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              Technician overbooked
+            </h3>
+            <p className="text-sm text-yellow-800">
+              {capacityConflict.technician.name} already has {capacityConflict.bookedHours} h booked on{' '}
+              {capacityConflict.date}; this request adds {capacityConflict.requestHours} h
+              (capacity {capacityConflict.capacityHours} h). Pick another date or technician, or save anyway.
+            </p>
+            <div className="flex justify-end mt-3">
+              <button
+                type="button"
+                onClick={() => submitRequest(capacityConflict.force, true)}
+                disabled={loading}
+                className="px-3 py-1.5 text-sm border border-yellow-300 text-yellow-900 rounded-lg hover:bg-yellow-100 disabled:opacity-50"
+              >
+                Save Anyway
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Form Actions */}
         <div className="px-6 py-4 bg-gray-50 border-t flex justify-end space-x-3 rounded-b-lg">
           <button
@@ -570,6 +864,19 @@ const MaintenanceForm = () => {
         </div>
       </form>
 
+      {/* Spare Parts */}
+      {isEditMode && canReserveParts && (
+        <div className="mt-6">
+          <RequestParts
+            requestId={id}
+            stage={requestStage}
+            user={user}
+            onReorderAlerts={notifyReorderAlerts}
+            onError={(message) => showToast(message, 'error')}
+          />
+        </div>
+      )}
+
       {/* Toast Container */}
       <ToastContainer />
     </div>
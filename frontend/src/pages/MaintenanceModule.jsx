@@ -1,7 +1,9 @@
 import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { LayoutGrid, Calendar as CalendarIcon, List, Plus, User, AlertCircle } from 'lucide-react';
+import { LayoutGrid, Calendar as CalendarIcon, List, Plus, User, AlertCircle, ShieldCheck } from 'lucide-react';
 import useAuth from '../hooks/useAuth';
+import { useToast } from '../components/Toast';
+import ApprovalQueue from '../components/ApprovalQueue';
 
 // Import existing page components
 import Kanban from './Kanban';
@@ -20,6 +22,7 @@ import MaintenanceForm from './MaintenanceForm';
  * 4. Create Request - New request form
  * 5. My Requests - User's own requests
  * 6. Overdue Requests - Late requests (Admin/Manager only)
+ * 7. Approvals - Requests waiting for approval (Admin/Manager, team leads)
  */
 const MaintenanceModule = () => {
   const navigate = useNavigate();
@@ -34,6 +37,7 @@ const MaintenanceModule = () => {
     if (path.includes('/maintenance/new')) return 'create';
     if (path.includes('/maintenance/my-requests')) return 'my-requests';
     if (path.includes('/maintenance/overdue')) return 'overdue';
+    if (path.includes('/maintenance/approvals')) return 'approvals';
     return 'list';
   };
 
@@ -76,6 +80,12 @@ const MaintenanceModule = () => {
       label: 'Overdue Requests',
       icon: AlertCircle,
       roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'approvals',
+      label: 'Approvals',
+      icon: ShieldCheck,
+      roles: ['Admin', 'Manager', 'Technician']
     }
   ];
 
@@ -93,7 +103,8 @@ const MaintenanceModule = () => {
       'list': '/maintenance',
       'create': '/maintenance/new',
       'my-requests': '/maintenance/my-requests',
-      'overdue': '/maintenance/overdue'
+      'overdue': '/maintenance/overdue',
+      'approvals': '/maintenance/approvals'
     };
     
     navigate(paths[tabId], { replace: true });
@@ -114,6 +125,8 @@ const MaintenanceModule = () => {
         return <MyRequests />;
       case 'overdue':
         return <OverdueRequests />;
+      case 'approvals':
+        return <Approvals />;
       default:
         return <Maintenance showHeader={false} />;
     }
@@ -199,4 +212,28 @@ const OverdueRequests = () => {
   );
 };
 
+/**
+ * Approvals Component
+ * Requests waiting for approval (Admin/Manager, team leads for their teams)
+ */
+const Approvals = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ShieldCheck className="h-7 w-7 text-purple-600 mr-3" />
+          Approvals
+        </h2>
+        <p className="mt-2 text-gray-600">
+          Requests that need approval before technicians can see them
+        </p>
+      </div>
+      <ApprovalQueue onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
 export default MaintenanceModule;
@@ -0,0 +1,588 @@
+import { useState, useEffect } from 'react';
+import { Plus, Search, Edit, Trash2, PackagePlus, AlertTriangle } from 'lucide-react';
+import * as partAPI from '../api/part.api';
+import useAuth from '../hooks/useAuth';
+import { isAdminOrManager } from '../utils/rolePermissions';
+import { getAvailableAt } from '../utils/parts';
+import { formatCurrency } from '../utils/currency';
+import LoadingSpinner from '../components/LoadingSpinner';
+import Modal from '../components/Modal';
+import ConfirmDialog from '../components/ConfirmDialog';
+import { useToast } from '../components/Toast';
+
+const emptyForm = {
+  partNumber: '',
+  name: '',
+  description: '',
+  category: '',
+  unit: 'pcs',
+  unitCost: '',
+  reorderPoint: '',
+  reorderQuantity: '',
+  isActive: true,
+  initialLocation: '',
+  initialQuantity: ''
+};
+
+const emptyAdjustment = { location: '', adjustment: '' };
+
+/**
+ * Spare Parts Page
+ * Parts catalog with stock per storage location and reorder alerts
+ * Access: Admin, Manager (manage), Technician (view)
+ *
+ * @param {boolean} showHeader - Show page header (default: true)
+ */
+const Parts = ({ showHeader = true }) => {
+  const { user } = useAuth();
+  const { showToast, ToastContainer } = useToast();
+
+  // State
+  const [parts, setParts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Modal states
+  const [formModal, setFormModal] = useState({ isOpen: false, partId: null });
+  const [formData, setFormData] = useState(emptyForm);
+  const [stockModal, setStockModal] = useState({ isOpen: false, part: null });
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, part: null });
+
+  const canManage = isAdminOrManager(user?.role);
+
+  useEffect(() => {
+    fetchParts();
+  }, [categoryFilter, lowStockOnly]);
+
+  const fetchParts = async () => {
+    try {
+      setLoading(true);
+      const params = {};
+      if (categoryFilter) params.category = categoryFilter;
+      if (lowStockOnly) params.lowStock = true;
+      if (searchTerm.trim()) params.search = searchTerm.trim();
+      const response = await partAPI.getAllParts(params);
+      setParts(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch parts:', error);
+      showToast('Failed to load parts', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const categories = [...new Set(parts.map(part => part.category).filter(Boolean))].sort();
+  const reorderCount = parts.filter(part => part.needsReorder).length;
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchParts();
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const openCreate = () => {
+    setFormData(emptyForm);
+    setFormModal({ isOpen: true, partId: null });
+  };
+
+  const openEdit = (part) => {
+    setFormData({
+      ...emptyForm,
+      partNumber: part.partNumber,
+      name: part.name,
+      description: part.description || '',
+      category: part.category || '',
+      unit: part.unit,
+      unitCost: part.unitCost ?? '',
+      reorderPoint: part.reorderPoint ?? '',
+      reorderQuantity: part.reorderQuantity ?? '',
+      isActive: part.isActive
+    });
+    setFormModal({ isOpen: true, partId: part._id });
+  };
+
+  const handleSave = async () => {
+    if (!formData.partNumber.trim() || !formData.name.trim()) {
+      showToast('Part number and name are required', 'error');
+      return;
+    }
+
+    const data = {
+      partNumber: formData.partNumber.trim(),
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      category: formData.category.trim(),
+      unit: formData.unit.trim() || 'pcs',
+      unitCost: Number(formData.unitCost) || 0,
+      reorderPoint: Number(formData.reorderPoint) || 0,
+      reorderQuantity: Number(formData.reorderQuantity) || 0,
+      isActive: formData.isActive
+    };
+
+    try {
+      setSaving(true);
+      if (formModal.partId) {
+        await partAPI.updatePart(formModal.partId, data);
+        showToast('Part updated successfully', 'success');
+      } else {
+        if (formData.initialLocation.trim() && Number(formData.initialQuantity) > 0) {
+          data.stock = [{
+            location: formData.initialLocation.trim(),
+            quantity: Number(formData.initialQuantity)
+          }];
+        }
+        await partAPI.createPart(data);
+        showToast('Part created successfully', 'success');
+      }
+      setFormModal({ isOpen: false, partId: null });
+      fetchParts();
+    } catch (error) {
+      console.error('Failed to save part:', error);
+      showToast(error.response?.data?.message || 'Failed to save part', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openStock = (part) => {
+    setAdjustment({ location: part.stock[0]?.location || '', adjustment: '' });
+    setStockModal({ isOpen: true, part });
+  };
+
+  const handleAdjustStock = async () => {
+    const amount = Number(adjustment.adjustment);
+    if (!adjustment.location.trim() || !amount) {
+      showToast('Location and a non-zero adjustment are required', 'error');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await partAPI.adjustStock(stockModal.part._id, adjustment.location.trim(), amount);
+      showToast('Stock updated', 'success');
+      setStockModal({ isOpen: false, part: null });
+      fetchParts();
+    } catch (error) {
+      console.error('Failed to adjust stock:', error);
+      showToast(error.response?.data?.message || 'Failed to adjust stock', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await partAPI.deletePart(deleteDialog.part._id);
+      showToast('Part deleted successfully', 'success');
+      fetchParts();
+    } catch (error) {
+      console.error('Failed to delete part:', error);
+      showToast(error.response?.data?.message || 'Failed to delete part', 'error');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="p-6">
+      <ToastContainer />
+
+      {/* Header */}
+      <div className="mb-6 flex justify-between items-center">
+        <div>
+          {showHeader ? (
+            <>
+              <h1 className="text-3xl font-bold text-gray-900">Spare Parts</h1>
+              <p className="text-gray-600 mt-2">Parts catalog and stock per storage location</p>
+            </>
+          ) : (
+            <h2 className="text-2xl font-bold text-gray-900">Spare Parts</h2>
+          )}
+        </div>
+        {canManage && (
+          <button
+            onClick={openCreate}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            <Plus className="h-5 w-5 mr-2" />
+            Add Part
+          </button>
+        )}
+      </div>
+
+      {/* Reorder Banner */}
+      {reorderCount > 0 && !lowStockOnly && (
+        <div className="mb-6 bg-orange-50 border border-orange-200 rounded-lg p-4 flex items-center justify-between">
+          <div className="flex items-center">
+            <AlertTriangle className="w-5 h-5 text-orange-600 mr-3" />
+            <p className="text-sm text-orange-800">
+              {reorderCount} part(s) at or below their reorder point
+            </p>
+          </div>
+          <button
+            onClick={() => setLowStockOnly(true)}
+            className="text-sm text-orange-700 hover:text-orange-900 font-medium"
+          >
+            Show
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <form onSubmit={handleSearch} className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by part number or name..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </form>
+          <div>
+            <select
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">All Categories</option>
+              {categories.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={lowStockOnly}
+              onChange={(e) => setLowStockOnly(e.target.checked)}
+              className="mr-2"
+            />
+            Needs reorder only
+          </label>
+        </div>
+      </div>
+
+      {/* Parts Table */}
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : parts.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+          No parts found
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Part
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Category
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Stock by Location
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Available
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Unit Cost
+                </th>
+                {canManage && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {parts.map(part => (
+                <tr key={part._id} className={part.needsReorder ? 'bg-orange-50' : ''}>
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{part.partNumber}</div>
+                    <div className="text-sm text-gray-500">
+                      {part.name}
+                      {!part.isActive && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {part.category || '—'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    {part.stock.length === 0 ? (
+                      <span className="text-gray-400">No stock</span>
+                    ) : (
+                      part.stock.map(entry => (
+                        <div key={entry.location}>
+                          {entry.location}: {getAvailableAt(entry)}
+                          {entry.reserved > 0 && (
+                            <span className="text-xs text-gray-500"> ({entry.reserved} reserved)</span>
+                          )}
+                        </div>
+                      ))
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={part.needsReorder ? 'font-semibold text-orange-700' : 'text-gray-900'}>
+                      {part.availableQuantity} {part.unit}
+                    </span>
+                    {part.needsReorder && (
+                      <div className="text-xs text-orange-700">
+                        Reorder {part.reorderQuantity || ''} (point {part.reorderPoint})
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {formatCurrency(part.unitCost)}
+                  </td>
+                  {canManage && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => openStock(part)}
+                          className="text-green-600 hover:text-green-900"
+                          title="Adjust stock"
+                        >
+                          <PackagePlus className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => openEdit(part)}
+                          className="text-blue-600 hover:text-blue-900"
+                          title="Edit"
+                        >
+                          <Edit className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => setDeleteDialog({ isOpen: true, part })}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Part Form Modal */}
+      <Modal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, partId: null })}
+        title={formModal.partId ? 'Edit Part' : 'New Part'}
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Part Number *</label>
+              <input
+                type="text"
+                value={formData.partNumber}
+                onChange={(e) => handleChange('partNumber', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => handleChange('description', e.target.value)}
+              rows="2"
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <input
+                type="text"
+                value={formData.category}
+                onChange={(e) => handleChange('category', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+              <input
+                type="text"
+                value={formData.unit}
+                onChange={(e) => handleChange('unit', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Unit Cost</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.unitCost}
+                onChange={(e) => handleChange('unitCost', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reorder Point</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.reorderPoint}
+                onChange={(e) => handleChange('reorderPoint', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reorder Quantity</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.reorderQuantity}
+                onChange={(e) => handleChange('reorderQuantity', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {!formModal.partId && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Initial Location</label>
+                <input
+                  type="text"
+                  value={formData.initialLocation}
+                  onChange={(e) => handleChange('initialLocation', e.target.value)}
+                  className={inputClass}
+                  placeholder="e.g. Main Store"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Initial Quantity</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={formData.initialQuantity}
+                  onChange={(e) => handleChange('initialQuantity', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.isActive}
+              onChange={(e) => handleChange('isActive', e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setFormModal({ isOpen: false, partId: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Part'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Stock Adjustment Modal */}
+      <Modal
+        isOpen={stockModal.isOpen}
+        onClose={() => setStockModal({ isOpen: false, part: null })}
+        title={`Adjust Stock${stockModal.part ? ` – ${stockModal.part.partNumber}` : ''}`}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+            <input
+              type="text"
+              list="part-stock-locations"
+              value={adjustment.location}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, location: e.target.value }))}
+              className={inputClass}
+              placeholder="Existing or new location"
+            />
+            <datalist id="part-stock-locations">
+              {stockModal.part?.stock.map(entry => (
+                <option key={entry.location} value={entry.location} />
+              ))}
+            </datalist>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Adjustment</label>
+            <input
+              type="number"
+              value={adjustment.adjustment}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, adjustment: e.target.value }))}
+              className={inputClass}
+              placeholder="e.g. 10 to receive, -2 to write off"
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setStockModal({ isOpen: false, part: null })}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleAdjustStock}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Update Stock'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <ConfirmDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, part: null })}
+        onConfirm={handleDelete}
+        title="Delete Part"
+        message={`Are you sure you want to delete "${deleteDialog.part?.name}"? Parts already used on requests can only be deactivated.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default Parts;
@@ -1,7 +1,10 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { BarChart3, Package, Users, TrendingUp } from 'lucide-react';
+import { BarChart3, Package, Users, TrendingUp, DollarSign, RotateCcw, Star } from 'lucide-react';
 import useAuth from '../hooks/useAuth';
+import * as reportAPI from '../api/report.api';
+import { formatCurrency } from '../utils/currency';
+import LoadingSpinner from '../components/LoadingSpinner';
 
 // Import Dashboard component for reuse
 import Dashboard from './Dashboard';
@@ -15,6 +18,9 @@ import Dashboard from './Dashboard';
  * 2. Equipment Reports - Equipment status and performance
  * 3. Team Performance - Team efficiency metrics
  * 4. Trends - Historical trends and forecasting
+ * 5. Costs - Maintenance costs by equipment, team or category
+ * 6. Repeat Failures - Reopened repairs by equipment or technician
+ * 7. Satisfaction - Requester ratings by technician or team
  */
 const ReportsModule = () => {
   const navigate = useNavigate();
@@ -27,6 +33,9 @@ const ReportsModule = () => {
     if (path.includes('/reports/equipment')) return 'equipment';
     if (path.includes('/reports/teams')) return 'teams';
     if (path.includes('/reports/trends')) return 'trends';
+    if (path.includes('/reports/costs')) return 'costs';
+    if (path.includes('/reports/repeat-failures')) return 'repeat-failures';
+    if (path.includes('/reports/satisfaction')) return 'satisfaction';
     return 'requests';
   };
 
@@ -57,6 +66,24 @@ const ReportsModule = () => {
       label: 'Trends',
       icon: TrendingUp,
       roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'costs',
+      label: 'Costs',
+      icon: DollarSign,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'repeat-failures',
+      label: 'Repeat Failures',
+      icon: RotateCcw,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'satisfaction',
+      label: 'Satisfaction',
+      icon: Star,
+      roles: ['Admin', 'Manager']
     }
   ];
 
@@ -72,7 +99,10 @@ const ReportsModule = () => {
       'requests': '/reports',
       'equipment': '/reports/equipment',
       'teams': '/reports/teams',
-      'trends': '/reports/trends'
+      'trends': '/reports/trends',
+      'costs': '/reports/costs',
+      'repeat-failures': '/reports/repeat-failures',
+      'satisfaction': '/reports/satisfaction'
     };
     
     navigate(paths[tabId], { replace: true });
@@ -89,6 +119,12 @@ const ReportsModule = () => {
         return <TeamPerformance />;
       case 'trends':
         return <Trends />;
+      case 'costs':
+        return <CostReport />;
+      case 'repeat-failures':
+        return <RepeatFailureReport />;
+      case 'satisfaction':
+        return <SatisfactionReport />;
       default:
         return <RequestAnalytics />;
     }
@@ -227,4 +263,376 @@ const Trends = () => {
   );
 };
 
+/**
+ * CostReport Component
+ * Labor, parts and external costs rolled up by equipment, team or category
+ */
+const CostReport = () => {
+  const [groupBy, setGroupBy] = useState('equipment');
+  const [rows, setRows] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchCosts();
+  }, [groupBy]);
+
+  const fetchCosts = async () => {
+    try {
+      setLoading(true);
+      const response = await reportAPI.getCostReport({ groupBy });
+      setRows(response.data || []);
+      setTotals(response.totals || null);
+    } catch (error) {
+      console.error('Failed to fetch cost report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getRowLabel = (row) => {
+    if (groupBy === 'equipment') return `${row.equipmentName} (${row.serialNumber})`;
+    if (groupBy === 'team') return row.teamName;
+    return row.category || 'Uncategorized';
+  };
+
+  const groupLabels = { equipment: 'Equipment', team: 'Team', category: 'Category' };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6 flex justify-between items-end">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Maintenance Costs</h2>
+          <p className="mt-2 text-gray-600">
+            Labor, parts and external costs of maintenance requests
+          </p>
+        </div>
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {Object.entries(groupLabels).map(([value, label]) => (
+            <option key={value} value={value}>By {label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {groupLabels[groupBy]}
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Requests
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Labor
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Parts
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  External
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Total
+                </th>
+                {groupBy === 'equipment' && (
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Incl. Purchase
+                  </th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-12 text-center text-gray-500">
+                    No costs recorded
+                  </td>
+                </tr>
+              ) : (
+                rows.map((row, index) => (
+                  <tr key={row.equipmentId || row.teamId || row.category || index}>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{getRowLabel(row)}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.totalRequests}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{formatCurrency(row.laborCost)}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{formatCurrency(row.partsCost)}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{formatCurrency(row.externalCost)}</td>
+                    <td className="px-6 py-4 text-sm text-right font-semibold text-gray-900">{formatCurrency(row.totalCost)}</td>
+                    {groupBy === 'equipment' && (
+                      <td className="px-6 py-4 text-sm text-right text-gray-700">{formatCurrency(row.totalCostOfOwnership)}</td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+            {totals && rows.length > 0 && (
+              <tfoot className="bg-gray-50">
+                <tr>
+                  <td className="px-6 py-3 text-sm font-semibold text-gray-900">Total</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.totalRequests}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(totals.laborCost)}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(totals.partsCost)}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(totals.externalCost)}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{formatCurrency(totals.totalCost)}</td>
+                  {groupBy === 'equipment' && <td />}
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * RepeatFailureReport Component
+ * Repaired requests that were reopened, by equipment or by the technician who repaired them
+ */
+const RepeatFailureReport = () => {
+  const [groupBy, setGroupBy] = useState('equipment');
+  const [rows, setRows] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchRepeatFailures();
+  }, [groupBy]);
+
+  const fetchRepeatFailures = async () => {
+    try {
+      setLoading(true);
+      const response = await reportAPI.getRepeatFailureReport({ groupBy });
+      setRows(response.data || []);
+      setTotals(response.totals || null);
+    } catch (error) {
+      console.error('Failed to fetch repeat failure report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getRowLabel = (row) => {
+    if (groupBy === 'equipment') return `${row.equipmentName} (${row.serialNumber})`;
+    return row.technicianName;
+  };
+
+  const groupLabels = { equipment: 'Equipment', technician: 'Technician' };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6 flex justify-between items-end">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Repeat Failures</h2>
+          <p className="mt-2 text-gray-600">
+            Repairs that did not hold and how soon the requests were reopened
+          </p>
+        </div>
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {Object.entries(groupLabels).map(([value, label]) => (
+            <option key={value} value={value}>By {label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {groupLabels[groupBy]}
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Reopens
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Requests
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Avg. Hours to Reopen
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Fastest Reopen
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Last Reopened
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-12 text-center text-gray-500">
+                    No reopened requests
+                  </td>
+                </tr>
+              ) : (
+                rows.map((row, index) => (
+                  <tr key={row.equipmentId || row.technicianId || index}>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{getRowLabel(row)}</td>
+                    <td className="px-6 py-4 text-sm text-right font-semibold text-gray-900">{row.reopenCount}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.reopenedRequests}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.avgHoursToReopen}h</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.minHoursToReopen}h</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">
+                      {new Date(row.lastReopenedAt).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+            {totals && rows.length > 0 && (
+              <tfoot className="bg-gray-50">
+                <tr>
+                  <td className="px-6 py-3 text-sm font-semibold text-gray-900">Total</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.reopenCount}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.reopenedRequests}</td>
+                  <td colSpan="3" />
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * SatisfactionReport Component
+ * Requester ratings of repairs by technician or team
+ */
+const SatisfactionReport = () => {
+  const [groupBy, setGroupBy] = useState('technician');
+  const [rows, setRows] = useState([]);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSatisfaction();
+  }, [groupBy]);
+
+  const fetchSatisfaction = async () => {
+    try {
+      setLoading(true);
+      const response = await reportAPI.getSatisfactionReport({ groupBy });
+      setRows(response.data || []);
+      setTotals(response.totals || null);
+    } catch (error) {
+      console.error('Failed to fetch satisfaction report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getRowLabel = (row) => (groupBy === 'technician' ? row.technicianName : row.teamName);
+
+  const getRatingColor = (rating) => {
+    if (rating >= 4) return 'text-green-600';
+    if (rating >= 3) return 'text-yellow-600';
+    return 'text-red-600';
+  };
+
+  const groupLabels = { technician: 'Technician', team: 'Team' };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6 flex justify-between items-end">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Requester Satisfaction</h2>
+          <p className="mt-2 text-gray-600">
+            Ratings requesters gave after their requests were repaired
+          </p>
+        </div>
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {Object.entries(groupLabels).map(([value, label]) => (
+            <option key={value} value={value}>By {label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {groupLabels[groupBy]}
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Avg. Rating
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Ratings
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  1-2 Stars
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Fixes Rejected
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">
+                    No ratings yet
+                  </td>
+                </tr>
+              ) : (
+                rows.map((row, index) => (
+                  <tr key={row.technicianId || row.teamId || index}>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{getRowLabel(row)}</td>
+                    <td className={`px-6 py-4 text-sm text-right font-semibold ${getRatingColor(row.averageRating)}`}>
+                      {row.averageRating.toFixed(2)} / 5
+                    </td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.responses}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.lowRatings}</td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-700">{row.rejectedFixes}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+            {totals && rows.length > 0 && (
+              <tfoot className="bg-gray-50">
+                <tr>
+                  <td className="px-6 py-3 text-sm font-semibold text-gray-900">Overall</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">
+                    {totals.averageRating !== null ? `${totals.averageRating.toFixed(2)} / 5` : '—'}
+                  </td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.responses}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.lowRatings}</td>
+                  <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">{totals.rejectedFixes}</td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default ReportsModule;
@@ -1,7 +1,15 @@
 import { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { User, Settings as SettingsIcon, Bell, Tag } from 'lucide-react';
+import { User, Settings as SettingsIcon, Bell, Tag, Timer, UserCheck, ShieldCheck, ListChecks, Siren, CalendarClock, Trash2 } from 'lucide-react';
 import useAuth from '../hooks/useAuth';
+import { useToast } from '../components/Toast';
+import SlaPolicies from '../components/SlaPolicies';
+import AssignmentSettings from '../components/AssignmentSettings';
+import ApprovalRules from '../components/ApprovalRules';
+import ChecklistTemplates from '../components/ChecklistTemplates';
+import EscalationRules from '../components/EscalationRules';
+import WorkingCalendars from '../components/WorkingCalendars';
+import TrashBin from '../components/TrashBin';
 
 /**
  * SettingsModule Component
@@ -11,7 +19,14 @@ import useAuth from '../hooks/useAuth';
  * 1. Profile - User profile management
  * 2. System Config - System-wide configuration (Admin only)
  * 3. Categories - Equipment/Request categories
- * 4. Notifications - Notification preferences
+ * 4. SLA Policies - Response/resolution targets (Admin, Manager)
+ * 5. Assignment - Team assignment strategies and availability (Admin, Manager)
+ * 6. Approvals - Teams and categories that need approval (Admin, Manager)
+ * 7. Checklists - Checklist templates per equipment or category (Admin, Manager)
+ * 8. Escalations - Rules for untouched and overdue requests (Admin, Manager)
+ * 9. Working Hours - Working days, hours and holidays per team and site (Admin, Manager)
+ * 10. Trash - Restore or permanently delete deleted items (Admin only)
+ * 11. Notifications - Notification preferences
  */
 const SettingsModule = () => {
   const navigate = useNavigate();
@@ -23,6 +38,13 @@ const SettingsModule = () => {
     const path = location.pathname;
     if (path.includes('/settings/system')) return 'system';
     if (path.includes('/settings/categories')) return 'categories';
+    if (path.includes('/settings/sla')) return 'sla';
+    if (path.includes('/settings/assignment')) return 'assignment';
+    if (path.includes('/settings/approvals')) return 'approvals';
+    if (path.includes('/settings/checklists')) return 'checklists';
+    if (path.includes('/settings/escalations')) return 'escalations';
+    if (path.includes('/settings/working-hours')) return 'workingHours';
+    if (path.includes('/settings/trash')) return 'trash';
     if (path.includes('/settings/notifications')) return 'notifications';
     return 'profile';
   };
@@ -49,6 +71,48 @@ const SettingsModule = () => {
       icon: Tag,
       roles: ['Admin', 'Manager']
     },
+    {
+      id: 'sla',
+      label: 'SLA Policies',
+      icon: Timer,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'assignment',
+      label: 'Assignment',
+      icon: UserCheck,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'approvals',
+      label: 'Approvals',
+      icon: ShieldCheck,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'checklists',
+      label: 'Checklists',
+      icon: ListChecks,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'escalations',
+      label: 'Escalations',
+      icon: Siren,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'workingHours',
+      label: 'Working Hours',
+      icon: CalendarClock,
+      roles: ['Admin', 'Manager']
+    },
+    {
+      id: 'trash',
+      label: 'Trash',
+      icon: Trash2,
+      roles: ['Admin']
+    },
     {
       id: 'notifications',
       label: 'Notifications',
@@ -69,6 +133,13 @@ const SettingsModule = () => {
       'profile': '/settings',
       'system': '/settings/system',
       'categories': '/settings/categories',
+      'sla': '/settings/sla',
+      'assignment': '/settings/assignment',
+      'approvals': '/settings/approvals',
+      'checklists': '/settings/checklists',
+      'escalations': '/settings/escalations',
+      'workingHours': '/settings/working-hours',
+      'trash': '/settings/trash',
       'notifications': '/settings/notifications'
     };
     
@@ -84,6 +155,20 @@ const SettingsModule = () => {
         return <SystemConfig />;
       case 'categories':
         return <Categories />;
+      case 'sla':
+        return <SlaSettings />;
+      case 'assignment':
+        return <AssignmentSettingsTab />;
+      case 'approvals':
+        return <ApprovalSettings />;
+      case 'checklists':
+        return <ChecklistSettings />;
+      case 'escalations':
+        return <EscalationSettings />;
+      case 'workingHours':
+        return <WorkingHoursSettings />;
+      case 'trash':
+        return <TrashTab />;
       case 'notifications':
         return <NotificationSettings />;
       default:
@@ -291,6 +376,160 @@ const Categories = () => {
   );
 };
 
+/**
+ * SlaSettings Component
+ * SLA policy management (Admin, Manager)
+ */
+const SlaSettings = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">SLA Policies</h2>
+        <p className="mt-2 text-gray-600">
+          Set response and resolution targets for maintenance requests
+        </p>
+      </div>
+
+      <SlaPolicies onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * AssignmentSettingsTab Component
+ * Automatic technician assignment per team (Admin, Manager)
+ */
+const AssignmentSettingsTab = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Technician Assignment</h2>
+        <p className="mt-2 text-gray-600">
+          Choose how new requests are assigned within each team
+        </p>
+      </div>
+
+      <AssignmentSettings onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * ApprovalSettings Component
+ * Approval rules for new requests (Admin, Manager)
+ */
+const ApprovalSettings = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Approval Rules</h2>
+        <p className="mt-2 text-gray-600">
+          Choose which requests need approval before technicians see them
+        </p>
+      </div>
+
+      <ApprovalRules onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * ChecklistSettings Component
+ * Checklist templates for new requests (Admin, Manager)
+ */
+const ChecklistSettings = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Checklist Templates</h2>
+        <p className="mt-2 text-gray-600">
+          Define the steps technicians follow for each equipment or category
+        </p>
+      </div>
+
+      <ChecklistTemplates onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * EscalationSettings Component
+ * Escalation rules for untouched and overdue requests (Admin, Manager)
+ */
+const EscalationSettings = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Escalation Rules</h2>
+        <p className="mt-2 text-gray-600">
+          Decide what happens when requests sit untouched or stay overdue
+        </p>
+      </div>
+
+      <EscalationRules onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * WorkingHoursSettings Component
+ * Working calendars for overdue state, SLA due times and escalations (Admin, Manager)
+ */
+const WorkingHoursSettings = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Working Hours</h2>
+        <p className="mt-2 text-gray-600">
+          Set working days, hours and holidays so weekends and shutdowns do not count against deadlines
+        </p>
+      </div>
+
+      <WorkingCalendars onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * TrashTab Component
+ * Deleted requests, equipment and teams (Admin only)
+ */
+const TrashTab = () => {
+  const { showToast, ToastContainer } = useToast();
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Trash</h2>
+        <p className="mt-2 text-gray-600">
+          Restore deleted items or remove them permanently
+        </p>
+      </div>
+
+      <TrashBin onNotify={showToast} />
+      <ToastContainer />
+    </div>
+  );
+};
+
 /**
  * NotificationSettings Component
  * User notification preferences
@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Users as UsersIcon, UserPlus, Shield, UserCheck } from 'lucide-react';
+import { Users as UsersIcon, UserPlus, Shield, UserCheck, Edit, Check, X } from 'lucide-react';
 import * as userAPI from '../api/user.api';
 import useAuth from '../hooks/useAuth';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Toast from '../components/Toast';
+import { formatCurrency } from '../utils/currency';
 
 /**
  * UsersModule Component
@@ -131,6 +132,8 @@ const AllUsers = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('All');
   const [toast, setToast] = useState(null);
+  const [rateEdit, setRateEdit] = useState({ userId: null, value: '' });
+  const [capacityEdit, setCapacityEdit] = useState({ userId: null, value: '' });
 
   useEffect(() => {
     fetchUsers();
@@ -152,6 +155,38 @@ const AllUsers = () => {
     }
   };
 
+  // Save labor rate (used to cost work logs recorded from now on)
+  const handleSaveRate = async () => {
+    try {
+      const response = await userAPI.updateHourlyRate(rateEdit.userId, Number(rateEdit.value) || 0);
+      setUsers(prev => prev.map(u => (u._id === rateEdit.userId ? { ...u, hourlyRate: response.data.hourlyRate } : u)));
+      setRateEdit({ userId: null, value: '' });
+    } catch (error) {
+      console.error('Failed to update hourly rate:', error);
+      setToast({
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to update hourly rate'
+      });
+    }
+  };
+
+  // Save the hours per day a technician can be booked for
+  const handleSaveCapacity = async () => {
+    try {
+      const response = await userAPI.updateCapacity(capacityEdit.userId, Number(capacityEdit.value) || 0);
+      setUsers(prev => prev.map(u => (
+        u._id === capacityEdit.userId ? { ...u, dailyCapacityHours: response.data.dailyCapacityHours } : u
+      )));
+      setCapacityEdit({ userId: null, value: '' });
+    } catch (error) {
+      console.error('Failed to update daily capacity:', error);
+      setToast({
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to update daily capacity'
+      });
+    }
+  };
+
   // Filter users
   const filteredUsers = users.filter(user => {
     const matchesSearch = user.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -243,6 +278,12 @@ const AllUsers = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Role
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Labor Rate
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Daily Capacity
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Status
               </th>
@@ -251,7 +292,7 @@ const AllUsers = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {filteredUsers.length === 0 ? (
               <tr>
-                <td colSpan="4" className="px-6 py-12 text-center text-gray-500">
+                <td colSpan="6" className="px-6 py-12 text-center text-gray-500">
                   No users found
                 </td>
               </tr>
@@ -278,6 +319,83 @@ const AllUsers = () => {
                       {user.role}
                     </span>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {user.role === 'User' ? (
+                      <span className="text-gray-400">-</span>
+                    ) : rateEdit.userId === user._id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={rateEdit.value}
+                          onChange={(e) => setRateEdit(prev => ({ ...prev, value: e.target.value }))}
+                          className="w-24 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          autoFocus
+                        />
+                        <button onClick={handleSaveRate} className="text-green-600 hover:text-green-800" title="Save">
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setRateEdit({ userId: null, value: '' })}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Cancel"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center space-x-2">
+                        <span className="text-gray-900">{formatCurrency(user.hourlyRate)}/h</span>
+                        <button
+                          onClick={() => setRateEdit({ userId: user._id, value: user.hourlyRate || '' })}
+                          className="text-gray-400 hover:text-blue-600"
+                          title="Edit labor rate"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {user.role !== 'Technician' ? (
+                      <span className="text-gray-400">-</span>
+                    ) : capacityEdit.userId === user._id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="number"
+                          min="0"
+                          max="24"
+                          step="0.5"
+                          value={capacityEdit.value}
+                          onChange={(e) => setCapacityEdit(prev => ({ ...prev, value: e.target.value }))}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          autoFocus
+                        />
+                        <button onClick={handleSaveCapacity} className="text-green-600 hover:text-green-800" title="Save">
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setCapacityEdit({ userId: null, value: '' })}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Cancel"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center space-x-2">
+                        <span className="text-gray-900">{user.dailyCapacityHours ?? 8} h/day</span>
+                        <button
+                          onClick={() => setCapacityEdit({ userId: user._id, value: user.dailyCapacityHours ?? 8 })}
+                          className="text-gray-400 hover:text-blue-600"
+                          title="Edit daily capacity"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className="px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
                       Active
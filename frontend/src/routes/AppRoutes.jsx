@@ -79,6 +79,22 @@ const AppRoutes = () => {
           <Route path="/equipment" element={<EquipmentModule />} />
           <Route path="/equipment/by-department" element={<EquipmentModule />} />
           <Route path="/equipment/by-employee" element={<EquipmentModule />} />
+          <Route
+            path="/equipment/parts"
+            element={
+              <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER, ROLES.TECHNICIAN]}>
+                <EquipmentModule />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/equipment/disposals"
+            element={
+              <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+                <EquipmentModule />
+              </ProtectedRoute>
+            }
+          />
           
           {/* Equipment Detail - Standalone page */}
           <Route path="/equipment/:id" element={<EquipmentDetail />} />
@@ -108,6 +124,11 @@ const AppRoutes = () => {
           <Route path="/maintenance/new" element={<MaintenanceModule />} />
           <Route path="/maintenance/my-requests" element={<MaintenanceModule />} />
           <Route path="/maintenance/overdue" element={<MaintenanceModule />} />
+          <Route path="/maintenance/approvals" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER, ROLES.TECHNICIAN]}>
+              <MaintenanceModule />
+            </ProtectedRoute>
+          } />
           
           {/* Maintenance Detail - Standalone page */}
           <Route path="/maintenance/:id" element={<MaintenanceDetail />} />
@@ -202,6 +223,30 @@ const AppRoutes = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/reports/costs"
+            element={
+              <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+                <ReportsModule />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/reports/repeat-failures"
+            element={
+              <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+                <ReportsModule />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/reports/satisfaction"
+            element={
+              <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+                <ReportsModule />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Audit Log - Admin and Manager only */}
           <Route
@@ -225,6 +270,41 @@ const AppRoutes = () => {
               <SettingsModule />
             </ProtectedRoute>
           } />
+          <Route path="/settings/sla" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/assignment" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/approvals" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/checklists" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/escalations" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/working-hours" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN, ROLES.MANAGER]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
+          <Route path="/settings/trash" element={
+            <ProtectedRoute allowedRoles={[ROLES.ADMIN]}>
+              <SettingsModule />
+            </ProtectedRoute>
+          } />
           <Route path="/settings/notifications" element={<SettingsModule />} />
         </Route>
 
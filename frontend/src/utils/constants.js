@@ -18,6 +18,20 @@ export const REQUEST_STAGES = {
   SCRAP: 'Scrap',
 };
 
+// Forward stage workflow (mirrors backend/utils/stageTransitions.js)
+export const STAGE_TRANSITIONS = {
+  [REQUEST_STAGES.NEW]: [REQUEST_STAGES.IN_PROGRESS, REQUEST_STAGES.SCRAP],
+  [REQUEST_STAGES.IN_PROGRESS]: [REQUEST_STAGES.REPAIRED, REQUEST_STAGES.SCRAP],
+  [REQUEST_STAGES.REPAIRED]: [],
+  [REQUEST_STAGES.SCRAP]: [],
+};
+
+// Backward moves, allowed for Admin and Manager only
+// Repaired requests are reopened with a reason instead (see reopenRequest)
+export const REOPEN_TRANSITIONS = {
+  [REQUEST_STAGES.IN_PROGRESS]: [REQUEST_STAGES.NEW],
+};
+
 // Request Priorities
 export const PRIORITIES = {
   LOW: 'Low',
@@ -38,6 +52,26 @@ export const OWNERSHIP_TYPES = {
   EMPLOYEE: 'Employee',
 };
 
+// Team strategies for automatic technician assignment
+export const ASSIGNMENT_STRATEGIES = {
+  DEFAULT: 'default',
+  ROUND_ROBIN: 'round-robin',
+  LEAST_LOADED: 'least-loaded',
+};
+
+export const ASSIGNMENT_STRATEGY_LABELS = {
+  [ASSIGNMENT_STRATEGIES.DEFAULT]: 'Default technician',
+  [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: 'Round-robin',
+  [ASSIGNMENT_STRATEGIES.LEAST_LOADED]: 'Least loaded',
+};
+
+export const APPROVAL_STATUSES = {
+  NOT_REQUIRED: 'Not Required',
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+};
+
 // Stage Colors for UI
 export const STAGE_COLORS = {
   [REQUEST_STAGES.NEW]: 'bg-blue-100 text-blue-800',
@@ -53,3 +87,47 @@ export const PRIORITY_COLORS = {
   [PRIORITIES.HIGH]: 'bg-orange-100 text-orange-800',
   [PRIORITIES.URGENT]: 'bg-red-100 text-red-800',
 };
+
+// Requests in these approval states are hidden from technicians and cannot change stage
+export const AWAITING_APPROVAL = [APPROVAL_STATUSES.PENDING, APPROVAL_STATUSES.REJECTED];
+
+// Approval badge colors (requests that needed no approval show no badge)
+export const APPROVAL_COLORS = {
+  [APPROVAL_STATUSES.PENDING]: 'bg-purple-100 text-purple-800',
+  [APPROVAL_STATUSES.APPROVED]: 'bg-green-100 text-green-800',
+  [APPROVAL_STATUSES.REJECTED]: 'bg-red-100 text-red-800',
+};
+
+// Escalation rule conditions
+export const ESCALATION_CONDITIONS = {
+  UNTOUCHED: 'Untouched',
+  OVERDUE: 'Overdue',
+};
+
+// Escalation level badge colors (level 0 shows no badge)
+export const ESCALATION_COLORS = {
+  1: 'bg-yellow-100 text-yellow-800',
+  2: 'bg-amber-100 text-amber-800',
+  3: 'bg-orange-100 text-orange-800',
+  4: 'bg-red-100 text-red-800',
+  5: 'bg-red-200 text-red-900',
+};
+
+// Equipment disposal methods
+export const DISPOSAL_METHODS = [
+  'Sale',
+  'Recycling',
+  'Donation',
+  'Trade-In',
+  'Return to Vendor',
+  'Landfill',
+  'Other',
+];
+
+// Disposal status badge colors
+export const DISPOSAL_STATUS_COLORS = {
+  Pending: 'bg-purple-100 text-purple-800',
+  Approved: 'bg-red-100 text-red-800',
+  Rejected: 'bg-gray-100 text-gray-800',
+  Reversed: 'bg-blue-100 text-blue-800',
+};
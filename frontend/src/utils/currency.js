@@ -0,0 +1,11 @@
+/**
+ * Format a number as a currency amount, e.g. 1234.5 -> "$1,234.50"
+ * @param {number} value
+ * @returns {string}
+ */
+export const formatCurrency = (value) => {
+  return Number(value || 0).toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  });
+};
@@ -0,0 +1,27 @@
+/**
+ * Spare part helpers
+ */
+
+/**
+ * Units that can still be reserved at one storage location
+ * @param {Object} stockEntry - { location, quantity, reserved }
+ * @returns {number}
+ */
+export const getAvailableAt = (stockEntry) => {
+  if (!stockEntry) return 0;
+  return Math.max(0, stockEntry.quantity - stockEntry.reserved);
+};
+
+/**
+ * Build the in-app notification for a part that dropped to its reorder point
+ * @param {Object} alert - Reorder alert returned by the API
+ * @returns {Object} Notification for addNotification()
+ */
+export const toReorderNotification = (alert) => ({
+  type: 'part_reorder',
+  title: 'Part Needs Reordering',
+  message: `${alert.partNumber} ${alert.name}: ${alert.availableQuantity} available (reorder point ${alert.reorderPoint}, order ${alert.reorderQuantity})`,
+  entityType: 'Part',
+  entityId: alert._id,
+  recipientRoles: ['Admin', 'Manager']
+});
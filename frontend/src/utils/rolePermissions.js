@@ -1,4 +1,4 @@
-import { ROLES } from './constants';
+import { ROLES, STAGE_TRANSITIONS, REOPEN_TRANSITIONS } from './constants';
 
 /**
  * Role-based permission helpers
@@ -59,6 +59,15 @@ export const canDelete = (userRole) => {
   return isAdmin(userRole);
 };
 
+/**
+ * Check if user can upload photos and files to equipment
+ * @param {string} userRole - Current user's role
+ * @returns {boolean}
+ */
+export const canUploadEquipmentFiles = (userRole) => {
+  return [ROLES.ADMIN, ROLES.MANAGER, ROLES.TECHNICIAN].includes(userRole);
+};
+
 /**
  * Check if user can view reports
  * @param {string} userRole - Current user's role
@@ -121,3 +130,47 @@ export const canAssignTechnician = (userRole) => {
 export const canUpdateStage = (userRole) => {
   return isAdminOrManager(userRole);
 };
+
+/**
+ * Get the stages a request can be moved to from its current stage
+ * @param {string} fromStage - Current request stage
+ * @param {string} userRole - Current user's role
+ * @returns {Array<string>}
+ */
+export const getAllowedStageTransitions = (fromStage, userRole) => {
+  const allowed = [...(STAGE_TRANSITIONS[fromStage] || [])];
+  if (isAdminOrManager(userRole)) {
+    allowed.push(...(REOPEN_TRANSITIONS[fromStage] || []));
+  }
+  return allowed;
+};
+
+/**
+ * Check if user can reopen a Repaired request
+ * Admin, Manager and the user who raised the request may reopen it
+ * @param {Object} user - Current user
+ * @param {Object} request - Maintenance request
+ * @returns {boolean}
+ */
+export const canReopenRequest = (user, request) => {
+  return request.stage === 'Repaired' &&
+    (isAdminOrManager(user.role) || request.createdBy?._id === user._id);
+};
+
+/**
+ * Check if user can propose scrapping equipment
+ * @param {string} userRole - Current user's role
+ * @returns {boolean}
+ */
+export const canProposeDisposal = (userRole) => {
+  return [ROLES.ADMIN, ROLES.MANAGER, ROLES.TECHNICIAN].includes(userRole);
+};
+
+/**
+ * Check if user can approve, reject and reverse disposals
+ * @param {string} userRole - Current user's role
+ * @returns {boolean}
+ */
+export const canApproveDisposal = (userRole) => {
+  return isAdminOrManager(userRole);
+};
@@ -0,0 +1,41 @@
+import { REQUEST_STAGES } from './constants';
+
+/**
+ * SLA display helpers
+ */
+
+/**
+ * Get the SLA milestone a request is currently working towards
+ * Response until the first move to In Progress, then resolution
+ * @param {Object} request - Request with `sla` field
+ * @returns {Object|null} { label, dueAt } or null when no open milestone
+ */
+export const getActiveSlaTarget = (request) => {
+  const sla = request?.sla;
+  if (!sla?.policy) return null;
+  if (request.stage !== REQUEST_STAGES.NEW && request.stage !== REQUEST_STAGES.IN_PROGRESS) return null;
+
+  if (!sla.respondedAt && request.stage === REQUEST_STAGES.NEW && sla.responseDueAt) {
+    return { label: 'Response', dueAt: new Date(sla.responseDueAt) };
+  }
+  if (!sla.resolvedAt && sla.resolutionDueAt) {
+    return { label: 'Resolution', dueAt: new Date(sla.resolutionDueAt) };
+  }
+  return null;
+};
+
+/**
+ * Format a duration in milliseconds as a short countdown, e.g. "2d 4h", "3h 15m", "12m"
+ * @param {number} ms - Duration (sign is ignored)
+ * @returns {string}
+ */
+export const formatCountdown = (ms) => {
+  const totalMinutes = Math.floor(Math.abs(ms) / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};